@@ -0,0 +1,390 @@
+import { parseArgs } from 'node:util';
+import { readFile } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { Result, ResultAsync, ok, err } from 'neverthrow';
+import { z } from 'zod/v4';
+import { MedoroDataplaneClient, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '../dataplane/index.js';
+import { openFileContent, saveResponseToFile } from '../dataplane/node.js';
+import { PolicyBuilder } from '../lib/policy-builder.js';
+import { importPrivateKey } from '../lib/keys.js';
+import { guessContentType } from '../lib/content-type.js';
+
+const USAGE = `Usage: medoro <command> [options]
+
+Commands:
+  put <file> <key>         Upload a file. The policy allows exactly this key, content type and size.
+      --public             Make the object readable without a signature.
+      --max-size <size>    Allow uploads up to this size (e.g. 512, 10K, 5M, 1G) instead of the file size.
+      --content-type <t>   Override the content type guessed from the file extension.
+  get <key>                Download an object to stdout.
+      -o, --output <file>  Write it to a file instead.
+  rm <key>                 Delete an object.
+  sign <get|put> <key>     Print a signed URL.
+      --expires <seconds>  How long the URL is valid. Defaults to 300.
+      --public, --max-size, --content-type as for put.
+
+Options:
+  --json                   Print results and errors as JSON.
+  --profile <name>         The profile of the config file to use. Defaults to $MEDORO_PROFILE or "default".
+  -h, --help               Show this help.
+
+Configuration is read from $MEDORO_ORIGIN, $MEDORO_KEY_ID and $MEDORO_PRIVATE_KEY (PEM) or $MEDORO_PRIVATE_KEY_FILE,
+falling back to the selected profile of $MEDORO_CONFIG (default ~/.config/medoro/config.json).
+`;
+
+/**
+ * The exit code of the CLI for each error type. Types not listed exit with 1.
+ * A `validation_error` raised by the client before sending anything exits like a usage error.
+ */
+export const EXIT_CODES = Object.freeze({
+  usage: 2,
+  config_error: 3,
+  not_found: 4,
+  signature_error: 5,
+  access_denied: 5,
+  policy_violation: 6,
+  network_error: 7,
+  timeout: 7,
+  rate_limited: 7,
+  server_error: 8,
+  validation_error: 8,
+  precondition_failed: 8,
+  range_not_satisfiable: 8,
+  integrity_error: 8,
+  file_error: 9,
+});
+
+const OPTIONS = /** @type {const} */ ({
+  json: { type: 'boolean' },
+  profile: { type: 'string' },
+  public: { type: 'boolean' },
+  'max-size': { type: 'string' },
+  'content-type': { type: 'string' },
+  output: { type: 'string', short: 'o' },
+  expires: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+});
+
+const ProfileSchema = z.object({
+  origin: z.string().optional(),
+  keyId: z.string().optional(),
+  privateKey: z.string().optional(),
+  privateKeyFile: z.string().optional(),
+});
+
+const CliConfigSchema = z.object({
+  profiles: z.record(z.string(), ProfileSchema),
+});
+
+/**
+ * @typedef {import('../dataplane/index.js').MedoroDataplaneClientError} MedoroDataplaneClientError
+ */
+
+/**
+ * What a command prints on success.
+ * @typedef {object} CommandOutput
+ * @property {string} [text] - The human-readable output, if any.
+ * @property {unknown} [json] - The output of `--json`, if any. Downloads to stdout print nothing else.
+ */
+
+/**
+ * @typedef {object} CommandContext
+ * @property {string[]} args - The positional arguments after the command name.
+ * @property {{ [option: string]: string | boolean | undefined }} options - The parsed options.
+ * @property {MedoroDataplaneClient} client - The configured client.
+ * @property {NodeJS.WritableStream} stdout - Where downloads without `--output` are written.
+ */
+
+/**
+ * @param {string} message
+ * @returns {Result<never, MedoroDataplaneClientError>}
+ */
+function usageError(message) {
+  return err({ type: 'usage', message });
+}
+
+/**
+ * Parses a size such as `512`, `10K`, `5M` or `1G` (binary multiples).
+ * @param {string} value
+ * @returns {Result<number, MedoroDataplaneClientError>}
+ */
+function parseSize(value) {
+  const match = value.match(/^(\d+)\s*([kmg])?(?:i?b)?$/i);
+  if (!match) {
+    return usageError(`Invalid size: ${value}`);
+  }
+  const exponent = { k: 1, m: 2, g: 3 }[/** @type {'k' | 'm' | 'g'} */ (match[2]?.toLowerCase())] ?? 0;
+  return ok(Number(match[1]) * 1024 ** exponent);
+}
+
+/**
+ * Builds the upload policy of `put` and `sign put`.
+ * @param {object} params
+ * @param {string} params.key - The key the policy is restricted to.
+ * @param {string | undefined} params.contentType - The content type the policy requires, if any.
+ * @param {number | undefined} params.maxSize - The largest size the policy allows, if any.
+ * @param {boolean} params.isPublic - Whether the object is readable without a signature.
+ */
+function buildPolicy({ key, contentType, maxSize, isPublic }) {
+  const builder = new PolicyBuilder().key.equals(key);
+  if (maxSize !== undefined) {
+    builder.maxSize(maxSize);
+  }
+  if (contentType !== undefined) {
+    builder.contentType.equals(contentType);
+  }
+  return (isPublic ? builder.public() : builder.private()).build();
+}
+
+/**
+ * Reads the client configuration from the environment, falling back to a profile of the config file.
+ * @param {object} params
+ * @param {NodeJS.ProcessEnv} params.env - The environment variables.
+ * @param {string | undefined} params.profile - The profile selected with `--profile`.
+ * @returns {Promise<Result<MedoroDataplaneClient, MedoroDataplaneClientError>>}
+ */
+async function createClient({ env, profile }) {
+  const configPath = env.MEDORO_CONFIG ?? join(homedir(), '.config', 'medoro', 'config.json');
+  const profileName = profile ?? env.MEDORO_PROFILE ?? 'default';
+
+  /** @type {z.infer<typeof ProfileSchema>} */
+  let profileConfig = {};
+  const configText = await ResultAsync.fromPromise(readFile(configPath, 'utf8'), (e) => e);
+  if (configText.isOk()) {
+    /** @type {unknown} */
+    let rawConfig;
+    try {
+      rawConfig = JSON.parse(configText.value);
+    } catch (e) {
+      return err({ type: 'config_error', message: `Failed to parse ${configPath}: ${e instanceof Error ? e.message : String(e)}` });
+    }
+    const configResult = CliConfigSchema.safeParse(rawConfig);
+    if (!configResult.success) {
+      return err({ type: 'config_error', message: `Invalid config file ${configPath}`, context: { issues: configResult.error.issues } });
+    }
+    profileConfig = configResult.data.profiles[profileName] ?? {};
+  }
+  if ((profile !== undefined || env.MEDORO_PROFILE !== undefined) && Object.keys(profileConfig).length === 0) {
+    return err({ type: 'config_error', message: `Profile ${profileName} not found in ${configPath}` });
+  }
+
+  const origin = env.MEDORO_ORIGIN ?? profileConfig.origin;
+  const keyId = env.MEDORO_KEY_ID ?? profileConfig.keyId;
+  const privateKeyFile = env.MEDORO_PRIVATE_KEY_FILE ?? profileConfig.privateKeyFile;
+  if (!origin || !keyId || !(env.MEDORO_PRIVATE_KEY ?? profileConfig.privateKey ?? privateKeyFile)) {
+    return err({ type: 'config_error', message: 'The origin, key ID and private key must be configured; see medoro --help' });
+  }
+
+  let pem = env.MEDORO_PRIVATE_KEY ?? profileConfig.privateKey;
+  if (pem === undefined) {
+    const pemResult = await ResultAsync.fromPromise(readFile(/** @type {string} */ (privateKeyFile), 'utf8'), (e) => ({
+      type: 'config_error',
+      message: `Failed to read the private key: ${e instanceof Error ? e.message : String(e)}`,
+    }));
+    if (pemResult.isErr()) {
+      return err(pemResult.error);
+    }
+    pem = pemResult.value;
+  }
+
+  // Environment variables often carry the PEM with escaped line breaks
+  const privateKeyResult = await importPrivateKey({ format: 'pem', key: pem.replace(/\\n/g, '\n') });
+  if (privateKeyResult.isErr()) {
+    return err({ type: 'config_error', message: privateKeyResult.error.message });
+  }
+  return ok(new MedoroDataplaneClient({ origin, keyId, privateKey: privateKeyResult.value }));
+}
+
+/**
+ * `medoro put <file> <key>`
+ * @param {CommandContext} context
+ * @returns {Promise<Result<CommandOutput, MedoroDataplaneClientError>>}
+ */
+async function put({ args: [file, key], options, client }) {
+  if (!file || !key) {
+    return usageError('put needs a file and a key');
+  }
+
+  const contentType = /** @type {string | undefined} */ (options['content-type']) ?? guessContentType(file);
+  const contentResult = await openFileContent({ path: file, type: contentType });
+  if (contentResult.isErr()) {
+    return err(contentResult.error);
+  }
+  const content = contentResult.value;
+
+  const maxSizeResult = options['max-size'] === undefined ? ok(content.size) : parseSize(/** @type {string} */ (options['max-size']));
+  if (maxSizeResult.isErr()) {
+    return err(maxSizeResult.error);
+  }
+  const policyResult = buildPolicy({ key, contentType, maxSize: maxSizeResult.value, isPublic: options.public === true });
+  if (policyResult.isErr()) {
+    return err(policyResult.error);
+  }
+
+  const command = new PutObjectCommand({ key, policy: policyResult.value, content });
+  // Report policy violations, such as a file larger than --max-size, without uploading anything
+  const dryRunResult = await client.send({ command, dryRun: true });
+  if (dryRunResult.isErr()) {
+    return err(dryRunResult.error);
+  }
+
+  const result = await client.send({ command });
+  return result.map((data) => ({
+    text: `Uploaded ${file} to ${key} (${content.size} bytes, ${policyResult.value.apiPutV1.accessControl})`,
+    json: data,
+  }));
+}
+
+/**
+ * `medoro get <key> [-o file]`
+ * @param {CommandContext} context
+ * @returns {Promise<Result<CommandOutput, MedoroDataplaneClientError>>}
+ */
+async function get({ args: [key], options, client, stdout }) {
+  if (!key) {
+    return usageError('get needs a key');
+  }
+
+  const result = await client.send({ command: new GetObjectCommand({ key }) });
+  if (result.isErr()) {
+    return err(result.error);
+  }
+  const { response } = result.value;
+  const output = /** @type {string | undefined} */ (options.output);
+
+  if (output === undefined) {
+    if (response.body) {
+      const body = /** @type {import('node:stream/web').ReadableStream<Uint8Array>} */ (response.body);
+      const writeResult = await ResultAsync.fromPromise(
+        pipeline(Readable.fromWeb(body), stdout, { end: false }),
+        // A body that does not match its Content-Digest fails with the integrity error itself
+        (e) => /** @type {MedoroDataplaneClientError} */ (typeof e === 'object' && e !== null && 'type' in e && e.type === 'integrity_error' ? e : {
+          type: 'network_error',
+          message: `Failed to read ${key}: ${e instanceof Error ? e.message : String(e)}`,
+        }),
+      );
+      if (writeResult.isErr()) {
+        return err(writeResult.error);
+      }
+    }
+    return ok({});
+  }
+
+  const saveResult = await saveResponseToFile({ response, path: output });
+  return saveResult.map(() => ({ text: `Saved ${key} to ${output}`, json: { key, output } }));
+}
+
+/**
+ * `medoro rm <key>`
+ * @param {CommandContext} context
+ * @returns {Promise<Result<CommandOutput, MedoroDataplaneClientError>>}
+ */
+async function rm({ args: [key], client }) {
+  if (!key) {
+    return usageError('rm needs a key');
+  }
+
+  const result = await client.send({ command: new DeleteObjectCommand({ key }) });
+  return result.map((data) => ({ text: `Deleted ${key}`, json: data }));
+}
+
+/**
+ * `medoro sign <get|put> <key> [--expires seconds]`
+ * @param {CommandContext} context
+ * @returns {Promise<Result<CommandOutput, MedoroDataplaneClientError>>}
+ */
+async function sign({ args: [method, key], options, client }) {
+  if ((method !== 'get' && method !== 'put') || !key) {
+    return usageError('sign needs get or put and a key');
+  }
+
+  const expiresInSeconds = Number(options.expires ?? 300);
+  if (!Number.isInteger(expiresInSeconds)) {
+    return usageError(`Invalid --expires: ${options.expires}`);
+  }
+
+  /** @type {GetObjectCommand | PutObjectCommand} */
+  let command = new GetObjectCommand({ key });
+  if (method === 'put') {
+    const maxSizeResult = options['max-size'] === undefined ? ok(undefined) : parseSize(/** @type {string} */ (options['max-size']));
+    if (maxSizeResult.isErr()) {
+      return err(maxSizeResult.error);
+    }
+    const policyResult = buildPolicy({
+      key,
+      contentType: /** @type {string | undefined} */ (options['content-type']),
+      maxSize: maxSizeResult.value,
+      isPublic: options.public === true,
+    });
+    if (policyResult.isErr()) {
+      return err(policyResult.error);
+    }
+    command = new PutObjectCommand({ key, policy: policyResult.value });
+  }
+
+  const result = await client.createSignedUrl({ command, expiresInSeconds });
+  return result.map(({ signedUrl, method: httpMethod }) => ({
+    text: signedUrl.href,
+    json: { url: signedUrl.href, method: httpMethod, expiresAt: new Date(Date.now() + expiresInSeconds * 1000).toISOString() },
+  }));
+}
+
+const COMMANDS = { put, get, rm, sign };
+
+const parseCommandLine = Result.fromThrowable(
+  /** @param {string[]} argv */
+  (argv) => parseArgs({ args: argv, allowPositionals: true, options: OPTIONS }),
+  (e) => e instanceof Error ? e.message : String(e),
+);
+
+/**
+ * Runs the `medoro` command-line tool.
+ * @param {object} params
+ * @param {string[]} params.argv - The arguments after the executable, e.g. `process.argv.slice(2)`.
+ * @param {NodeJS.ProcessEnv} [params.env] - The environment variables. Defaults to `process.env`.
+ * @param {NodeJS.WritableStream} [params.stdout] - Where results are printed. Defaults to `process.stdout`.
+ * @param {NodeJS.WritableStream} [params.stderr] - Where errors are printed. Defaults to `process.stderr`.
+ * @returns {Promise<number>} The exit code: 0 on success, otherwise the entry of `EXIT_CODES` for the error type.
+ */
+export async function run({ argv, env = process.env, stdout = process.stdout, stderr = process.stderr }) {
+  const parsed = parseCommandLine(argv);
+  if (parsed.isErr()) {
+    stderr.write(`medoro: ${parsed.error}\n\n${USAGE}`);
+    return EXIT_CODES.usage;
+  }
+
+  const { values: options, positionals: [commandName, ...args] } = parsed.value;
+  if (options.help || commandName === undefined) {
+    (options.help ? stdout : stderr).write(USAGE);
+    return options.help ? 0 : EXIT_CODES.usage;
+  }
+
+  const command = COMMANDS[/** @type {keyof typeof COMMANDS} */ (commandName)];
+  /** @type {Result<CommandOutput, MedoroDataplaneClientError>} */
+  let result;
+  if (!command) {
+    result = usageError(`Unknown command: ${commandName}`);
+  } else {
+    const clientResult = await createClient({ env, profile: options.profile });
+    result = clientResult.isErr() ? err(clientResult.error) : await command({ args, options, client: clientResult.value, stdout });
+  }
+
+  if (result.isErr()) {
+    const { type, message, code, context } = result.error;
+    stderr.write(options.json ? `${JSON.stringify({ error: { type, message, code, context } })}\n` : `medoro: ${message}\n`);
+    if (type === 'validation_error' && 'status' in result.error && result.error.status === null) {
+      return EXIT_CODES.usage;
+    }
+    return EXIT_CODES[/** @type {keyof typeof EXIT_CODES} */ (type)] ?? 1;
+  }
+
+  if (options.json && result.value.json !== undefined) {
+    stdout.write(`${JSON.stringify(result.value.json)}\n`);
+  } else if (result.value.text !== undefined) {
+    stdout.write(`${result.value.text}\n`);
+  }
+  return 0;
+}
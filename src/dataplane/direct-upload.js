@@ -0,0 +1,339 @@
+import { Result, ResultAsync, ok, err } from 'neverthrow';
+import {
+  PutObjectCommand,
+  PutObjectOutputSchema,
+  uploadValues,
+  retryPolicy,
+  backoffDelay,
+  parseRetryAfter,
+  sleep,
+  requestSignal,
+  abortFailure,
+  responseError,
+  parseJsonResponse,
+  parseResponseData,
+} from './index.js';
+import { requestError } from './errors.js';
+import { PolicyBuilder } from '../lib/policy-builder.js';
+import { evaluatePolicy, decodePolicy } from '../lib/policy.js';
+import { guessContentType } from '../lib/content-type.js';
+import { UploadIntentSchema, SignedUploadSchema } from '../lib/schemas/index.js';
+
+// A value of a key template placeholder: a single path segment
+const PLACEHOLDER_VALUE = /^[A-Za-z0-9_.~-]+$/;
+
+/**
+ * The extension of a file name, lowercased and with its dot, or an empty string if it has none that is safe in a key.
+ * @param {string} filename
+ * @returns {string}
+ */
+function fileExtension(filename) {
+  const match = filename.match(/\.[A-Za-z0-9]{1,16}$/);
+  return match ? match[0].toLowerCase() : '';
+}
+
+/**
+ * Fills in the placeholders of a key template.
+ * `{uuid}` is a new random UUID and `{ext}` the extension of the file; every other placeholder is taken from `params`.
+ * @param {string} template - The key template, such as `uploads/{userId}/{uuid}{ext}`.
+ * @param {Record<string, string>} params - The values of the other placeholders.
+ * @param {string} filename - The name of the file.
+ * @returns {Result<string, string[]>} The key, starting with a slash, or the issues of the template.
+ */
+function expandKeyTemplate(template, params, filename) {
+  /** @type {string[]} */
+  const issues = [];
+  const key = template.replace(/\{([^{}]*)\}/g, (placeholder, name) => {
+    if (name === 'uuid') {
+      return crypto.randomUUID();
+    }
+    if (name === 'ext') {
+      return fileExtension(filename);
+    }
+    const value = Object.prototype.hasOwnProperty.call(params, name) ? params[name] : undefined;
+    if (value === undefined) {
+      issues.push(`${placeholder} has no value`);
+    } else if (!PLACEHOLDER_VALUE.test(value) || value === '.' || value === '..') {
+      issues.push(`${placeholder} must be a single path segment`);
+    }
+    return value ?? '';
+  });
+
+  if (issues.length > 0) {
+    return err(issues);
+  }
+  return ok(key.startsWith('/') ? key : `/${key}`);
+}
+
+/**
+ * Whether a media type is allowed by one of the patterns, such as `image/png` or `image/*`.
+ * @param {string} contentType
+ * @param {string[]} patterns
+ * @returns {boolean}
+ */
+function isAllowedType(contentType, patterns) {
+  const essence = contentType.split(';')[0].trim().toLowerCase();
+  return patterns.some((pattern) => {
+    const expected = pattern.toLowerCase();
+    return expected.endsWith('/*') ? essence.startsWith(expected.slice(0, -1)) : essence === expected;
+  });
+}
+
+/**
+ * Signs the upload of a file a browser asked for, to hand it back to the browser for `uploadToSignedUrl`.
+ *
+ * The intent is validated against `UploadIntentSchema`, so it can be passed straight from the body of the browser's request.
+ * The policy of the upload allows exactly the generated key, the size of the file and its content type,
+ * taken from the intent or guessed from the file name. The service rejects any other upload with the URL.
+ * @param {object} params
+ * @param {import('./index.js').MedoroDataplaneClient} params.client - Signs the URL.
+ * @param {unknown} params.intent - The `filename`, `size` and `type` of the file, as sent by the browser.
+ * @param {string} params.keyTemplate - The key to upload to, such as `uploads/{userId}/{uuid}{ext}`.
+ *   `{uuid}` is a new random UUID, `{ext}` the extension of the file name, and any other placeholder is taken from `keyParams`.
+ * @param {Record<string, string>} [params.keyParams] - The values of the other placeholders. Each must be a single path segment.
+ * @param {number} params.maxSize - The largest file allowed, in bytes.
+ * @param {string[]} [params.allowedTypes] - The content types allowed, such as `image/*` or `application/pdf`. Any by default.
+ * @param {'public' | 'private'} [params.accessControl] - Who may read the uploaded object. Defaults to private.
+ * @param {number} [params.expiresInSeconds] - How long the URL is valid. Defaults to 300 seconds.
+ * @returns {Promise<Result<import('../lib/schemas').SignedUpload, import('./index.js').MedoroRequestError>>}
+ */
+export async function createSignedUpload({
+  client,
+  intent,
+  keyTemplate,
+  keyParams = {},
+  maxSize,
+  allowedTypes,
+  accessControl = 'private',
+  expiresInSeconds = 300,
+}) {
+  // Until the key is known, errors are reported for the upload to the template
+  const upload = /** @type {const} */ ({ key: keyTemplate, method: 'PUT' });
+
+  const intentResult = UploadIntentSchema.safeParse(intent);
+  if (!intentResult.success) {
+    return err(requestError(upload, {
+      type: 'validation_error',
+      message: 'Invalid upload intent',
+      code: 'invalid_intent',
+      context: { issues: intentResult.error.issues },
+    }));
+  }
+  const { filename, size, type } = intentResult.data;
+
+  if (size > maxSize) {
+    return err(requestError(upload, {
+      type: 'validation_error',
+      message: `The file is larger than ${maxSize} bytes`,
+      code: 'file_too_large',
+      context: { size, maxSize },
+    }));
+  }
+
+  const contentType = type === '' ? guessContentType(filename) : type;
+  if (allowedTypes && !isAllowedType(contentType, allowedTypes)) {
+    return err(requestError(upload, {
+      type: 'validation_error',
+      message: `Content type ${contentType} is not allowed`,
+      code: 'type_not_allowed',
+      context: { contentType, allowedTypes },
+    }));
+  }
+
+  const keyResult = expandKeyTemplate(keyTemplate, keyParams, filename);
+  if (keyResult.isErr()) {
+    return err(requestError(upload, {
+      type: 'validation_error',
+      message: `Invalid key template: ${keyResult.error.join('; ')}`,
+      code: 'invalid_key_template',
+      context: { issues: keyResult.error },
+    }));
+  }
+  const key = keyResult.value;
+
+  const builder = new PolicyBuilder().key.equals(key).contentLength.equals(size).contentType.equals(contentType);
+  const policyResult = (accessControl === 'public' ? builder.public() : builder.private()).build();
+  if (policyResult.isErr()) {
+    const { message, code, context } = policyResult.error;
+    return err(requestError({ key, method: 'PUT' }, { type: 'validation_error', message, code, context }));
+  }
+
+  const command = new PutObjectCommand({ key, policy: policyResult.value, contentType });
+  const signedUrlResult = await client.createSignedUrl({ command, expiresInSeconds });
+  if (signedUrlResult.isErr()) {
+    return err(signedUrlResult.error);
+  }
+
+  return ok(SignedUploadSchema.parse({
+    url: signedUrlResult.value.signedUrl.toString(),
+    method: 'PUT',
+    key,
+    // Signed, so the browser has to send them as they are
+    headers: Object.fromEntries(command.headers),
+    expiresAt: new Date(Date.now() + client.clockOffsetMs + expiresInSeconds * 1000).toISOString(),
+  }));
+}
+
+/**
+ * Parses the headers returned by `XMLHttpRequest.getAllResponseHeaders()`.
+ * @param {string} rawHeaders
+ * @returns {Headers}
+ */
+function parseXhrHeaders(rawHeaders) {
+  const headers = new Headers();
+  for (const line of rawHeaders.trim().split(/[\r\n]+/)) {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers.append(line.slice(0, separator).trim(), line.slice(separator + 1).trim());
+    }
+  }
+  return headers;
+}
+
+/**
+ * Sends a PUT request with `XMLHttpRequest`, which reports the progress of the upload unlike `fetch`.
+ * Settles like `fetch`: rejects with a TypeError if no response was received, and with the reason of the signal once it is aborted.
+ * @param {string} url - The URL to upload to.
+ * @param {object} init
+ * @param {Headers} init.headers - The headers of the request.
+ * @param {Blob} init.body - The content to upload.
+ * @param {AbortSignal | undefined} init.signal - Aborts the request.
+ * @param {((progress: import('./index.js').TransferProgress) => void) | undefined} init.onProgress - Called as the body is sent.
+ * @returns {Promise<Response>}
+ */
+function xhrPut(url, { headers, body, signal, onProgress }) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const xhr = new XMLHttpRequest();
+    const onAbort = () => xhr.abort();
+    /**
+     * @param {() => void} settle
+     */
+    const done = (settle) => () => {
+      signal?.removeEventListener('abort', onAbort);
+      settle();
+    };
+    xhr.open('PUT', url);
+    headers.forEach((value, name) => xhr.setRequestHeader(name, value));
+    xhr.upload.onprogress = (event) => onProgress?.({ direction: 'upload', loaded: event.loaded, total: body.size });
+    xhr.onload = done(() => resolve(new Response([204, 205, 304].includes(xhr.status) ? null : xhr.responseText, {
+      status: xhr.status,
+      statusText: xhr.statusText,
+      headers: parseXhrHeaders(xhr.getAllResponseHeaders()),
+    })));
+    xhr.onerror = done(() => reject(new TypeError('Network request failed')));
+    xhr.onabort = done(() => reject(signal?.reason));
+    signal?.addEventListener('abort', onAbort, { once: true });
+    xhr.send(body);
+  });
+}
+
+/**
+ * Uploads a file to a URL signed by `createSignedUpload`, from a browser.
+ *
+ * The signed upload is validated against `SignedUploadSchema`, so it can be passed straight from the response of the server.
+ * A file that does not satisfy the policy of the URL is rejected with a `policy_violation` before anything is sent.
+ * The progress of the upload is reported with `XMLHttpRequest`; where it is not available, such as in workers,
+ * the file is sent with `fetch` and its progress is reported once it has been sent.
+ * Network errors and the statuses of the retry policy are retried: the URL stays valid until it expires.
+ * Errors are `MedoroRequestError`s, parsed from the response as for `send()`.
+ * @param {Blob} file - The file to upload.
+ * @param {unknown} signedUpload - The signed upload returned by `createSignedUpload`.
+ * @param {object} [options]
+ * @param {(progress: import('./index.js').TransferProgress) => void} [options.onProgress] - Called as the file is sent.
+ * @param {AbortSignal} [options.signal] - Cancels the upload when aborted, with an `aborted` error.
+ * @param {number} [options.timeoutMs] - Cancels the upload after this many milliseconds, with a `timeout` error.
+ * @param {import('./index.js').RetryPolicy} [options.retry] - How failed uploads are retried. By default, nothing is retried.
+ * @returns {Promise<Result<import('./index.js').PutObjectOutput, import('./index.js').MedoroRequestError>>}
+ */
+export async function uploadToSignedUrl(file, signedUpload, { onProgress, signal, timeoutMs, retry = {} } = {}) {
+  const signedResult = SignedUploadSchema.safeParse(signedUpload);
+  if (!signedResult.success) {
+    // The key is not known until the signed upload is valid
+    return err(requestError(null, {
+      type: 'validation_error',
+      message: 'Invalid signed upload',
+      context: { issues: signedResult.error.issues },
+    }));
+  }
+  const { url, key, headers } = signedResult.data;
+
+  const policyResult = decodePolicy(new URL(url).searchParams.get('x-medoro-policy') ?? '');
+  if (policyResult.isErr()) {
+    const { message, code } = policyResult.error;
+    return err(requestError({ key, method: 'PUT' }, { type: 'validation_error', message, code }));
+  }
+
+  const command = new PutObjectCommand({ key, policy: policyResult.value, content: file });
+  // The signed headers are sent as they are
+  for (const [name, value] of Object.entries(headers)) {
+    command.headers.set(name, value);
+  }
+  if (timeoutMs !== undefined && !(Number.isInteger(timeoutMs) && timeoutMs > 0)) {
+    return err(requestError(command, { type: 'validation_error', message: 'timeoutMs must be a positive integer' }));
+  }
+
+  const evaluation = evaluatePolicy(command.policy, uploadValues(command));
+  if (!evaluation.allowed) {
+    return err(requestError(command, {
+      type: 'policy_violation',
+      message: `The request does not satisfy its policy: ${evaluation.failures.map((failure) => failure.message).join('; ')}`,
+      context: { failures: evaluation.failures },
+    }));
+  }
+
+  const policy = retryPolicy(retry);
+  const combinedSignal = requestSignal(signal, timeoutMs);
+  for (let attempt = 1; ; attempt++) {
+    if (combinedSignal?.aborted) {
+      return err({ ...requestError(command, abortFailure(combinedSignal)), attempts: attempt - 1 });
+    }
+
+    const resultOfResponse = await ResultAsync.fromPromise(
+      typeof XMLHttpRequest === 'undefined'
+        ? fetch(url, { method: 'PUT', headers: command.headers, body: file, signal: combinedSignal }).then((response) => {
+          onProgress?.({ direction: 'upload', loaded: file.size, total: file.size });
+          return response;
+        })
+        : xhrPut(url, { headers: command.headers, body: file, signal: combinedSignal, onProgress }),
+      (e) => ({
+        ...requestError(command, combinedSignal?.aborted ? abortFailure(combinedSignal) : {
+          type: 'network_error',
+          message: `Network error during PUT: ${e instanceof Error ? e.message : String(e)}`,
+        }),
+        attempts: attempt,
+      }),
+    );
+
+    const lastAttempt = attempt >= policy.maxAttempts;
+    if (resultOfResponse.isErr()) {
+      if (lastAttempt || combinedSignal?.aborted) {
+        return err(resultOfResponse.error);
+      }
+      await sleep(backoffDelay(policy, attempt), combinedSignal);
+      continue;
+    }
+
+    const response = resultOfResponse.value;
+    const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+    if (!lastAttempt && policy.retryableStatuses.includes(response.status) && (retryAfter === null || retryAfter <= policy.maxDelayMs)) {
+      await response.body?.cancel();
+      await sleep(retryAfter ?? backoffDelay(policy, attempt), combinedSignal);
+      continue;
+    }
+
+    if (!response.ok) {
+      return err({ ...(await responseError(command, response)), attempts: attempt });
+    }
+    const parseResult = await parseJsonResponse(response, command);
+    if (parseResult.isErr()) {
+      return err({ ...parseResult.error, attempts: attempt });
+    }
+    return (await parseResponseData(command, response, PutObjectOutputSchema, parseResult.value.data))
+      .mapErr((error) => ({ ...error, attempts: attempt }));
+  }
+}
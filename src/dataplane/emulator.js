@@ -0,0 +1,461 @@
+import { mkdir, readFile, writeFile, rm, readdir } from 'node:fs/promises';
+import { join } from 'node:path';
+import { verifySignedRequest } from './verify.js';
+import { BucketConfigSchema } from '../lib/schemas/index.js';
+import { evaluatePolicy } from '../lib/policy.js';
+import { computeContentDigest, parseContentDigest } from '../lib/digest.js';
+
+/**
+ * An object kept by the emulator.
+ * @typedef {object} StoredObject
+ * @property {Uint8Array<ArrayBuffer>} body - The content of the object.
+ * @property {string} contentType - The media type of the object.
+ * @property {'public' | 'private'} accessControl - Who may read the object.
+ * @property {string} etag - The quoted SHA-256 of the content.
+ * @property {string} lastModified - When the object was written, as an HTTP date.
+ * @property {Record<string, string>} [headers] - The `Cache-Control`, `Content-Disposition` and `x-medoro-meta-*` headers it was uploaded with.
+ */
+
+/**
+ * Storage backend of the emulator.
+ * @typedef {object} ObjectStore
+ * @property {(key: string) => Promise<StoredObject | undefined>} get - Reads an object.
+ * @property {(key: string, object: StoredObject) => Promise<void>} put - Writes an object, replacing any previous one.
+ * @property {(key: string) => Promise<boolean>} delete - Removes an object and tells whether it existed.
+ * @property {() => Promise<string[]>} keys - Lists the keys of every stored object.
+ */
+
+/**
+ * Keeps objects in memory for the lifetime of the process.
+ * @implements {ObjectStore}
+ */
+export class MemoryObjectStore {
+  /**
+   * @type {Map<string, StoredObject>}
+   */
+  #objects = new Map();
+
+  /**
+   * @param {string} key
+   */
+  async get(key) {
+    return this.#objects.get(key);
+  }
+
+  /**
+   * @param {string} key
+   * @param {StoredObject} object
+   */
+  async put(key, object) {
+    this.#objects.set(key, object);
+  }
+
+  /**
+   * @param {string} key
+   */
+  async delete(key) {
+    return this.#objects.delete(key);
+  }
+
+  async keys() {
+    return [...this.#objects.keys()];
+  }
+}
+
+/**
+ * Keeps objects as files in a directory, so they survive restarts.
+ * Each object is stored as a content file in `objects/` and a JSON metadata file in `metadata/`, both named after the encoded key.
+ * @implements {ObjectStore}
+ */
+export class DirectoryObjectStore {
+  /**
+   * @type {string}
+   */
+  #directory;
+
+  /**
+   * @param {object} params
+   * @param {string} params.directory - The directory to store objects in. It is created if needed.
+   */
+  constructor({ directory }) {
+    this.#directory = directory;
+  }
+
+  /**
+   * @param {'objects' | 'metadata'} kind - Whether the path is that of the content or of the metadata.
+   * @param {string} [key] - The key of the object. Omit it for the directory of its kind.
+   */
+  #path(kind, key) {
+    // Dots are encoded too, so that no key is named like `..`
+    return key === undefined ? join(this.#directory, kind) : join(this.#directory, kind, encodeURIComponent(key).replace(/\./g, '%2E'));
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<StoredObject | undefined>}
+   */
+  async get(key) {
+    try {
+      const metadata = JSON.parse(await readFile(this.#path('metadata', key), 'utf8'));
+      const body = new Uint8Array(await readFile(this.#path('objects', key)));
+      return { ...metadata, body };
+    } catch (e) {
+      if (e instanceof Error && 'code' in e && e.code === 'ENOENT') {
+        return undefined;
+      }
+      throw e;
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @param {StoredObject} object
+   */
+  async put(key, { body, ...metadata }) {
+    await mkdir(this.#path('objects'), { recursive: true });
+    await mkdir(this.#path('metadata'), { recursive: true });
+    // The metadata is written last, so that only complete objects are listed
+    await writeFile(this.#path('objects', key), body);
+    await writeFile(this.#path('metadata', key), JSON.stringify(metadata));
+  }
+
+  /**
+   * @param {string} key
+   */
+  async delete(key) {
+    const existed = (await this.get(key)) !== undefined;
+    await rm(this.#path('metadata', key), { force: true });
+    await rm(this.#path('objects', key), { force: true });
+    return existed;
+  }
+
+  async keys() {
+    try {
+      const files = await readdir(this.#path('metadata'));
+      return files.map((file) => decodeURIComponent(file));
+    } catch (e) {
+      if (e instanceof Error && 'code' in e && e.code === 'ENOENT') {
+        return [];
+      }
+      throw e;
+    }
+  }
+}
+
+/**
+ * Builds a JSON response in the envelope used by the Medoro API.
+ * @param {number} status - The HTTP status.
+ * @param {{ success: true; data: unknown } | { success: false; error: { code: string; type: string; message: string; details?: unknown } }} body - The envelope.
+ * @returns {Response}
+ */
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
+
+/**
+ * @param {number} status - The HTTP status.
+ * @param {string} type - The category of the error.
+ * @param {string} message - A human-readable message describing the error.
+ * @param {unknown} [details] - Additional details about the error.
+ * @returns {Response}
+ */
+function errorResponse(status, type, message, details) {
+  return jsonResponse(status, { success: false, error: { code: String(status), type, message, ...(details === undefined ? {} : { details }) } });
+}
+
+/**
+ * Whether a request header is stored with an uploaded object and sent back when it is read.
+ * @param {string} name - The lower-case name of the header.
+ * @returns {boolean}
+ */
+function isStoredHeader(name) {
+  return name === 'cache-control' || name === 'content-disposition' || name.startsWith('x-medoro-meta-');
+}
+
+/**
+ * @param {StoredObject} object
+ * @returns {Headers}
+ */
+function objectHeaders(object) {
+  return new Headers({
+    'content-type': object.contentType,
+    'content-length': String(object.body.byteLength),
+    'etag': object.etag,
+    'last-modified': object.lastModified,
+    'x-medoro-access-control': object.accessControl,
+    ...object.headers,
+  });
+}
+
+/**
+ * @param {Uint8Array<ArrayBuffer>} body
+ * @returns {Promise<string>}
+ */
+async function computeEtag(body) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', body));
+  return `"${Array.from(digest, (byte) => byte.toString(16).padStart(2, '0')).join('')}"`;
+}
+
+/**
+ * Creates a local emulator of the Medoro dataplane, for integration tests and offline development.
+ *
+ * The emulator is a `fetch`-compatible handler: install it as `globalThis.fetch`, or call it from an HTTP server.
+ * It verifies signatures against the bucket configuration, enforces the `apiPutV1` conditions and access control of uploads,
+ * and answers with the same response envelope as the service. GET and HEAD requests for public objects need no signature,
+ * and honor single byte ranges and conditional headers. Uploads are checked against their `Content-Digest`,
+ * and the content of GET responses carries a SHA-256 `Content-Digest`.
+ * @param {object} params
+ * @param {import('../lib/schemas').BucketConfig} params.bucketConfig - The configuration listing the allowed public keys.
+ * @param {ObjectStore} [params.store] - Where objects are kept. Defaults to a new MemoryObjectStore.
+ * @param {string} [params.bucket] - The bucket name reported in responses. Defaults to the first label of the request host.
+ * @param {() => Date} [params.now] - The clock used to check signatures and sent in the `Date` header. Defaults to the system clock.
+ * @returns {{ fetch: (input: RequestInfo | URL, init?: RequestInit) => Promise<Response>; store: ObjectStore }}
+ */
+export function createDataplaneEmulator({ bucketConfig, store = new MemoryObjectStore(), bucket, now = () => new Date() }) {
+  const config = BucketConfigSchema.parse(bucketConfig);
+
+  /**
+   * @param {Request} request
+   * @returns {Promise<Response>}
+   */
+  const handle = async (request) => {
+    const url = new URL(request.url);
+    const key = decodeURIComponent(url.pathname);
+    const bucketName = bucket ?? url.hostname.split('.')[0];
+    const signed = url.searchParams.has('x-medoro-signature');
+
+    const verification = signed ? await verifySignedRequest({ request, bucketConfig: config, now: now() }) : null;
+    if (verification?.isErr()) {
+      const status = verification.error.type === 'signature_error' ? 401 : 400;
+      return errorResponse(status, verification.error.type, verification.error.message, { reason: verification.error.code });
+    }
+    const policy = verification?.isOk() ? verification.value.policy : null;
+
+    if (url.searchParams.has('x-medoro-multipart') || url.searchParams.has('x-medoro-upload-id')) {
+      return errorResponse(501, 'not_implemented', 'Multipart uploads are not supported by the emulator');
+    }
+
+    switch (request.method) {
+      case 'PUT': {
+        if (!signed) {
+          return errorResponse(401, 'signature_error', 'Uploads must be signed', { reason: 'missing_signature' });
+        }
+        if (!policy) {
+          return errorResponse(400, 'policy_violation', 'Uploads must carry an x-medoro-policy parameter');
+        }
+        const storedHeaders = [...request.headers].filter(([name]) => isStoredHeader(name));
+        const components = verification?.isOk() ? verification.value.components : [];
+        const unsigned = [...request.headers].find(([name]) => (isStoredHeader(name) || name === 'content-digest') && !components.includes(`"${name}"`));
+        if (unsigned) {
+          return errorResponse(401, 'signature_error', `The ${unsigned[0]} header must be covered by the signature`, { reason: 'unsigned_header' });
+        }
+
+        const body = new Uint8Array(await request.arrayBuffer());
+        for (const [algorithm, digest] of Object.entries(parseContentDigest(request.headers.get('content-digest')))) {
+          const actual = await computeContentDigest(/** @type {import('../lib/digest.js').DigestAlgorithm} */ (algorithm), body);
+          if (actual !== `${algorithm}=:${digest}:`) {
+            return errorResponse(400, 'integrity_error', 'The content does not match its Content-Digest', { reason: 'digest_mismatch', algorithm });
+          }
+        }
+
+        const evaluation = evaluatePolicy(policy, {
+          ...Object.fromEntries(request.headers),
+          key,
+          contentLength: body.byteLength,
+          contentType: request.headers.get('content-type') ?? undefined,
+        });
+        if (!evaluation.allowed) {
+          return errorResponse(403, 'policy_violation', 'The upload does not satisfy its policy', { failures: evaluation.failures });
+        }
+
+        await store.put(key, {
+          body,
+          contentType: request.headers.get('content-type') ?? 'application/octet-stream',
+          accessControl: policy.apiPutV1.accessControl,
+          etag: await computeEtag(body),
+          lastModified: now().toUTCString(),
+          headers: Object.fromEntries(storedHeaders),
+        });
+        return jsonResponse(200, {
+          success: true,
+          data: { key, bucket: bucketName, accessControl: policy.apiPutV1.accessControl, message: 'Object uploaded successfully' },
+        });
+      }
+
+      case 'GET':
+      case 'HEAD': {
+        if (url.searchParams.get('x-medoro-list') === 'v1') {
+          if (!signed) {
+            return errorResponse(401, 'signature_error', 'Listing objects must be signed', { reason: 'missing_signature' });
+          }
+          return jsonResponse(200, { success: true, data: await listObjects(store, url.searchParams) });
+        }
+
+        const object = await store.get(key);
+        if (!object) {
+          return request.method === 'HEAD' ? new Response(null, { status: 404, statusText: 'Not Found' }) : errorResponse(404, 'not_found', 'Object not found');
+        }
+        if (object.accessControl === 'private' && !signed) {
+          return request.method === 'HEAD' ? new Response(null, { status: 403, statusText: 'Forbidden' }) : errorResponse(403, 'access_denied', 'The object is private');
+        }
+        return readObject(request, object);
+      }
+
+      case 'DELETE': {
+        if (!signed) {
+          return errorResponse(401, 'signature_error', 'Deletes must be signed', { reason: 'missing_signature' });
+        }
+        if (!(await store.delete(key))) {
+          return errorResponse(404, 'not_found', 'Object not found');
+        }
+        return jsonResponse(200, { success: true, data: { key, bucket: bucketName, message: 'Object deleted successfully' } });
+      }
+
+      default:
+        return errorResponse(405, 'method_not_allowed', `Method ${request.method} is not allowed`);
+    }
+  };
+
+  return {
+    fetch: async (input, init) => {
+      const response = await handle(new Request(input, init));
+      // Like the service, every response carries the time of its clock, which clients use to correct their own
+      response.headers.set('date', now().toUTCString());
+      return response;
+    },
+    store,
+  };
+}
+
+/**
+ * Tells whether an entity tag is listed in an `If-Match` or `If-None-Match` header.
+ * @param {string} header - The value of the header.
+ * @param {string} etag - The entity tag of the object.
+ * @param {boolean} weak - Whether weak tags match their strong counterparts, as for `If-None-Match`.
+ * @returns {boolean}
+ */
+function etagMatches(header, etag, weak) {
+  if (header.trim() === '*') {
+    return true;
+  }
+  return header.split(',').some((candidate) => {
+    const tag = candidate.trim();
+    return tag === etag || (weak && tag.startsWith('W/') && tag.slice(2) === etag);
+  });
+}
+
+/**
+ * Answers a GET or HEAD request for a stored object, honoring its conditional and `Range` headers.
+ * Only a single range is served; a request for several ranges receives the whole object, as HTTP allows.
+ * @param {Request} request
+ * @param {StoredObject} object
+ * @returns {Promise<Response>}
+ */
+async function readObject(request, object) {
+  const headers = objectHeaders(object);
+  const ifMatch = request.headers.get('if-match');
+  if (ifMatch !== null && !etagMatches(ifMatch, object.etag, false)) {
+    return request.method === 'HEAD' ? new Response(null, { status: 412, statusText: 'Precondition Failed' }) : errorResponse(412, 'precondition_failed', 'The object does not match If-Match');
+  }
+
+  const ifNoneMatch = request.headers.get('if-none-match');
+  const ifModifiedSince = Date.parse(request.headers.get('if-modified-since') ?? '');
+  const notModified = ifNoneMatch !== null
+    ? etagMatches(ifNoneMatch, object.etag, true)
+    : !Number.isNaN(ifModifiedSince) && Date.parse(object.lastModified) <= ifModifiedSince;
+  if (notModified) {
+    headers.delete('content-length');
+    headers.delete('content-type');
+    return new Response(null, { status: 304, statusText: 'Not Modified', headers });
+  }
+
+  const size = object.body.byteLength;
+  const range = request.headers.get('range')?.match(/^bytes=(\d*)-(\d*)$/);
+  const ifRange = request.headers.get('if-range');
+  const rangeApplies = ifRange === null || (ifRange.startsWith('"') ? ifRange === object.etag : Date.parse(ifRange) === Date.parse(object.lastModified));
+  const malformed = !range || (range[1] === '' && range[2] === '') || (range[1] !== '' && range[2] !== '' && Number(range[2]) < Number(range[1]));
+  if (malformed || !rangeApplies) {
+    return contentResponse(request, object.body, 200, headers);
+  }
+
+  const start = range[1] === '' ? Math.max(0, size - Number(range[2])) : Number(range[1]);
+  const end = range[1] === '' || range[2] === '' ? size - 1 : Math.min(Number(range[2]), size - 1);
+  if (start >= size || (range[1] === '' && range[2] === '0')) {
+    const response = errorResponse(416, 'range_not_satisfiable', 'The requested range is not satisfiable');
+    response.headers.set('content-range', `bytes */${size}`);
+    return response;
+  }
+
+  headers.set('content-range', `bytes ${start}-${end}/${size}`);
+  headers.set('content-length', String(end - start + 1));
+  return contentResponse(request, object.body.slice(start, end + 1), 206, headers);
+}
+
+/**
+ * Answers a GET request with content and its `Content-Digest`, or a HEAD request with the headers only.
+ * @param {Request} request
+ * @param {Uint8Array<ArrayBuffer>} content - The bytes of the object the response holds.
+ * @param {200 | 206} status
+ * @param {Headers} headers
+ * @returns {Promise<Response>}
+ */
+async function contentResponse(request, content, status, headers) {
+  const statusText = status === 206 ? 'Partial Content' : '';
+  if (request.method === 'HEAD') {
+    return new Response(null, { status, statusText, headers });
+  }
+  headers.set('content-digest', await computeContentDigest('sha-256', content));
+  return new Response(content, { status, statusText, headers });
+}
+
+/**
+ * Answers a list objects request from the store.
+ * @param {ObjectStore} store
+ * @param {URLSearchParams} searchParams
+ */
+async function listObjects(store, searchParams) {
+  const prefix = searchParams.get('prefix') ?? '';
+  const delimiter = searchParams.get('delimiter');
+  const cursor = searchParams.get('cursor');
+  const limit = Math.min(Number(searchParams.get('limit') ?? 1000) || 1000, 1000);
+
+  const keys = (await store.keys()).filter((key) => key.startsWith(prefix) && (cursor === null || key > cursor)).sort();
+  const objects = [];
+  /** @type {Set<string>} */
+  const commonPrefixes = new Set();
+  /** @type {string | null} */
+  let lastKey = null;
+  /** @type {string | null} */
+  let nextCursor = null;
+
+  for (const key of keys) {
+    const delimiterIndex = delimiter ? key.indexOf(delimiter, prefix.length) : -1;
+    const commonPrefix = delimiter && delimiterIndex !== -1 ? key.slice(0, delimiterIndex + delimiter.length) : null;
+    // Keys sharing a prefix are adjacent once sorted, so a group is consumed without counting towards the limit
+    if (commonPrefix !== null && commonPrefixes.has(commonPrefix)) {
+      lastKey = key;
+      continue;
+    }
+    if (objects.length + commonPrefixes.size >= limit) {
+      nextCursor = lastKey;
+      break;
+    }
+
+    if (commonPrefix !== null) {
+      commonPrefixes.add(commonPrefix);
+    } else {
+      const object = await store.get(key);
+      // Deleted since the keys were read
+      if (!object) {
+        continue;
+      }
+      objects.push({ key, size: object.body.byteLength, contentType: object.contentType, etag: object.etag, lastModified: object.lastModified });
+    }
+    lastKey = key;
+  }
+
+  return { objects, commonPrefixes: [...commonPrefixes], nextCursor };
+}
@@ -0,0 +1,263 @@
+import { Result, ok, err } from 'neverthrow';
+import { PutObjectCommand, GetObjectCommand, HeadObjectCommand } from './index.js';
+import {
+  DEFAULT_CHUNK_SIZE,
+  createAesKwKeyWrapper,
+  createEnvelope,
+  readEnvelope,
+  openEnvelope,
+  encryptStream,
+  decryptStream,
+  encryptedSize,
+  decryptedSize,
+  encryptedPolicy,
+} from '../lib/envelope.js';
+import { requestError } from './errors.js';
+
+// The metadata entry holding the envelope of an encrypted object, sent as the `x-medoro-meta-medoro-envelope` header
+const ENVELOPE_METADATA_NAME = 'medoro-envelope';
+
+/**
+ * Reports the metadata of an encrypted object as that of its plaintext: the size of the plaintext, without the envelope.
+ * @param {import('./index.js').ObjectMetadata} metadata - The metadata of the stored object.
+ * @param {number} chunkSize - The chunk size of the object.
+ * @returns {import('./index.js').ObjectMetadata}
+ */
+function plaintextMetadata(metadata, chunkSize) {
+  const { [ENVELOPE_METADATA_NAME]: envelope, ...userMetadata } = metadata.metadata;
+  return {
+    ...metadata,
+    contentLength: metadata.contentLength === null ? null : decryptedSize(metadata.contentLength, chunkSize),
+    metadata: userMetadata,
+  };
+}
+
+/**
+ * Encrypts objects on the client before they are uploaded, and decrypts them as they are downloaded.
+ *
+ * Every object is encrypted with its own AES-256-GCM data key, in chunks, so that large objects can be streamed both ways.
+ * The data key is wrapped with a key-encryption key the caller holds, and stored with the object in an envelope,
+ * as the `medoro-envelope` metadata. The service only ever sees the ciphertext.
+ *
+ * `PutObjectCommand`, `GetObjectCommand` and `HeadObjectCommand` are encrypted and decrypted; other commands are sent as they are.
+ * Encryption and decryption failures are returned as an `encryption_error`.
+ */
+export class EncryptedDataplaneClient {
+  /**
+   * @type {import('./index.js').MedoroDataplaneClient}
+   */
+  #client;
+  /**
+   * @type {string}
+   */
+  #keyId;
+  /**
+   * @type {import('../lib/envelope.js').KeyWrapper}
+   */
+  #keyWrapper;
+  /**
+   * @type {number}
+   */
+  #chunkSize;
+
+  /**
+   * @param {object} params
+   * @param {import('./index.js').MedoroDataplaneClient} params.client - Signs and sends the commands.
+   * @param {string} params.keyId - The ID of the key-encryption key, recorded in the envelope of every object.
+   * @param {CryptoKey} [params.keyEncryptionKey] - The AES-KW key the data keys are wrapped with.
+   * @param {import('../lib/envelope.js').KeyWrapper} [params.keyWrapper] - Wraps the data keys in place of `keyEncryptionKey`,
+   *   so the key-encryption key can live in a KMS.
+   * @param {number} [params.chunkSize] - The size of the plaintext chunks objects are encrypted in. Defaults to 64 KiB.
+   */
+  constructor({ client, keyId, keyEncryptionKey, keyWrapper, chunkSize = DEFAULT_CHUNK_SIZE }) {
+    this.#client = client;
+    this.#keyId = keyId;
+    this.#keyWrapper = keyWrapper ?? createAesKwKeyWrapper(/** @type {CryptoKey} */ (keyEncryptionKey));
+    this.#chunkSize = chunkSize;
+  }
+
+  /**
+   * The client the commands are sent with.
+   */
+  get client() {
+    return this.#client;
+  }
+
+  /**
+   * Sends a Command to Medoro, encrypting uploads and decrypting downloads.
+   *
+   * The content of a PutObjectCommand is encrypted before it is sent, and its policy's `Content-Length` condition
+   * is raised to the size of the ciphertext. Streamed content is encrypted as it is sent; other content is encrypted up front.
+   * The body of a GetObjectCommand is decrypted as it is read: a body that was modified or truncated fails with an `encryption_error`.
+   * Range reads are not supported.
+   * @template {import('./index.js').MedoroDataplaneCommand<any>} C
+   * @template {boolean} [D=false]
+   * @param {object} params - The parameters for the request.
+   * @param {C} params.command - The Command object to send.
+   * @param {D} [params.dryRun] - Evaluate the command's policy locally instead of sending it.
+   * @param {(progress: import('./index.js').TransferProgress) => void} [params.onProgress] - Called as the ciphertext is sent and received.
+   * @param {AbortSignal} [params.signal] - Cancels the request when aborted, as for `MedoroDataplaneClient.send()`.
+   * @param {number} [params.timeoutMs] - Cancels the request after this many milliseconds, as for `MedoroDataplaneClient.send()`.
+   * @returns {Promise<Result<D extends true ? import('./index.js').DryRunOutput : import('./index.js').SendOutput<C>, import('./index.js').MedoroRequestError>>}
+   */
+  async send({ command, dryRun, onProgress, signal, timeoutMs }) {
+    if (command instanceof PutObjectCommand) {
+      const encryptResult = await this.#encrypt(command);
+      if (encryptResult.isErr()) {
+        return err(encryptResult.error);
+      }
+      return /** @type {Result<any, import('./index.js').MedoroRequestError>} */ (
+        await this.#client.send({ command: encryptResult.value, dryRun, onProgress, signal, timeoutMs })
+      );
+    }
+
+    if (command instanceof GetObjectCommand && command.range !== undefined) {
+      return err(requestError(command, {
+        type: 'validation_error',
+        message: 'Range reads of encrypted objects are not supported',
+      }));
+    }
+
+    const result = await this.#client.send({ command, dryRun, onProgress, signal, timeoutMs });
+    if (dryRun || result.isErr()) {
+      return /** @type {Result<any, import('./index.js').MedoroRequestError>} */ (result);
+    }
+    if (command instanceof HeadObjectCommand) {
+      return /** @type {Result<any, import('./index.js').MedoroRequestError>} */ (
+        this.#decryptMetadata(command, /** @type {import('./index.js').ObjectMetadata} */ (result.value))
+      );
+    }
+    if (command instanceof GetObjectCommand) {
+      return /** @type {Result<any, import('./index.js').MedoroRequestError>} */ (
+        await this.#decrypt(command, /** @type {import('./index.js').GetObjectOutput} */ (result.value))
+      );
+    }
+    return /** @type {Result<any, import('./index.js').MedoroRequestError>} */ (result);
+  }
+
+  /**
+   * Creates the command uploading the ciphertext of an upload, with a new data key.
+   * @param {PutObjectCommand} command - The upload of the plaintext.
+   * @returns {Promise<Result<PutObjectCommand, import('./index.js').MedoroRequestError>>}
+   */
+  async #encrypt(command) {
+    if (!Number.isInteger(this.#chunkSize) || this.#chunkSize < 1) {
+      return err(requestError(command, {
+        type: 'validation_error',
+        message: 'chunkSize must be a positive integer',
+      }));
+    }
+    if (command.headers.has('content-digest') && command.digest === undefined) {
+      return err(requestError(command, {
+        type: 'validation_error',
+        message: 'The contentDigest of the plaintext does not match the ciphertext; pass the digest option instead',
+      }));
+    }
+
+    const envelopeResult = await createEnvelope({
+      keyWrapper: this.#keyWrapper,
+      keyId: this.#keyId,
+      chunkSize: this.#chunkSize,
+      objectKey: command.key,
+    });
+    if (envelopeResult.isErr()) {
+      return err(requestError(command, { type: 'encryption_error', message: envelopeResult.error.message }));
+    }
+    const { envelope, contentKey } = envelopeResult.value;
+
+    const content = command.content ?? '';
+    /** @type {Blob | ReadableStream<Uint8Array>} */
+    let ciphertext;
+    /** @type {number | undefined} */
+    let contentLength;
+    if (content instanceof ReadableStream) {
+      ciphertext = encryptStream(content, contentKey);
+      contentLength = command.contentLength === undefined ? undefined : encryptedSize(command.contentLength, this.#chunkSize);
+    } else {
+      // Kept in memory, so that the upload can be retried and its digest computed
+      ciphertext = await new Response(encryptStream(new Blob([content]).stream(), contentKey)).blob();
+    }
+
+    // The plaintext's type is kept, as fetch would have labelled it
+    const contentType = command.headers.get('content-type')
+      ?? (typeof content === 'string' ? 'text/plain;charset=UTF-8' : content instanceof Blob && content.type !== '' ? content.type : undefined);
+    return ok(new PutObjectCommand({
+      key: command.key,
+      policy: encryptedPolicy(command.policy, this.#chunkSize),
+      content: ciphertext,
+      contentLength,
+      contentType,
+      cacheControl: command.headers.get('cache-control') ?? undefined,
+      contentDisposition: command.headers.get('content-disposition') ?? undefined,
+      metadata: { ...command.metadata, [ENVELOPE_METADATA_NAME]: envelope },
+      digest: command.digest,
+    }));
+  }
+
+  /**
+   * Reports the metadata of an encrypted object as that of its plaintext.
+   * @param {HeadObjectCommand} command - The command that was sent.
+   * @param {import('./index.js').ObjectMetadata} metadata - The metadata of the stored object.
+   * @returns {Result<import('./index.js').ObjectMetadata, import('./index.js').MedoroRequestError>}
+   */
+  #decryptMetadata(command, metadata) {
+    const envelope = metadata.metadata[ENVELOPE_METADATA_NAME];
+    if (envelope === undefined) {
+      return err(requestError(command, { type: 'encryption_error', message: `The object ${command.key} is not encrypted`, status: 200 }));
+    }
+    return readEnvelope(envelope)
+      .map(({ chunkSize }) => plaintextMetadata(metadata, chunkSize))
+      .mapErr(({ message }) => requestError(command, { type: 'encryption_error', message, status: 200 }));
+  }
+
+  /**
+   * Decrypts the body of a download as it is read.
+   * @param {GetObjectCommand} command - The command that was sent.
+   * @param {import('./index.js').GetObjectOutput} output - The result of the command.
+   * @returns {Promise<Result<import('./index.js').GetObjectOutput, import('./index.js').MedoroRequestError>>}
+   */
+  async #decrypt(command, output) {
+    if (output.outcome !== 'full') {
+      return ok(output);
+    }
+
+    const { response, metadata } = output;
+    const envelope = metadata.metadata[ENVELOPE_METADATA_NAME];
+    if (envelope === undefined) {
+      await response.body?.cancel();
+      return err(requestError(command, { type: 'encryption_error', message: `The object ${command.key} is not encrypted`, status: response.status }));
+    }
+
+    const contentKeyResult = await openEnvelope({ envelope, keyWrapper: this.#keyWrapper, keyId: this.#keyId, objectKey: command.key });
+    if (contentKeyResult.isErr()) {
+      await response.body?.cancel();
+      return err(requestError(command, {
+        type: 'encryption_error',
+        message: contentKeyResult.error.message,
+        status: response.status,
+        context: contentKeyResult.error.context,
+      }));
+    }
+
+    const contentKey = contentKeyResult.value;
+    const body = decryptStream(
+      response.body ?? new Blob([]).stream(),
+      contentKey,
+      (message) => requestError(command, { type: 'encryption_error', message, status: response.status }),
+    );
+    const plaintext = plaintextMetadata(metadata, contentKey.chunkSize);
+    const headers = new Headers(response.headers);
+    // The digest and size of the ciphertext do not describe the plaintext
+    headers.delete('content-digest');
+    if (plaintext.contentLength === null) {
+      headers.delete('content-length');
+    } else {
+      headers.set('content-length', String(plaintext.contentLength));
+    }
+    return ok({
+      ...output,
+      response: new Response(body, { status: response.status, statusText: response.statusText, headers }),
+      metadata: plaintext,
+    });
+  }
+}
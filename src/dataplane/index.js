@@ -1,6 +1,10 @@
 import { Result, ResultAsync, ok, err } from 'neverthrow';
 import { createSignatureForRequest } from 'http-msg-sig';
 import { z } from 'zod/v4';
+import { evaluatePolicy, encodePolicy, maxContentLength, evaluateContentLength } from '../lib/policy.js';
+import { computeContentDigest, createContentHasher, strongestContentDigest } from '../lib/digest.js';
+import { redactSignedUrl } from './hooks.js';
+import { REQUEST_ERROR_TYPES, requestError } from './errors.js';
 
 // Schema for success responses
 const ApiSuccessResponseSchema = z.object({
@@ -8,6 +12,63 @@ const ApiSuccessResponseSchema = z.object({
   data: z.any()
 });
 
+// Schema for the data of an upload response
+export const PutObjectOutputSchema = z.object({
+  key: z.string(),
+  bucket: z.string(),
+  accessControl: z.enum(['public', 'private']),
+  message: z.string(),
+});
+
+// Schema for the data of a delete response
+const DeleteObjectOutputSchema = z.object({
+  key: z.string(),
+  bucket: z.string(),
+  message: z.string(),
+});
+
+// Schema for the data of a list objects response
+const ListObjectsOutputSchema = z.object({
+  objects: z.array(z.object({
+    key: z.string(),
+    size: z.number(),
+    contentType: z.string().optional(),
+    etag: z.string().optional(),
+    lastModified: z.string().optional(),
+  })),
+  commonPrefixes: z.array(z.string()).default([]),
+  nextCursor: z.string().nullable().default(null),
+});
+
+// Schema for the data of a create multipart upload response
+const CreateMultipartUploadOutputSchema = z.object({
+  uploadId: z.string().min(1),
+});
+
+// Schema for the data of an upload part response
+const UploadPartOutputSchema = z.object({
+  partNumber: z.number().int().positive(),
+  etag: z.string().min(1),
+});
+
+// The service does not specify the data of an abort multipart upload response
+const AbortMultipartUploadOutputSchema = z.unknown();
+
+// The prefix of the headers holding the user metadata of an object
+const METADATA_HEADER_PREFIX = 'x-medoro-meta-';
+
+// A header name is an RFC 9110 token
+const HEADER_NAME_PATTERN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+// The header values the client sends are printable ASCII, spaces and tabs
+const HEADER_VALUE_PATTERN = /^[\t\x20-\x7e]*$/;
+
+// The largest body checked against its Content-Digest by default where it has to be kept in memory to be hashed
+const BUFFERED_DIGEST_LIMIT = 16 * 1024 * 1024;
+
+// The reasons the service gives for rejecting a signature because of the time it was created at
+const CLOCK_SKEW_REASONS = ['signature_expired', 'signature_not_yet_valid'];
+
 // Schema for error responses
 const ApiErrorResponseSchema = z.object({
   success: z.literal(false),
@@ -35,15 +96,213 @@ const ApiResponseSchema = z.discriminatedUnion('success', [
 
 /**
  * @typedef {object} MedoroDataplaneClientError
- * @property {string} type - The category of the error (e.g., 'validation', 'access_denied', 'unknown').
+ * @property {string} type - The category of the error (e.g., 'validation_error', 'access_denied', 'unknown').
  * @property {string} message - A human-readable message describing the error.
  * @property {string} [code] - An optional error code for programmatic handling.
  * @property {unknown} [context] - Optional additional context for the error.
+ * @property {number} [attempts] - How many times the request was sent before the error was returned.
+ */
+
+/**
+ * The type of a `MedoroRequestError`:
+ * - `network_error`: no response was received.
+ * - `timeout`: the request took longer than its `timeoutMs`, or the service timed out (408, 504).
+ * - `aborted`: the `signal` of the request was aborted.
+ * - `not_found`: the object does not exist (404).
+ * - `access_denied`: the key may not access the object (403).
+ * - `policy_violation`: the upload does not satisfy its policy, as checked by the client or the service.
+ * - `signature_error`: the request could not be signed, or the service rejected its signature (401).
+ * - `rate_limited`: the service asks to slow down (429). `context.retryAfterMs` holds its `Retry-After`, if any.
+ * - `server_error`: the service failed (5xx).
+ * - `validation_error`: the command is invalid, the service rejected it (other 4xx), or the response is malformed.
+ * - `precondition_failed` and `range_not_satisfiable`: a conditional or range read cannot be answered (412, 416).
+ * - `integrity_error`: the content does not match its `Content-Digest`, as checked by the client or the service.
+ * - `encryption_error`: an `EncryptedDataplaneClient` could not encrypt the content, or decrypt it with its key.
+ * - `file_error`: a local file could not be read or written by the Node.js helpers.
+ * @typedef {typeof REQUEST_ERROR_TYPES[number]} MedoroRequestErrorType
+ */
+
+/**
+ * An error returned by `send()` and the other methods and helpers of the client.
+ * The `type` tells what went wrong; the error code and details sent by the service are kept as they are.
+ * @typedef {object} MedoroRequestError
+ * @property {MedoroRequestErrorType} type - The category of the error.
+ * @property {string} message - A human-readable message, as sent by the service if it sent one.
+ * @property {number | null} status - The HTTP status of the response, or null if no response was received.
+ * @property {string} [code] - The error code sent by the service, or set by the client, such as `file_too_large`.
+ * @property {unknown} [details] - The error details sent by the service.
+ * @property {boolean} retryable - Whether sending the command again later may succeed.
+ * @property {string | null} key - The key (path) of the command, or null if the error is not about one command.
+ * @property {MedoroDataplaneCommand['method'] | null} method - The HTTP method of the command, or null if the error is not about one command.
+ * @property {unknown} [context] - Additional context, such as the failed policy conditions or schema issues.
+ * @property {number} [attempts] - How many times the request was sent before the error was returned.
+ */
+
+/**
+ * The outcome of a command sent with `dryRun`, which is evaluated locally instead of being sent.
+ * @typedef {object} DryRunOutput
+ * @property {true} dryRun - Marks the result as a dry run.
+ * @property {MedoroDataplaneCommand['method']} method - The HTTP method the command would use.
+ * @property {string} key - The key (path) the command would be sent to.
+ * @property {import('../lib/policy.js').PolicyEvaluation | null} evaluation - The evaluation of the command's policy, or null if it has none.
+ */
+
+/**
+ * Retry policy for requests sent by the client.
+ * Only idempotent commands are retried: requests with a streamed body and POST requests are sent once.
+ * @typedef {object} RetryPolicy
+ * @property {number} [maxAttempts] - The maximum number of attempts, including the first one. Defaults to 1 (no retries).
+ * @property {number} [baseDelayMs] - The upper bound of the delay before the first retry, doubled for every further retry. Defaults to 200.
+ * @property {number} [maxDelayMs] - The maximum delay between two attempts. A longer `Retry-After` ends the retries. Defaults to 20000.
+ * @property {number[]} [retryableStatuses] - The HTTP statuses that are retried. Defaults to 429, 502, 503 and 504.
+ */
+
+/**
+ * The content of an object to upload.
+ * Streams and async iterables, such as a Node.js `Readable`, are uploaded without being buffered in memory, but can only be sent once.
+ * @typedef {Blob | ArrayBuffer | string | ReadableStream<Uint8Array> | AsyncIterable<Uint8Array>} ObjectContent
+ */
+
+/**
+ * Progress of a request body being sent or of a response body being received.
+ * @typedef {object} TransferProgress
+ * @property {'upload' | 'download'} direction - Whether bytes are being sent or received.
+ * @property {number} loaded - The number of bytes transferred so far.
+ * @property {number | null} total - The total number of bytes, or null if it is not known.
+ */
+
+/**
+ * Options of the batch helpers `deleteMany`, `putMany` and `getMany`.
+ * @typedef {object} BatchOptions
+ * @property {number} [concurrency] - How many commands are in flight at the same time. Defaults to 8.
+ * @property {number} [requestsPerSecond] - The most commands started per second. Unlimited by default.
+ * @property {boolean} [stopOnError] - Stop sending commands after the first failure. Commands already in flight
+ *   still complete. Defaults to false.
+ */
+
+/**
+ * The outcome of one command of a batch.
+ * @template C, T
+ * @typedef {object} BatchItem
+ * @property {number} index - The position of the command in the batch.
+ * @property {C} command - The command.
+ * @property {Result<T, MedoroRequestError>} result - What `send()` returned for the command.
+ */
+
+/**
+ * The outcome of a batch. Commands that were not sent because the batch stopped have no item.
+ * @template C, T
+ * @typedef {object} BatchOutput
+ * @property {BatchItem<C, T>[]} items - One item per command sent, in the order of the batch.
+ * @property {{ total: number; succeeded: number; failed: number }} summary - The number of commands sent, succeeded and failed.
+ * @property {boolean} stopped - Whether the batch stopped at a failure because of `stopOnError`.
+ */
+
+/**
+ * Signs the signature base of a request with the Ed25519 key identified by `keyId`, and returns the 64-byte signature.
+ * A signer keeps the private key out of the client: it can forward the signature base to a worker, a signing daemon or a KMS.
+ * The `signal` is aborted when the request is, so that a remote call can be cancelled.
+ * @typedef {(params: { signatureBase: string; keyId: string; signal?: AbortSignal }) => Promise<Uint8Array | ArrayBuffer>} Signer
+ */
+
+/**
+ * A key the client can sign requests with, and the ID of its public key in the bucket configuration.
+ * Give either the private key itself or a signer that holds it.
+ * @typedef {object} SigningKey
+ * @property {string} keyId - The ID of the public key.
+ * @property {CryptoKey} [privateKey] - The Ed25519 private key.
+ * @property {Signer} [signer] - Signs requests in place of `privateKey`.
+ */
+
+/**
+ * Metadata of a stored object, as reported by the response headers of a HEAD request.
+ * @typedef {object} ObjectMetadata
+ * @property {string} key - The key (path) of the object.
+ * @property {number | null} contentLength - The size of the object in bytes.
+ * @property {string | null} contentType - The media type of the object.
+ * @property {string | null} etag - The entity tag of the object.
+ * @property {Date | null} lastModified - When the object was last modified.
+ * @property {'public' | 'private' | null} accessControl - The access control the object was uploaded with.
+ * @property {string | null} cacheControl - The `Cache-Control` header the object is served with.
+ * @property {string | null} contentDisposition - The `Content-Disposition` header the object is served with.
+ * @property {Record<string, string>} metadata - The user metadata of the object, by lower-case name without the `x-medoro-meta-` prefix.
+ */
+
+/**
+ * A byte range of an object: either from `start` to `end` (inclusive, or to the end of the object if omitted),
+ * or the last `suffix` bytes of the object.
+ * @typedef {{ start: number; end?: number } | { suffix: number }} ByteRange
+ */
+
+/**
+ * The range of the object a partial response holds, as reported by its `Content-Range` header.
+ * @typedef {object} ContentRange
+ * @property {number} start - The offset of the first byte.
+ * @property {number} end - The offset of the last byte, inclusive.
+ * @property {number | null} size - The size of the whole object, or null if the service did not report it.
+ */
+
+/**
+ * The result of a GetObjectCommand.
+ * - `full`: the whole object (200). The body of `response` is the content.
+ * - `partial`: the requested ranges (206). For a single range, `contentRange` tells which bytes the body holds;
+ *   for several ranges, the body is a `multipart/byteranges` document and `contentRange` is null.
+ * - `not_modified`: the object still matches `ifNoneMatch` or `ifModifiedSince` (304), so no content was sent.
+ *
+ * The `metadata` of full and partial results is read from the response headers; for partial results, its `contentLength` is the size of the body.
+ * If the response has a `Content-Digest` header, the body is checked against it as it is read, as `verifyDigest` allows:
+ * a body that does not match fails when it ends, with an `integrity_error` as the reason.
+ * @typedef {{ outcome: 'full'; response: Response; metadata: ObjectMetadata }
+ *   | { outcome: 'partial'; response: Response; metadata: ObjectMetadata; contentRange: ContentRange | null }
+ *   | { outcome: 'not_modified'; response: Response; etag: string | null }} GetObjectOutput
+ */
+
+/**
+ * The result of a PutObjectCommand or a CompleteMultipartUploadCommand.
+ * @typedef {z.infer<typeof PutObjectOutputSchema>} PutObjectOutput
  */
 
-class MedoroDataplaneCommand {
+/**
+ * The result of a DeleteObjectCommand.
+ * @typedef {z.infer<typeof DeleteObjectOutputSchema>} DeleteObjectOutput
+ */
+
+/**
+ * The result of a CopyObjectCommand: the upload of the destination, the source it was copied from, and their entity tag.
+ * @typedef {PutObjectOutput & { sourceKey: string; etag: string | null; confirmed: boolean }} CopyObjectOutput
+ */
+
+/**
+ * A page of results of a ListObjectsCommand.
+ * @typedef {z.infer<typeof ListObjectsOutputSchema>} ListObjectsOutput
+ */
+
+/**
+ * A single object entry of a ListObjectsCommand result.
+ * @typedef {ListObjectsOutput['objects'][number]} ListedObject
+ */
+
+/**
+ * @typedef {z.infer<typeof CreateMultipartUploadOutputSchema>} CreateMultipartUploadOutput
+ */
+
+/**
+ * A part confirmed by the service, as needed to complete a multipart upload.
+ * @typedef {z.infer<typeof UploadPartOutputSchema>} UploadPartOutput
+ */
+
+/**
+ * The data `send()` returns for a command.
+ * @template {MedoroDataplaneCommand<any>} C
+ * @typedef {C extends MedoroDataplaneCommand<infer Output> ? Output : never} SendOutput
+ */
+
+/**
+ * @template [Output=unknown] - The data `send()` returns for the command.
+ */
+export class MedoroDataplaneCommand {
   /**
-   * @type {'PUT' | 'GET' | 'DELETE'}
+   * @type {'PUT' | 'GET' | 'DELETE' | 'HEAD' | 'POST'}
    */
   #method;
 
@@ -69,20 +328,62 @@ class MedoroDataplaneCommand {
     return this.#headers;
   }
 
+  /**
+   * @type {URLSearchParams}
+   */
+  #searchParams;
+
+  get searchParams() {
+    return this.#searchParams;
+  }
+
+  /**
+   * The body sent with the request.
+   * @returns {Blob | ArrayBuffer | string | ReadableStream<Uint8Array> | undefined}
+   */
+  get body() {
+    return undefined;
+  }
+
+  /**
+   * Whether the request can safely be sent again after a failure.
+   * A streamed body is consumed by the first attempt, and POST requests may not be repeatable.
+   */
+  get idempotent() {
+    return this.#method !== 'POST' && !(this.body instanceof ReadableStream);
+  }
+
+  /**
+   * The schema the `data` of a success response is validated against, or null if the output is not read from a JSON body.
+   * @returns {z.ZodType<Output> | null}
+   */
+  get responseSchema() {
+    return null;
+  }
+
   /**
    * @param {object} params
-   * @param {'PUT' | 'GET' | 'DELETE'} params.method - The HTTP method for the request.
+   * @param {'PUT' | 'GET' | 'DELETE' | 'HEAD' | 'POST'} params.method - The HTTP method for the request.
    * @param {Headers} [params.headers] - The headers for the request.
+   * @param {URLSearchParams} [params.searchParams] - The query parameters for the request. Each one is covered by the signature.
    * @param {string} params.key - The key (path) for the request.
    */
-  constructor({ method, headers = new Headers(), key }) {
+  constructor({ method, headers = new Headers(), searchParams = new URLSearchParams(), key }) {
     this.#method = method;
     this.#key = key;
     this.#headers = headers;
+    this.#searchParams = searchParams;
   }
 }
 
+/**
+ * @extends {MedoroDataplaneCommand<PutObjectOutput>}
+ */
 export class PutObjectCommand extends MedoroDataplaneCommand {
+  get responseSchema() {
+    return PutObjectOutputSchema;
+  }
+
   /**
    * @type {import('../lib/schemas').ApiPutRequestValidationPolicy}
    */
@@ -93,7 +394,7 @@ export class PutObjectCommand extends MedoroDataplaneCommand {
   }
 
   /**
-   * @type {Blob | ArrayBuffer | string | undefined}
+   * @type {Blob | ArrayBuffer | string | ReadableStream<Uint8Array> | undefined}
    */
   #content;
 
@@ -101,242 +402,1887 @@ export class PutObjectCommand extends MedoroDataplaneCommand {
     return this.#content;
   }
 
+  get body() {
+    return this.#content;
+  }
+
+  /**
+   * @type {number | undefined}
+   */
+  #contentLength;
+
+  get contentLength() {
+    return this.#contentLength;
+  }
+
+  /**
+   * @type {Record<string, string>}
+   */
+  #metadata;
+
+  get metadata() {
+    return this.#metadata;
+  }
+
+  /**
+   * @type {import('../lib/digest.js').DigestAlgorithm | undefined}
+   */
+  #digest;
+
+  /**
+   * The algorithm of the `Content-Digest` computed for the content when the command is signed, if any.
+   */
+  get digest() {
+    return this.#digest;
+  }
+
   /**
+   * The content type, caching and disposition options and the metadata are sent as request headers, which are covered by the signature,
+   * and stored with the object. So is the `Content-Digest` of the content, which the service checks the uploaded bytes against.
    * @param {object} params
    * @param {string} params.key - The key (path) for the request.
    * @param {import('../lib/schemas').ApiPutRequestValidationPolicy} params.policy - The validation policy for the request.
-   * @param {Blob | ArrayBuffer | string} [params.content] - The content of the object.
+   * @param {ObjectContent} [params.content] - The content of the object.
+   * @param {number} [params.contentLength] - The size of streamed content in bytes, if known up front. It is sent as the `Content-Length` header.
+   * @param {string} [params.contentType] - The media type of the object. Defaults to the type of a `Blob` content.
+   * @param {string} [params.cacheControl] - The `Cache-Control` header the object is served with.
+   * @param {string} [params.contentDisposition] - The `Content-Disposition` header the object is served with, such as `attachment; filename="report.pdf"`.
+   * @param {Record<string, string>} [params.metadata] - User metadata, sent as `x-medoro-meta-*` headers. Names are case-insensitive and stored in lower case.
+   * @param {import('../lib/digest.js').DigestAlgorithm} [params.digest] - Compute the `Content-Digest` of the content with this algorithm.
+   *   The content is read into memory to be hashed, so streamed content needs a `contentDigest` instead.
+   * @param {string} [params.contentDigest] - The `Content-Digest` of the content, computed beforehand, such as `sha-256=:X48E9q...=:`.
    */
-  constructor({ key, policy, content }) {
-    super({ key, method: 'PUT' });
+  constructor({ key, policy, content, contentLength, contentType, cacheControl, contentDisposition, metadata = {}, digest, contentDigest }) {
+    const headers = new Headers();
+    if (contentDigest !== undefined) {
+      headers.set('content-digest', contentDigest);
+    }
+    if (contentType !== undefined) {
+      headers.set('content-type', contentType);
+    }
+    if (cacheControl !== undefined) {
+      headers.set('cache-control', cacheControl);
+    }
+    if (contentDisposition !== undefined) {
+      headers.set('content-disposition', contentDisposition);
+    }
+    for (const [name, value] of Object.entries(metadata)) {
+      // Invalid metadata is reported when the command is signed, as Headers would throw here
+      if (invalidMetadata({ [name]: value }) === null) {
+        headers.set(`${METADATA_HEADER_PREFIX}${name}`, value);
+      }
+    }
+    super({ key, method: 'PUT', headers });
+    this.#metadata = Object.fromEntries(Object.entries(metadata).map(([name, value]) => [name.toLowerCase(), value]));
     this.#policy = policy;
-    this.#content = content;
+    this.#content = content === undefined || content instanceof Blob || content instanceof ArrayBuffer || typeof content === 'string' || content instanceof ReadableStream
+      ? content
+      : toReadableStream(content);
+    this.#contentLength = contentLength;
+    this.#digest = digest;
   }
 }
 
+/**
+ * @extends {MedoroDataplaneCommand<GetObjectOutput>}
+ */
 export class GetObjectCommand extends MedoroDataplaneCommand {
   /**
+   * @type {ByteRange[] | undefined}
+   */
+  #range;
+
+  get range() {
+    return this.#range;
+  }
+
+  /**
+   * @type {boolean | undefined}
+   */
+  #verifyDigest;
+
+  get verifyDigest() {
+    return this.#verifyDigest;
+  }
+
+  /**
+   * The conditional and range options are sent as request headers, which are covered by the signature.
    * @param {object} params
    * @param {string} params.key - The key (path) for the request.
+   * @param {ByteRange | ByteRange[]} [params.range] - Only read these bytes of the object.
+   * @param {string | Date} [params.ifRange] - Only honor `range` if the object still has this entity tag or modification date; otherwise read the whole object.
+   * @param {string} [params.ifMatch] - Only read the object if its entity tag is one of these (comma-separated, quoted).
+   * @param {string} [params.ifNoneMatch] - Report the object as not modified if its entity tag is one of these (comma-separated, quoted, or `*`).
+   * @param {Date} [params.ifModifiedSince] - Report the object as not modified if it has not changed since this date.
+   * @param {boolean} [params.verifyDigest] - Check the body against the `Content-Digest` of the response.
+   *   By default, the body is hashed as it is read where `node:crypto` is available, as in Node.js. Elsewhere, such as in browsers,
+   *   it has to be kept in memory until it ends, so only bodies of at most 16 MiB are checked; set this to true to check any size.
+   *   Set it to false to never check.
    */
-  constructor({ key }) {
-    super({ key, method: 'GET' });
+  constructor({ key, range, ifRange, ifMatch, ifNoneMatch, ifModifiedSince, verifyDigest }) {
+    const headers = new Headers();
+    const ranges = range === undefined ? undefined : [range].flat();
+    if (ranges !== undefined) {
+      headers.set('range', formatRange(ranges));
+    }
+    if (ifRange !== undefined) {
+      headers.set('if-range', ifRange instanceof Date ? ifRange.toUTCString() : ifRange);
+    }
+    if (ifMatch !== undefined) {
+      headers.set('if-match', ifMatch);
+    }
+    if (ifNoneMatch !== undefined) {
+      headers.set('if-none-match', ifNoneMatch);
+    }
+    if (ifModifiedSince !== undefined) {
+      headers.set('if-modified-since', ifModifiedSince.toUTCString());
+    }
+    super({ key, method: 'GET', headers });
+    this.#range = ranges;
+    this.#verifyDigest = verifyDigest;
   }
 }
 
-export class DeleteObjectCommand extends MedoroDataplaneCommand {
+/**
+ * @extends {MedoroDataplaneCommand<ObjectMetadata>}
+ */
+export class HeadObjectCommand extends MedoroDataplaneCommand {
   /**
    * @param {object} params
    * @param {string} params.key - The key (path) for the request.
    */
   constructor({ key }) {
-    super({ key, method: 'DELETE' });
+    super({ key, method: 'HEAD' });
   }
 }
 
 /**
- * Medoro JavaScript Client SDK.
- * Provides methods to interact with the Medoro storage service.
+ * @extends {MedoroDataplaneCommand<ListObjectsOutput>}
  */
-export class MedoroDataplaneClient {
-  /**
-   * @type {string}
-   */
-  #origin;
-  /**
-   * @type {CryptoKey}
-   */
-  #privateKey;
+export class ListObjectsCommand extends MedoroDataplaneCommand {
+  get responseSchema() {
+    return ListObjectsOutputSchema;
+  }
+
   /**
-   * @type {string}
+   * @param {object} [params]
+   * @param {string} [params.prefix] - Only list keys starting with this prefix.
+   * @param {string} [params.delimiter] - Group keys sharing a prefix up to this delimiter into `commonPrefixes`.
+   * @param {string} [params.cursor] - The `nextCursor` of a previous page to continue from.
+   * @param {number} [params.limit] - The maximum number of objects to return in one page.
    */
-  #keyId;
+  constructor({ prefix, delimiter, cursor, limit } = {}) {
+    const searchParams = new URLSearchParams({ 'x-medoro-list': 'v1' });
+    if (prefix !== undefined) {
+      searchParams.set('prefix', prefix);
+    }
+    if (delimiter !== undefined) {
+      searchParams.set('delimiter', delimiter);
+    }
+    if (cursor !== undefined) {
+      searchParams.set('cursor', cursor);
+    }
+    if (limit !== undefined) {
+      searchParams.set('limit', String(limit));
+    }
+    super({ key: '/', method: 'GET', searchParams });
+  }
+}
+
+/**
+ * @extends {MedoroDataplaneCommand<CreateMultipartUploadOutput>}
+ */
+export class CreateMultipartUploadCommand extends MedoroDataplaneCommand {
+  get responseSchema() {
+    return CreateMultipartUploadOutputSchema;
+  }
 
   /**
-   * Creates an instance of MedoroClient.
-   * @param {object} config - The client configuration.
-   * @param {string} config.origin - The base URL for Medoro operations.
-   * @param {CryptoKey} config.privateKey - The private key for signing requests.
-   * @param {string} config.keyId - The ID associated with the private key.
+   * @type {import('../lib/schemas').ApiPutRequestValidationPolicy}
    */
-  constructor({ origin, privateKey, keyId }) {
-    this.#origin = origin;
-    this.#privateKey = privateKey;
-    this.#keyId = keyId;
+  #policy;
+
+  get policy() {
+    return this.#policy;
   }
 
   /**
-   * Signs a request with the provided key pair using http-msg-sig and returns the signed URL.
    * @param {object} params
-   * @param {MedoroDataplaneCommand} params.command - The Command object to sign.
-   * @param {number} [params.expiresInSeconds] - The number of seconds until the signature expires.
-   * @returns {Promise<Result<{ signedUrl: URL }, MedoroDataplaneClientError>>}
+   * @param {string} params.key - The key (path) of the object to assemble.
+   * @param {import('../lib/schemas').ApiPutRequestValidationPolicy} params.policy - The validation policy for the assembled object.
+   * @param {number} [params.contentLength] - The size of the assembled object in bytes, if known up front.
    */
-  async createSignedUrl({ command, expiresInSeconds = 60 }) {
-    if (expiresInSeconds < 10 || expiresInSeconds > 604800) {
-      return err({
-        type: 'validation',
-        message: 'expiresInSeconds must be between 10 and 604800',
-      });
+  constructor({ key, policy, contentLength }) {
+    const searchParams = new URLSearchParams({ 'x-medoro-multipart': 'create' });
+    if (contentLength !== undefined) {
+      searchParams.set('x-medoro-content-length', String(contentLength));
     }
+    super({ key, method: 'POST', searchParams });
+    this.#policy = policy;
+  }
+}
 
-    const url = new URL(command.key, this.#origin);
+/**
+ * @extends {MedoroDataplaneCommand<UploadPartOutput>}
+ */
+export class UploadPartCommand extends MedoroDataplaneCommand {
+  get responseSchema() {
+    return UploadPartOutputSchema;
+  }
 
-    /** @type {(string | { component: '@query-param'; parameters: { name: string } })[]} */
-    const signatureInputs = ['@method', '@scheme', '@authority', '@path'];
-    if ('policy' in command) {
-      signatureInputs.push({ component: '@query-param', parameters: { name: 'x-medoro-policy' } });
-      url.searchParams.set('x-medoro-policy', btoa(JSON.stringify(command.policy)));
-    }
+  /**
+   * @type {Blob | ArrayBuffer | string}
+   */
+  #content;
 
-    const resultOfSigning = await createSignatureForRequest({
-      signatureInputs,
-      signatureLabel: 'medoro',
-      additionalParams: { keyid: this.#keyId, alg: 'ed25519', created: Math.floor(Date.now() / 1000), expires: Math.floor(Date.now() / 1000) + expiresInSeconds },
-      request: {
-        url,
-        headers: command.headers,
-        method: command.method,
-      },
-      sign: async ({ signatureBase, ok, err }) => {
-        const signatureResult = await ResultAsync.fromPromise(
-          crypto.subtle.sign(
-            { name: 'Ed25519' },
-            this.#privateKey,
-            new TextEncoder().encode(signatureBase),
-          ),
-          (e) => ({
-            type: 'signature_error',
-            message: `Failed to sign request: ${e instanceof Error ? e.message : String(e)}`,
-          }),
-        );
-        if (signatureResult.isOk()) {
-          return ok(signatureResult.value);
-        }
-        return err(signatureResult.error);
-      },
-    });
+  get content() {
+    return this.#content;
+  }
 
-    if (resultOfSigning.isErr()) {
-      return err(resultOfSigning.error);
-    }
+  get body() {
+    return this.#content;
+  }
 
-    const { signatureInput, signature } = resultOfSigning.value;
-    const signedUrl = new URL(url);
-    signedUrl.searchParams.set('x-medoro-signature-input', signatureInput);
-    signedUrl.searchParams.set('x-medoro-signature', signature);
+  /**
+   * @param {object} params
+   * @param {string} params.key - The key (path) of the object being assembled.
+   * @param {string} params.uploadId - The ID returned by the CreateMultipartUploadCommand.
+   * @param {number} params.partNumber - The 1-based position of the part in the object.
+   * @param {Blob | ArrayBuffer | string} params.content - The content of the part.
+   */
+  constructor({ key, uploadId, partNumber, content }) {
+    const searchParams = new URLSearchParams({ 'x-medoro-upload-id': uploadId, 'x-medoro-part-number': String(partNumber) });
+    super({ key, method: 'PUT', searchParams });
+    this.#content = content;
+  }
+}
 
-    return ok({ signedUrl, method: command.method });
+/**
+ * @extends {MedoroDataplaneCommand<PutObjectOutput>}
+ */
+export class CompleteMultipartUploadCommand extends MedoroDataplaneCommand {
+  get responseSchema() {
+    return PutObjectOutputSchema;
   }
 
   /**
-   * Parses a JSON response from the Medoro API, handling success and error formats.
-   * @private
-   * @template T - The expected type of the success data.
-   * @param {Response} response - The fetch API Response object.
-   * @returns {Promise<Result<{ success: true; data: T; }, MedoroDataplaneClientError>>}
-   */
-  async parseJsonResponse(response) {
-    // check the content type of the response
-    if (!response.headers.get('content-type')?.includes('application/json')) {
-      return err({
-        type: 'json_parse_error',
-        message: 'Response is not JSON',
-        context: { status: response.status, statusText: response.statusText, contentType: response.headers.get('content-type'), content: await response.text() },
-      });
-    }
-
-    const responseJsonResult = await ResultAsync.fromPromise(
-      response.json(),
-      (e) => ({
-        type: 'json_parse_error',
-        message: `Failed to parse JSON response: ${e instanceof Error ? e.message : String(e)}`,
-        context: { status: response.status, statusText: response.statusText },
-      }),
-    );
-    if (responseJsonResult.isErr()) {
-      return err(responseJsonResult.error);
-    }
-
-    const rawData = responseJsonResult.value;
-    // Validate and parse the JSON data according to our schema
-    const parseResult = await ResultAsync.fromPromise(
-      ApiResponseSchema.parseAsync(rawData),
-      (e) => ({
-        type: 'validation_error',
-        message: `API response validation failed: ${e instanceof Error ? e.message : String(e)}`,
-        context: { issues: e instanceof z.ZodError ? e.issues : undefined, rawData },
-      }),
-    );
+   * @type {UploadPartOutput[]}
+   */
+  #parts;
 
-    if (parseResult.isErr()) {
-      return err(parseResult.error);
-    }
+  get parts() {
+    return this.#parts;
+  }
 
-    const validatedData = parseResult.value;
-    if (validatedData.success) {
-      return ok({ success: true, data: validatedData.data });
-    } else {
-      // Augment the error with the HTTP status text for better context
-      return err({
-        ...validatedData.error,
-        context: validatedData.error.details || response.statusText,
-      });
-    }
+  get body() {
+    return JSON.stringify({ parts: this.#parts });
+  }
+
+  /**
+   * @param {object} params
+   * @param {string} params.key - The key (path) of the object being assembled.
+   * @param {string} params.uploadId - The ID returned by the CreateMultipartUploadCommand.
+   * @param {UploadPartOutput[]} params.parts - Every uploaded part, in any order.
+   */
+  constructor({ key, uploadId, parts }) {
+    const searchParams = new URLSearchParams({ 'x-medoro-multipart': 'complete', 'x-medoro-upload-id': uploadId });
+    super({ key, method: 'POST', searchParams, headers: new Headers({ 'content-type': 'application/json' }) });
+    this.#parts = [...parts].sort((a, b) => a.partNumber - b.partNumber);
+  }
+}
+
+/**
+ * @extends {MedoroDataplaneCommand<unknown>}
+ */
+export class AbortMultipartUploadCommand extends MedoroDataplaneCommand {
+  get responseSchema() {
+    return AbortMultipartUploadOutputSchema;
+  }
+
+  /**
+   * @param {object} params
+   * @param {string} params.key - The key (path) of the object being assembled.
+   * @param {string} params.uploadId - The ID returned by the CreateMultipartUploadCommand.
+   */
+  constructor({ key, uploadId }) {
+    super({ key, method: 'DELETE', searchParams: new URLSearchParams({ 'x-medoro-upload-id': uploadId }) });
+  }
+}
+
+/**
+ * @extends {MedoroDataplaneCommand<DeleteObjectOutput>}
+ */
+export class DeleteObjectCommand extends MedoroDataplaneCommand {
+  get responseSchema() {
+    return DeleteObjectOutputSchema;
+  }
+
+  /**
+   * @param {object} params
+   * @param {string} params.key - The key (path) for the request.
+   */
+  constructor({ key }) {
+    super({ key, method: 'DELETE' });
+  }
+}
+
+/**
+ * Copies an object to another key, with its content type, caching and disposition headers and its metadata.
+ *
+ * The service has no copy operation, so `send()` streams the content through the client: it reads the metadata of the source,
+ * checks the destination policy against its size and type, then downloads the source while uploading it to the destination.
+ * The copy is confirmed by comparing the entity tags of both objects. The command cannot be signed into a URL.
+ * @extends {MedoroDataplaneCommand<CopyObjectOutput>}
+ */
+export class CopyObjectCommand extends MedoroDataplaneCommand {
+  /**
+   * @type {string}
+   */
+  #sourceKey;
+
+  get sourceKey() {
+    return this.#sourceKey;
+  }
+
+  /**
+   * @type {import('../lib/schemas').ApiPutRequestValidationPolicy}
+   */
+  #policy;
+
+  get policy() {
+    return this.#policy;
+  }
+
+  /**
+   * @param {object} params
+   * @param {string} params.sourceKey - The key (path) of the object to copy.
+   * @param {string} params.destinationKey - The key (path) to copy the object to. The command's `key`.
+   * @param {import('../lib/schemas').ApiPutRequestValidationPolicy} params.policy - The validation policy for the upload of the copy.
+   */
+  constructor({ sourceKey, destinationKey, policy }) {
+    super({ key: destinationKey, method: 'PUT' });
+    this.#sourceKey = sourceKey;
+    this.#policy = policy;
+  }
+}
+
+/**
+ * Formats byte ranges as the value of a `Range` header.
+ * @param {ByteRange[]} ranges
+ * @returns {string}
+ */
+function formatRange(ranges) {
+  return `bytes=${ranges.map((range) => ('suffix' in range ? `-${range.suffix}` : `${range.start}-${range.end ?? ''}`)).join(', ')}`;
+}
+
+/**
+ * Checks that byte ranges are well-formed.
+ * @param {ByteRange[]} ranges
+ * @returns {string | null} A description of the first invalid range, or null if every range is valid.
+ */
+function invalidRange(ranges) {
+  if (ranges.length === 0) {
+    return 'range must contain at least one range';
+  }
+  for (const range of ranges) {
+    if ('suffix' in range) {
+      if (!Number.isInteger(range.suffix) || range.suffix < 1) {
+        return 'range suffix must be a positive integer';
+      }
+    } else if (!Number.isInteger(range.start) || range.start < 0) {
+      return 'range start must be a non-negative integer';
+    } else if (range.end !== undefined && (!Number.isInteger(range.end) || range.end < range.start)) {
+      return 'range end must be an integer not less than start';
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks that metadata can be sent as `x-medoro-meta-*` headers.
+ * @param {Record<string, string>} metadata
+ * @returns {string | null} A description of the first invalid entry, or null if every entry is valid.
+ */
+function invalidMetadata(metadata) {
+  for (const [name, value] of Object.entries(metadata)) {
+    if (!HEADER_NAME_PATTERN.test(name)) {
+      return `Metadata name ${JSON.stringify(name)} is not a valid header name`;
+    }
+    if (typeof value !== 'string' || !HEADER_VALUE_PATTERN.test(value)) {
+      return `Metadata ${JSON.stringify(name)} must be a string of printable ASCII characters`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parses a `Content-Range` header such as `bytes 0-99/1234`.
+ * @param {string | null} value - The value of the header.
+ * @returns {ContentRange | null} The range, or null if the header is missing or does not describe a range.
+ */
+function parseContentRange(value) {
+  const match = value?.match(/^bytes (\d+)-(\d+)\/(\d+|\*)$/);
+  if (!match) {
+    return null;
+  }
+  return { start: Number(match[1]), end: Number(match[2]), size: match[3] === '*' ? null : Number(match[3]) };
+}
+
+/**
+ * Creates the default signer, which signs with a WebCrypto Ed25519 private key.
+ * The key can be non-extractable.
+ * @param {CryptoKey} privateKey - The Ed25519 private key.
+ * @returns {Signer}
+ */
+export function createWebCryptoSigner(privateKey) {
+  return ({ signatureBase }) => crypto.subtle.sign({ name: 'Ed25519' }, privateKey, new TextEncoder().encode(signatureBase));
+}
+
+/**
+ * Reads the object metadata from the headers of a HEAD response.
+ * @param {string} key - The key (path) of the object.
+ * @param {Headers} headers - The response headers.
+ * @returns {ObjectMetadata}
+ */
+function parseObjectMetadata(key, headers) {
+  const contentLength = headers.get('content-length');
+  const lastModified = headers.get('last-modified');
+  const accessControl = headers.get('x-medoro-access-control');
+
+  return {
+    key,
+    contentLength: contentLength === null ? null : Number(contentLength),
+    contentType: headers.get('content-type'),
+    etag: headers.get('etag'),
+    lastModified: lastModified === null ? null : new Date(lastModified),
+    accessControl: accessControl === 'public' || accessControl === 'private' ? accessControl : null,
+    cacheControl: headers.get('cache-control'),
+    contentDisposition: headers.get('content-disposition'),
+    metadata: Object.fromEntries([...headers]
+      .filter(([name]) => name.startsWith(METADATA_HEADER_PREFIX))
+      .map(([name, value]) => [name.slice(METADATA_HEADER_PREFIX.length), value])),
+  };
+}
+
+/**
+ * Wraps an async iterable, such as a Node.js `Readable`, in a web stream that reads it on demand.
+ * @param {AsyncIterable<Uint8Array>} iterable
+ * @returns {ReadableStream<Uint8Array>}
+ */
+function toReadableStream(iterable) {
+  const iterator = iterable[Symbol.asyncIterator]();
+  return new ReadableStream({
+    async pull(controller) {
+      const { done, value } = await iterator.next();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(value);
+      }
+    },
+    async cancel(reason) {
+      await iterator.return?.(reason);
+    },
+  });
+}
+
+/**
+ * Determines the size of the body of a command before it is sent.
+ * @param {MedoroDataplaneCommand} command
+ * @returns {number | null} The size in bytes, or null for a stream of unknown length.
+ */
+function bodySize(command) {
+  const body = command.body;
+  if (typeof body === 'string') {
+    return new TextEncoder().encode(body).byteLength;
+  }
+  if (body instanceof Blob) {
+    return body.size;
+  }
+  if (body instanceof ArrayBuffer) {
+    return body.byteLength;
+  }
+  if (command instanceof PutObjectCommand && command.contentLength !== undefined) {
+    return command.contentLength;
+  }
+  return null;
+}
+
+/**
+ * Collects the values of an upload command that its policy conditions apply to, as the service would see them.
+ * @param {PutObjectCommand | CreateMultipartUploadCommand} command - The upload command.
+ * @returns {import('../lib/policy.js').PolicyRequestValues}
+ */
+export function uploadValues(command) {
+  /** @type {import('../lib/policy.js').PolicyRequestValues} */
+  const values = { ...Object.fromEntries(command.headers), key: command.key };
+  const size = bodySize(command);
+  if (size !== null) {
+    values.contentLength = size;
+  } else if (command.searchParams.has('x-medoro-content-length')) {
+    values.contentLength = Number(command.searchParams.get('x-medoro-content-length'));
+  }
+  const body = command.body;
+  if (typeof body === 'string') {
+    // fetch labels string bodies as UTF-8 text
+    values.contentType = 'text/plain;charset=UTF-8';
+  } else if (body instanceof Blob) {
+    values.contentType = body.type || undefined;
+  }
+  values.contentType = command.headers.get('content-type') ?? values.contentType;
+  return values;
+}
+
+/**
+ * Computes the `Content-Digest` header of an upload that asks for one, so that it is signed and its policy can check it.
+ * The header is only computed once, and a digest given to the command is kept.
+ * @param {MedoroDataplaneCommand} command - The command about to be signed or evaluated.
+ * @returns {Promise<Result<void, MedoroRequestError>>}
+ */
+async function addContentDigest(command) {
+  if (!(command instanceof PutObjectCommand) || command.digest === undefined || command.headers.has('content-digest')) {
+    return ok(undefined);
+  }
+
+  const content = command.content ?? '';
+  if (content instanceof ReadableStream) {
+    return err(requestError(command, {
+      type: 'validation_error',
+      message: 'The digest of streamed content cannot be computed before it is sent; give its contentDigest instead',
+    }));
+  }
+  command.headers.set('content-digest', await computeContentDigest(command.digest, content));
+  return ok(undefined);
+}
+
+/**
+ * Prepares the body of a request for one attempt.
+ *
+ * Streamed uploads are counted as they are read by `fetch`. If the command has a policy, the stream is stopped
+ * as soon as it exceeds the policy's `Content-Length` condition, and checked against that condition once it ends.
+ * Other bodies are only turned into a stream to report their progress.
+ * @param {MedoroDataplaneCommand} command - The Command object to send.
+ * @param {((progress: TransferProgress) => void) | undefined} onProgress - Called whenever bytes are sent.
+ * @returns {{ body: BodyInit | undefined; headers: Headers; policyFailure: () => import('../lib/policy.js').PolicyConditionFailure | null }}
+ */
+function requestBody(command, onProgress) {
+  const body = command.body;
+  if (body === undefined || (!(body instanceof ReadableStream) && !onProgress)) {
+    return { body, headers: command.headers, policyFailure: () => null };
+  }
+
+  const total = bodySize(command);
+  const headers = new Headers(command.headers);
+  if (total !== null) {
+    // Not signed: browsers set it themselves, and the policy covers the size of the content
+    headers.set('content-length', String(total));
+  }
+
+  const policy = body instanceof ReadableStream && command instanceof PutObjectCommand ? command.policy : null;
+  const limit = policy ? maxContentLength(policy) : Infinity;
+  /** @type {import('../lib/policy.js').PolicyConditionFailure | null} */
+  let failure = null;
+  let loaded = 0;
+
+  const source = body instanceof ReadableStream ? body : new Blob([body]).stream();
+  const counted = source.pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      loaded += chunk.byteLength;
+      if (policy && loaded > limit) {
+        failure = evaluateContentLength(policy, loaded);
+        controller.error(new Error(failure?.message ?? 'Content-Length exceeds the policy'));
+        return;
+      }
+      controller.enqueue(chunk);
+      onProgress?.({ direction: 'upload', loaded, total });
+    },
+    flush(controller) {
+      failure = policy ? evaluateContentLength(policy, loaded) : null;
+      if (failure) {
+        controller.error(new Error(failure.message));
+      }
+    },
+  }));
+  return { body: counted, headers, policyFailure: () => failure };
+}
+
+/**
+ * Wraps the body of a response to report the bytes received as it is read.
+ * @param {Response} response - The response of the service.
+ * @param {(progress: TransferProgress) => void} onProgress - Called whenever bytes are received.
+ * @returns {Response}
+ */
+function withDownloadProgress(response, onProgress) {
+  if (response.body === null) {
+    return response;
+  }
+
+  const contentLength = response.headers.get('content-length');
+  const total = contentLength === null ? null : Number(contentLength);
+  let loaded = 0;
+  const body = response.body.pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      loaded += chunk.byteLength;
+      controller.enqueue(chunk);
+      onProgress({ direction: 'download', loaded, total });
+    },
+  }));
+  return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+}
+
+/**
+ * Wraps the body of a response to check it against the strongest hash of its `Content-Digest` header.
+ * The chunks are hashed as they are passed on where `node:crypto` is available. WebCrypto cannot hash incrementally,
+ * so elsewhere they are kept until the body ends, and larger bodies than `BUFFERED_DIGEST_LIMIT` are only checked on request.
+ * A body that does not match errors the stream with an `integrity_error`, so reading it to the end fails.
+ * @param {GetObjectCommand} command - The command the response answers.
+ * @param {Response} response - The response of the service.
+ * @returns {Promise<Response>} The response, unchanged if it has no body or no supported digest, or is not checked.
+ */
+async function withDigestVerification(command, response) {
+  const expected = strongestContentDigest(response.headers.get('content-digest'));
+  if (response.body === null || expected === null) {
+    return response;
+  }
+
+  const hasher = await createContentHasher(expected.algorithm);
+  if (hasher === null && command.verifyDigest === undefined) {
+    const contentLength = response.headers.get('content-length');
+    if (contentLength === null || Number(contentLength) > BUFFERED_DIGEST_LIMIT) {
+      return response;
+    }
+  }
+
+  /** @type {BlobPart[]} */
+  const chunks = [];
+  const body = response.body.pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      if (hasher) {
+        hasher.update(chunk);
+      } else {
+        chunks.push(chunk);
+      }
+      controller.enqueue(chunk);
+    },
+    async flush(controller) {
+      const actual = hasher ? hasher.digest() : await computeContentDigest(expected.algorithm, new Blob(chunks));
+      if (actual !== `${expected.algorithm}=:${expected.digest}:`) {
+        controller.error(requestError(command, {
+          type: 'integrity_error',
+          message: `The content of ${command.key} does not match its Content-Digest`,
+          status: response.status,
+          context: { algorithm: expected.algorithm, expected: expected.digest, actual: actual.slice(expected.algorithm.length + 2, -1) },
+        }));
+      }
+    },
+  }));
+  return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+}
+
+/**
+ * @param {number} ms
+ * @param {AbortSignal} [signal] - Ends the wait early when aborted.
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+/**
+ * Combines the signal of the caller and a timeout into the signal a request is sent with.
+ * @param {AbortSignal | undefined} signal - The signal of the caller.
+ * @param {number | undefined} timeoutMs - The timeout of the request.
+ * @returns {AbortSignal | undefined} The combined signal, or undefined if the request can be neither aborted nor time out.
+ */
+export function requestSignal(signal, timeoutMs) {
+  const timeout = timeoutMs === undefined ? undefined : AbortSignal.timeout(timeoutMs);
+  if (signal && timeout) {
+    return AbortSignal.any([signal, timeout]);
+  }
+  return signal ?? timeout;
+}
+
+/**
+ * Tells why a signal was aborted: a `timeout` if it timed out, and `aborted` otherwise.
+ * @param {AbortSignal} signal - An aborted signal.
+ * @returns {{ type: 'timeout' | 'aborted'; message: string }}
+ */
+export function abortFailure(signal) {
+  if (signal.reason instanceof Error && signal.reason.name === 'TimeoutError') {
+    return { type: 'timeout', message: 'The request timed out' };
+  }
+  return {
+    type: 'aborted',
+    message: `The request was aborted${signal.reason instanceof Error ? `: ${signal.reason.message}` : ''}`,
+  };
+}
+
+/**
+ * Settles like a promise, unless the signal is aborted first: then rejects with its reason.
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {AbortSignal | undefined} signal
+ * @returns {Promise<T>}
+ */
+function untilAborted(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Fails the body of a response as soon as the signal of its request is aborted, with a `timeout` or `aborted` error.
+ * @param {MedoroDataplaneCommand} command - The command the response answers.
+ * @param {Response} response - The response of the service.
+ * @param {AbortSignal} signal - The signal of the request.
+ * @returns {Response}
+ */
+function withAbortSignal(command, response, signal) {
+  if (response.body === null) {
+    return response;
+  }
+
+  const reader = response.body.getReader();
+  /** @type {() => void} */
+  let onAbort = () => undefined;
+  const body = new ReadableStream({
+    start(controller) {
+      onAbort = () => {
+        controller.error(requestError(command, { ...abortFailure(signal), status: response.status }));
+        reader.cancel(signal.reason).catch(() => undefined);
+      };
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    },
+    async pull(controller) {
+      const result = await reader.read().catch((e) => ({ error: e }));
+      if (signal.aborted) {
+        return;
+      }
+      if ('error' in result) {
+        signal.removeEventListener('abort', onAbort);
+        controller.error(result.error);
+      } else if (result.done) {
+        signal.removeEventListener('abort', onAbort);
+        controller.close();
+      } else {
+        controller.enqueue(result.value);
+      }
+    },
+    async cancel(reason) {
+      signal.removeEventListener('abort', onAbort);
+      await reader.cancel(reason);
+    },
+  });
+  return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+}
+
+/**
+ * Fills in the defaults of a retry policy.
+ * @param {RetryPolicy} retry
+ * @returns {Required<RetryPolicy>}
+ */
+export function retryPolicy(retry) {
+  return {
+    maxAttempts: retry.maxAttempts ?? 1,
+    baseDelayMs: retry.baseDelayMs ?? 200,
+    maxDelayMs: retry.maxDelayMs ?? 20000,
+    retryableStatuses: retry.retryableStatuses ?? [429, 502, 503, 504],
+  };
+}
+
+/**
+ * Computes the delay before the next attempt using exponential backoff with full jitter.
+ * @param {Required<RetryPolicy>} policy - The retry policy of the client.
+ * @param {number} attempt - The number of the attempt that just failed, starting at 1.
+ * @returns {number} The delay in milliseconds.
+ */
+export function backoffDelay(policy, attempt) {
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  return Math.random() * ceiling;
+}
+
+/**
+ * Parses a `Retry-After` header, given either in seconds or as an HTTP date.
+ * @param {string | null} value - The value of the header.
+ * @returns {number | null} The delay in milliseconds, or null if the header is missing or invalid.
+ */
+export function parseRetryAfter(value) {
+  if (value === null) {
+    return null;
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Validates the data of a success response against the schema of the command's output.
+ * @template {z.ZodType} S
+ * @param {MedoroDataplaneCommand<any>} command - The command the response answers.
+ * @param {Response} response - The success response.
+ * @param {S} schema - The schema of the expected data.
+ * @param {unknown} rawData - The `data` of the success response.
+ * @returns {Promise<Result<z.infer<S>, MedoroRequestError>>}
+ */
+export async function parseResponseData(command, response, schema, rawData) {
+  return ResultAsync.fromPromise(
+    schema.parseAsync(rawData),
+    (e) => requestError(command, {
+      type: 'validation_error',
+      message: `API response data validation failed: ${e instanceof Error ? e.message : String(e)}`,
+      status: response.status,
+      context: { issues: e instanceof z.ZodError ? e.issues : undefined, rawData },
+    }),
+  );
+}
+
+/**
+ * Derives the type of an error from the HTTP status of the response.
+ * @param {number} status
+ * @returns {MedoroRequestErrorType}
+ */
+function errorTypeForStatus(status) {
+  switch (status) {
+    case 401:
+      return 'signature_error';
+    case 403:
+      return 'access_denied';
+    case 404:
+      return 'not_found';
+    case 408:
+    case 504:
+      return 'timeout';
+    case 412:
+      return 'precondition_failed';
+    case 416:
+      return 'range_not_satisfiable';
+    case 429:
+      return 'rate_limited';
+    default:
+      return status >= 400 && status < 500 ? 'validation_error' : 'server_error';
+  }
+}
+
+/**
+ * Creates the error of a command from a response of the service and the error it sent, if any.
+ * An error type the client knows is kept; otherwise the type is derived from the status.
+ * @param {MedoroDataplaneCommand} command - The command that failed.
+ * @param {Response} response - The response of the service.
+ * @param {z.infer<typeof ApiErrorResponseSchema>['error'] | null} error - The error of the response envelope, if any.
+ * @returns {MedoroRequestError}
+ */
+function serviceError(command, response, error) {
+  const type = REQUEST_ERROR_TYPES.find((known) => known === error?.type) ?? errorTypeForStatus(response.status);
+
+  /** @type {string} */
+  let message;
+  /** @type {unknown} */
+  let context;
+  switch (type) {
+    case 'not_found':
+      message = `Object not found: ${command.key}`;
+      break;
+    case 'precondition_failed':
+      message = `Object does not match ifMatch: ${command.key}`;
+      break;
+    case 'range_not_satisfiable': {
+      message = `Requested range is not satisfiable: ${command.headers.get('range')}`;
+      const size = response.headers.get('content-range')?.match(/^bytes \*\/(\d+)$/)?.[1];
+      context = { size: size === undefined ? null : Number(size) };
+      break;
+    }
+    case 'rate_limited':
+      message = 'API rate limit exceeded';
+      context = { retryAfterMs: parseRetryAfter(response.headers.get('retry-after')) };
+      break;
+    default:
+      message = `API returned a non-ok response: ${response.status} ${response.statusText}`.trim();
+  }
+
+  return requestError(command, {
+    type,
+    message: error?.message ?? message,
+    status: response.status,
+    code: error?.code,
+    details: error?.details,
+    context,
+  });
+}
+
+/**
+ * Whether the service rejected a signature because of the time it was created at, which points to a wrong local clock.
+ * The body is read from a clone, so the response can still be read.
+ * @param {Response} response - The response of the service.
+ * @returns {Promise<boolean>}
+ */
+async function isClockSkewResponse(response) {
+  if (response.status !== 401 || !response.headers.get('content-type')?.includes('application/json')) {
+    return false;
+  }
+
+  const body = await response.clone().json().catch(() => null);
+  const parseResult = ApiErrorResponseSchema.safeParse(body);
+  if (!parseResult.success) {
+    return false;
+  }
+  const { code, details } = parseResult.data.error;
+  return CLOCK_SKEW_REASONS.includes(code) || CLOCK_SKEW_REASONS.includes(details?.reason);
+}
+
+/**
+ * Creates the error of a command from a non-ok response, reading the error the service sent in its body.
+ * @param {MedoroDataplaneCommand} command - The command that failed.
+ * @param {Response} response - The non-ok response.
+ * @returns {Promise<MedoroRequestError>}
+ */
+export async function responseError(command, response) {
+  // HEAD responses carry no body, and proxies in front of the service may answer with HTML
+  if (!response.headers.get('content-type')?.includes('application/json')) {
+    await response.body?.cancel();
+    return serviceError(command, response, null);
+  }
+
+  const body = await response.json().catch(() => null);
+  const parseResult = ApiErrorResponseSchema.safeParse(body);
+  return serviceError(command, response, parseResult.success ? parseResult.data.error : null);
+}
+
+/**
+ * Parses a JSON response from the Medoro API, handling success and error formats.
+ * @template T - The expected type of the success data.
+ * @param {Response} response - The fetch API Response object.
+ * @param {MedoroDataplaneCommand} command - The Command object the response answers.
+ * @returns {Promise<Result<{ success: true; data: T; }, MedoroRequestError>>}
+ */
+export async function parseJsonResponse(response, command) {
+  // check the content type of the response
+  if (!response.headers.get('content-type')?.includes('application/json')) {
+    return err(requestError(command, {
+      type: 'validation_error',
+      message: 'Response is not JSON',
+      status: response.status,
+      context: { contentType: response.headers.get('content-type'), content: await response.text().catch(() => null) },
+    }));
+  }
+
+  const responseJsonResult = await ResultAsync.fromPromise(
+    response.json(),
+    (e) => requestError(command, {
+      type: 'validation_error',
+      message: `Failed to parse JSON response: ${e instanceof Error ? e.message : String(e)}`,
+      status: response.status,
+    }),
+  );
+  if (responseJsonResult.isErr()) {
+    return err(responseJsonResult.error);
+  }
+
+  const rawData = responseJsonResult.value;
+  // Validate and parse the JSON data according to our schema
+  const parseResult = await ResultAsync.fromPromise(
+    ApiResponseSchema.parseAsync(rawData),
+    (e) => requestError(command, {
+      type: 'validation_error',
+      message: `API response validation failed: ${e instanceof Error ? e.message : String(e)}`,
+      status: response.status,
+      context: { issues: e instanceof z.ZodError ? e.issues : undefined, rawData },
+    }),
+  );
+
+  if (parseResult.isErr()) {
+    return err(parseResult.error);
+  }
+
+  const validatedData = parseResult.value;
+  if (validatedData.success) {
+    return ok({ success: true, data: validatedData.data });
+  } else {
+    return err(serviceError(command, response, validatedData.error));
+  }
+}
+
+/**
+ * Medoro JavaScript Client SDK.
+ * Provides methods to interact with the Medoro storage service.
+ */
+export class MedoroDataplaneClient {
+  /**
+   * @type {string}
+   */
+  #origin;
+  /**
+   * @type {{ keyId: string; signer: Signer }[]}
+   */
+  #keys;
+  /**
+   * @type {{ keyId: string; signer: Signer } | undefined}
+   */
+  #activeKey;
+  /**
+   * @type {Required<RetryPolicy>}
+   */
+  #retry;
+  /**
+   * @type {import('./hooks.js').ClientHooks[]}
+   */
+  #hooks;
+  /**
+   * @type {number}
+   */
+  #clockOffsetMs;
+  /**
+   * @type {boolean}
+   */
+  #clockOffsetFixed;
+  /**
+   * @type {number | undefined}
+   */
+  #timeoutMs;
+
+  /**
+   * Creates an instance of MedoroClient.
+   * @param {object} config - The client configuration.
+   * @param {string} config.origin - The base URL for Medoro operations.
+   * @param {CryptoKey} [config.privateKey] - The private key for signing requests.
+   * @param {Signer} [config.signer] - Signs requests in place of `privateKey`, so the private key can live outside the client.
+   * @param {string} [config.keyId] - The ID associated with the private key.
+   * @param {SigningKey[]} [config.keys] - A keyring to sign with instead of a single `privateKey` or `signer` and `keyId`.
+   * @param {string} [config.activeKeyId] - The ID of the keyring entry to sign with. Defaults to the first one.
+   * @param {RetryPolicy} [config.retry] - How failed requests are retried. By default, nothing is retried.
+   * @param {import('./hooks.js').ClientHooks | import('./hooks.js').ClientHooks[]} [config.hooks] - Hooks called as commands are sent,
+   *   in the order they are given.
+   * @param {number} [config.clockOffsetMs] - The difference between the service's clock and the local clock, in milliseconds.
+   *   By default, it is measured from the responses of the service.
+   * @param {number} [config.timeoutMs] - The default timeout of `send()`, in milliseconds. By default, requests do not time out.
+   */
+  constructor({ origin, privateKey, signer, keyId, keys, activeKeyId, retry = {}, hooks = [], clockOffsetMs, timeoutMs }) {
+    this.#origin = origin;
+    // Without a private key or signer the keyring is empty, and every request fails before it is sent
+    const singleKey = privateKey || signer ? [{ keyId: /** @type {string} */ (keyId), privateKey, signer }] : [];
+    this.#keys = (keys ?? singleKey).map((key) => ({
+      keyId: key.keyId,
+      signer: key.signer ?? createWebCryptoSigner(/** @type {CryptoKey} */ (key.privateKey)),
+    }));
+    this.#activeKey = this.#keys.find((key) => key.keyId === activeKeyId) ?? this.#keys[0];
+    this.#retry = retryPolicy(retry);
+    this.#hooks = Array.isArray(hooks) ? hooks : [hooks];
+    this.#clockOffsetMs = clockOffsetMs ?? 0;
+    this.#clockOffsetFixed = clockOffsetMs !== undefined;
+    this.#timeoutMs = timeoutMs;
+  }
+
+  /**
+   * The IDs of the keys in the keyring.
+   * @returns {string[]}
+   */
+  get keyIds() {
+    return this.#keys.map((key) => key.keyId);
+  }
+
+  /**
+   * The ID of the key requests are signed with.
+   * @returns {string | undefined}
+   */
+  get activeKeyId() {
+    return this.#activeKey?.keyId;
+  }
+
+  /**
+   * Switches the key requests are signed with.
+   * To rotate keys without downtime, allow the new public key in the bucket configuration first,
+   * then switch to it, and remove the old key from the configuration once no client uses it anymore.
+   * @param {string} keyId - The ID of a key in the keyring.
+   * @returns {Result<void, MedoroRequestError>}
+   */
+  useKey(keyId) {
+    const key = this.#keys.find((candidate) => candidate.keyId === keyId);
+    if (!key) {
+      return err(requestError(null, {
+        type: 'validation_error',
+        message: `Key ${keyId} is not in the keyring`,
+      }));
+    }
+    this.#activeKey = key;
+    return ok(undefined);
+  }
+
+  /**
+   * The difference between the service's clock and the local clock in milliseconds, added to the local time when signing.
+   * Positive if the local clock is behind. Unless it is set manually, it is measured from the `Date` header of the responses.
+   * @returns {number}
+   */
+  get clockOffsetMs() {
+    return this.#clockOffsetMs;
+  }
+
+  /**
+   * Sets the clock offset used when signing and stops measuring it, or measures it again from the next response if null.
+   * @param {number | null} offsetMs - The difference between the service's clock and the local clock in milliseconds.
+   * @returns {Result<void, MedoroRequestError>}
+   */
+  setClockOffset(offsetMs) {
+    if (offsetMs !== null && !Number.isFinite(offsetMs)) {
+      return err(requestError(null, {
+        type: 'validation_error',
+        message: 'offsetMs must be a finite number or null',
+      }));
+    }
+    this.#clockOffsetMs = offsetMs ?? this.#clockOffsetMs;
+    this.#clockOffsetFixed = offsetMs !== null;
+    return ok(undefined);
+  }
+
+  /**
+   * Updates the clock offset from the `Date` header of a response, unless it is set manually.
+   * The header is truncated to the second, so the service's clock was ahead by at least the header minus the time
+   * the response was received and at most a second more than the header minus the time the request was sent.
+   * An offset outside of these bounds, or any offset if `force` is set, is replaced by the lower bound, so that
+   * signatures are never created in the future of the service.
+   * @param {Response} response - The response of the service.
+   * @param {number} sentAt - When the request was sent, by the local clock.
+   * @param {number} receivedAt - When the response was received, by the local clock.
+   * @param {boolean} force - Whether to replace an offset that is within the bounds.
+   * @returns {boolean} Whether the offset changed.
+   */
+  #observeServerDate(response, sentAt, receivedAt, force) {
+    const date = Date.parse(response.headers.get('date') ?? '');
+    if (this.#clockOffsetFixed || Number.isNaN(date)) {
+      return false;
+    }
+
+    const lower = date - receivedAt;
+    const upper = date + 1000 - sentAt;
+    if (!force && this.#clockOffsetMs >= lower && this.#clockOffsetMs <= upper) {
+      return false;
+    }
+    const changed = this.#clockOffsetMs !== lower;
+    this.#clockOffsetMs = lower;
+    return changed;
+  }
+
+  /**
+   * Signs a request with the provided key pair using http-msg-sig and returns the signed URL.
+   * @param {object} params
+   * @param {MedoroDataplaneCommand} params.command - The Command object to sign.
+   * @param {number} [params.expiresInSeconds] - The number of seconds until the signature expires.
+   * @param {string} [params.keyId] - The ID of the keyring entry to sign with. Defaults to the active key.
+   * @param {AbortSignal} [params.signal] - Stops waiting for the signer when aborted, with a `timeout` or `aborted` error.
+   * @returns {Promise<Result<{ signedUrl: URL; method: MedoroDataplaneCommand['method'] }, MedoroRequestError>>}
+   */
+  async createSignedUrl({ command, expiresInSeconds = 60, keyId, signal }) {
+    if (signal?.aborted) {
+      return err(requestError(command, abortFailure(signal)));
+    }
+
+    if (expiresInSeconds < 10 || expiresInSeconds > 604800) {
+      return err(requestError(command, {
+        type: 'validation_error',
+        message: 'expiresInSeconds must be between 10 and 604800',
+      }));
+    }
+
+    const signingKey = keyId === undefined ? this.#activeKey : this.#keys.find((key) => key.keyId === keyId);
+    if (!signingKey) {
+      return err(requestError(command, keyId === undefined
+        ? { type: 'signature_error', message: 'No private key or signer is configured', code: 'missing_key' }
+        : { type: 'validation_error', message: `Key ${keyId} is not in the keyring` }));
+    }
+
+    if (command instanceof CopyObjectCommand) {
+      return err(requestError(command, {
+        type: 'validation_error',
+        message: 'A CopyObjectCommand is sent as several requests and cannot be signed',
+      }));
+    }
+
+    if (command instanceof GetObjectCommand && command.range !== undefined) {
+      const rangeError = invalidRange(command.range);
+      if (rangeError) {
+        return err(requestError(command, {
+          type: 'validation_error',
+          message: rangeError,
+        }));
+      }
+    }
+
+    if (command instanceof PutObjectCommand) {
+      const metadataError = invalidMetadata(command.metadata);
+      if (metadataError) {
+        return err(requestError(command, {
+          type: 'validation_error',
+          message: metadataError,
+        }));
+      }
+    }
+
+    const resultOfDigest = await addContentDigest(command);
+    if (resultOfDigest.isErr()) {
+      return err(resultOfDigest.error);
+    }
+
+    const url = new URL(command.key, this.#origin);
+
+    /** @type {(string | { component: '@query-param'; parameters: { name: string } })[]} */
+    const signatureInputs = ['@method', '@scheme', '@authority', '@path'];
+    for (const name of command.headers.keys()) {
+      signatureInputs.push(name);
+    }
+    for (const [name, value] of command.searchParams) {
+      signatureInputs.push({ component: '@query-param', parameters: { name } });
+      url.searchParams.set(name, value);
+    }
+    if (command instanceof PutObjectCommand || command instanceof CreateMultipartUploadCommand) {
+      signatureInputs.push({ component: '@query-param', parameters: { name: 'x-medoro-policy' } });
+      url.searchParams.set('x-medoro-policy', encodePolicy(command.policy));
+    }
+
+    const created = Math.floor((Date.now() + this.#clockOffsetMs) / 1000);
+    const resultOfSigning = await createSignatureForRequest({
+      signatureInputs,
+      signatureLabel: 'medoro',
+      additionalParams: { keyid: signingKey.keyId, alg: 'ed25519', created, expires: created + expiresInSeconds },
+      request: {
+        url,
+        headers: command.headers,
+        method: command.method,
+      },
+      sign: async ({ signatureBase, ok, err }) => {
+        const signatureResult = await ResultAsync.fromPromise(
+          // Wrapped so that a signer throwing synchronously is reported like a rejection
+          untilAborted(Promise.resolve().then(() => signingKey.signer({ signatureBase, keyId: signingKey.keyId, signal })), signal),
+          (e) => (signal?.aborted ? abortFailure(signal) : {
+            type: 'signature_error',
+            message: `Failed to sign request: ${e instanceof Error ? e.message : String(e)}`,
+          }),
+        );
+        if (signatureResult.isErr()) {
+          return err(signatureResult.error);
+        }
+
+        const signature = signatureResult.value;
+        if (signature instanceof ArrayBuffer) {
+          return ok(signature);
+        }
+        if (signature instanceof Uint8Array) {
+          return ok(signature.buffer.slice(signature.byteOffset, signature.byteOffset + signature.byteLength));
+        }
+        return err({
+          type: 'signature_error',
+          message: 'Failed to sign request: the signer must return a Uint8Array or an ArrayBuffer',
+        });
+      },
+    });
+
+    if (resultOfSigning.isErr()) {
+      // Failures of http-msg-sig, such as a signature input it cannot encode, are signing failures like those of the signer
+      return err(requestError(command, signal?.aborted
+        ? abortFailure(signal)
+        : { type: 'signature_error', message: resultOfSigning.error.message }));
+    }
+
+    const { signatureInput, signature } = resultOfSigning.value;
+    const signedUrl = new URL(url);
+    signedUrl.searchParams.set('x-medoro-signature-input', signatureInput);
+    signedUrl.searchParams.set('x-medoro-signature', signature);
+
+    return ok({ signedUrl, method: command.method });
+  }
+
+  /**
+   * Parses a JSON response from the Medoro API, handling success and error formats.
+   * @private
+   * @template T - The expected type of the success data.
+   * @param {Response} response - The fetch API Response object.
+   * @param {MedoroDataplaneCommand} command - The Command object the response answers.
+   * @returns {Promise<Result<{ success: true; data: T; }, MedoroRequestError>>}
+   */
+  async parseJsonResponse(response, command) {
+    return parseJsonResponse(response, command);
   }
 
   /**
    * Sends a Command to Medoro.
+   * The result is typed by the command: for example, a PutObjectCommand yields a `PutObjectOutput`.
+   * JSON data that does not match the command's `responseSchema` is returned as a `validation_error`.
+   * Every error is a `MedoroRequestError`, carrying the HTTP status, the error code and details sent by the service,
+   * whether it is worth retrying, and the key and method of the command.
+   * @template {MedoroDataplaneCommand<any>} C
+   * @template {boolean} [D=false]
    * @param {object} params - The parameters for the request.
-   * @param {MedoroDataplaneCommand} params.command - The Command object to send.
-   * @returns {Promise<Result<Response, MedoroDataplaneClientError>>}
+   * @param {C} params.command - The Command object to send.
+   * @param {D} [params.dryRun] - Evaluate the command's policy locally instead of sending it. Policy failures are returned as a `policy_violation` error.
+   * @param {(progress: TransferProgress) => void} [params.onProgress] - Called as the request body is sent and as the response body is read.
+   * @param {AbortSignal} [params.signal] - Cancels the request when aborted, with an `aborted` error.
+   * @param {number} [params.timeoutMs] - Cancels the request after this many milliseconds, with a `timeout` error.
+   *   Defaults to the `timeoutMs` of the client. It covers every attempt and the delays between them, and reading the response body.
+   * @returns {Promise<Result<D extends true ? DryRunOutput : SendOutput<C>, MedoroRequestError>>}
    */
-  async send({ command }) {
-    const resultOfSignedUrl = await this.createSignedUrl({ command });
-    if (resultOfSignedUrl.isErr()) {
-      return err(resultOfSignedUrl.error);
+  async send({ command, dryRun, onProgress, signal, timeoutMs = this.#timeoutMs }) {
+    if (dryRun) {
+      return /** @type {Result<any, MedoroRequestError>} */ (await this.#dryRun(command));
     }
 
-    const body = command instanceof PutObjectCommand ? command.content : undefined;
+    if (timeoutMs !== undefined && !(Number.isInteger(timeoutMs) && timeoutMs > 0)) {
+      return err(requestError(command, { type: 'validation_error', message: 'timeoutMs must be a positive integer' }));
+    }
+    const combinedSignal = requestSignal(signal, timeoutMs);
+    if (command instanceof CopyObjectCommand) {
+      return /** @type {Result<any, MedoroRequestError>} */ (await this.#copy(command, onProgress, combinedSignal));
+    }
 
-    const resultOfResponse = await ResultAsync.fromPromise(
-      fetch(resultOfSignedUrl.value.signedUrl, {
-        method: command.method,
-        headers: command.headers,
-        body,
-      }),
-      (e) => ({
-        type: 'network_error',
-        message: `Network error during ${command.method}: ${e instanceof Error ? e.message : String(e)}`,
-      })
-    );
+    const startedAt = performance.now();
+    const resultOfResponse = await this.#fetchWithRetry(command, onProgress, combinedSignal);
     if (resultOfResponse.isErr()) {
+      await this.#callHooks('onError', { command, error: resultOfResponse.error, durationMs: performance.now() - startedAt });
       return err(resultOfResponse.error);
     }
 
-    if (command instanceof GetObjectCommand) {
-      if (!resultOfResponse.value.ok) {
-        const errorParseResult = await this.parseJsonResponse(resultOfResponse.value);
-        if (errorParseResult.isErr()) {
-          return err(errorParseResult.error);
-        }
+    const { attempts } = resultOfResponse.value;
+    let { response } = resultOfResponse.value;
+    if (combinedSignal) {
+      response = withAbortSignal(command, response, combinedSignal);
+    }
+    const result = (await this.#handleResponse(command, onProgress ? withDownloadProgress(response, onProgress) : response))
+      // Reading the body fails once the request is aborted, whatever the failure is reported as
+      .mapErr((error) => ({
+        ...(combinedSignal?.aborted ? requestError(command, { ...abortFailure(combinedSignal), status: error.status }) : error),
+        attempts,
+      }));
+    if (result.isErr()) {
+      await this.#callHooks('onError', { command, error: result.error, durationMs: performance.now() - startedAt });
+    } else {
+      await this.#callHooks('onSuccess', { command, value: result.value, attempts, durationMs: performance.now() - startedAt });
+    }
+    return /** @type {Result<any, MedoroRequestError>} */ (result);
+  }
+
+  /**
+   * Calls a hook of every set of hooks, in order.
+   * @template {keyof import('./hooks.js').ClientHooks} N
+   * @param {N} name - The name of the hook.
+   * @param {Parameters<NonNullable<import('./hooks.js').ClientHooks[N]>>[0]} context - The argument of the hook.
+   * @returns {Promise<void>}
+   */
+  async #callHooks(name, context) {
+    for (const hooks of this.#hooks) {
+      const hook = /** @type {((context: unknown) => unknown) | undefined} */ (hooks[name]);
+      if (hook) {
+        // A failing hook must not fail the request it observes
+        await Promise.resolve().then(() => hook(context)).catch(() => undefined);
+      }
+    }
+  }
 
+  /**
+   * Evaluates the policy of a command locally, without signing or sending anything.
+   * The `Content-Digest` of an upload is computed first, as for sending it.
+   * @param {MedoroDataplaneCommand} command - The Command object to evaluate.
+   * @returns {Promise<Result<DryRunOutput, MedoroRequestError>>}
+   */
+  async #dryRun(command) {
+    if (!(command instanceof PutObjectCommand || command instanceof CreateMultipartUploadCommand)) {
+      return ok({ dryRun: true, method: command.method, key: command.key, evaluation: null });
+    }
+
+    const metadataError = command instanceof PutObjectCommand ? invalidMetadata(command.metadata) : null;
+    if (metadataError) {
+      return err(requestError(command, { type: 'validation_error', message: metadataError }));
+    }
+
+    const resultOfDigest = await addContentDigest(command);
+    if (resultOfDigest.isErr()) {
+      return err(requestError(command, { type: 'validation_error', message: resultOfDigest.error.message }));
+    }
+
+    const evaluation = evaluatePolicy(command.policy, uploadValues(command));
+    if (!evaluation.allowed) {
+      return err(requestError(command, {
+        type: 'policy_violation',
+        message: `The request does not satisfy its policy: ${evaluation.failures.map((failure) => failure.message).join('; ')}`,
+        context: { failures: evaluation.failures },
+      }));
+    }
+
+    return ok({ dryRun: true, method: command.method, key: command.key, evaluation });
+  }
+
+  /**
+   * Signs and sends a command, retrying transient failures according to the retry policy.
+   * The URL is signed again for every attempt, so the signature cannot expire while backing off.
+   * A signature rejected because of the local clock is signed again with the corrected clock offset and sent once more,
+   * in addition to the attempts of the retry policy.
+   * @param {MedoroDataplaneCommand} command - The Command object to send.
+   * @param {((progress: TransferProgress) => void) | undefined} onProgress - Called whenever bytes are sent.
+   * @param {AbortSignal | undefined} signal - Stops sending and retrying when aborted.
+   * @returns {Promise<Result<{ response: Response; attempts: number }, MedoroRequestError>>}
+   */
+  async #fetchWithRetry(command, onProgress, signal) {
+    const maxAttempts = command.idempotent ? this.#retry.maxAttempts : 1;
+    let resignedForClockSkew = false;
+
+    for (let attempt = 1; ; attempt++) {
+      if (signal?.aborted) {
+        return err({ ...requestError(command, abortFailure(signal)), attempts: attempt - 1 });
+      }
+
+      await this.#callHooks('beforeSign', { command, attempt });
+      const resultOfSignedUrl = await this.createSignedUrl({ command, signal });
+      if (signal?.aborted) {
+        return err({ ...requestError(command, abortFailure(signal)), attempts: attempt - 1 });
+      }
+      if (resultOfSignedUrl.isErr()) {
+        return err(resultOfSignedUrl.error);
+      }
+
+      const { body, headers, policyFailure } = requestBody(command, onProgress);
+      const url = redactSignedUrl(resultOfSignedUrl.value.signedUrl);
+      // Copied so that hooks adding headers do not change the signed headers of the command
+      const requestHeaders = new Headers(headers);
+      await this.#callHooks('beforeRequest', { command, attempt, url, headers: requestHeaders });
+
+      const sentAt = performance.now();
+      const sentAtTime = Date.now();
+      const resultOfResponse = await ResultAsync.fromPromise(
+        fetch(resultOfSignedUrl.value.signedUrl, /** @type {RequestInit} */ ({
+          method: command.method,
+          headers: requestHeaders,
+          body,
+          signal,
+          // Required by fetch to send a stream
+          ...(body instanceof ReadableStream ? { duplex: 'half' } : {}),
+        })),
+        (e) => ({
+          ...requestError(command, signal?.aborted ? abortFailure(signal) : {
+            type: e instanceof Error && e.name === 'TimeoutError' ? 'timeout' : 'network_error',
+            message: `Network error during ${command.method}: ${e instanceof Error ? e.message : String(e)}`,
+          }),
+          attempts: attempt,
+        })
+      );
+
+      const failure = policyFailure();
+      if (failure) {
         return err({
-          type: 'api_error',
-          message: 'API returned a non-ok response',
-          code: String(resultOfResponse.value.status),
-          context: resultOfResponse.value.statusText,
+          ...requestError(command, {
+            type: 'policy_violation',
+            message: `The request does not satisfy its policy: ${failure.message}`,
+            context: { failures: [failure] },
+          }),
+          attempts: attempt,
+        });
+      }
+
+      // The attempt signed again because of the local clock does not count towards the retry policy
+      const lastAttempt = attempt - (resignedForClockSkew ? 1 : 0) >= maxAttempts;
+      if (resultOfResponse.isErr()) {
+        if (lastAttempt || signal?.aborted) {
+          return err(resultOfResponse.error);
+        }
+        await sleep(backoffDelay(this.#retry, attempt), signal);
+        continue;
+      }
+
+      const response = resultOfResponse.value;
+      const receivedAtTime = Date.now();
+      await this.#callHooks('afterResponse', { command, attempt, url, response, durationMs: performance.now() - sentAt });
+
+      // A rejected signature is blamed on the clock if the service says so, or if the offset turns out to be wrong;
+      // responses to HEAD requests carry no reason
+      const clockOffsetChanged = this.#observeServerDate(response, sentAtTime, receivedAtTime, await isClockSkewResponse(response));
+      if (response.status === 401 && clockOffsetChanged && !resignedForClockSkew && !(command.body instanceof ReadableStream)) {
+        // The request was rejected before being processed, so even a POST can be sent again
+        resignedForClockSkew = true;
+        await response.body?.cancel();
+        continue;
+      }
+
+      if (lastAttempt || !this.#retry.retryableStatuses.includes(response.status)) {
+        return ok({ response, attempts: attempt });
+      }
+
+      const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+      if (retryAfter !== null && retryAfter > this.#retry.maxDelayMs) {
+        // The service asks for a longer pause than the policy allows, so give up right away
+        return ok({ response, attempts: attempt });
+      }
+
+      await response.body?.cancel();
+      await sleep(retryAfter ?? backoffDelay(this.#retry, attempt), signal);
+    }
+  }
+
+  /**
+   * Turns the response to a command into its result.
+   * @param {MedoroDataplaneCommand} command - The Command object that was sent.
+   * @param {Response} response - The response of the service.
+   * @returns {Promise<Result<unknown, MedoroRequestError>>} The output the command declares; `send()` types it.
+   */
+  async #handleResponse(command, response) {
+    if (command instanceof GetObjectCommand && response.status === 304) {
+      return ok({ outcome: 'not_modified', response, etag: response.headers.get('etag') });
+    }
+
+    if (!response.ok) {
+      return err(await responseError(command, response));
+    }
+
+    if (command instanceof HeadObjectCommand) {
+      return ok(parseObjectMetadata(command.key, response.headers));
+    }
+
+    if (command instanceof GetObjectCommand) {
+      if (command.verifyDigest !== false) {
+        response = await withDigestVerification(command, response);
+      }
+      if (response.status === 206) {
+        return ok({
+          outcome: 'partial',
+          response,
+          metadata: parseObjectMetadata(command.key, response.headers),
+          contentRange: parseContentRange(response.headers.get('content-range')),
         });
       }
 
-      return ok(resultOfResponse.value);
+      return ok({ outcome: 'full', response, metadata: parseObjectMetadata(command.key, response.headers) });
     }
 
-    const parseResult = await this.parseJsonResponse(resultOfResponse.value);
+    const parseResult = await this.parseJsonResponse(response, command);
     if (parseResult.isErr()) {
       return err(parseResult.error);
     }
 
-    return ok(parseResult.value.data);
+    const schema = command.responseSchema;
+    if (schema === null) {
+      return ok(parseResult.value.data);
+    }
+    return parseResponseData(command, response, schema, parseResult.value.data);
+  }
+
+  /**
+   * Copies an object through the client, as `send()` does for a CopyObjectCommand.
+   * Each request is sent with `send()`, and its error is returned as it is, with the key it was sent for.
+   * @param {CopyObjectCommand} command - The copy to make.
+   * @param {((progress: TransferProgress) => void) | undefined} onProgress - Called as the content is downloaded and uploaded.
+   * @param {AbortSignal | undefined} signal - Aborts the copy.
+   * @returns {Promise<Result<CopyObjectOutput, MedoroRequestError>>}
+   */
+  async #copy(command, onProgress, signal) {
+    if (command.sourceKey === command.key) {
+      return err(requestError(command, { type: 'validation_error', message: 'The source and destination keys must differ' }));
+    }
+
+    const headResult = await this.send({ command: new HeadObjectCommand({ key: command.sourceKey }), signal });
+    if (headResult.isErr()) {
+      return err(headResult.error);
+    }
+    const source = headResult.value;
+
+    const upload = (
+      /** @type {ReadableStream<Uint8Array> | undefined} */ content,
+      /** @type {string | undefined} */ contentDigest = undefined,
+    ) => new PutObjectCommand({
+      key: command.key,
+      policy: command.policy,
+      content,
+      contentDigest,
+      contentLength: source.contentLength ?? undefined,
+      contentType: source.contentType ?? undefined,
+      cacheControl: source.cacheControl ?? undefined,
+      contentDisposition: source.contentDisposition ?? undefined,
+      metadata: source.metadata,
+    });
+    // Checked before anything is transferred
+    const evaluation = evaluatePolicy(command.policy, uploadValues(upload(undefined)));
+    if (!evaluation.allowed) {
+      return err(requestError(command, {
+        type: 'policy_violation',
+        message: `The request does not satisfy its policy: ${evaluation.failures.map((failure) => failure.message).join('; ')}`,
+        context: { failures: evaluation.failures },
+      }));
+    }
+
+    // The entity tag makes sure the source did not change since its metadata was read. Its digest is not verified here,
+    // as browsers would hold the whole content in memory to hash it; it is sent with the upload for the service to check instead
+    const getCommand = new GetObjectCommand({ key: command.sourceKey, ifMatch: source.etag ?? undefined, verifyDigest: false });
+    const getResult = await this.send({ command: getCommand, signal, onProgress });
+    if (getResult.isErr()) {
+      return err(getResult.error);
+    }
+    if (getResult.value.outcome !== 'full') {
+      await getResult.value.response.body?.cancel();
+      return err(requestError(command, {
+        type: 'validation_error',
+        message: `Unexpected response to the download of ${command.sourceKey}: ${getResult.value.response.status}`,
+        status: getResult.value.response.status,
+      }));
+    }
+
+    const { response } = getResult.value;
+    const sourceDigest = strongestContentDigest(response.headers.get('content-digest'));
+    const contentDigest = sourceDigest ? `${sourceDigest.algorithm}=:${sourceDigest.digest}:` : undefined;
+    const putResult = await this.send({ command: upload(response.body ?? new Blob([]).stream(), contentDigest), signal, onProgress });
+    if (putResult.isErr()) {
+      await response.body?.cancel().catch(() => undefined);
+      return err(putResult.error);
+    }
+
+    const destinationResult = await this.send({ command: new HeadObjectCommand({ key: command.key }), signal });
+    if (destinationResult.isErr()) {
+      return err(destinationResult.error);
+    }
+    const { etag, contentLength } = destinationResult.value;
+    const sizeDiffers = source.contentLength !== null && contentLength !== null && contentLength !== source.contentLength;
+    if ((source.etag !== null && etag !== source.etag) || sizeDiffers) {
+      return err(requestError(command, {
+        type: 'integrity_error',
+        message: `The copy of ${command.sourceKey} at ${command.key} does not match its source`,
+        context: { sourceEtag: source.etag, etag, sourceContentLength: source.contentLength, contentLength },
+      }));
+    }
+    // The service checked the content against the digest of the source; without one, matching entity tags and sizes confirm the copy
+    const confirmed = contentDigest !== undefined || (source.etag !== null && source.contentLength !== null && contentLength !== null);
+    return ok({ ...putResult.value, sourceKey: command.sourceKey, etag, confirmed });
+  }
+
+  /**
+   * Moves an object to another key: copies it with a CopyObjectCommand, then deletes the source once the copy is confirmed.
+   * If the copy fails, the source is left as it is. So it is if the copy cannot be confirmed, with an `integrity_error`
+   * whose code is `unconfirmed_copy`. If the deletion fails, both objects exist: the error carries the output of the copy
+   * in `context.copy`.
+   * @param {object} params
+   * @param {string} params.sourceKey - The key (path) of the object to move.
+   * @param {string} params.destinationKey - The key (path) to move the object to.
+   * @param {import('../lib/schemas').ApiPutRequestValidationPolicy} params.policy - The validation policy for the upload of the copy.
+   * @param {(progress: TransferProgress) => void} [params.onProgress] - Called as the content is downloaded and uploaded.
+   * @param {AbortSignal} [params.signal] - Cancels the move when aborted. The source is not deleted once it is.
+   * @param {number} [params.timeoutMs] - Cancels the copy, and then the deletion of the source, after this many milliseconds each.
+   * @returns {Promise<Result<CopyObjectOutput, MedoroRequestError>>}
+   */
+  async move({ sourceKey, destinationKey, policy, onProgress, signal, timeoutMs }) {
+    const copyResult = await this.send({ command: new CopyObjectCommand({ sourceKey, destinationKey, policy }), onProgress, signal, timeoutMs });
+    if (copyResult.isErr()) {
+      return err(copyResult.error);
+    }
+
+    if (!copyResult.value.confirmed) {
+      return err(requestError(new DeleteObjectCommand({ key: sourceKey }), {
+        type: 'integrity_error',
+        message: `The copy of ${sourceKey} at ${destinationKey} could not be confirmed, so the source was not deleted`,
+        code: 'unconfirmed_copy',
+        context: { copy: copyResult.value },
+      }));
+    }
+
+    const deleteResult = await this.send({ command: new DeleteObjectCommand({ key: sourceKey }), signal, timeoutMs });
+    if (deleteResult.isErr()) {
+      return err({ ...deleteResult.error, context: { copy: copyResult.value } });
+    }
+    return ok(copyResult.value);
+  }
+
+  /**
+   * Mirrors a local directory to a key prefix: uploads new and changed files, and optionally deletes objects with no local file.
+   * Only available in Node.js, as it reads the file system; see `syncDirectory` of `@medoro/client/node` for the details.
+   * @param {object} params
+   * @param {string} params.localDir - The directory to upload. Files in subdirectories get keys with the same subpaths.
+   * @param {string} [params.prefix] - The key prefix the directory is mirrored to, such as `/assets/`. Defaults to `/`.
+   * @param {boolean} [params.delete] - Delete objects under the prefix that have no local file. Defaults to false.
+   * @param {boolean} [params.dryRun] - Only compute the plan. Defaults to false.
+   * @param {number} [params.concurrency] - How many comparisons, uploads and deletions run at the same time. Defaults to 4.
+   * @param {'hash' | 'size'} [params.compare] - How files are compared with objects of the same size and content type. Defaults to `hash`.
+   * @param {'public' | 'private'} [params.accessControl] - The access control of the uploaded objects. Defaults to `private`.
+   * @returns {Promise<Result<import('./sync.js').SyncReport, MedoroRequestError>>}
+   */
+  async sync(params) {
+    // Loaded on first use, so that the client still runs in browsers
+    const { syncDirectory } = await import('./sync.js');
+    return syncDirectory({ ...params, client: this });
+  }
+
+  /**
+   * Lists every object under a prefix, following the continuation cursors page by page.
+   * Yields one result per object; if a page fails, its error is yielded and the iteration ends.
+   * @param {object} [params]
+   * @param {string} [params.prefix] - Only list keys starting with this prefix.
+   * @param {string} [params.delimiter] - Group keys sharing a prefix up to this delimiter.
+   * @param {number} [params.limit] - The page size used for each underlying request.
+   * @returns {AsyncGenerator<Result<ListedObject, MedoroRequestError>, void, undefined>}
+   */
+  async *listAll({ prefix, delimiter, limit } = {}) {
+    /** @type {string | undefined} */
+    let cursor;
+    do {
+      const command = new ListObjectsCommand({ prefix, delimiter, cursor, limit });
+      const result = await this.send({ command });
+      if (result.isErr()) {
+        yield err(result.error);
+        return;
+      }
+
+      for (const object of result.value.objects) {
+        yield ok(object);
+      }
+      cursor = result.value.nextCursor ?? undefined;
+    } while (cursor);
+  }
+
+  /**
+   * Deletes many objects, a bounded number at a time. A failed deletion does not fail the batch: check the result of each item.
+   * @param {BatchOptions & { commands: Iterable<DeleteObjectCommand> | AsyncIterable<DeleteObjectCommand> }} params
+   *   The commands to send, and how to send them.
+   * @returns {Promise<Result<BatchOutput<DeleteObjectCommand, DeleteObjectOutput>, MedoroRequestError>>}
+   */
+  async deleteMany({ commands, ...options }) {
+    return this.#sendMany(DeleteObjectCommand, commands, options);
+  }
+
+  /**
+   * Uploads many objects, a bounded number at a time. A failed upload does not fail the batch: check the result of each item.
+   * @param {BatchOptions & { commands: Iterable<PutObjectCommand> | AsyncIterable<PutObjectCommand> }} params
+   *   The commands to send, and how to send them.
+   * @returns {Promise<Result<BatchOutput<PutObjectCommand, PutObjectOutput>, MedoroRequestError>>}
+   */
+  async putMany({ commands, ...options }) {
+    return this.#sendMany(PutObjectCommand, commands, options);
+  }
+
+  /**
+   * Downloads many objects, a bounded number at a time. A failed download does not fail the batch: check the result of each item.
+   * The response bodies are not read; read or cancel each of them to release its connection.
+   * @param {BatchOptions & { commands: Iterable<GetObjectCommand> | AsyncIterable<GetObjectCommand> }} params
+   *   The commands to send, and how to send them.
+   * @returns {Promise<Result<BatchOutput<GetObjectCommand, GetObjectOutput>, MedoroRequestError>>}
+   */
+  async getMany({ commands, ...options }) {
+    return this.#sendMany(GetObjectCommand, commands, options);
+  }
+
+  /**
+   * Sends commands of one class with bounded concurrency, pulling them from the iterable as slots free up.
+   * @template {MedoroDataplaneCommand<any>} C
+   * @param {new (...args: any[]) => C} commandClass - The class every command must be an instance of.
+   * @param {Iterable<C> | AsyncIterable<C>} commands - The commands to send.
+   * @param {BatchOptions} options - How to send them.
+   * @returns {Promise<Result<BatchOutput<C, SendOutput<C>>, MedoroRequestError>>}
+   */
+  async #sendMany(commandClass, commands, { concurrency = 8, requestsPerSecond, stopOnError = false }) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      return err(requestError(null, {
+        type: 'validation_error',
+        message: 'concurrency must be a positive integer',
+      }));
+    }
+    if (requestsPerSecond !== undefined && !(requestsPerSecond > 0 && Number.isFinite(requestsPerSecond))) {
+      return err(requestError(null, {
+        type: 'validation_error',
+        message: 'requestsPerSecond must be a positive number',
+      }));
+    }
+
+    const iterator = Symbol.asyncIterator in commands ? commands[Symbol.asyncIterator]() : commands[Symbol.iterator]();
+    const interval = requestsPerSecond === undefined ? 0 : 1000 / requestsPerSecond;
+    /** @type {BatchItem<C, SendOutput<C>>[]} */
+    const items = [];
+    let nextIndex = 0;
+    let nextStart = 0;
+    let stopped = false;
+    /** @type {unknown} */
+    let sourceError;
+
+    const worker = async () => {
+      while (!stopped && sourceError === undefined) {
+        /** @type {IteratorResult<C>} */
+        let next;
+        try {
+          next = await iterator.next();
+        } catch (e) {
+          sourceError ??= e;
+          return;
+        }
+        if (next.done) {
+          return;
+        }
+        const index = nextIndex++;
+        const command = next.value;
+
+        if (interval > 0) {
+          // Space the starts of the commands evenly, whichever worker sends them
+          const now = Date.now();
+          const start = Math.max(now, nextStart);
+          nextStart = start + interval;
+          await sleep(start - now);
+          if (stopped) {
+            return;
+          }
+        }
+
+        const result = command instanceof commandClass
+          ? await this.send({ command })
+          : err(requestError(command instanceof MedoroDataplaneCommand ? command : null, {
+            type: 'validation_error',
+            message: `Expected a ${commandClass.name}, got ${command?.constructor?.name ?? typeof command}`,
+          }));
+        items.push({ index, command, result });
+        if (result.isErr() && stopOnError) {
+          stopped = true;
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: concurrency }, worker));
+    if (stopped || sourceError !== undefined) {
+      await iterator.return?.();
+    }
+
+    items.sort((a, b) => a.index - b.index);
+    const failed = items.filter((item) => item.result.isErr()).length;
+    const output = {
+      items,
+      summary: { total: items.length, succeeded: items.length - failed, failed },
+      stopped,
+    };
+    if (sourceError !== undefined) {
+      return err(requestError(null, {
+        type: 'validation_error',
+        message: `Failed to read the next command: ${sourceError instanceof Error ? sourceError.message : String(sourceError)}`,
+        code: 'iteration_error',
+        context: { output },
+      }));
+    }
+    return ok(output);
   }
 }
+
+export { uploadMultipart } from './multipart.js';
+export { createSignedUpload, uploadToSignedUrl } from './direct-upload.js';
+export { verifySignedRequest } from './verify.js';
+export { evaluatePolicy } from '../lib/policy.js';
+export { PolicyBuilder } from '../lib/policy-builder.js';
+export { guessContentType } from '../lib/content-type.js';
+export { redactSignedUrl, createLoggingHooks, createTraceContextHooks } from './hooks.js';
+export { generateKeyPair, importPrivateKey, importPublicKey, exportPrivateKey, exportPublicKey, derivePublicKey, deriveKeyId, createAllowedPublicKeyEntry } from '../lib/keys.js';
+export { EncryptedDataplaneClient } from './encryption.js';
+export { createAesKwKeyWrapper } from '../lib/envelope.js';
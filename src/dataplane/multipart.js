@@ -0,0 +1,163 @@
+import { Result, err } from 'neverthrow';
+import {
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+} from './index.js';
+import { requestError } from './errors.js';
+import { computeContentDigest } from '../lib/digest.js';
+
+const DEFAULT_PART_SIZE = 8 * 1024 * 1024;
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const MAX_PARTS = 10000;
+
+/**
+ * Serializable progress of a multipart upload.
+ * Persist it (e.g. with `JSON.stringify`) to resume an interrupted upload later.
+ * @typedef {object} MultipartUploadState
+ * @property {string} key - The key (path) of the object being assembled.
+ * @property {string} uploadId - The ID of the multipart upload.
+ * @property {number} size - The size of the assembled object in bytes.
+ * @property {number} partSize - The size of every part but the last one in bytes.
+ * @property {MultipartUploadPart[]} parts - The parts confirmed by the service so far.
+ */
+
+/**
+ * A part confirmed by the service, with the digest of its content to check that a resumed upload sends the same content.
+ * @typedef {import('./index.js').UploadPartOutput & { digest: string }} MultipartUploadPart
+ */
+
+/**
+ * Uploads a large object in parts, several at a time.
+ *
+ * Every part is signed and sent like any other command. The policy is signed once, when the upload is created,
+ * and is evaluated by the service against the assembled object.
+ *
+ * If a part fails, the upload is left open and the returned error carries the latest state in `context.state`.
+ * Pass that state back in to resume from the confirmed parts. The content of those parts is read again and checked against
+ * the SHA-256 digests recorded in the state, so that other content of the same size is not mixed into the object. Abort abandoned uploads with an `AbortMultipartUploadCommand`.
+ * @param {object} params
+ * @param {import('./index.js').MedoroDataplaneClient} params.client - The client used to send each command.
+ * @param {string} params.key - The key (path) of the object.
+ * @param {import('../lib/schemas').ApiPutRequestValidationPolicy} params.policy - The validation policy for the assembled object.
+ * @param {Blob | ArrayBuffer | string} params.content - The content of the object.
+ * @param {number} [params.partSize] - The size of each part in bytes. Defaults to 8 MiB; the minimum is 5 MiB.
+ * @param {number} [params.concurrency] - How many parts are uploaded at the same time. Defaults to 4.
+ * @param {MultipartUploadState} [params.state] - The state of a previous, interrupted upload of the same content.
+ * @param {(state: MultipartUploadState) => void} [params.onStateChange] - Called with a copy of the state whenever a part is confirmed.
+ * @returns {Promise<Result<import('./index.js').PutObjectOutput, import('./index.js').MedoroRequestError>>}
+ */
+export async function uploadMultipart({ client, key, policy, content, partSize = DEFAULT_PART_SIZE, concurrency = 4, state, onStateChange }) {
+  const blob = content instanceof Blob ? content : new Blob([content]);
+  const createCommand = new CreateMultipartUploadCommand({ key, policy, contentLength: blob.size });
+
+  if (state) {
+    partSize = state.partSize;
+  }
+  if (!Number.isInteger(partSize) || partSize < MIN_PART_SIZE) {
+    return err(requestError(createCommand, {
+      type: 'validation_error',
+      message: `partSize must be an integer of at least ${MIN_PART_SIZE} bytes`,
+    }));
+  }
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    return err(requestError(createCommand, {
+      type: 'validation_error',
+      message: 'concurrency must be a positive integer',
+    }));
+  }
+
+  const partCount = Math.max(1, Math.ceil(blob.size / partSize));
+  if (partCount > MAX_PARTS) {
+    return err(requestError(createCommand, {
+      type: 'validation_error',
+      message: `Content would need ${partCount} parts, but at most ${MAX_PARTS} are allowed; increase partSize`,
+    }));
+  }
+
+  /**
+   * @param {number} partNumber
+   */
+  const partContent = (partNumber) => blob.slice((partNumber - 1) * partSize, partNumber * partSize);
+
+  /** @type {MultipartUploadState} */
+  let currentState;
+  if (state) {
+    const mismatch = state.key !== key || state.size !== blob.size ? { key, size: blob.size } : await findChangedPart(state, partContent);
+    if (mismatch) {
+      return err(requestError(createCommand, {
+        type: 'validation_error',
+        message: 'The upload state does not belong to this key and content',
+        code: 'state_mismatch',
+        context: { ...mismatch, state },
+      }));
+    }
+    currentState = { ...state, parts: [...state.parts] };
+  } else {
+    const createResult = await client.send({ command: createCommand });
+    if (createResult.isErr()) {
+      return err(createResult.error);
+    }
+    currentState = { key, uploadId: createResult.value.uploadId, size: blob.size, partSize, parts: [] };
+    onStateChange?.({ ...currentState, parts: [...currentState.parts] });
+  }
+
+  const confirmed = new Set(currentState.parts.map((part) => part.partNumber));
+  /** @type {number[]} */
+  const pending = [];
+  for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+    if (!confirmed.has(partNumber)) {
+      pending.push(partNumber);
+    }
+  }
+
+  /** @type {import('./index.js').MedoroRequestError | undefined} */
+  let failure;
+
+  const worker = async () => {
+    while (!failure && pending.length > 0) {
+      const partNumber = /** @type {number} */ (pending.shift());
+      const content = partContent(partNumber);
+      const command = new UploadPartCommand({ key, uploadId: currentState.uploadId, partNumber, content });
+      const [partResult, digest] = await Promise.all([client.send({ command }), computeContentDigest('sha-256', content)]);
+      if (partResult.isErr()) {
+        failure ??= {
+          ...partResult.error,
+          message: `Failed to upload part ${partNumber}: ${partResult.error.message}`,
+        };
+        return;
+      }
+
+      currentState.parts.push({ partNumber, etag: partResult.value.etag, digest });
+      onStateChange?.({ ...currentState, parts: [...currentState.parts] });
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, pending.length) }, worker));
+
+  if (failure) {
+    return err({
+      ...failure,
+      context: { cause: failure.context, state: { ...currentState, parts: [...currentState.parts] } },
+    });
+  }
+
+  const parts = currentState.parts.map(({ partNumber, etag }) => ({ partNumber, etag }));
+  const completeCommand = new CompleteMultipartUploadCommand({ key, uploadId: currentState.uploadId, parts });
+  return client.send({ command: completeCommand });
+}
+
+/**
+ * Finds the first confirmed part of a state whose content differs from the part of the same number of the content.
+ * @param {MultipartUploadState} state - The state of the interrupted upload.
+ * @param {(partNumber: number) => Blob} partContent - Returns the part of the content with the given number.
+ * @returns {Promise<{ partNumber: number } | null>}
+ */
+async function findChangedPart(state, partContent) {
+  for (const { partNumber, digest } of state.parts) {
+    if (digest !== await computeContentDigest('sha-256', partContent(partNumber))) {
+      return { partNumber };
+    }
+  }
+  return null;
+}
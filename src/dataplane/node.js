@@ -0,0 +1,71 @@
+import { openAsBlob, createWriteStream } from 'node:fs';
+import { stat, rm } from 'node:fs/promises';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { Result, ResultAsync, ok, err } from 'neverthrow';
+import { requestError } from './errors.js';
+
+/**
+ * Opens a file as the content of an upload, without reading it into memory.
+ * The file is read when the request is sent, and again on every retry.
+ * @param {object} params
+ * @param {string} params.path - The path of the file.
+ * @param {string} [params.type] - The media type of the content, sent as the `Content-Type` of the upload.
+ * @returns {Promise<Result<Blob, import('./index.js').MedoroRequestError>>}
+ */
+export async function openFileContent({ path, type }) {
+  return ResultAsync.fromPromise(
+    // openAsBlob reports a missing file as an invalid argument, so check it first
+    stat(path).then(() => openAsBlob(path, { type })),
+    (e) => requestError(null, {
+      type: 'file_error',
+      message: `Failed to open ${path}: ${e instanceof Error ? e.message : String(e)}`,
+      code: e instanceof Error && 'code' in e ? String(e.code) : undefined,
+    }),
+  );
+}
+
+/**
+ * Writes the body of a response, such as the result of a GetObjectCommand, to a file as it is received.
+ * If the body does not match its `Content-Digest`, the file is removed and the `integrity_error` is returned.
+ * @param {object} params
+ * @param {Response} params.response - The response to read.
+ * @param {string} params.path - The path of the file. An existing file is replaced.
+ * @returns {Promise<Result<void, import('./index.js').MedoroRequestError>>}
+ */
+export async function saveResponseToFile({ response, path }) {
+  if (response.body === null) {
+    return err(requestError(null, {
+      type: 'validation_error',
+      message: 'The response has no body to save',
+    }));
+  }
+
+  const body = /** @type {import('node:stream/web').ReadableStream<Uint8Array>} */ (response.body);
+  const resultOfWrite = await ResultAsync.fromPromise(
+    pipeline(Readable.fromWeb(body), createWriteStream(path)),
+    (e) => isIntegrityError(e) ? e : requestError(null, {
+      type: 'file_error',
+      message: `Failed to save ${path}: ${e instanceof Error ? e.message : String(e)}`,
+      code: e instanceof Error && 'code' in e ? String(e.code) : undefined,
+    }),
+  );
+  if (resultOfWrite.isErr()) {
+    if (resultOfWrite.error.type === 'integrity_error') {
+      await rm(path, { force: true });
+    }
+    return err(resultOfWrite.error);
+  }
+  return ok(undefined);
+}
+
+/**
+ * Whether a stream failed because its content does not match its `Content-Digest`.
+ * @param {unknown} e - The reason the stream failed with.
+ * @returns {e is import('./index.js').MedoroRequestError}
+ */
+function isIntegrityError(e) {
+  return typeof e === 'object' && e !== null && 'type' in e && e.type === 'integrity_error';
+}
+
+export { syncDirectory } from './sync.js';
@@ -0,0 +1,343 @@
+import { createHash } from 'node:crypto';
+import { createReadStream } from 'node:fs';
+import { readdir, stat } from 'node:fs/promises';
+import { join, relative, sep } from 'node:path';
+import { pipeline } from 'node:stream/promises';
+import { Result, ResultAsync, ok, err } from 'neverthrow';
+import { PutObjectCommand, HeadObjectCommand, DeleteObjectCommand } from './index.js';
+import { openFileContent } from './node.js';
+import { requestError } from './errors.js';
+import { PolicyBuilder } from '../lib/policy-builder.js';
+import { guessContentType } from '../lib/content-type.js';
+
+/**
+ * A change `syncDirectory` decided on for one key.
+ * - `upload` a local file that is `new` under the prefix or has `changed` since it was uploaded.
+ * - `skip` a local file that is `unchanged`.
+ * - `delete` a remote object whose local file was `removed`. Only planned with `delete: true`.
+ * @typedef {object} SyncAction
+ * @property {'upload' | 'skip' | 'delete'} action - What is done with the key.
+ * @property {'new' | 'changed' | 'unchanged' | 'removed'} reason - Why.
+ * @property {string} key - The key (path) of the object.
+ * @property {string | null} path - The path of the local file, or null for deletions.
+ * @property {number} size - The size of the local file, or of the remote object for deletions, in bytes.
+ * @property {string | null} contentType - The media type the file is uploaded with, or null for deletions.
+ */
+
+/**
+ * The outcome of an upload or deletion. Skipped keys have no result.
+ * @typedef {{ key: string; action: 'upload' | 'delete'; outcome: 'ok' }
+ *   | { key: string; action: 'upload' | 'delete'; outcome: 'error'; error: import('./index.js').MedoroRequestError }} SyncResult
+ */
+
+/**
+ * What `syncDirectory` planned and did.
+ * @typedef {object} SyncReport
+ * @property {boolean} dryRun - Whether the plan was only computed, without uploading or deleting anything.
+ * @property {SyncAction[]} plan - One action per local file and per removed remote object, sorted by key.
+ * @property {SyncResult[]} results - The outcome of every upload and deletion, in the order they finished. Empty for dry runs.
+ * @property {{ uploaded: number; deleted: number; skipped: number; failed: number }} summary - The number of keys per outcome.
+ *   For dry runs, `uploaded` and `deleted` count the planned actions.
+ */
+
+/**
+ * @typedef {object} LocalFile
+ * @property {string} path
+ * @property {string} key
+ * @property {number} size
+ * @property {number} mtimeMs
+ */
+
+// The metadata entry holding the SHA-256 of an uploaded file, sent as the `x-medoro-meta-sha256` header
+const HASH_METADATA_NAME = 'sha256';
+
+/**
+ * @param {string} path
+ * @returns {(e: unknown) => import('./index.js').MedoroRequestError}
+ */
+function fileError(path) {
+  return (e) => requestError(null, {
+    type: 'file_error',
+    message: `Failed to read ${path}: ${e instanceof Error ? e.message : String(e)}`,
+    code: e instanceof Error && 'code' in e ? String(e.code) : undefined,
+  });
+}
+
+/**
+ * Lists the regular files below a directory, with the key each one is uploaded to.
+ * @param {string} localDir
+ * @param {string} prefix
+ * @returns {Promise<Result<LocalFile[], import('./index.js').MedoroRequestError>>}
+ */
+async function listLocalFiles(localDir, prefix) {
+  /** @type {LocalFile[]} */
+  const files = [];
+  /** @type {string[]} */
+  const directories = [localDir];
+  while (directories.length > 0) {
+    const directory = /** @type {string} */ (directories.pop());
+    const entriesResult = await ResultAsync.fromPromise(readdir(directory, { withFileTypes: true }), fileError(directory));
+    if (entriesResult.isErr()) {
+      return err(entriesResult.error);
+    }
+
+    for (const entry of entriesResult.value) {
+      const path = join(directory, entry.name);
+      if (entry.isDirectory()) {
+        directories.push(path);
+      } else if (entry.isFile()) {
+        const statsResult = await ResultAsync.fromPromise(stat(path), fileError(path));
+        if (statsResult.isErr()) {
+          return err(statsResult.error);
+        }
+        const { size, mtimeMs } = statsResult.value;
+        files.push({ path, key: prefix + relative(localDir, path).split(sep).join('/'), size, mtimeMs });
+      }
+    }
+  }
+  return ok(files);
+}
+
+/**
+ * @param {string} path
+ * @returns {Promise<Result<string, import('./index.js').MedoroRequestError>>}
+ */
+async function hashFile(path) {
+  const hash = createHash('sha256');
+  return ResultAsync.fromPromise(pipeline(createReadStream(path), hash), fileError(path)).map(() => hash.digest('hex'));
+}
+
+/**
+ * Tells whether a local file changed since it was uploaded to an object of the same key.
+ * Objects uploaded by a sync hold the SHA-256 of the file in their metadata. For other objects, a file of the same size is
+ * unchanged if it was last modified before the object, to the second, as the service dates objects.
+ * @param {import('./index.js').MedoroDataplaneClient} client
+ * @param {LocalFile} file
+ * @param {import('./index.js').ListedObject} object
+ * @param {string} contentType - The content type the file would be uploaded with.
+ * @param {'hash' | 'size'} compare
+ * @returns {Promise<Result<'changed' | 'unchanged', import('./index.js').MedoroRequestError>>}
+ */
+async function compareFile(client, file, object, contentType, compare) {
+  if (object.size !== file.size || (object.contentType !== undefined && object.contentType !== contentType)) {
+    return ok('changed');
+  }
+  if (compare === 'size') {
+    return ok('unchanged');
+  }
+
+  const headResult = await client.send({ command: new HeadObjectCommand({ key: file.key }) });
+  if (headResult.isErr()) {
+    return err(headResult.error);
+  }
+  const { metadata, lastModified } = headResult.value;
+  const sha256 = metadata[HASH_METADATA_NAME];
+  if (sha256 === undefined) {
+    return ok(lastModified !== null && Math.floor(file.mtimeMs / 1000) * 1000 <= lastModified.getTime() ? 'unchanged' : 'changed');
+  }
+  const hashResult = await hashFile(file.path);
+  return hashResult.map((hash) => (hash === sha256 ? 'unchanged' : 'changed'));
+}
+
+/**
+ * Calls a function for every item, a bounded number at a time.
+ * @template T
+ * @param {T[]} items
+ * @param {number} concurrency
+ * @param {(item: T) => Promise<void>} callback
+ * @returns {Promise<void>}
+ */
+async function forEachConcurrently(items, concurrency, callback) {
+  const pending = [...items];
+  const worker = async () => {
+    while (pending.length > 0) {
+      await callback(/** @type {T} */ (pending.shift()));
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, pending.length) }, worker));
+}
+
+/**
+ * Synchronizes a bucket prefix with a local directory: uploads the files that are new or changed and,
+ * optionally, deletes the objects whose files no longer exist.
+ *
+ * A file is unchanged if the object under its key has the same size and content type and, when comparing by `hash`,
+ * the same SHA-256 in its `sha256` metadata, which every upload of a sync records. Objects without it, such as those
+ * uploaded otherwise, are unchanged if the file was last modified before them.
+ *
+ * Each upload is signed with a policy allowing exactly its key, size and guessed content type.
+ * Failed uploads and deletions do not stop the others; the returned error carries the report in `context.report`.
+ * @param {object} params
+ * @param {import('./index.js').MedoroDataplaneClient} params.client - The client used to list, upload and delete objects.
+ * @param {string} params.localDir - The directory to upload. Files in subdirectories get keys with the same subpaths.
+ * @param {string} [params.prefix] - The key prefix the directory is mirrored to, such as `/assets/`. Defaults to `/`.
+ * @param {boolean} [params.delete] - Delete objects under the prefix that have no local file. Defaults to false.
+ * @param {boolean} [params.dryRun] - Only compute the plan. Defaults to false.
+ * @param {number} [params.concurrency] - How many comparisons, uploads and deletions run at the same time. Defaults to 4.
+ * @param {'hash' | 'size'} [params.compare] - How files are compared with objects of the same size and content type.
+ *   `hash` reads the metadata of each object and hashes the file; `size` considers them unchanged without requests
+ *   or reading the files. Defaults to `hash`.
+ * @param {'public' | 'private'} [params.accessControl] - The access control of the uploaded objects. Defaults to `private`.
+ * @returns {Promise<Result<SyncReport, import('./index.js').MedoroRequestError>>}
+ */
+export async function syncDirectory({
+  client,
+  localDir,
+  prefix = '/',
+  delete: deleteRemoved = false,
+  dryRun = false,
+  concurrency = 4,
+  compare = 'hash',
+  accessControl = 'private',
+}) {
+  if (!prefix.startsWith('/')) {
+    return err(requestError(null, {
+      type: 'validation_error',
+      message: 'prefix must start with /',
+    }));
+  }
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    return err(requestError(null, {
+      type: 'validation_error',
+      message: 'concurrency must be a positive integer',
+    }));
+  }
+  const keyPrefix = prefix.endsWith('/') ? prefix : `${prefix}/`;
+
+  const localResult = await listLocalFiles(localDir, keyPrefix);
+  if (localResult.isErr()) {
+    return err(localResult.error);
+  }
+
+  /** @type {Map<string, import('./index.js').ListedObject>} */
+  const remote = new Map();
+  for await (const objectResult of client.listAll({ prefix: keyPrefix })) {
+    if (objectResult.isErr()) {
+      return err(objectResult.error);
+    }
+    remote.set(objectResult.value.key, objectResult.value);
+  }
+
+  /** @type {SyncAction[]} */
+  const plan = [];
+  /** @type {import('./index.js').MedoroRequestError | undefined} */
+  let planFailure;
+  await forEachConcurrently(localResult.value, concurrency, async (file) => {
+    const contentType = guessContentType(file.path);
+    const object = remote.get(file.key);
+
+    /** @type {SyncAction['reason']} */
+    let reason = 'new';
+    if (object && !planFailure) {
+      const compareResult = await compareFile(client, file, object, contentType, compare);
+      if (compareResult.isErr()) {
+        planFailure ??= compareResult.error;
+        return;
+      }
+      reason = compareResult.value;
+    }
+    plan.push({ action: reason === 'unchanged' ? 'skip' : 'upload', reason, key: file.key, path: file.path, size: file.size, contentType });
+  });
+  if (planFailure) {
+    return err(planFailure);
+  }
+
+  if (deleteRemoved) {
+    const localKeys = new Set(localResult.value.map((file) => file.key));
+    for (const object of remote.values()) {
+      if (localKeys.has(object.key)) {
+        continue;
+      }
+      plan.push({ action: 'delete', reason: 'removed', key: object.key, path: null, size: object.size, contentType: null });
+    }
+  }
+  plan.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+
+  const uploads = plan.filter((entry) => entry.action === 'upload');
+  const deletions = plan.filter((entry) => entry.action === 'delete');
+  const skipped = plan.length - uploads.length - deletions.length;
+  if (dryRun) {
+    return ok({
+      dryRun,
+      plan,
+      results: [],
+      summary: { uploaded: uploads.length, deleted: deletions.length, skipped, failed: 0 },
+    });
+  }
+
+  /** @type {SyncResult[]} */
+  const results = [];
+
+  /**
+   * @param {SyncAction} entry
+   * @returns {Promise<Result<unknown, import('./index.js').MedoroRequestError>>}
+   */
+  const apply = async (entry) => {
+    if (entry.action === 'delete') {
+      return client.send({ command: new DeleteObjectCommand({ key: entry.key }) });
+    }
+
+    const path = /** @type {string} */ (entry.path);
+    const contentType = /** @type {string} */ (entry.contentType);
+    const hashResult = await hashFile(path);
+    if (hashResult.isErr()) {
+      return err(hashResult.error);
+    }
+    const contentResult = await openFileContent({ path, type: contentType });
+    if (contentResult.isErr()) {
+      return err(contentResult.error);
+    }
+    const builder = new PolicyBuilder().key.equals(entry.key).contentLength.equals(contentResult.value.size).contentType.equals(contentType);
+    const policyResult = (accessControl === 'public' ? builder.public() : builder.private()).build();
+    if (policyResult.isErr()) {
+      const { message, code, context } = policyResult.error;
+      return err(requestError({ key: entry.key, method: 'PUT' }, { type: 'validation_error', message, code, context }));
+    }
+    return client.send({
+      command: new PutObjectCommand({
+        key: entry.key,
+        policy: policyResult.value,
+        content: contentResult.value,
+        metadata: { [HASH_METADATA_NAME]: hashResult.value },
+      }),
+    });
+  };
+
+  /**
+   * @param {SyncAction[]} entries
+   */
+  const applyAll = (entries) => forEachConcurrently(entries, concurrency, async (entry) => {
+    const action = /** @type {'upload' | 'delete'} */ (entry.action);
+    const result = await apply(entry);
+    results.push(result.isOk() ? { key: entry.key, action, outcome: 'ok' } : { key: entry.key, action, outcome: 'error', error: result.error });
+  });
+
+  // Delete only once every upload has finished, so pages are never served without the assets they reference
+  await applyAll(uploads);
+  await applyAll(deletions);
+
+  const failures = results.filter((result) => result.outcome === 'error');
+  /** @type {SyncReport} */
+  const report = {
+    dryRun,
+    plan,
+    results,
+    summary: {
+      uploaded: results.filter((result) => result.action === 'upload' && result.outcome === 'ok').length,
+      deleted: results.filter((result) => result.action === 'delete' && result.outcome === 'ok').length,
+      skipped,
+      failed: failures.length,
+    },
+  };
+
+  if (failures.length > 0) {
+    const [failure] = failures;
+    const { error } = /** @type {Extract<SyncResult, { outcome: 'error' }>} */ (failure);
+    return err({
+      ...error,
+      message: `Failed to sync ${failures.length} of ${results.length} changes; ${failure.key}: ${error.message}`,
+      context: { cause: error.context, report },
+    });
+  }
+  return ok(report);
+}
@@ -0,0 +1,474 @@
+import { Result, ok, err } from 'neverthrow';
+import { BucketConfigSchema } from '../lib/schemas/index.js';
+import { decodePolicy } from '../lib/policy.js';
+import { requestError } from './errors.js';
+
+const SIGNATURE_LABEL = 'medoro';
+const MAX_SIGNATURE_LIFETIME_SECONDS = 604800;
+// Without these, a signature could be replayed with another method or on another bucket or key
+const REQUIRED_COMPONENTS = ['@method', '@authority', '@path'];
+
+/**
+ * @typedef {string | number | boolean | Uint8Array<ArrayBuffer>} BareItem
+ */
+
+/**
+ * An item of a structured field inner list, with the exact text it was parsed from.
+ * @typedef {object} InnerListItem
+ * @property {BareItem} value - The value of the item.
+ * @property {Record<string, BareItem>} params - The parameters of the item.
+ * @property {string} raw - The serialized item, including its parameters.
+ */
+
+/**
+ * A member of a structured field dictionary, with the exact text of its value.
+ * @typedef {object} DictionaryMember
+ * @property {InnerListItem[] | BareItem} value - The inner list or bare item of the member.
+ * @property {Record<string, BareItem>} params - The parameters of the member.
+ * @property {string} raw - The serialized value, including its parameters.
+ */
+
+/**
+ * A request whose signature was verified.
+ * @typedef {object} VerifiedRequest
+ * @property {string} keyId - The ID of the key that signed the request.
+ * @property {string} label - The label of that key in the bucket configuration.
+ * @property {Date} created - When the signature was created.
+ * @property {Date} expires - When the signature expires.
+ * @property {string[]} components - The serialized component identifiers covered by the signature.
+ * @property {import('../lib/schemas').ApiPutRequestValidationPolicy | null} policy - The decoded policy, if the request carries one.
+ */
+
+/**
+ * Minimal parser for the parts of RFC 8941 structured field dictionaries used by HTTP message signatures.
+ */
+class StructuredFieldParser {
+  /**
+   * @type {string}
+   */
+  #input;
+
+  /**
+   * @type {number}
+   */
+  #index = 0;
+
+  /**
+   * @param {string} input - The serialized field value.
+   */
+  constructor(input) {
+    this.#input = input;
+  }
+
+  /**
+   * @returns {Map<string, DictionaryMember>}
+   */
+  parseDictionary() {
+    /** @type {Map<string, DictionaryMember>} */
+    const members = new Map();
+    this.#skipSpaces();
+    while (this.#index < this.#input.length) {
+      const key = this.#parseKey();
+      /** @type {InnerListItem[] | BareItem} */
+      let value = true;
+      let start = this.#index;
+      if (this.#input[this.#index] === '=') {
+        start = ++this.#index;
+        value = this.#input[this.#index] === '(' ? this.#parseInnerList() : this.#parseBareItem();
+      }
+      const params = this.#parseParameters();
+      const raw = this.#input.slice(start, this.#index);
+      members.set(key, { value, params, raw });
+
+      this.#skipSpaces();
+      if (this.#index >= this.#input.length) {
+        break;
+      }
+      this.#expect(',');
+      this.#skipSpaces();
+    }
+    return members;
+  }
+
+  /**
+   * @returns {InnerListItem[]}
+   */
+  #parseInnerList() {
+    this.#expect('(');
+    /** @type {InnerListItem[]} */
+    const items = [];
+    while (true) {
+      while (this.#input[this.#index] === ' ') {
+        this.#index++;
+      }
+      if (this.#input[this.#index] === ')') {
+        this.#index++;
+        return items;
+      }
+      const start = this.#index;
+      const value = this.#parseBareItem();
+      const params = this.#parseParameters();
+      items.push({ value, params, raw: this.#input.slice(start, this.#index) });
+      if (this.#input[this.#index] !== ' ' && this.#input[this.#index] !== ')') {
+        throw new SyntaxError(`Unexpected character at ${this.#index} in inner list`);
+      }
+    }
+  }
+
+  /**
+   * @returns {Record<string, BareItem>}
+   */
+  #parseParameters() {
+    /** @type {Record<string, BareItem>} */
+    const params = {};
+    while (this.#input[this.#index] === ';') {
+      this.#index++;
+      this.#skipSpaces();
+      const key = this.#parseKey();
+      /** @type {BareItem} */
+      let value = true;
+      if (this.#input[this.#index] === '=') {
+        this.#index++;
+        value = this.#parseBareItem();
+      }
+      params[key] = value;
+    }
+    return params;
+  }
+
+  /**
+   * @returns {BareItem}
+   */
+  #parseBareItem() {
+    const char = this.#input[this.#index];
+    if (char === '"') {
+      return this.#parseString();
+    }
+    if (char === ':') {
+      return this.#parseByteSequence();
+    }
+    if (char === '?') {
+      this.#index++;
+      const flag = this.#input[this.#index++];
+      if (flag !== '0' && flag !== '1') {
+        throw new SyntaxError(`Invalid boolean at ${this.#index - 1}`);
+      }
+      return flag === '1';
+    }
+    if (char === '-' || (char >= '0' && char <= '9')) {
+      const match = /^-?\d{1,15}/.exec(this.#input.slice(this.#index));
+      if (!match) {
+        throw new SyntaxError(`Invalid integer at ${this.#index}`);
+      }
+      this.#index += match[0].length;
+      return Number(match[0]);
+    }
+    const match = /^[A-Za-z*][A-Za-z0-9:/!#$%&'*+\-.^_`|~]*/.exec(this.#input.slice(this.#index));
+    if (!match) {
+      throw new SyntaxError(`Unexpected character at ${this.#index}`);
+    }
+    this.#index += match[0].length;
+    return match[0];
+  }
+
+  /**
+   * @returns {string}
+   */
+  #parseString() {
+    this.#expect('"');
+    let value = '';
+    while (this.#index < this.#input.length) {
+      const char = this.#input[this.#index++];
+      if (char === '\\') {
+        const escaped = this.#input[this.#index++];
+        if (escaped !== '"' && escaped !== '\\') {
+          throw new SyntaxError(`Invalid escape at ${this.#index - 1}`);
+        }
+        value += escaped;
+      } else if (char === '"') {
+        return value;
+      } else {
+        value += char;
+      }
+    }
+    throw new SyntaxError('Unterminated string');
+  }
+
+  /**
+   * @returns {Uint8Array<ArrayBuffer>}
+   */
+  #parseByteSequence() {
+    this.#expect(':');
+    const end = this.#input.indexOf(':', this.#index);
+    if (end === -1) {
+      throw new SyntaxError('Unterminated byte sequence');
+    }
+    const bytes = decodeBase64(this.#input.slice(this.#index, end));
+    this.#index = end + 1;
+    return bytes;
+  }
+
+  /**
+   * @returns {string}
+   */
+  #parseKey() {
+    const match = /^[a-z*][a-z0-9_\-.*]*/.exec(this.#input.slice(this.#index));
+    if (!match) {
+      throw new SyntaxError(`Invalid key at ${this.#index}`);
+    }
+    this.#index += match[0].length;
+    return match[0];
+  }
+
+  /**
+   * @param {string} char
+   */
+  #expect(char) {
+    if (this.#input[this.#index] !== char) {
+      throw new SyntaxError(`Expected "${char}" at ${this.#index}`);
+    }
+    this.#index++;
+  }
+
+  #skipSpaces() {
+    while (this.#input[this.#index] === ' ' || this.#input[this.#index] === '\t') {
+      this.#index++;
+    }
+  }
+}
+
+/**
+ * @param {string} value
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+function decodeBase64(value) {
+  return Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+}
+
+/**
+ * Percent-encodes a query parameter name or value for the signature base, as described in RFC 9421, section 2.2.8.
+ * @param {string} value - The decoded name or value.
+ * @returns {string}
+ */
+function encodeQueryParamComponent(value) {
+  return encodeURIComponent(value).replace(/[!'()~]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Resolves the value of a covered component of the request.
+ * @param {InnerListItem} item - The component identifier.
+ * @param {{ method: string; url: URL; headers: Headers }} request - The request being verified.
+ * @returns {string | null} The value, or null if the request lacks the component.
+ */
+function resolveComponent(item, request) {
+  switch (item.value) {
+    case '@method':
+      return request.method.toUpperCase();
+    case '@scheme':
+      return request.url.protocol.slice(0, -1).toLowerCase();
+    case '@authority':
+      return request.url.host.toLowerCase();
+    case '@path':
+      return request.url.pathname || '/';
+    case '@query-param': {
+      const name = item.params.name;
+      if (typeof name !== 'string') {
+        return null;
+      }
+      const values = request.url.searchParams.getAll(name);
+      // A parameter given more than once is ambiguous and cannot be signed
+      return values.length === 1 ? encodeQueryParamComponent(values[0]) : null;
+    }
+    default: {
+      if (typeof item.value !== 'string' || item.value.startsWith('@') || Object.keys(item.params).length > 0) {
+        return null;
+      }
+      const value = request.headers.get(item.value);
+      return value === null ? null : value.trim();
+    }
+  }
+}
+
+/**
+ * Verifies a request signed with `MedoroDataplaneClient.createSignedUrl` against a bucket configuration.
+ *
+ * Rebuilds the signature base from the `x-medoro-signature-input` parameter, checks the validity window and key ID,
+ * verifies the Ed25519 signature and decodes the `x-medoro-policy` parameter, if any.
+ * The signature must cover `@method`, `@authority` and `@path`, and every query parameter of the URL but the signature itself.
+ * Uploads must carry a policy, except for the parts of a multipart upload.
+ * @param {object} params
+ * @param {Request | { method: string; url: string | URL; headers?: Headers }} params.request - The request to verify.
+ * @param {import('../lib/schemas').BucketConfig} params.bucketConfig - The configuration listing the allowed public keys.
+ * @param {Date} [params.now] - The time to check the validity window against. Defaults to the current time.
+ * @returns {Promise<Result<VerifiedRequest, import('./index.js').MedoroRequestError>>}
+ */
+export async function verifySignedRequest({ request, bucketConfig, now = new Date() }) {
+  const bucketConfigResult = BucketConfigSchema.safeParse(bucketConfig);
+  if (!bucketConfigResult.success) {
+    return err(requestError(null, {
+      type: 'validation_error',
+      message: 'Invalid bucket configuration',
+      context: { issues: bucketConfigResult.error.issues },
+    }));
+  }
+
+  const url = new URL(request.url);
+  const signatureInputParam = url.searchParams.get('x-medoro-signature-input');
+  const signatureParam = url.searchParams.get('x-medoro-signature');
+  if (signatureInputParam === null || signatureParam === null) {
+    return err(requestError(null, {
+      type: 'signature_error',
+      message: 'Request is not signed',
+      code: 'missing_signature',
+    }));
+  }
+
+  /** @type {DictionaryMember | undefined} */
+  let signatureInput;
+  /** @type {DictionaryMember | undefined} */
+  let signature;
+  try {
+    signatureInput = new StructuredFieldParser(signatureInputParam).parseDictionary().get(SIGNATURE_LABEL);
+    signature = new StructuredFieldParser(signatureParam).parseDictionary().get(SIGNATURE_LABEL);
+  } catch (e) {
+    return err(requestError(null, {
+      type: 'signature_error',
+      message: `Malformed signature parameters: ${e instanceof Error ? e.message : String(e)}`,
+      code: 'malformed_signature',
+    }));
+  }
+  if (!signatureInput || !Array.isArray(signatureInput.value) || !signature || !(signature.value instanceof Uint8Array)) {
+    return err(requestError(null, {
+      type: 'signature_error',
+      message: `No "${SIGNATURE_LABEL}" signature found`,
+      code: 'malformed_signature',
+    }));
+  }
+
+  const { keyid, alg, created, expires } = signatureInput.params;
+  if (alg !== 'ed25519') {
+    return err(requestError(null, {
+      type: 'signature_error',
+      message: `Unsupported signature algorithm: ${String(alg)}`,
+      code: 'unsupported_algorithm',
+    }));
+  }
+  if (typeof created !== 'number' || typeof expires !== 'number' || expires <= created || expires - created > MAX_SIGNATURE_LIFETIME_SECONDS) {
+    return err(requestError(null, {
+      type: 'signature_error',
+      message: 'The signature must have a valid created and expires time',
+      code: 'malformed_signature',
+    }));
+  }
+
+  const nowSeconds = Math.floor(now.getTime() / 1000);
+  if (created > nowSeconds) {
+    return err(requestError(null, {
+      type: 'signature_error',
+      message: 'The signature is not valid yet',
+      code: 'signature_not_yet_valid',
+      context: { created, now: nowSeconds },
+    }));
+  }
+  if (expires <= nowSeconds) {
+    return err(requestError(null, {
+      type: 'signature_error',
+      message: 'The signature has expired',
+      code: 'signature_expired',
+      context: { expires, now: nowSeconds },
+    }));
+  }
+
+  const allowedKey = typeof keyid === 'string' ? bucketConfigResult.data.v1.allowedPublicKeys[keyid] : undefined;
+  if (typeof keyid !== 'string' || !allowedKey) {
+    return err(requestError(null, {
+      type: 'signature_error',
+      message: `Unknown key ID: ${String(keyid)}`,
+      code: 'unknown_key',
+    }));
+  }
+
+  const coveredItems = signatureInput.value;
+  const components = coveredItems.map((item) => item.raw);
+  const missingComponents = REQUIRED_COMPONENTS.filter((name) => !coveredItems.some((item) => item.value === name));
+  if (missingComponents.length > 0) {
+    return err(requestError(null, {
+      type: 'signature_error',
+      message: `The signature must cover ${missingComponents.join(', ')}`,
+      code: 'uncovered_component',
+      context: { missingComponents },
+    }));
+  }
+  const coveredParams = new Set(coveredItems.filter((item) => item.value === '@query-param').map((item) => item.params.name));
+  for (const name of url.searchParams.keys()) {
+    if (name !== 'x-medoro-signature-input' && name !== 'x-medoro-signature' && !coveredParams.has(name)) {
+      return err(requestError(null, {
+        type: 'signature_error',
+        message: `The query parameter ${name} is not covered by the signature`,
+        code: 'uncovered_parameter',
+      }));
+    }
+  }
+
+  const resolvedRequest = { method: request.method, url, headers: request.headers ?? new Headers() };
+  const lines = [];
+  for (const item of coveredItems) {
+    const value = resolveComponent(item, resolvedRequest);
+    if (value === null) {
+      return err(requestError(null, {
+        type: 'signature_error',
+        message: `Cannot resolve the covered component ${item.raw}`,
+        code: 'malformed_signature',
+      }));
+    }
+    lines.push(`${item.raw}: ${value}`);
+  }
+  lines.push(`"@signature-params": ${signatureInput.raw}`);
+  const signatureBase = lines.join('\n');
+
+  /** @type {CryptoKey} */
+  let publicKey;
+  try {
+    publicKey = await crypto.subtle.importKey('raw', decodeBase64(allowedKey.contentBase64), { name: 'Ed25519' }, false, ['verify']);
+  } catch (e) {
+    return err(requestError(null, {
+      type: 'validation_error',
+      message: `Invalid public key for key ID ${keyid}: ${e instanceof Error ? e.message : String(e)}`,
+    }));
+  }
+
+  const valid = await crypto.subtle.verify({ name: 'Ed25519' }, publicKey, signature.value, new TextEncoder().encode(signatureBase));
+  if (!valid) {
+    return err(requestError(null, {
+      type: 'signature_error',
+      message: 'The signature does not match the request',
+      code: 'invalid_signature',
+    }));
+  }
+
+  let policy = null;
+  const policyParam = url.searchParams.get('x-medoro-policy');
+  if (policyParam !== null) {
+    const policyResult = decodePolicy(policyParam);
+    if (policyResult.isErr()) {
+      return err(policyResult.error);
+    }
+    policy = policyResult.value;
+  } else if (request.method.toUpperCase() === 'PUT' && !url.searchParams.has('x-medoro-upload-id')) {
+    // The parts of a multipart upload are covered by the policy signed when the upload was created
+    return err(requestError(null, {
+      type: 'signature_error',
+      message: 'A signed upload must carry an x-medoro-policy parameter',
+      code: 'missing_policy',
+    }));
+  }
+
+  return ok({
+    keyId: keyid,
+    label: allowedKey.label,
+    created: new Date(created * 1000),
+    expires: new Date(expires * 1000),
+    components,
+    policy,
+  });
+}
@@ -0,0 +1,43 @@
+const CONTENT_TYPES = /** @type {Record<string, string>} */ ({
+  '.txt': 'text/plain',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.css': 'text/css',
+  '.csv': 'text/csv',
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.json': 'application/json',
+  '.map': 'application/json',
+  '.xml': 'application/xml',
+  '.wasm': 'application/wasm',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.mp3': 'audio/mpeg',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+});
+
+/**
+ * The content type used when the extension of a file name is not known.
+ */
+export const DEFAULT_CONTENT_TYPE = 'application/octet-stream';
+
+/**
+ * Guesses the media type of a file from the extension of its name.
+ * @param {string} name - The file name or path, or an object key.
+ * @returns {string} The media type, or `DEFAULT_CONTENT_TYPE` if the extension is not known.
+ */
+export function guessContentType(name) {
+  const match = name.match(/\.[^./\\]+$/);
+  return (match && CONTENT_TYPES[match[0].toLowerCase()]) ?? DEFAULT_CONTENT_TYPE;
+}
@@ -0,0 +1,102 @@
+/**
+ * The `Content-Digest` algorithms the client computes and verifies, with their WebCrypto names.
+ * The strongest algorithm comes first.
+ */
+const DIGEST_ALGORITHMS = /** @type {const} */ ({
+  'sha-512': 'SHA-512',
+  'sha-256': 'SHA-256',
+});
+
+/**
+ * A hash algorithm of RFC 9530 `Content-Digest` headers.
+ * @typedef {keyof typeof DIGEST_ALGORITHMS} DigestAlgorithm
+ */
+
+/**
+ * Whether an algorithm name is one the client supports.
+ * @param {string} algorithm
+ * @returns {algorithm is DigestAlgorithm}
+ */
+export function isDigestAlgorithm(algorithm) {
+  return Object.prototype.hasOwnProperty.call(DIGEST_ALGORITHMS, algorithm);
+}
+
+/**
+ * Hashes content and formats the hash as the value of a `Content-Digest` header, such as `sha-256=:X48E9q...=:`.
+ * @param {DigestAlgorithm} algorithm - The hash algorithm.
+ * @param {Blob | ArrayBuffer | Uint8Array<ArrayBuffer> | string} content - The content to hash. Blobs are read into memory.
+ * @returns {Promise<string>}
+ */
+export async function computeContentDigest(algorithm, content) {
+  const bytes = typeof content === 'string'
+    ? new TextEncoder().encode(content)
+    : content instanceof Blob ? await content.arrayBuffer() : content;
+  const hash = new Uint8Array(await crypto.subtle.digest(DIGEST_ALGORITHMS[algorithm], bytes));
+  return `${algorithm}=:${btoa(String.fromCharCode(...hash))}:`;
+}
+
+/**
+ * A hash that is updated as content arrives, so that the content does not have to be kept.
+ * @typedef {object} ContentHasher
+ * @property {(chunk: Uint8Array) => void} update - Hashes the next chunk of the content.
+ * @property {() => string} digest - Formats the hash of the content as the value of a `Content-Digest` header.
+ */
+
+/** @type {Promise<typeof import('node:crypto') | null> | undefined} */
+let nodeCrypto;
+
+/**
+ * Creates an incremental hash of content with `node:crypto`, in runtimes that provide it such as Node.js, Deno and Bun.
+ * WebCrypto cannot hash incrementally, so there is none in browsers.
+ * @param {DigestAlgorithm} algorithm - The hash algorithm.
+ * @returns {Promise<ContentHasher | null>} The hasher, or null if the runtime has no `node:crypto`.
+ */
+export async function createContentHasher(algorithm) {
+  nodeCrypto ??= import('node:crypto').catch(() => null);
+  const nodeCryptoModule = await nodeCrypto;
+  if (nodeCryptoModule === null) {
+    return null;
+  }
+
+  const hash = nodeCryptoModule.createHash(algorithm.replace('-', ''));
+  return {
+    update: (chunk) => {
+      hash.update(chunk);
+    },
+    digest: () => `${algorithm}=:${hash.digest('base64')}:`,
+  };
+}
+
+/**
+ * Parses a `Content-Digest` header into the base64 hashes it holds, by algorithm.
+ * Algorithms the client does not support and malformed members are left out.
+ * @param {string | null} value - The value of the header.
+ * @returns {Partial<Record<DigestAlgorithm, string>>}
+ */
+export function parseContentDigest(value) {
+  /** @type {Partial<Record<DigestAlgorithm, string>>} */
+  const digests = {};
+  for (const member of value?.split(',') ?? []) {
+    const match = member.trim().match(/^([a-z0-9-]+)=:([A-Za-z0-9+/]*={0,2}):$/);
+    if (match && isDigestAlgorithm(match[1])) {
+      digests[match[1]] = match[2];
+    }
+  }
+  return digests;
+}
+
+/**
+ * Picks the strongest supported hash of a `Content-Digest` header, to verify content against.
+ * @param {string | null} value - The value of the header.
+ * @returns {{ algorithm: DigestAlgorithm; digest: string } | null} The hash, or null if the header holds no supported one.
+ */
+export function strongestContentDigest(value) {
+  const digests = parseContentDigest(value);
+  for (const algorithm of /** @type {DigestAlgorithm[]} */ (Object.keys(DIGEST_ALGORITHMS))) {
+    const digest = digests[algorithm];
+    if (digest !== undefined) {
+      return { algorithm, digest };
+    }
+  }
+  return null;
+}
@@ -0,0 +1,356 @@
+import { Result, ResultAsync, ok, err } from 'neverthrow';
+import { EncryptionEnvelopeSchema } from './schemas/index.js';
+import { requestError } from '../dataplane/errors.js';
+
+// The AES-GCM authentication tag appended to every encrypted chunk
+const TAG_LENGTH = 16;
+
+// The random part of the 12-byte IV of a chunk; the rest holds the index of the chunk and whether it is the last one
+const NONCE_LENGTH = 7;
+
+// The version of the envelopes this module writes
+const ENVELOPE_VERSION = 1;
+
+/**
+ * The size of the plaintext chunks content is encrypted in, unless another one is given.
+ */
+export const DEFAULT_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Wraps and unwraps the data keys of objects with a key-encryption key the caller holds,
+ * such as a WebCrypto AES-KW key or a key kept in a KMS.
+ * @typedef {object} KeyWrapper
+ * @property {(params: { dataKey: Uint8Array<ArrayBuffer>; keyId: string }) => Promise<Uint8Array | ArrayBuffer>} wrapKey
+ *   Encrypts the 32 bytes of a data key with the key-encryption key identified by `keyId`.
+ * @property {(params: { wrappedKey: Uint8Array<ArrayBuffer>; keyId: string }) => Promise<Uint8Array | ArrayBuffer>} unwrapKey
+ *   Decrypts a data key wrapped by `wrapKey`.
+ */
+
+/**
+ * The data key and IV nonce of an object, which its content is encrypted and decrypted with.
+ * @typedef {object} ContentKey
+ * @property {CryptoKey} dataKey - The AES-256-GCM key of the object.
+ * @property {Uint8Array<ArrayBuffer>} nonce - The random part of the IV of every chunk.
+ * @property {number} chunkSize - The size of the plaintext chunks.
+ * @property {Uint8Array<ArrayBuffer>} additionalData - The AES-GCM additional data of every chunk, from `chunkAdditionalData`.
+ */
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function encodeBase64(bytes) {
+  return btoa(Array.from(bytes, (byte) => String.fromCharCode(byte)).join(''));
+}
+
+/**
+ * @param {string} value
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+function decodeBase64(value) {
+  return Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+}
+
+/**
+ * @param {Uint8Array | ArrayBuffer} bytes
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+function toBytes(bytes) {
+  return new Uint8Array(bytes);
+}
+
+/**
+ * @param {Uint8Array} first
+ * @param {Uint8Array} second
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+function concat(first, second) {
+  const bytes = new Uint8Array(first.byteLength + second.byteLength);
+  bytes.set(first);
+  bytes.set(second, first.byteLength);
+  return bytes;
+}
+
+/**
+ * Creates the default key wrapper, which wraps data keys with a WebCrypto AES-KW key.
+ * The key-encryption key needs the `wrapKey` and `unwrapKey` usages, and can be non-extractable.
+ * @param {CryptoKey} keyEncryptionKey - The AES-KW key.
+ * @returns {KeyWrapper}
+ */
+export function createAesKwKeyWrapper(keyEncryptionKey) {
+  return {
+    wrapKey: async ({ dataKey }) => {
+      const key = await crypto.subtle.importKey('raw', dataKey, { name: 'AES-GCM' }, true, ['encrypt']);
+      return crypto.subtle.wrapKey('raw', key, keyEncryptionKey, { name: 'AES-KW' });
+    },
+    unwrapKey: async ({ wrappedKey }) => {
+      const key = await crypto.subtle.unwrapKey('raw', wrappedKey, keyEncryptionKey, { name: 'AES-KW' }, { name: 'AES-GCM' }, true, ['decrypt']);
+      return crypto.subtle.exportKey('raw', key);
+    },
+  };
+}
+
+/**
+ * Computes the size of encrypted content: every chunk, including the last one, gains an authentication tag.
+ * Empty content is encrypted as a single empty chunk.
+ * @param {number} size - The size of the plaintext in bytes.
+ * @param {number} chunkSize - The size of the plaintext chunks.
+ * @returns {number}
+ */
+export function encryptedSize(size, chunkSize) {
+  return size + TAG_LENGTH * Math.max(1, Math.ceil(size / chunkSize));
+}
+
+/**
+ * Computes the size of the plaintext of encrypted content, the inverse of `encryptedSize`.
+ * @param {number} size - The size of the encrypted content in bytes.
+ * @param {number} chunkSize - The size of the plaintext chunks.
+ * @returns {number | null} The size, or null if no plaintext encrypts to that size.
+ */
+export function decryptedSize(size, chunkSize) {
+  const lastChunkSize = size % (chunkSize + TAG_LENGTH);
+  if (size < TAG_LENGTH || (lastChunkSize > 0 && lastChunkSize < TAG_LENGTH)) {
+    return null;
+  }
+  return size - TAG_LENGTH * Math.ceil(size / (chunkSize + TAG_LENGTH));
+}
+
+/**
+ * Builds the IV of a chunk from the nonce of the object, the index of the chunk and whether it is the last one,
+ * so that chunks cannot be reordered, dropped or appended without failing to decrypt.
+ * @param {Uint8Array<ArrayBuffer>} nonce
+ * @param {number} index
+ * @param {boolean} last
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+function chunkIv(nonce, index, last) {
+  const iv = new Uint8Array(12);
+  iv.set(nonce);
+  new DataView(iv.buffer).setUint32(NONCE_LENGTH, index);
+  iv[11] = last ? 1 : 0;
+  return iv;
+}
+
+/**
+ * Builds the additional authenticated data of the chunks of an object from the version of its envelope and its key,
+ * so that content copied to another key, or read under another envelope version, fails to decrypt.
+ * @param {number} version - The version of the envelope.
+ * @param {string} objectKey - The key of the object.
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+function chunkAdditionalData(version, objectKey) {
+  return new TextEncoder().encode(`medoro-envelope/v${version}:${objectKey}`);
+}
+
+/**
+ * Creates the data key of a new object and the envelope to store with it, which holds the data key wrapped with the key-encryption key.
+ * @param {object} params
+ * @param {KeyWrapper} params.keyWrapper - Wraps the data key.
+ * @param {string} params.keyId - The ID of the key-encryption key, recorded in the envelope.
+ * @param {number} params.chunkSize - The size of the plaintext chunks.
+ * @param {string} params.objectKey - The key the object is stored under, which its chunks are bound to.
+ * @returns {Promise<Result<{ envelope: string; contentKey: ContentKey }, import('../dataplane/index.js').MedoroRequestError>>}
+ */
+export async function createEnvelope({ keyWrapper, keyId, chunkSize, objectKey }) {
+  const rawKey = crypto.getRandomValues(new Uint8Array(32));
+  const nonce = crypto.getRandomValues(new Uint8Array(NONCE_LENGTH));
+  const wrapResult = await ResultAsync.fromPromise(
+    // Wrapped so that a key wrapper throwing synchronously is reported like a rejection
+    Promise.resolve().then(() => keyWrapper.wrapKey({ dataKey: rawKey, keyId })),
+    (e) => requestError(null, {
+      type: 'encryption_error',
+      message: `Failed to wrap the data key: ${e instanceof Error ? e.message : String(e)}`,
+    }),
+  );
+  if (wrapResult.isErr()) {
+    return err(wrapResult.error);
+  }
+
+  const dataKey = await crypto.subtle.importKey('raw', rawKey, { name: 'AES-GCM' }, false, ['encrypt']);
+  /** @type {import('./schemas').EncryptionEnvelope} */
+  const envelope = { v: ENVELOPE_VERSION, alg: 'A256GCM', kid: keyId, key: encodeBase64(toBytes(wrapResult.value)), nonce: encodeBase64(nonce), chunkSize };
+  return ok({
+    envelope: encodeBase64(new TextEncoder().encode(JSON.stringify(envelope))),
+    contentKey: { dataKey, nonce, chunkSize, additionalData: chunkAdditionalData(ENVELOPE_VERSION, objectKey) },
+  });
+}
+
+/**
+ * Decodes the envelope stored with an object, without unwrapping its data key.
+ * @param {string} envelope - The envelope stored with the object.
+ * @returns {Result<{ version: number; kid: string; wrappedKey: Uint8Array<ArrayBuffer>; nonce: Uint8Array<ArrayBuffer>; chunkSize: number }, import('../dataplane/index.js').MedoroRequestError>}
+ *   The version of the envelope, the ID of the key-encryption key, the wrapped data key, the IV nonce and the chunk size.
+ */
+export function readEnvelope(envelope) {
+  const decoded = Result.fromThrowable(() => {
+    const { v, kid, key, nonce, chunkSize } = EncryptionEnvelopeSchema.parse(JSON.parse(new TextDecoder().decode(decodeBase64(envelope))));
+    return { version: v, kid, wrappedKey: decodeBase64(key), nonce: decodeBase64(nonce), chunkSize };
+  }, () => null)();
+  if (decoded.isErr() || decoded.value.nonce.byteLength !== NONCE_LENGTH) {
+    return err(requestError(null, {
+      type: 'encryption_error',
+      message: 'The encryption envelope of the object is malformed',
+    }));
+  }
+  return ok(decoded.value);
+}
+
+/**
+ * Reads the envelope of an object and unwraps its data key.
+ * @param {object} params
+ * @param {string} params.envelope - The envelope stored with the object.
+ * @param {KeyWrapper} params.keyWrapper - Unwraps the data key.
+ * @param {string} params.keyId - The ID of the key-encryption key the caller holds.
+ * @param {string} params.objectKey - The key the object was read from.
+ * @returns {Promise<Result<ContentKey, import('../dataplane/index.js').MedoroRequestError>>}
+ */
+export async function openEnvelope({ envelope, keyWrapper, keyId, objectKey }) {
+  const decoded = readEnvelope(envelope);
+  if (decoded.isErr()) {
+    return err(decoded.error);
+  }
+
+  const { version, kid, wrappedKey, nonce, chunkSize } = decoded.value;
+  if (kid !== keyId) {
+    return err(requestError(null, {
+      type: 'encryption_error',
+      message: `The object was encrypted with key-encryption key ${kid}, not ${keyId}`,
+      context: { keyId: kid },
+    }));
+  }
+
+  const unwrapResult = await ResultAsync.fromPromise(
+    Promise.resolve()
+      .then(() => keyWrapper.unwrapKey({ wrappedKey, keyId }))
+      .then((dataKey) => crypto.subtle.importKey('raw', toBytes(dataKey), { name: 'AES-GCM' }, false, ['decrypt'])),
+    (e) => requestError(null, {
+      type: 'encryption_error',
+      message: `Failed to unwrap the data key: ${e instanceof Error ? e.message : String(e)}`,
+    }),
+  );
+  if (unwrapResult.isErr()) {
+    return err(unwrapResult.error);
+  }
+  return ok({ dataKey: unwrapResult.value, nonce, chunkSize, additionalData: chunkAdditionalData(version, objectKey) });
+}
+
+/**
+ * Encrypts content as it is read, one chunk at a time, so large content is never held in memory.
+ * @param {ReadableStream<Uint8Array>} source - The plaintext.
+ * @param {ContentKey} contentKey - The key of the object, from `createEnvelope`.
+ * @returns {ReadableStream<Uint8Array>} The encrypted content.
+ */
+export function encryptStream(source, { dataKey, nonce, chunkSize, additionalData }) {
+  let buffer = new Uint8Array(0);
+  let index = 0;
+  /**
+   * @param {Uint8Array<ArrayBuffer>} plaintext
+   * @param {boolean} last
+   */
+  const encryptChunk = async (plaintext, last) => new Uint8Array(
+    await crypto.subtle.encrypt({ name: 'AES-GCM', iv: chunkIv(nonce, index++, last), additionalData }, dataKey, plaintext),
+  );
+
+  return source.pipeThrough(new TransformStream({
+    async transform(chunk, controller) {
+      buffer = concat(buffer, chunk);
+      // A full chunk is only known not to be the last one once more content follows it
+      while (buffer.byteLength > chunkSize) {
+        controller.enqueue(await encryptChunk(buffer.slice(0, chunkSize), false));
+        buffer = buffer.slice(chunkSize);
+      }
+    },
+    async flush(controller) {
+      controller.enqueue(await encryptChunk(buffer, true));
+    },
+  }));
+}
+
+/**
+ * Decrypts content as it is read, one chunk at a time.
+ * Content that was modified, truncated, encrypted with another key or for another object key errors the stream with the reason `failure` returns.
+ * @param {ReadableStream<Uint8Array>} source - The encrypted content.
+ * @param {ContentKey} contentKey - The key of the object, from `openEnvelope`.
+ * @param {(message: string) => unknown} [failure] - Creates the reason the stream errors with.
+ * @returns {ReadableStream<Uint8Array>} The plaintext.
+ */
+export function decryptStream(source, { dataKey, nonce, chunkSize, additionalData }, failure = (message) => new Error(message)) {
+  const encryptedChunkSize = chunkSize + TAG_LENGTH;
+  let buffer = new Uint8Array(0);
+  let index = 0;
+  /**
+   * @param {Uint8Array<ArrayBuffer>} ciphertext
+   * @param {boolean} last
+   * @param {TransformStreamDefaultController<Uint8Array>} controller
+   */
+  const decryptChunk = async (ciphertext, last, controller) => {
+    const chunkIndex = index++;
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: chunkIv(nonce, chunkIndex, last), additionalData }, dataKey, ciphertext)
+      .catch(() => null);
+    if (plaintext === null) {
+      controller.error(failure(`Chunk ${chunkIndex} of the content could not be decrypted: it was modified, truncated, encrypted with another key or stored under another object key`));
+      return false;
+    }
+    controller.enqueue(new Uint8Array(plaintext));
+    return true;
+  };
+
+  return source.pipeThrough(new TransformStream({
+    async transform(chunk, controller) {
+      buffer = concat(buffer, chunk);
+      while (buffer.byteLength > encryptedChunkSize) {
+        if (!(await decryptChunk(buffer.slice(0, encryptedChunkSize), false, controller))) {
+          return;
+        }
+        buffer = buffer.slice(encryptedChunkSize);
+      }
+    },
+    async flush(controller) {
+      await decryptChunk(buffer, true, controller);
+    },
+  }));
+}
+
+/**
+ * Raises the `Content-Length` condition of a policy written for the plaintext to the size of the encrypted content,
+ * which is what the service checks. Other conditions are kept as they are.
+ * @param {import('./schemas').ApiPutRequestValidationPolicy} policy - The policy of the plaintext.
+ * @param {number} chunkSize - The size of the plaintext chunks.
+ * @returns {import('./schemas').ApiPutRequestValidationPolicy}
+ */
+export function encryptedPolicy(policy, chunkSize) {
+  /**
+   * @param {string | number} value
+   */
+  const size = (value) => (typeof value === 'number' ? encryptedSize(value, chunkSize) : value);
+
+  /**
+   * @param {import('./schemas').ValidationCondition} condition
+   * @returns {import('./schemas').ValidationCondition}
+   */
+  const encryptedCondition = (condition) => {
+    if (typeof condition === 'number') {
+      return size(condition);
+    }
+    if (typeof condition === 'string') {
+      return condition;
+    }
+    if ('lte' in condition) {
+      return { lte: encryptedSize(condition.lte, chunkSize) };
+    }
+    if ('gte' in condition) {
+      return { gte: encryptedSize(condition.gte, chunkSize) };
+    }
+    if ('range' in condition) {
+      return { range: [encryptedSize(condition.range[0], chunkSize), encryptedSize(condition.range[1], chunkSize)] };
+    }
+    if ('oneOf' in condition) {
+      return { oneOf: condition.oneOf.map(size) };
+    }
+    return condition;
+  };
+
+  const conditions = Object.fromEntries(Object.entries(policy.apiPutV1.conditions)
+    .map(([name, condition]) => [name, name.toLowerCase() === 'content-length' ? encryptedCondition(condition) : condition]));
+  return { apiPutV1: { ...policy.apiPutV1, conditions } };
+}
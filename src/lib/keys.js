@@ -0,0 +1,277 @@
+import { Result, ResultAsync, ok, err } from 'neverthrow';
+import { BucketConfigSchema } from './schemas/index.js';
+import { requestError } from '../dataplane/errors.js';
+
+// DER encoding of a PKCS#8 Ed25519 private key up to the 32-byte seed (RFC 8410)
+const PKCS8_PREFIX = [0x30, 0x2e, 0x02, 0x01, 0x00, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x70, 0x04, 0x22, 0x04, 0x20];
+
+const ED25519 = { name: 'Ed25519' };
+
+/**
+ * An Ed25519 key in one of the supported encodings:
+ * - `pem`: PKCS#8 (private key) or SPKI (public key) PEM text.
+ * - `jwk`: a JSON Web Key with `kty: 'OKP'` and `crv: 'Ed25519'`.
+ * - `raw`: the 32-byte seed (private key) or public key, as bytes or base64.
+ * @typedef {{ format: 'pem'; key: string } | { format: 'jwk'; key: JsonWebKey } | { format: 'raw'; key: Uint8Array | string }} EncodedKey
+ */
+
+/**
+ * @typedef {EncodedKey['format']} KeyFormat
+ */
+
+/**
+ * An entry of `BucketConfig.v1.allowedPublicKeys`.
+ * @typedef {import('./schemas').BucketConfig['v1']['allowedPublicKeys'][string]} AllowedPublicKey
+ */
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function encodeBase64(bytes) {
+  return btoa(Array.from(bytes, (byte) => String.fromCharCode(byte)).join(''));
+}
+
+/**
+ * @param {string} value - Standard or URL-safe base64, with or without padding.
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+function decodeBase64(value) {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/').replace(/\s/g, ''));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function encodeBase64Url(bytes) {
+  return encodeBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * @param {string} pem - The PEM text.
+ * @param {string} label - The expected label, such as `PRIVATE KEY`.
+ * @returns {Uint8Array<ArrayBuffer>} The DER encoding.
+ */
+function decodePem(pem, label) {
+  const match = pem.match(new RegExp(`-----BEGIN ${label}-----([^-]+)-----END ${label}-----`));
+  if (!match) {
+    throw new Error(`Expected a PEM block labelled ${label}`);
+  }
+  return decodeBase64(match[1]);
+}
+
+/**
+ * @param {Uint8Array} der - The DER encoding.
+ * @param {string} label - The label of the PEM block, such as `PUBLIC KEY`.
+ * @returns {string}
+ */
+function encodePem(der, label) {
+  const lines = encodeBase64(der).match(/.{1,64}/g) ?? [];
+  return `-----BEGIN ${label}-----\n${lines.join('\n')}\n-----END ${label}-----\n`;
+}
+
+/**
+ * @param {Uint8Array | string} key - Raw key bytes, or their base64 encoding.
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+function rawKeyBytes(key) {
+  const bytes = typeof key === 'string' ? decodeBase64(key) : new Uint8Array(key);
+  if (bytes.byteLength !== 32) {
+    throw new Error(`Expected 32 bytes, got ${bytes.byteLength}`);
+  }
+  return bytes;
+}
+
+/**
+ * @param {string} action - What was being done, for the error message.
+ * @returns {(e: unknown) => import('../dataplane/index.js').MedoroRequestError}
+ */
+function keyError(action) {
+  return (e) => requestError(null, {
+    type: 'validation_error',
+    message: `Failed to ${action}: ${e instanceof Error ? e.message : String(e)}`,
+  });
+}
+
+/**
+ * Generates an extractable Ed25519 key pair, for example to rotate the signing key.
+ * @returns {Promise<Result<CryptoKeyPair, import('../dataplane/index.js').MedoroRequestError>>}
+ */
+export async function generateKeyPair() {
+  return ResultAsync.fromPromise(
+    /** @type {Promise<CryptoKeyPair>} */ (crypto.subtle.generateKey(ED25519, true, ['sign', 'verify'])),
+    keyError('generate key pair'),
+  );
+}
+
+/**
+ * Imports an Ed25519 private key for signing requests.
+ * @param {EncodedKey & { extractable?: boolean }} params - The encoded key. Set `extractable` to export the key,
+ *   or to derive its public key, later. Defaults to false.
+ * @returns {Promise<Result<CryptoKey, import('../dataplane/index.js').MedoroRequestError>>}
+ */
+export async function importPrivateKey({ format, key, extractable = false }) {
+  return ResultAsync.fromPromise(
+    (async () => {
+      switch (format) {
+        case 'pem':
+          return crypto.subtle.importKey('pkcs8', decodePem(key, 'PRIVATE KEY'), ED25519, extractable, ['sign']);
+        case 'jwk':
+          return crypto.subtle.importKey('jwk', key, ED25519, extractable, ['sign']);
+        case 'raw':
+          return crypto.subtle.importKey('pkcs8', new Uint8Array([...PKCS8_PREFIX, ...rawKeyBytes(key)]), ED25519, extractable, ['sign']);
+        default:
+          throw new Error(`Unsupported key format ${format}`);
+      }
+    })(),
+    keyError('import private key'),
+  );
+}
+
+/**
+ * Imports an Ed25519 public key for verifying requests.
+ * @param {EncodedKey} params - The encoded key.
+ * @returns {Promise<Result<CryptoKey, import('../dataplane/index.js').MedoroRequestError>>}
+ */
+export async function importPublicKey({ format, key }) {
+  return ResultAsync.fromPromise(
+    (async () => {
+      switch (format) {
+        case 'pem':
+          return crypto.subtle.importKey('spki', decodePem(key, 'PUBLIC KEY'), ED25519, true, ['verify']);
+        case 'jwk':
+          return crypto.subtle.importKey('jwk', key, ED25519, true, ['verify']);
+        case 'raw':
+          return crypto.subtle.importKey('raw', rawKeyBytes(key), ED25519, true, ['verify']);
+        default:
+          throw new Error(`Unsupported key format ${format}`);
+      }
+    })(),
+    keyError('import public key'),
+  );
+}
+
+/**
+ * Exports an extractable Ed25519 private key. The result can be passed back to `importPrivateKey`.
+ * @param {object} params
+ * @param {CryptoKey} params.privateKey - The key to export.
+ * @param {KeyFormat} params.format - The encoding to export to. Raw keys are returned as bytes.
+ * @returns {Promise<Result<EncodedKey, import('../dataplane/index.js').MedoroRequestError>>}
+ */
+export async function exportPrivateKey({ privateKey, format }) {
+  return ResultAsync.fromPromise(
+    (async () => {
+      switch (format) {
+        case 'pem':
+          return { format, key: encodePem(new Uint8Array(await crypto.subtle.exportKey('pkcs8', privateKey)), 'PRIVATE KEY') };
+        case 'jwk':
+          return { format, key: await crypto.subtle.exportKey('jwk', privateKey) };
+        case 'raw':
+          return { format, key: new Uint8Array(await crypto.subtle.exportKey('pkcs8', privateKey)).slice(PKCS8_PREFIX.length) };
+        default:
+          throw new Error(`Unsupported key format ${format}`);
+      }
+    })(),
+    keyError('export private key'),
+  );
+}
+
+/**
+ * Exports an Ed25519 public key. The result can be passed back to `importPublicKey`.
+ * @param {object} params
+ * @param {CryptoKey} params.publicKey - The key to export.
+ * @param {KeyFormat} params.format - The encoding to export to. Raw keys are returned as bytes.
+ * @returns {Promise<Result<EncodedKey, import('../dataplane/index.js').MedoroRequestError>>}
+ */
+export async function exportPublicKey({ publicKey, format }) {
+  return ResultAsync.fromPromise(
+    (async () => {
+      switch (format) {
+        case 'pem':
+          return { format, key: encodePem(new Uint8Array(await crypto.subtle.exportKey('spki', publicKey)), 'PUBLIC KEY') };
+        case 'jwk':
+          return { format, key: await crypto.subtle.exportKey('jwk', publicKey) };
+        case 'raw':
+          return { format, key: new Uint8Array(await crypto.subtle.exportKey('raw', publicKey)) };
+        default:
+          throw new Error(`Unsupported key format ${format}`);
+      }
+    })(),
+    keyError('export public key'),
+  );
+}
+
+/**
+ * Derives the public key of an extractable Ed25519 private key.
+ * @param {object} params
+ * @param {CryptoKey} params.privateKey - The private key.
+ * @returns {Promise<Result<CryptoKey, import('../dataplane/index.js').MedoroRequestError>>}
+ */
+export async function derivePublicKey({ privateKey }) {
+  return ResultAsync.fromPromise(
+    (async () => {
+      // The JWK of a private key carries its public key in `x`
+      const { x } = await crypto.subtle.exportKey('jwk', privateKey);
+      return crypto.subtle.importKey('jwk', { kty: 'OKP', crv: 'Ed25519', x }, ED25519, true, ['verify']);
+    })(),
+    keyError('derive public key'),
+  );
+}
+
+/**
+ * Derives a stable key ID from an Ed25519 public key: its JWK thumbprint (RFC 7638), a 43-character base64url string.
+ * The same key always gets the same ID, whichever encoding it was loaded from.
+ * @param {object} params
+ * @param {CryptoKey} params.publicKey - The public key.
+ * @returns {Promise<Result<string, import('../dataplane/index.js').MedoroRequestError>>}
+ */
+export async function deriveKeyId({ publicKey }) {
+  return ResultAsync.fromPromise(
+    (async () => {
+      const x = encodeBase64Url(new Uint8Array(await crypto.subtle.exportKey('raw', publicKey)));
+      // The thumbprint hashes the required members in lexicographic order, without whitespace
+      const thumbprintInput = new TextEncoder().encode(`{"crv":"Ed25519","kty":"OKP","x":"${x}"}`);
+      return encodeBase64Url(new Uint8Array(await crypto.subtle.digest('SHA-256', thumbprintInput)));
+    })(),
+    keyError('derive key ID'),
+  );
+}
+
+/**
+ * Creates an entry for `BucketConfig.v1.allowedPublicKeys`, ready to be merged into a bucket configuration.
+ * @param {object} params
+ * @param {CryptoKey} params.publicKey - The public key to allow.
+ * @param {string} params.label - A human-readable label for the key.
+ * @param {string} [params.keyId] - The ID of the key. Defaults to the ID derived by `deriveKeyId`.
+ * @returns {Promise<Result<Record<string, AllowedPublicKey>, import('../dataplane/index.js').MedoroRequestError>>}
+ */
+export async function createAllowedPublicKeyEntry({ publicKey, label, keyId }) {
+  const keyIdResult = keyId === undefined ? await deriveKeyId({ publicKey }) : ok(keyId);
+  if (keyIdResult.isErr()) {
+    return err(keyIdResult.error);
+  }
+
+  const exportResult = await exportPublicKey({ publicKey, format: 'raw' });
+  if (exportResult.isErr()) {
+    return err(exportResult.error);
+  }
+
+  const entry = {
+    [keyIdResult.value]: {
+      alg: /** @type {const} */ ('ed25519'),
+      contentBase64: encodeBase64(/** @type {Uint8Array} */ (exportResult.value.key)),
+      label,
+    },
+  };
+  const entryResult = BucketConfigSchema.shape.v1.shape.allowedPublicKeys.safeParse(entry);
+  if (!entryResult.success) {
+    return err(requestError(null, {
+      type: 'validation_error',
+      message: 'The public key entry does not match the bucket config schema',
+      context: { issues: entryResult.error.issues, rawData: entry },
+    }));
+  }
+  return ok(entryResult.data);
+}
@@ -0,0 +1,439 @@
+import { Result, ok, err } from 'neverthrow';
+import { ApiPutRequestValidationPolicySchema } from './schemas/index.js';
+import { decodePolicy } from './policy.js';
+import { requestError } from '../dataplane/errors.js';
+
+/**
+ * The condition names the builder has dedicated methods for.
+ */
+const KNOWN_CONDITIONS = /** @type {const} */ (['Content-Length', 'Content-Type', 'Key', 'Content-Digest']);
+
+/**
+ * Finds the well-known condition a name refers to, ignoring case and spelling `-` as `_`, as in `content_length`.
+ * @param {string} name - The condition name.
+ * @returns {typeof KNOWN_CONDITIONS[number] | undefined}
+ */
+function findKnownCondition(name) {
+  const normalizedName = name.toLowerCase().replace(/_/g, '-');
+  return KNOWN_CONDITIONS.find((condition) => condition.toLowerCase() === normalizedName);
+}
+
+/**
+ * @typedef {import('./schemas').ValidationCondition} ValidationCondition
+ */
+
+/**
+ * @typedef {(condition: ValidationCondition) => PolicyBuilder} SetCondition
+ */
+
+/**
+ * Operators for conditions on string values, such as `Content-Type` or `Key`.
+ */
+class StringConditionBuilder {
+  /**
+   * @type {SetCondition}
+   */
+  #set;
+
+  /**
+   * @param {SetCondition} set - Stores the condition and returns the policy builder.
+   */
+  constructor(set) {
+    this.#set = set;
+  }
+
+  /**
+   * @param {string} value - The exact value required.
+   */
+  equals(value) {
+    return this.#set(value);
+  }
+
+  /**
+   * @param {string} prefix - The prefix the value must start with.
+   */
+  startsWith(prefix) {
+    return this.#set({ startsWith: prefix });
+  }
+
+  /**
+   * @param {string} suffix - The suffix the value must end with.
+   */
+  endsWith(suffix) {
+    return this.#set({ endsWith: suffix });
+  }
+
+  /**
+   * @param {string[]} values - The allowed values.
+   */
+  oneOf(values) {
+    return this.#set({ oneOf: [...values] });
+  }
+}
+
+/**
+ * Operators for conditions on numeric values, such as `Content-Length`.
+ * An upper and a lower bound on the same value are merged into a range.
+ */
+class NumberConditionBuilder {
+  /**
+   * @type {SetCondition}
+   */
+  #set;
+
+  /**
+   * @type {() => ValidationCondition | undefined}
+   */
+  #get;
+
+  /**
+   * @param {SetCondition} set - Stores the condition and returns the policy builder.
+   * @param {() => ValidationCondition | undefined} get - Reads the current condition.
+   */
+  constructor(set, get) {
+    this.#set = set;
+    this.#get = get;
+  }
+
+  /**
+   * @param {number} value - The exact value required.
+   */
+  equals(value) {
+    return this.#set(value);
+  }
+
+  /**
+   * @param {number} max - The largest value allowed.
+   */
+  lte(max) {
+    const current = this.#get();
+    if (typeof current === 'object' && 'gte' in current) {
+      return this.#set({ range: [current.gte, max] });
+    }
+    return this.#set({ lte: max });
+  }
+
+  /**
+   * @param {number} min - The smallest value allowed.
+   */
+  gte(min) {
+    const current = this.#get();
+    if (typeof current === 'object' && 'lte' in current) {
+      return this.#set({ range: [min, current.lte] });
+    }
+    return this.#set({ gte: min });
+  }
+
+  /**
+   * @param {number} min - The smallest value allowed.
+   * @param {number} max - The largest value allowed.
+   */
+  range(min, max) {
+    return this.#set({ range: [min, max] });
+  }
+
+  /**
+   * @param {number[]} values - The allowed values.
+   */
+  oneOf(values) {
+    return this.#set({ oneOf: [...values] });
+  }
+}
+
+/**
+ * Operators for conditions on any other request header.
+ */
+class HeaderConditionBuilder {
+  /**
+   * @type {SetCondition}
+   */
+  #set;
+
+  /**
+   * @param {SetCondition} set - Stores the condition and returns the policy builder.
+   */
+  constructor(set) {
+    this.#set = set;
+  }
+
+  /**
+   * @param {string | number} value - The exact value required.
+   */
+  equals(value) {
+    return this.#set(value);
+  }
+
+  /**
+   * @param {string} prefix - The prefix the value must start with.
+   */
+  startsWith(prefix) {
+    return this.#set({ startsWith: prefix });
+  }
+
+  /**
+   * @param {string} suffix - The suffix the value must end with.
+   */
+  endsWith(suffix) {
+    return this.#set({ endsWith: suffix });
+  }
+
+  /**
+   * @param {number} max - The largest value allowed.
+   */
+  lte(max) {
+    return this.#set({ lte: max });
+  }
+
+  /**
+   * @param {number} min - The smallest value allowed.
+   */
+  gte(min) {
+    return this.#set({ gte: min });
+  }
+
+  /**
+   * @param {number} min - The smallest value allowed.
+   * @param {number} max - The largest value allowed.
+   */
+  range(min, max) {
+    return this.#set({ range: [min, max] });
+  }
+
+  /**
+   * @param {(string | number)[]} values - The allowed values.
+   */
+  oneOf(values) {
+    return this.#set({ oneOf: [...values] });
+  }
+}
+
+/**
+ * Prints a condition as the call of the builder operator that creates it.
+ * @param {ValidationCondition} condition
+ * @returns {string}
+ */
+function operatorCall(condition) {
+  if (typeof condition !== 'object') {
+    return `equals(${JSON.stringify(condition)})`;
+  }
+  if ('range' in condition) {
+    return `range(${condition.range[0]}, ${condition.range[1]})`;
+  }
+  const [[operator, operand]] = Object.entries(condition);
+  return `${operator}(${JSON.stringify(operand)})`;
+}
+
+/**
+ * Fluent builder for `apiPutV1` policies.
+ *
+ * The well-known conditions have dedicated, typed methods, so their names cannot be misspelled.
+ * Objects are private unless `public()` is called.
+ * @example
+ * const result = new PolicyBuilder()
+ *   .maxSize(10 * 1024 * 1024)
+ *   .contentType.oneOf(['image/png', 'image/jpeg'])
+ *   .keyPrefix('/uploads/')
+ *   .public()
+ *   .build();
+ */
+export class PolicyBuilder {
+  /**
+   * @type {Map<string, ValidationCondition>}
+   */
+  #conditions = new Map();
+
+  /**
+   * @type {'public' | 'private'}
+   */
+  #accessControl = 'private';
+
+  /**
+   * @type {string[]}
+   */
+  #issues = [];
+
+  /**
+   * @param {string} name
+   * @returns {SetCondition}
+   */
+  #setter(name) {
+    return (condition) => {
+      this.#conditions.set(name, condition);
+      return this;
+    };
+  }
+
+  /**
+   * Conditions on the size of the object in bytes.
+   */
+  get contentLength() {
+    return new NumberConditionBuilder(this.#setter('Content-Length'), () => this.#conditions.get('Content-Length'));
+  }
+
+  /**
+   * Conditions on the media type of the object.
+   */
+  get contentType() {
+    return new StringConditionBuilder(this.#setter('Content-Type'));
+  }
+
+  /**
+   * Conditions on the key (path) of the object.
+   */
+  get key() {
+    return new StringConditionBuilder(this.#setter('Key'));
+  }
+
+  /**
+   * Conditions on the RFC 9530 `Content-Digest` of the object, such as the exact digest of the content expected.
+   */
+  get contentDigest() {
+    return new StringConditionBuilder(this.#setter('Content-Digest'));
+  }
+
+  /**
+   * Conditions on any other request header, such as `Cache-Control`.
+   * Names of the well-known conditions are rejected by `build()`; use their dedicated methods instead.
+   * @param {string} name - The name of the header.
+   */
+  header(name) {
+    const known = findKnownCondition(name);
+    if (known) {
+      this.#issues.push(`Use the dedicated method for ${known} instead of header(${JSON.stringify(name)})`);
+    }
+    return new HeaderConditionBuilder(this.#setter(name));
+  }
+
+  /**
+   * Limits the size of the object.
+   * @param {number} bytes - The largest size allowed, in bytes.
+   */
+  maxSize(bytes) {
+    return this.contentLength.lte(bytes);
+  }
+
+  /**
+   * Requires a minimum size of the object.
+   * @param {number} bytes - The smallest size allowed, in bytes.
+   */
+  minSize(bytes) {
+    return this.contentLength.gte(bytes);
+  }
+
+  /**
+   * Restricts the key (path) of the object to a prefix.
+   * @param {string} prefix - The prefix the key must start with.
+   */
+  keyPrefix(prefix) {
+    return this.key.startsWith(prefix);
+  }
+
+  /**
+   * Requires the upload to carry a `Content-Digest` computed with an algorithm, which the service checks the content against.
+   * @param {import('./digest.js').DigestAlgorithm} algorithm - The hash algorithm.
+   */
+  requireDigest(algorithm) {
+    return this.contentDigest.startsWith(`${algorithm}=`);
+  }
+
+  /**
+   * Makes the object readable without a signature.
+   */
+  public() {
+    this.#accessControl = 'public';
+    return this;
+  }
+
+  /**
+   * Makes the object readable only with a signature. This is the default.
+   */
+  private() {
+    this.#accessControl = 'private';
+    return this;
+  }
+
+  /**
+   * Creates the policy and validates it against `ApiPutRequestValidationPolicySchema`.
+   * @returns {Result<import('./schemas').ApiPutRequestValidationPolicy, import('../dataplane/index.js').MedoroRequestError>}
+   */
+  build() {
+    if (this.#issues.length > 0) {
+      return err(requestError(null, {
+        type: 'validation_error',
+        message: `Invalid policy: ${this.#issues.join('; ')}`,
+        context: { issues: [...this.#issues] },
+      }));
+    }
+
+    const rawPolicy = {
+      apiPutV1: {
+        conditions: Object.fromEntries(this.#conditions),
+        accessControl: this.#accessControl,
+      },
+    };
+    const policyResult = ApiPutRequestValidationPolicySchema.safeParse(rawPolicy);
+    if (!policyResult.success) {
+      return err(requestError(null, {
+        type: 'validation_error',
+        message: 'The built policy does not match the policy schema',
+        context: { issues: policyResult.error.issues, rawData: rawPolicy },
+      }));
+    }
+    return ok(policyResult.data);
+  }
+
+  /**
+   * Prints the builder calls that recreate this policy.
+   * @returns {string}
+   */
+  toString() {
+    const lines = ['new PolicyBuilder()'];
+    for (const [name, condition] of this.#conditions) {
+      if (name === 'Content-Length' && typeof condition === 'object' && 'lte' in condition) {
+        lines.push(`.maxSize(${condition.lte})`);
+      } else if (name === 'Content-Length' && typeof condition === 'object' && 'gte' in condition) {
+        lines.push(`.minSize(${condition.gte})`);
+      } else if (name === 'Key' && typeof condition === 'object' && 'startsWith' in condition) {
+        lines.push(`.keyPrefix(${JSON.stringify(condition.startsWith)})`);
+      } else if (name === 'Content-Digest' && typeof condition === 'object' && 'startsWith' in condition && /^sha-(256|512)=$/.test(condition.startsWith)) {
+        lines.push(`.requireDigest(${JSON.stringify(condition.startsWith.slice(0, -1))})`);
+      } else if (name === 'Content-Length') {
+        lines.push(`.contentLength.${operatorCall(condition)}`);
+      } else if (name === 'Content-Type') {
+        lines.push(`.contentType.${operatorCall(condition)}`);
+      } else if (name === 'Key') {
+        lines.push(`.key.${operatorCall(condition)}`);
+      } else if (name === 'Content-Digest') {
+        lines.push(`.contentDigest.${operatorCall(condition)}`);
+      } else {
+        lines.push(`.header(${JSON.stringify(name)}).${operatorCall(condition)}`);
+      }
+    }
+    lines.push(`.${this.#accessControl}()`);
+    return lines.join('\n  ');
+  }
+
+  /**
+   * Creates a builder holding an existing policy.
+   * Condition names matching a well-known condition case-insensitively, with `_` or `-`, are normalized to it.
+   * @param {import('./schemas').ApiPutRequestValidationPolicy} policy - The policy to start from.
+   * @returns {PolicyBuilder}
+   */
+  static from(policy) {
+    const builder = new PolicyBuilder();
+    for (const [name, condition] of Object.entries(policy.apiPutV1.conditions)) {
+      builder.#conditions.set(findKnownCondition(name) ?? name, condition);
+    }
+    builder.#accessControl = policy.apiPutV1.accessControl;
+    return builder;
+  }
+
+  /**
+   * Creates a builder from the value of an `x-medoro-policy` query parameter.
+   * @param {string} value - The value of the parameter.
+   * @returns {Result<PolicyBuilder, import('../dataplane/index.js').MedoroRequestError>}
+   */
+  static decode(value) {
+    return decodePolicy(value).map((policy) => PolicyBuilder.from(policy));
+  }
+}
@@ -0,0 +1,199 @@
+import { Result, ok, err } from 'neverthrow';
+import { ApiPutRequestValidationPolicySchema } from './schemas/index.js';
+import { requestError } from '../dataplane/errors.js';
+
+/**
+ * Why a value of the request does not satisfy a policy condition.
+ * @typedef {'missing' | 'not_equal' | 'not_starts_with' | 'not_ends_with' | 'too_large' | 'too_small' | 'not_one_of' | 'out_of_range'} PolicyFailureReason
+ */
+
+/**
+ * A policy condition the request does not satisfy.
+ * @typedef {object} PolicyConditionFailure
+ * @property {string} name - The name of the condition, as written in the policy.
+ * @property {import('./schemas').ValidationCondition} condition - The condition itself.
+ * @property {string | number | undefined} actual - The value of the request, or undefined if it is missing.
+ * @property {PolicyFailureReason} reason - Why the value does not satisfy the condition.
+ * @property {string} message - A human-readable description of the failure.
+ */
+
+/**
+ * The outcome of evaluating a policy against a request.
+ * @typedef {object} PolicyEvaluation
+ * @property {boolean} allowed - Whether every condition is satisfied.
+ * @property {PolicyConditionFailure[]} failures - The conditions that are not satisfied.
+ */
+
+/**
+ * The values of an upload that policy conditions are evaluated against.
+ * Further properties are treated as request headers; their names are matched case-insensitively.
+ * @typedef {{ key?: string; contentLength?: number; contentType?: string; [header: string]: string | number | undefined }} PolicyRequestValues
+ */
+
+/**
+ * Looks up the value a condition applies to.
+ * `Content-Length`, `Content-Type` and `Key` map to the matching properties; any other name is looked up as a header.
+ * @param {string} name - The name of the condition.
+ * @param {PolicyRequestValues} values - The values of the request.
+ * @returns {string | number | undefined}
+ */
+function valueForCondition(name, { key, contentLength, contentType, ...headers }) {
+  const normalizedName = name.toLowerCase();
+  switch (normalizedName) {
+    case 'content-length':
+      return contentLength;
+    case 'content-type':
+      return contentType;
+    case 'key':
+      return key;
+    default: {
+      const header = Object.entries(headers).find(([headerName]) => headerName.toLowerCase() === normalizedName);
+      return header?.[1];
+    }
+  }
+}
+
+/**
+ * Checks one value against one condition.
+ * @param {string | number} value - The value of the request.
+ * @param {import('./schemas').ValidationCondition} condition - The condition of the policy.
+ * @returns {{ reason: PolicyFailureReason; message: string } | null} The failure, or null if the condition is satisfied.
+ */
+function checkCondition(value, condition) {
+  if (typeof condition === 'string') {
+    return String(value) === condition ? null : { reason: 'not_equal', message: `must equal "${condition}"` };
+  }
+  if (typeof condition === 'number') {
+    return Number(value) === condition ? null : { reason: 'not_equal', message: `must equal ${condition}` };
+  }
+  if ('startsWith' in condition) {
+    return String(value).startsWith(condition.startsWith) ? null : { reason: 'not_starts_with', message: `must start with "${condition.startsWith}"` };
+  }
+  if ('endsWith' in condition) {
+    return String(value).endsWith(condition.endsWith) ? null : { reason: 'not_ends_with', message: `must end with "${condition.endsWith}"` };
+  }
+  if ('lte' in condition) {
+    return Number(value) <= condition.lte ? null : { reason: 'too_large', message: `must be at most ${condition.lte}` };
+  }
+  if ('gte' in condition) {
+    return Number(value) >= condition.gte ? null : { reason: 'too_small', message: `must be at least ${condition.gte}` };
+  }
+  if ('oneOf' in condition) {
+    const matches = condition.oneOf.some((option) => (typeof option === 'number' ? Number(value) === option : String(value) === option));
+    return matches ? null : { reason: 'not_one_of', message: `must be one of ${condition.oneOf.map((option) => JSON.stringify(option)).join(', ')}` };
+  }
+  const [min, max] = condition.range;
+  return Number(value) >= min && Number(value) <= max ? null : { reason: 'out_of_range', message: `must be between ${min} and ${max}` };
+}
+
+/**
+ * Evaluates the conditions of an `apiPutV1` policy against the values of an upload, the way the service does.
+ * Use it to report validation errors before any bytes are sent, or before a signed upload URL is requested.
+ * @param {import('./schemas').ApiPutRequestValidationPolicy} policy - The policy to evaluate.
+ * @param {PolicyRequestValues} values - The values of the upload.
+ * @returns {PolicyEvaluation}
+ */
+export function evaluatePolicy(policy, values) {
+  /** @type {PolicyConditionFailure[]} */
+  const failures = [];
+  for (const [name, condition] of Object.entries(policy.apiPutV1.conditions)) {
+    const actual = valueForCondition(name, values);
+    if (actual === undefined) {
+      failures.push({ name, condition, actual, reason: 'missing', message: `${name} is required by the policy but missing` });
+      continue;
+    }
+    const failure = checkCondition(actual, condition);
+    if (failure) {
+      failures.push({ name, condition, actual, reason: failure.reason, message: `${name} ${failure.message}, got ${JSON.stringify(actual)}` });
+    }
+  }
+  return { allowed: failures.length === 0, failures };
+}
+
+/**
+ * Encodes a policy as the value of the `x-medoro-policy` query parameter.
+ * @param {import('./schemas').ApiPutRequestValidationPolicy} policy - The policy to encode.
+ * @returns {string}
+ */
+export function encodePolicy(policy) {
+  return btoa(JSON.stringify(policy));
+}
+
+/**
+ * Decodes and validates the value of an `x-medoro-policy` query parameter.
+ * @param {string} value - The value of the parameter.
+ * @returns {Result<import('./schemas').ApiPutRequestValidationPolicy, import('../dataplane/index.js').MedoroRequestError>}
+ */
+export function decodePolicy(value) {
+  /** @type {unknown} */
+  let rawPolicy;
+  try {
+    rawPolicy = JSON.parse(atob(value));
+  } catch (e) {
+    return err(requestError(null, {
+      type: 'validation_error',
+      message: `Failed to decode x-medoro-policy: ${e instanceof Error ? e.message : String(e)}`,
+      code: 'invalid_policy',
+    }));
+  }
+
+  const policyResult = ApiPutRequestValidationPolicySchema.safeParse(rawPolicy);
+  if (!policyResult.success) {
+    return err(requestError(null, {
+      type: 'validation_error',
+      message: 'x-medoro-policy does not match the policy schema',
+      code: 'invalid_policy',
+      context: { issues: policyResult.error.issues, rawData: rawPolicy },
+    }));
+  }
+  return ok(policyResult.data);
+}
+
+/**
+ * Finds the `Content-Length` condition of a policy, whose name is matched case-insensitively.
+ * @param {import('./schemas').ApiPutRequestValidationPolicy} policy
+ * @returns {[string, import('./schemas').ValidationCondition] | undefined}
+ */
+function contentLengthCondition(policy) {
+  return Object.entries(policy.apiPutV1.conditions).find(([name]) => name.toLowerCase() === 'content-length');
+}
+
+/**
+ * Computes the largest content length a policy can allow, to stop a streamed upload as soon as it is exceeded.
+ * @param {import('./schemas').ApiPutRequestValidationPolicy} policy - The policy of the upload.
+ * @returns {number} The largest allowed size in bytes, or Infinity if the policy sets no upper bound.
+ */
+export function maxContentLength(policy) {
+  const condition = contentLengthCondition(policy)?.[1];
+  if (typeof condition === 'number') {
+    return condition;
+  }
+  if (condition === undefined || typeof condition === 'string') {
+    return Infinity;
+  }
+  if ('lte' in condition) {
+    return condition.lte;
+  }
+  if ('range' in condition) {
+    return condition.range[1];
+  }
+  if ('oneOf' in condition && condition.oneOf.every((option) => typeof option === 'number')) {
+    return Math.max(...condition.oneOf);
+  }
+  return Infinity;
+}
+
+/**
+ * Evaluates only the `Content-Length` condition of a policy, for uploads whose size is known once they are sent.
+ * @param {import('./schemas').ApiPutRequestValidationPolicy} policy - The policy of the upload.
+ * @param {number} contentLength - The number of bytes sent.
+ * @returns {PolicyConditionFailure | null} The failure, or null if the size is allowed or the policy has no such condition.
+ */
+export function evaluateContentLength(policy, contentLength) {
+  const condition = contentLengthCondition(policy);
+  if (!condition) {
+    return null;
+  }
+  const { failures } = evaluatePolicy({ apiPutV1: { ...policy.apiPutV1, conditions: Object.fromEntries([condition]) } }, { contentLength });
+  return failures[0] ?? null;
+}
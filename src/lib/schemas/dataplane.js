@@ -0,0 +1,89 @@
+import { z } from 'zod/v4';
+
+export const BucketConfigSchema = z.object({
+    v1: z.object({
+        allowedPublicKeys: z.record(z.string(), z.object({ alg: z.literal('ed25519'), contentBase64: z.string().min(1), label: z.string().min(1) })),
+    }),
+});
+
+/**
+ * @typedef {z.infer<typeof BucketConfigSchema>} BucketConfig
+ */
+
+// Define Zod schemas for validation as the source of truth for types
+export const ValidationConditionSchema = z.union([
+    z.string(),
+    z.number(),
+    z.object({
+        startsWith: z.string()
+    }),
+    z.object({
+        endsWith: z.string()
+    }),
+    z.object({
+        lte: z.number()
+    }),
+    z.object({
+        gte: z.number()
+    }),
+    z.object({
+        oneOf: z.array(z.union([z.string(), z.number()]))
+    }),
+    z.object({
+        range: z.tuple([z.number(), z.number()])
+    })
+]);
+
+export const ApiPutRequestValidationPolicySchema = z.object({
+    apiPutV1: z.object({
+        conditions: z.record(z.string().min(1), ValidationConditionSchema),
+        accessControl: z.enum(['public', 'private']),
+    })
+});
+
+/**
+ * @typedef {z.infer<typeof ValidationConditionSchema>} ValidationCondition
+ */
+
+/**
+ * @typedef {z.infer<typeof ApiPutRequestValidationPolicySchema>} ApiPutRequestValidationPolicy
+ */
+
+// The envelope stored with an object encrypted by the client, in the `medoro-envelope` metadata
+export const EncryptionEnvelopeSchema = z.object({
+    v: z.literal(1),
+    alg: z.literal('A256GCM'),
+    kid: z.string().min(1),
+    key: z.string().min(1),
+    nonce: z.string().min(1),
+    chunkSize: z.number().int().positive(),
+});
+
+/**
+ * @typedef {z.infer<typeof EncryptionEnvelopeSchema>} EncryptionEnvelope
+ */
+
+// What a browser sends to the server to ask for a signed upload of a file
+export const UploadIntentSchema = z.object({
+    filename: z.string().min(1).max(1024),
+    size: z.number().int().nonnegative(),
+    // The `type` of a File, which is empty when the browser does not know it
+    type: z.string().max(255),
+});
+
+/**
+ * @typedef {z.infer<typeof UploadIntentSchema>} UploadIntent
+ */
+
+// What the server sends back to the browser: a signed URL and the headers the upload must carry
+export const SignedUploadSchema = z.object({
+    url: z.url(),
+    method: z.literal('PUT'),
+    key: z.string().min(1),
+    headers: z.record(z.string(), z.string()),
+    expiresAt: z.iso.datetime(),
+});
+
+/**
+ * @typedef {z.infer<typeof SignedUploadSchema>} SignedUpload
+ */
@@ -0,0 +1,150 @@
+import assert from 'node:assert';
+import { test, beforeEach, afterEach } from 'node:test';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Writable } from 'node:stream';
+import { run, EXIT_CODES } from '../../src/cli/index.js';
+import { createDataplaneEmulator } from '../../src/dataplane/emulator.js';
+import { generateKeyPair, exportPrivateKey, createAllowedPublicKeyEntry } from '../../src/lib/keys.js';
+
+/**
+ * A writable stream that keeps everything written to it.
+ */
+class Output extends Writable {
+  text = '';
+
+  /**
+   * @param {Buffer | string} chunk
+   * @param {BufferEncoding} _encoding
+   * @param {(error?: Error | null) => void} callback
+   */
+  _write(chunk, _encoding, callback) {
+    this.text += chunk.toString();
+    callback();
+  }
+}
+
+test.suite('medoro CLI', () => {
+  /** @type {string} */
+  let directory;
+  /** @type {NodeJS.ProcessEnv} */
+  let env;
+
+  /**
+   * @param {string[]} argv
+   */
+  const medoro = async (argv) => {
+    const stdout = new Output();
+    const stderr = new Output();
+    const exitCode = await run({ argv, env, stdout, stderr });
+    return { exitCode, stdout: stdout.text, stderr: stderr.text };
+  };
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'medoro-cli-'));
+
+    const keyPair = await generateKeyPair();
+    assert.ok(keyPair.isOk());
+    const pem = await exportPrivateKey({ privateKey: keyPair.value.privateKey, format: 'pem' });
+    const entry = await createAllowedPublicKeyEntry({ publicKey: keyPair.value.publicKey, label: 'cli', keyId: 'test-key-id' });
+    assert.ok(pem.isOk() && entry.isOk());
+
+    const emulator = createDataplaneEmulator({ bucketConfig: { v1: { allowedPublicKeys: entry.value } } });
+    test.mock.method(global, 'fetch', emulator.fetch);
+
+    env = {
+      MEDORO_ORIGIN: 'https://test-bucket.content-serve.com',
+      MEDORO_KEY_ID: 'test-key-id',
+      MEDORO_PRIVATE_KEY: /** @type {string} */ (pem.value.key),
+      MEDORO_CONFIG: join(directory, 'missing.json'),
+    };
+  });
+
+  afterEach(async () => {
+    test.mock.reset();
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  test('should upload, download and delete a file', async () => {
+    const file = join(directory, 'hello.txt');
+    await writeFile(file, 'Hello, World!');
+
+    const putResult = await medoro(['put', file, '/docs/hello.txt']);
+    assert.strictEqual(putResult.exitCode, 0, putResult.stderr);
+    assert.match(putResult.stdout, /^Uploaded .*hello\.txt to \/docs\/hello\.txt \(13 bytes, private\)\n$/);
+
+    const getResult = await medoro(['get', '/docs/hello.txt']);
+    assert.strictEqual(getResult.exitCode, 0, getResult.stderr);
+    assert.strictEqual(getResult.stdout, 'Hello, World!');
+
+    const output = join(directory, 'copy.txt');
+    const saveResult = await medoro(['get', '/docs/hello.txt', '-o', output, '--json']);
+    assert.strictEqual(saveResult.exitCode, 0, saveResult.stderr);
+    assert.deepStrictEqual(JSON.parse(saveResult.stdout), { key: '/docs/hello.txt', output });
+    assert.strictEqual(await readFile(output, 'utf8'), 'Hello, World!');
+
+    const rmResult = await medoro(['rm', '/docs/hello.txt']);
+    assert.strictEqual(rmResult.exitCode, 0, rmResult.stderr);
+
+    const missingResult = await medoro(['get', '/docs/hello.txt', '--json']);
+    assert.strictEqual(missingResult.exitCode, EXIT_CODES.not_found);
+    assert.strictEqual(JSON.parse(missingResult.stderr).error.type, 'not_found');
+  });
+
+  test('should refuse files larger than --max-size before uploading', async () => {
+    const file = join(directory, 'large.bin');
+    await writeFile(file, new Uint8Array(2048));
+
+    const result = await medoro(['put', file, '/large.bin', '--max-size', '1K']);
+
+    assert.strictEqual(result.exitCode, EXIT_CODES.policy_violation);
+    assert.strictEqual(/** @type {import('node:test').Mock<typeof fetch>} */ (global.fetch).mock.callCount(), 0);
+  });
+
+  test('should print signed URLs', async () => {
+    const result = await medoro(['sign', 'put', '/uploads/a.png', '--expires', '60', '--content-type', 'image/png', '--json']);
+
+    assert.strictEqual(result.exitCode, 0, result.stderr);
+    const { url, method, expiresAt } = JSON.parse(result.stdout);
+    assert.strictEqual(method, 'PUT');
+    assert.strictEqual(new URL(url).pathname, '/uploads/a.png');
+    assert.ok(new URL(url).searchParams.has('x-medoro-policy'));
+    assert.ok(Date.parse(expiresAt) > Date.now());
+
+    const getResult = await medoro(['sign', 'get', '/uploads/a.png']);
+    assert.strictEqual(getResult.exitCode, 0, getResult.stderr);
+    assert.match(getResult.stdout, /^https:\/\/test-bucket\.content-serve\.com\/uploads\/a\.png\?/);
+  });
+
+  test('should read the selected profile of the config file', async () => {
+    const config = join(directory, 'config.json');
+    await writeFile(config, JSON.stringify({
+      profiles: { staging: { origin: env.MEDORO_ORIGIN, keyId: env.MEDORO_KEY_ID, privateKey: env.MEDORO_PRIVATE_KEY } },
+    }));
+    env = { MEDORO_CONFIG: config };
+
+    const result = await medoro(['sign', 'get', '/a.txt', '--profile', 'staging']);
+    assert.strictEqual(result.exitCode, 0, result.stderr);
+
+    const missingResult = await medoro(['sign', 'get', '/a.txt', '--profile', 'production']);
+    assert.strictEqual(missingResult.exitCode, EXIT_CODES.config_error);
+    assert.match(missingResult.stderr, /Profile production not found/);
+  });
+
+  test('should report usage and configuration errors', async () => {
+    const helpResult = await medoro(['--help']);
+    assert.strictEqual(helpResult.exitCode, 0);
+    assert.match(helpResult.stdout, /^Usage: medoro/);
+
+    assert.strictEqual((await medoro([])).exitCode, EXIT_CODES.usage);
+    assert.strictEqual((await medoro(['list'])).exitCode, EXIT_CODES.usage);
+    assert.strictEqual((await medoro(['get', '--unknown'])).exitCode, EXIT_CODES.usage);
+    assert.strictEqual((await medoro(['sign', 'delete', '/a.txt'])).exitCode, EXIT_CODES.usage);
+
+    env = { MEDORO_CONFIG: join(directory, 'missing.json') };
+    const configResult = await medoro(['rm', '/a.txt']);
+    assert.strictEqual(configResult.exitCode, EXIT_CODES.config_error);
+    assert.match(configResult.stderr, /must be configured/);
+  });
+});
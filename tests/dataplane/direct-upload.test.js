@@ -0,0 +1,234 @@
+import assert from 'node:assert';
+import { test, beforeEach, afterEach } from 'node:test';
+import { MedoroDataplaneClient, createSignedUpload, uploadToSignedUrl } from '../../src/dataplane/index.js';
+import { createDataplaneEmulator } from '../../src/dataplane/emulator.js';
+import { decodePolicy } from '../../src/lib/policy.js';
+
+test.suite('direct uploads', () => {
+  /** @type {MedoroDataplaneClient} */
+  let client;
+  /** @type {ReturnType<typeof createDataplaneEmulator>} */
+  let emulator;
+
+  const file = new File(['Hello Medoro!'], 'Greeting.TXT', { type: 'text/plain' });
+  const intent = { filename: file.name, size: file.size, type: file.type };
+
+  /**
+   * @param {Partial<Parameters<typeof createSignedUpload>[0]>} [params]
+   */
+  const signUpload = (params) => createSignedUpload({
+    client,
+    intent,
+    keyTemplate: 'uploads/{userId}/{uuid}{ext}',
+    keyParams: { userId: 'user-42' },
+    maxSize: 1024,
+    ...params,
+  });
+
+  beforeEach(async () => {
+    const keyPair = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+    const publicKey = new Uint8Array(await crypto.subtle.exportKey('raw', keyPair.publicKey));
+    emulator = createDataplaneEmulator({
+      bucketConfig: {
+        v1: {
+          allowedPublicKeys: {
+            'test-key-id': { alg: 'ed25519', contentBase64: btoa(String.fromCharCode(...publicKey)), label: 'test key' },
+          },
+        },
+      },
+    });
+    test.mock.method(global, 'fetch', emulator.fetch);
+
+    client = new MedoroDataplaneClient({ origin: 'https://test-bucket.content-serve.com', privateKey: keyPair.privateKey, keyId: 'test-key-id' });
+  });
+
+  afterEach(() => {
+    test.mock.reset();
+  });
+
+  test('should sign an upload constrained to the file and upload it', async () => {
+    const signedResult = await signUpload({ allowedTypes: ['text/*'] });
+    assert.ok(signedResult.isOk());
+    const signed = signedResult.value;
+    assert.match(signed.key, /^\/uploads\/user-42\/[0-9a-f-]{36}\.txt$/);
+    assert.strictEqual(signed.method, 'PUT');
+    assert.deepStrictEqual(signed.headers, { 'content-type': 'text/plain' });
+
+    const policy = decodePolicy(new URL(signed.url).searchParams.get('x-medoro-policy') ?? '');
+    assert.ok(policy.isOk());
+    assert.deepStrictEqual(policy.value.apiPutV1, {
+      conditions: { Key: signed.key, 'Content-Length': 13, 'Content-Type': 'text/plain' },
+      accessControl: 'private',
+    });
+
+    // The handoff is serialized between the server and the browser
+    const uploadResult = await uploadToSignedUrl(file, JSON.parse(JSON.stringify(signed)));
+    assert.ok(uploadResult.isOk());
+    assert.strictEqual(uploadResult.value.key, signed.key);
+
+    const stored = await emulator.store.get(signed.key);
+    assert.strictEqual(new TextDecoder().decode(stored?.body), 'Hello Medoro!');
+    assert.strictEqual(stored?.contentType, 'text/plain');
+  });
+
+  test('should guess the content type of a file the browser does not know', async () => {
+    const signedResult = await signUpload({ intent: { filename: 'photo.JPG', size: 10, type: '' }, keyTemplate: '/photos/{uuid}{ext}' });
+
+    assert.ok(signedResult.isOk());
+    assert.match(signedResult.value.key, /^\/photos\/[0-9a-f-]{36}\.jpg$/);
+    assert.strictEqual(signedResult.value.headers['content-type'], 'image/jpeg');
+  });
+
+  test('should refuse intents outside of the limits', async () => {
+    const tooLarge = await signUpload({ maxSize: 10 });
+    assert.ok(tooLarge.isErr());
+    assert.strictEqual(tooLarge.error.type, 'validation_error');
+    assert.strictEqual(tooLarge.error.code, 'file_too_large');
+    assert.strictEqual(tooLarge.error.key, 'uploads/{userId}/{uuid}{ext}');
+    assert.strictEqual(tooLarge.error.method, 'PUT');
+
+    const wrongType = await signUpload({ allowedTypes: ['image/*', 'application/pdf'] });
+    assert.ok(wrongType.isErr());
+    assert.strictEqual(wrongType.error.code, 'type_not_allowed');
+
+    const invalid = await signUpload({ intent: { filename: 'greeting.txt', size: -1 } });
+    assert.ok(invalid.isErr());
+    assert.strictEqual(invalid.error.code, 'invalid_intent');
+
+    const traversal = await signUpload({ keyParams: { userId: '../admin' } });
+    assert.ok(traversal.isErr());
+    assert.strictEqual(traversal.error.code, 'invalid_key_template');
+
+    const missing = await signUpload({ keyParams: {} });
+    assert.ok(missing.isErr());
+    assert.strictEqual(missing.error.message, 'Invalid key template: {userId} has no value');
+  });
+
+  test('should refuse a file that does not match the signed upload before sending it', async () => {
+    const signedResult = await signUpload();
+    assert.ok(signedResult.isOk());
+    const fetchCalls = /** @type {import('node:test').Mock<typeof global.fetch>} */ (global.fetch).mock.callCount();
+
+    const result = await uploadToSignedUrl(new File(['Hello Mallory!'], 'greeting.txt'), signedResult.value);
+    assert.ok(result.isErr());
+    assert.strictEqual(result.error.type, 'policy_violation');
+    assert.strictEqual(result.error.key, signedResult.value.key);
+    assert.strictEqual(/** @type {import('node:test').Mock<typeof global.fetch>} */ (global.fetch).mock.callCount(), fetchCalls);
+
+    const invalid = await uploadToSignedUrl(file, { ...signedResult.value, method: 'POST' });
+    assert.ok(invalid.isErr());
+    assert.strictEqual(invalid.error.type, 'validation_error');
+  });
+
+  test('should retry failed uploads and report the errors of the service', async () => {
+    const signedResult = await signUpload();
+    assert.ok(signedResult.isOk());
+
+    let calls = 0;
+    test.mock.method(global, 'fetch', (/** @type {RequestInfo | URL} */ input, /** @type {RequestInit | undefined} */ init) => {
+      calls++;
+      return calls === 1 ? Promise.reject(new TypeError('Network request failed')) : emulator.fetch(input, init);
+    });
+    const retried = await uploadToSignedUrl(file, signedResult.value, { retry: { maxAttempts: 2, baseDelayMs: 1 } });
+    assert.ok(retried.isOk());
+    assert.strictEqual(calls, 2);
+
+    // Signed with a key the bucket does not allow
+    const otherKeyPair = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+    client = new MedoroDataplaneClient({ origin: 'https://test-bucket.content-serve.com', privateKey: otherKeyPair.privateKey, keyId: 'test-key-id' });
+    const rejectedResult = await signUpload();
+    assert.ok(rejectedResult.isOk());
+    const rejected = await uploadToSignedUrl(file, rejectedResult.value);
+    assert.ok(rejected.isErr());
+    assert.strictEqual(rejected.error.type, 'signature_error');
+    assert.strictEqual(rejected.error.status, 401);
+    assert.strictEqual(rejected.error.attempts, 1);
+  });
+
+  test('should report progress and abort with XMLHttpRequest in browsers', async (t) => {
+    const signedResult = await signUpload();
+    assert.ok(signedResult.isOk());
+
+    // Sends the request with the emulator, and reports the progress halfway and at the end
+    class FakeXMLHttpRequest {
+      upload = { onprogress: /** @type {((event: { loaded: number }) => void) | null} */ (null) };
+      status = 0;
+      statusText = '';
+      responseText = '';
+      /** @type {Headers} */
+      responseHeaders = new Headers();
+      /** @type {Headers} */
+      requestHeaders = new Headers();
+      url = '';
+      aborted = false;
+      /** @type {(() => void) | null} */ onload = null;
+      /** @type {(() => void) | null} */ onerror = null;
+      /** @type {(() => void) | null} */ onabort = null;
+
+      /**
+       * @param {string} _method
+       * @param {string} url
+       */
+      open(_method, url) {
+        this.url = url;
+      }
+
+      /**
+       * @param {string} name
+       * @param {string} value
+       */
+      setRequestHeader(name, value) {
+        this.requestHeaders.set(name, value);
+      }
+
+      getAllResponseHeaders() {
+        return [...this.responseHeaders].map(([name, value]) => `${name}: ${value}\r\n`).join('');
+      }
+
+      abort() {
+        this.aborted = true;
+        this.onabort?.();
+      }
+
+      /**
+       * @param {Blob} body
+       */
+      async send(body) {
+        this.upload.onprogress?.({ loaded: body.size / 2 });
+        if (FakeXMLHttpRequest.stall || this.aborted) {
+          return;
+        }
+        const response = await emulator.fetch(this.url, { method: 'PUT', headers: this.requestHeaders, body });
+        this.upload.onprogress?.({ loaded: body.size });
+        this.status = response.status;
+        this.statusText = response.statusText;
+        this.responseHeaders = response.headers;
+        this.responseText = await response.text();
+        this.onload?.();
+      }
+
+      static stall = false;
+    }
+    Object.defineProperty(globalThis, 'XMLHttpRequest', { value: FakeXMLHttpRequest, configurable: true });
+    t.after(() => {
+      delete (/** @type {any} */ (globalThis)).XMLHttpRequest;
+    });
+
+    /** @type {import('../../src/dataplane/index.js').TransferProgress[]} */
+    const progress = [];
+    const result = await uploadToSignedUrl(file, signedResult.value, { onProgress: (event) => progress.push(event) });
+    assert.ok(result.isOk());
+    assert.deepStrictEqual(progress, [
+      { direction: 'upload', loaded: 6.5, total: 13 },
+      { direction: 'upload', loaded: 13, total: 13 },
+    ]);
+
+    FakeXMLHttpRequest.stall = true;
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 10);
+    const aborted = await uploadToSignedUrl(file, signedResult.value, { signal: controller.signal });
+    assert.ok(aborted.isErr());
+    assert.strictEqual(aborted.error.type, 'aborted');
+    assert.strictEqual(aborted.error.attempts, 1);
+  });
+});
@@ -0,0 +1,265 @@
+import assert from 'node:assert';
+import { test, beforeEach, afterEach } from 'node:test';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { MedoroDataplaneClient, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand, ListObjectsCommand } from '../../src/dataplane/index.js';
+import { createDataplaneEmulator, DirectoryObjectStore } from '../../src/dataplane/emulator.js';
+
+test.suite('createDataplaneEmulator', () => {
+  /** @type {MedoroDataplaneClient} */
+  let client;
+  /** @type {import('../../src/lib/schemas').BucketConfig} */
+  let bucketConfig;
+
+  /**
+   * @param {'public' | 'private'} accessControl
+   * @returns {import('../../src/lib/schemas').ApiPutRequestValidationPolicy}
+   */
+  const policy = (accessControl) => ({
+    apiPutV1: {
+      conditions: { 'Content-Length': { lte: 100 } },
+      accessControl,
+    },
+  });
+
+  /**
+   * @param {import('../../src/dataplane/emulator.js').ObjectStore} [store]
+   */
+  const installEmulator = (store) => {
+    const emulator = createDataplaneEmulator({ bucketConfig, store });
+    test.mock.method(global, 'fetch', emulator.fetch);
+    return emulator;
+  };
+
+  beforeEach(async () => {
+    const keyPair = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+    const publicKey = new Uint8Array(await crypto.subtle.exportKey('raw', keyPair.publicKey));
+
+    client = new MedoroDataplaneClient({
+      origin: 'https://test-bucket.content-serve.com',
+      privateKey: keyPair.privateKey,
+      keyId: 'test-key-id',
+    });
+    bucketConfig = {
+      v1: {
+        allowedPublicKeys: {
+          'test-key-id': { alg: 'ed25519', contentBase64: btoa(String.fromCharCode(...publicKey)), label: 'test key' },
+        },
+      },
+    };
+  });
+
+  afterEach(() => {
+    test.mock.reset();
+  });
+
+  test('should store, read and delete objects', async () => {
+    installEmulator();
+
+    const putResult = await client.send({ command: new PutObjectCommand({ key: '/test-key', content: 'Hello Medoro!', policy: policy('private') }) });
+    assert.ok(putResult.isOk());
+    assert.deepStrictEqual(putResult.value, {
+      key: '/test-key',
+      bucket: 'test-bucket',
+      accessControl: 'private',
+      message: 'Object uploaded successfully',
+    });
+
+    const getResult = await client.send({ command: new GetObjectCommand({ key: '/test-key' }) });
+    assert.ok(getResult.isOk());
+    assert.ok('outcome' in getResult.value && getResult.value.outcome === 'full');
+    assert.strictEqual(await getResult.value.response.text(), 'Hello Medoro!');
+
+    const headResult = await client.send({ command: new HeadObjectCommand({ key: '/test-key' }) });
+    assert.ok(headResult.isOk());
+    assert.ok(!(headResult.value instanceof Response) && 'contentLength' in headResult.value);
+    assert.strictEqual(headResult.value.contentLength, 13);
+    assert.strictEqual(headResult.value.accessControl, 'private');
+
+    const deleteResult = await client.send({ command: new DeleteObjectCommand({ key: '/test-key' }) });
+    assert.ok(deleteResult.isOk());
+
+    const missingResult = await client.send({ command: new HeadObjectCommand({ key: '/test-key' }) });
+    assert.ok(missingResult.isErr());
+    assert.strictEqual(missingResult.error.type, 'not_found');
+  });
+
+  test('should reject uploads that break their policy', async () => {
+    installEmulator();
+
+    const content = 'x'.repeat(101);
+    const result = await client.send({ command: new PutObjectCommand({ key: '/test-key', content, policy: policy('public') }) });
+    assert.ok(result.isErr());
+    assert.strictEqual(result.error.type, 'policy_violation');
+    assert.strictEqual(result.error.code, '403');
+  });
+
+  test('should reject requests signed with an unknown key', async () => {
+    installEmulator();
+    const keyPair = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+    const otherClient = new MedoroDataplaneClient({
+      origin: 'https://test-bucket.content-serve.com',
+      privateKey: keyPair.privateKey,
+      keyId: 'other-key-id',
+    });
+
+    const result = await otherClient.send({ command: new DeleteObjectCommand({ key: '/test-key' }) });
+    assert.ok(result.isErr());
+    assert.strictEqual(result.error.type, 'signature_error');
+    assert.strictEqual(result.error.code, '401');
+  });
+
+  test('should only serve public objects without a signature', async () => {
+    const emulator = installEmulator();
+    await client.send({ command: new PutObjectCommand({ key: '/public', content: 'public', policy: policy('public') }) });
+    await client.send({ command: new PutObjectCommand({ key: '/private', content: 'private', policy: policy('private') }) });
+
+    const publicResponse = await emulator.fetch('https://test-bucket.content-serve.com/public');
+    assert.strictEqual(publicResponse.status, 200);
+    assert.strictEqual(await publicResponse.text(), 'public');
+
+    const privateResponse = await emulator.fetch('https://test-bucket.content-serve.com/private');
+    assert.strictEqual(privateResponse.status, 403);
+    assert.deepStrictEqual(await privateResponse.json(), {
+      success: false,
+      error: { code: '403', type: 'access_denied', message: 'The object is private' },
+    });
+  });
+
+  test('should serve byte ranges and conditional reads', async () => {
+    installEmulator();
+    await client.send({ command: new PutObjectCommand({ key: '/video', content: '0123456789', policy: policy('private') }) });
+
+    const rangeResult = await client.send({ command: new GetObjectCommand({ key: '/video', range: { suffix: 3 } }) });
+    assert.ok(rangeResult.isOk());
+    assert.ok('outcome' in rangeResult.value && rangeResult.value.outcome === 'partial');
+    assert.deepStrictEqual(rangeResult.value.contentRange, { start: 7, end: 9, size: 10 });
+    assert.strictEqual(await rangeResult.value.response.text(), '789');
+
+    const headResult = await client.send({ command: new HeadObjectCommand({ key: '/video' }) });
+    assert.ok(headResult.isOk() && 'etag' in headResult.value);
+    const etag = headResult.value.etag ?? '';
+
+    const cachedResult = await client.send({ command: new GetObjectCommand({ key: '/video', ifNoneMatch: etag }) });
+    assert.ok(cachedResult.isOk());
+    assert.ok('outcome' in cachedResult.value && cachedResult.value.outcome === 'not_modified');
+
+    const outOfRangeResult = await client.send({ command: new GetObjectCommand({ key: '/video', range: { start: 10 } }) });
+    assert.ok(outOfRangeResult.isErr());
+    assert.strictEqual(outOfRangeResult.error.type, 'range_not_satisfiable');
+    assert.deepStrictEqual(outOfRangeResult.error.context, { size: 10 });
+  });
+
+  test('should list objects page by page', async () => {
+    installEmulator();
+    for (const key of ['/photos/a.jpg', '/photos/2024/b.jpg', '/photos/c.jpg', '/docs/d.txt']) {
+      await client.send({ command: new PutObjectCommand({ key, content: key, policy: policy('private') }) });
+    }
+
+    const keys = [];
+    for await (const result of client.listAll({ prefix: '/photos/', limit: 1 })) {
+      assert.ok(result.isOk());
+      keys.push(result.value.key);
+    }
+    assert.deepStrictEqual(keys, ['/photos/2024/b.jpg', '/photos/a.jpg', '/photos/c.jpg']);
+  });
+
+  test('should store the signed headers and metadata of uploads', async () => {
+    installEmulator();
+    const command = new PutObjectCommand({
+      key: '/report.pdf',
+      content: 'Hello Medoro!',
+      policy: policy('private'),
+      contentType: 'application/pdf',
+      cacheControl: 'max-age=3600',
+      contentDisposition: 'attachment; filename="report.pdf"',
+      metadata: { Author: 'Ada', 'project-id': '42' },
+    });
+    assert.ok((await client.send({ command })).isOk());
+
+    const expected = {
+      contentType: 'application/pdf',
+      cacheControl: 'max-age=3600',
+      contentDisposition: 'attachment; filename="report.pdf"',
+      metadata: { author: 'Ada', 'project-id': '42' },
+    };
+    const headResult = await client.send({ command: new HeadObjectCommand({ key: '/report.pdf' }) });
+    assert.ok(headResult.isOk());
+    const { contentType, cacheControl, contentDisposition, metadata } = headResult.value;
+    assert.deepStrictEqual({ contentType, cacheControl, contentDisposition, metadata }, expected);
+
+    const getResult = await client.send({ command: new GetObjectCommand({ key: '/report.pdf' }) });
+    assert.ok(getResult.isOk() && getResult.value.outcome === 'full');
+    assert.deepStrictEqual(getResult.value.metadata.metadata, expected.metadata);
+    assert.strictEqual(getResult.value.metadata.cacheControl, 'max-age=3600');
+  });
+
+  test('should reject metadata headers that are not signed', async () => {
+    const emulator = installEmulator();
+    const signedUrl = await client.createSignedUrl({ command: new PutObjectCommand({ key: '/a.txt', content: 'a', policy: policy('private') }) });
+    assert.ok(signedUrl.isOk());
+
+    // The header is added to a request signed without it
+    const response = await emulator.fetch(signedUrl.value.signedUrl, { method: 'PUT', body: 'a', headers: { 'x-medoro-meta-author': 'Mallory' } });
+
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual((await response.json()).error.details.reason, 'unsigned_header');
+    assert.deepStrictEqual(await emulator.store.keys(), []);
+  });
+
+  test('should check the Content-Digest of uploads and send it with content', async () => {
+    const emulator = installEmulator();
+    const command = new PutObjectCommand({ key: '/a.txt', content: 'Hello Medoro!', policy: policy('private'), digest: 'sha-512' });
+    assert.ok((await client.send({ command })).isOk());
+
+    const getResult = await client.send({ command: new GetObjectCommand({ key: '/a.txt', range: { start: 6 } }) });
+    assert.ok(getResult.isOk() && getResult.value.outcome === 'partial');
+    assert.match(getResult.value.response.headers.get('content-digest') ?? '', /^sha-256=:/);
+    assert.strictEqual(await getResult.value.response.text(), 'Medoro!');
+
+    // The digest of other content is signed, as a client would after reading a file that changed since
+    const tampered = new PutObjectCommand({ key: '/b.txt', content: 'Hello Mallory', policy: policy('private'), contentDigest: command.headers.get('content-digest') ?? '' });
+    const tamperedResult = await client.send({ command: tampered });
+    assert.ok(tamperedResult.isErr());
+    assert.strictEqual(tamperedResult.error.type, 'integrity_error');
+    // Sending the same content again would fail the same way
+    assert.strictEqual(tamperedResult.error.retryable, false);
+    assert.deepStrictEqual(tamperedResult.error.details, { reason: 'digest_mismatch', algorithm: 'sha-512' });
+    assert.deepStrictEqual(await emulator.store.keys(), ['/a.txt']);
+  });
+
+  test('should keep objects in a directory', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'medoro-emulator-'));
+    try {
+      installEmulator(new DirectoryObjectStore({ directory }));
+      await client.send({ command: new PutObjectCommand({ key: '/nested/test-key', content: 'Hello Medoro!', policy: policy('public') }) });
+
+      // A new emulator on the same directory sees the object written by the first one
+      const emulator = createDataplaneEmulator({ bucketConfig, store: new DirectoryObjectStore({ directory }) });
+      const response = await emulator.fetch('https://test-bucket.content-serve.com/nested/test-key');
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(await response.text(), 'Hello Medoro!');
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('should keep JSON objects in a directory apart from the metadata', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'medoro-emulator-'));
+    try {
+      const store = new DirectoryObjectStore({ directory });
+      installEmulator(store);
+      const putResult = await client.send({ command: new PutObjectCommand({ key: '/data.json', content: '{"a":1}', policy: policy('private') }) });
+      assert.ok(putResult.isOk());
+
+      assert.deepStrictEqual(await store.keys(), ['/data.json']);
+      const listResult = await client.send({ command: new ListObjectsCommand({ prefix: '/' }) });
+      assert.ok(listResult.isOk());
+      assert.deepStrictEqual(listResult.value.objects.map((object) => object.key), ['/data.json']);
+      assert.strictEqual(new TextDecoder().decode((await store.get('/data.json'))?.body), '{"a":1}');
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+});
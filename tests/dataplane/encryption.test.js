@@ -0,0 +1,119 @@
+import assert from 'node:assert';
+import { test, beforeEach, afterEach } from 'node:test';
+import { MedoroDataplaneClient, EncryptedDataplaneClient, PutObjectCommand, GetObjectCommand, HeadObjectCommand } from '../../src/dataplane/index.js';
+import { createDataplaneEmulator } from '../../src/dataplane/emulator.js';
+
+test.suite('EncryptedDataplaneClient', () => {
+  /** @type {MedoroDataplaneClient} */
+  let client;
+  /** @type {EncryptedDataplaneClient} */
+  let encryptedClient;
+  /** @type {ReturnType<typeof createDataplaneEmulator>} */
+  let emulator;
+
+  /** @type {import('../../src/lib/schemas').ApiPutRequestValidationPolicy} */
+  const policy = { apiPutV1: { conditions: { 'Content-Length': { lte: 13 } }, accessControl: 'private' } };
+
+  const newKeyEncryptionKey = () => crypto.subtle.generateKey({ name: 'AES-KW', length: 256 }, false, ['wrapKey', 'unwrapKey']);
+
+  beforeEach(async () => {
+    const keyPair = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+    const publicKey = new Uint8Array(await crypto.subtle.exportKey('raw', keyPair.publicKey));
+    emulator = createDataplaneEmulator({
+      bucketConfig: {
+        v1: {
+          allowedPublicKeys: {
+            'test-key-id': { alg: 'ed25519', contentBase64: btoa(String.fromCharCode(...publicKey)), label: 'test key' },
+          },
+        },
+      },
+    });
+    test.mock.method(global, 'fetch', emulator.fetch);
+
+    client = new MedoroDataplaneClient({ origin: 'https://test-bucket.content-serve.com', privateKey: keyPair.privateKey, keyId: 'test-key-id' });
+    encryptedClient = new EncryptedDataplaneClient({ client, keyId: 'kek-1', keyEncryptionKey: await newKeyEncryptionKey(), chunkSize: 4 });
+  });
+
+  afterEach(() => {
+    test.mock.reset();
+  });
+
+  test('should store ciphertext and read back the plaintext', async () => {
+    const command = new PutObjectCommand({ key: '/secret.txt', content: 'Hello Medoro!', policy, metadata: { owner: 'ada' }, digest: 'sha-256' });
+    assert.ok((await encryptedClient.send({ command })).isOk());
+
+    const stored = await emulator.store.get('/secret.txt');
+    assert.strictEqual(stored?.body.byteLength, 13 + 4 * 16);
+    assert.ok(!new TextDecoder().decode(stored?.body).includes('Medoro'));
+    assert.strictEqual(stored?.contentType, 'text/plain;charset=UTF-8');
+
+    const getResult = await encryptedClient.send({ command: new GetObjectCommand({ key: '/secret.txt' }) });
+    assert.ok(getResult.isOk() && getResult.value.outcome === 'full');
+    assert.strictEqual(getResult.value.metadata.contentLength, 13);
+    assert.deepStrictEqual(getResult.value.metadata.metadata, { owner: 'ada' });
+    assert.strictEqual(await getResult.value.response.text(), 'Hello Medoro!');
+
+    const headResult = await encryptedClient.send({ command: new HeadObjectCommand({ key: '/secret.txt' }) });
+    assert.ok(headResult.isOk());
+    assert.strictEqual(headResult.value.contentLength, 13);
+  });
+
+  test('should encrypt streamed content as it is sent', async () => {
+    async function* chunks() {
+      yield new TextEncoder().encode('Hello ');
+      yield new TextEncoder().encode('Medoro!');
+    }
+    const command = new PutObjectCommand({ key: '/stream.txt', content: chunks(), contentLength: 13, policy });
+    assert.ok((await encryptedClient.send({ command })).isOk());
+
+    const getResult = await encryptedClient.send({ command: new GetObjectCommand({ key: '/stream.txt' }) });
+    assert.ok(getResult.isOk() && getResult.value.outcome === 'full');
+    assert.strictEqual(await getResult.value.response.text(), 'Hello Medoro!');
+  });
+
+  test('should check the policy against the plaintext size', async () => {
+    const command = new PutObjectCommand({ key: '/too-large.txt', content: 'Hello Medoro!!', policy });
+    const result = await encryptedClient.send({ command });
+
+    assert.ok(result.isErr());
+    assert.strictEqual(result.error.type, 'policy_violation');
+  });
+
+  test('should fail to decrypt with another key or modified content', async () => {
+    await encryptedClient.send({ command: new PutObjectCommand({ key: '/secret.txt', content: 'Hello Medoro!', policy }) });
+
+    const otherClient = new EncryptedDataplaneClient({ client, keyId: 'kek-1', keyEncryptionKey: await newKeyEncryptionKey() });
+    const otherResult = await otherClient.send({ command: new GetObjectCommand({ key: '/secret.txt' }) });
+    assert.ok(otherResult.isErr());
+    assert.strictEqual(otherResult.error.type, 'encryption_error');
+
+    const stored = /** @type {import('../../src/dataplane/emulator.js').StoredObject} */ (await emulator.store.get('/secret.txt'));
+    stored.body[0] ^= 1;
+    const modifiedResult = await encryptedClient.send({ command: new GetObjectCommand({ key: '/secret.txt', verifyDigest: false }) });
+    assert.ok(modifiedResult.isOk() && modifiedResult.value.outcome === 'full');
+    await assert.rejects(modifiedResult.value.response.text(), { type: 'encryption_error', key: '/secret.txt' });
+
+    const plaintextResult = await client.send({ command: new PutObjectCommand({ key: '/plain.txt', content: 'Hello', policy }) });
+    assert.ok(plaintextResult.isOk());
+    const unencryptedResult = await encryptedClient.send({ command: new GetObjectCommand({ key: '/plain.txt' }) });
+    assert.ok(unencryptedResult.isErr());
+    assert.strictEqual(unencryptedResult.error.message, 'The object /plain.txt is not encrypted');
+  });
+
+  test('should fail to decrypt an object stored under another key', async () => {
+    await encryptedClient.send({ command: new PutObjectCommand({ key: '/secret.txt', content: 'Hello Medoro!', policy }) });
+    const stored = /** @type {import('../../src/dataplane/emulator.js').StoredObject} */ (await emulator.store.get('/secret.txt'));
+    await emulator.store.put('/public/secret.txt', stored);
+
+    const movedResult = await encryptedClient.send({ command: new GetObjectCommand({ key: '/public/secret.txt' }) });
+    assert.ok(movedResult.isOk() && movedResult.value.outcome === 'full');
+    await assert.rejects(movedResult.value.response.text(), { type: 'encryption_error', key: '/public/secret.txt' });
+  });
+
+  test('should reject range reads', async () => {
+    const result = await encryptedClient.send({ command: new GetObjectCommand({ key: '/secret.txt', range: { start: 0 } }) });
+
+    assert.ok(result.isErr());
+    assert.strictEqual(result.error.type, 'validation_error');
+  });
+});
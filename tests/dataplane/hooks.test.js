@@ -0,0 +1,88 @@
+import assert from 'node:assert';
+import { test } from 'node:test';
+import { redactSignedUrl, createLoggingHooks, createTraceContextHooks } from '../../src/dataplane/hooks.js';
+
+const command = /** @type {import('../../src/dataplane/index.js').MedoroDataplaneCommand} */ (/** @type {unknown} */ ({ method: 'PUT', key: '/a.txt' }));
+const TRACEPARENT = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+
+test.suite('redactSignedUrl', () => {
+  test('should replace the signature only', () => {
+    const signedUrl = new URL('https://test-bucket.content-serve.com/a.txt?x-medoro-signature-input=medoro%3D()&x-medoro-signature=medoro%3D%3Aabc%3A');
+
+    const url = redactSignedUrl(signedUrl);
+
+    assert.strictEqual(url.searchParams.get('x-medoro-signature'), 'redacted');
+    assert.strictEqual(url.searchParams.get('x-medoro-signature-input'), 'medoro=()');
+    assert.strictEqual(signedUrl.searchParams.get('x-medoro-signature'), 'medoro=:abc:');
+  });
+
+  test('should leave unsigned URLs unchanged', () => {
+    const url = redactSignedUrl(new URL('https://test-bucket.content-serve.com/a.txt'));
+    assert.strictEqual(url.href, 'https://test-bucket.content-serve.com/a.txt');
+  });
+});
+
+test.suite('createLoggingHooks', () => {
+  test('should log responses and errors as structured entries', () => {
+    /** @type {{ level: string; entry: import('../../src/dataplane/hooks.js').RequestLogEntry }[]} */
+    const entries = [];
+    const hooks = createLoggingHooks({
+      logger: {
+        info: (entry) => entries.push({ level: 'info', entry }),
+        warn: (entry) => entries.push({ level: 'warn', entry }),
+      },
+    });
+    const url = new URL('https://test-bucket.content-serve.com/a.txt?x-medoro-signature=redacted');
+
+    hooks.afterResponse?.({ command, attempt: 1, url, response: new Response(null, { status: 403 }), durationMs: 12 });
+    hooks.onError?.({
+      command,
+      error: { type: 'access_denied', message: 'Forbidden', status: 403, retryable: false, key: '/a.txt', method: 'PUT', attempts: 1 },
+      durationMs: 15,
+    });
+
+    assert.deepStrictEqual(entries, [
+      {
+        level: 'info',
+        entry: { event: 'response', method: 'PUT', key: '/a.txt', url: url.href, attempt: 1, status: 403, durationMs: 12 },
+      },
+      {
+        level: 'warn',
+        entry: { event: 'error', method: 'PUT', key: '/a.txt', type: 'access_denied', message: 'Forbidden', status: 403, retryable: false, attempts: 1, durationMs: 15 },
+      },
+    ]);
+  });
+});
+
+test.suite('createTraceContextHooks', () => {
+  /**
+   * @param {ReturnType<typeof createTraceContextHooks>} hooks
+   */
+  const headersSentWith = (hooks) => {
+    const headers = new Headers({ 'content-type': 'text/plain' });
+    hooks.beforeRequest?.({ command, attempt: 1, url: new URL('https://test-bucket.content-serve.com/a.txt'), headers });
+    return Object.fromEntries(headers);
+  };
+
+  test('should propagate the current trace context', () => {
+    /** @type {import('../../src/dataplane/index.js').MedoroDataplaneCommand[]} */
+    const commands = [];
+    const hooks = createTraceContextHooks({
+      getTraceContext: (tracedCommand) => {
+        commands.push(tracedCommand);
+        return { traceparent: TRACEPARENT, tracestate: 'vendor=value' };
+      },
+    });
+
+    assert.deepStrictEqual(headersSentWith(hooks), { 'content-type': 'text/plain', traceparent: TRACEPARENT, tracestate: 'vendor=value' });
+    assert.deepStrictEqual(commands, [command]);
+  });
+
+  test('should not send missing or invalid trace contexts', () => {
+    assert.deepStrictEqual(headersSentWith(createTraceContextHooks({ getTraceContext: () => null })), { 'content-type': 'text/plain' });
+    assert.deepStrictEqual(
+      headersSentWith(createTraceContextHooks({ getTraceContext: () => ({ traceparent: 'not-a-traceparent' }) })),
+      { 'content-type': 'text/plain' },
+    );
+  });
+});
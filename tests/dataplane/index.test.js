@@ -1,7 +1,8 @@
 import assert from 'node:assert';
 import { test, before, after, beforeEach, afterEach } from 'node:test';
-import { MedoroDataplaneClient, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '../../src/dataplane/index.js';
+import { MedoroDataplaneClient, PutObjectCommand, GetObjectCommand, HeadObjectCommand, ListObjectsCommand, DeleteObjectCommand, CopyObjectCommand } from '../../src/dataplane/index.js';
 import { ok, err } from 'neverthrow';
+import { createDataplaneEmulator } from '../../src/dataplane/emulator.js';
 
 test.suite('MedoroClient', () => {
   /** @type {MedoroDataplaneClient} */
@@ -74,6 +75,77 @@ test.suite('MedoroClient', () => {
       assert.strictEqual(requestInit.body, content);
     });
 
+    test('should sign the content type, caching and disposition headers and the metadata', async () => {
+      fetchStub.mock.mockImplementationOnce(
+        () => Promise.resolve(Response.json({
+          success: true,
+          data: { key: '/report.pdf', bucket: 'test-bucket', accessControl: 'private', message: 'Object uploaded successfully' },
+        })),
+      );
+
+      /** @type {import('../../src/lib/schemas').ApiPutRequestValidationPolicy} */
+      const policy = { apiPutV1: { conditions: { 'Content-Type': 'application/pdf' }, accessControl: 'private' } };
+      const command = new PutObjectCommand({
+        key: '/report.pdf',
+        content: 'Hello Medoro!',
+        policy,
+        contentType: 'application/pdf',
+        cacheControl: 'max-age=3600',
+        contentDisposition: 'attachment',
+        metadata: { Author: 'Ada' },
+      });
+      assert.deepStrictEqual(command.metadata, { author: 'Ada' });
+      assert.ok((await client.send({ command, dryRun: true })).isOk());
+
+      const result = await client.send({ command });
+      assert.ok(result.isOk());
+      const [requestUrl, requestInit] = fetchStub.mock.calls[0].arguments;
+      const headers = /** @type {Headers} */ (requestInit?.headers);
+      assert.strictEqual(headers.get('content-type'), 'application/pdf');
+      assert.strictEqual(headers.get('cache-control'), 'max-age=3600');
+      assert.strictEqual(headers.get('content-disposition'), 'attachment');
+      assert.strictEqual(headers.get('x-medoro-meta-author'), 'Ada');
+      const signatureInput = /** @type {URL} */ (requestUrl).searchParams.get('x-medoro-signature-input') ?? '';
+      for (const name of ['content-type', 'cache-control', 'content-disposition', 'x-medoro-meta-author']) {
+        assert.match(signatureInput, new RegExp(`"${name}"`));
+      }
+    });
+
+    test('should report metadata that cannot be sent as headers before sending', async () => {
+      /** @type {import('../../src/lib/schemas').ApiPutRequestValidationPolicy} */
+      const policy = { apiPutV1: { conditions: {}, accessControl: 'private' } };
+
+      for (const metadata of [{ 'project id': '42' }, { 'author:': 'Ada' }, { author: 'Ada\r\nX-Injected: 1' }]) {
+        const command = new PutObjectCommand({ key: '/report.pdf', content: 'Hello Medoro!', policy, metadata });
+
+        const result = await client.send({ command });
+        assert.ok(result.isErr());
+        assert.strictEqual(result.error.type, 'validation_error');
+        assert.strictEqual(result.error.key, '/report.pdf');
+        assert.match(result.error.message, /^Metadata/);
+        assert.ok((await client.createSignedUrl({ command })).isErr());
+        assert.ok((await client.send({ command, dryRun: true })).isErr());
+      }
+      assert.strictEqual(fetchStub.mock.callCount(), 0);
+    });
+
+    test('should return a validation error if the upload response does not match its schema', async () => {
+      fetchStub.mock.mockImplementationOnce(
+        () => Promise.resolve(new Response(
+          JSON.stringify({ success: true, data: { key: '/test-key', bucket: 'test-bucket', accessControl: 'shared' } }),
+          { status: 200, statusText: 'OK', headers: { 'content-type': 'application/json' } },
+        )),
+      );
+
+      /** @type {import('../../src/lib/schemas').ApiPutRequestValidationPolicy} */
+      const policy = { apiPutV1: { conditions: {}, accessControl: 'public' } };
+      const result = await client.send({ command: new PutObjectCommand({ key: '/test-key', content: 'Hello Medoro!', policy }) });
+
+      assert.ok(result.isErr());
+      assert.strictEqual(result.error.type, 'validation_error');
+      assert.match(result.error.message, /^API response data validation failed/);
+    });
+
     test('should return an error if authentication is missing for signed request', async () => {
       const unauthenticatedClient = new MedoroDataplaneClient({
         origin: 'https://test-bucket.content-serve.com',
@@ -94,9 +166,10 @@ test.suite('MedoroClient', () => {
       const command = new PutObjectCommand({ key, content, policy });
       const result = await unauthenticatedClient.send({ command });
       assert.ok(result.isErr());
-      assert.deepStrictEqual(result.error.type, 'encoding');
-      assert.deepStrictEqual(result.error.message, 'Failed to encode signature input dictionary');
-      assert.deepStrictEqual(result.error.code, undefined);
+      assert.deepStrictEqual(result.error.type, 'signature_error');
+      assert.deepStrictEqual(result.error.message, 'No private key or signer is configured');
+      assert.deepStrictEqual(result.error.code, 'missing_key');
+      assert.strictEqual(fetchStub.mock.callCount(), 0);
     });
 
     test('should return an error for network issues', async () => {
@@ -117,6 +190,11 @@ test.suite('MedoroClient', () => {
       assert.deepStrictEqual(result, err({
         type: 'network_error',
         message: 'Network error during PUT: Network request failed',
+        status: null,
+        retryable: true,
+        key: '/test-key',
+        method: 'PUT',
+        attempts: 1,
       }));
     });
 
@@ -141,12 +219,153 @@ test.suite('MedoroClient', () => {
       const command = new PutObjectCommand({ key, content, policy });
       const result = await client.send({ command });
       assert.deepStrictEqual(result, err({
-        type: 'api_error',
+        type: 'signature_error',
         message: 'Unauthorized',
+        status: 401,
         code: '401',
-        context: 'Unauthorized',
+        retryable: false,
+        key: '/test-key',
+        method: 'PUT',
+        attempts: 1,
       }));
     });
+
+    test('should return a validation error with the status for malformed JSON', async () => {
+      fetchStub.mock.mockImplementationOnce(
+        () => Promise.resolve(new Response('{"success":', { status: 200, statusText: 'OK', headers: { 'content-type': 'application/json' } })),
+      );
+
+      /** @type {import('../../src/lib/schemas').ApiPutRequestValidationPolicy} */
+      const policy = { apiPutV1: { conditions: {}, accessControl: 'private' } };
+      const command = new PutObjectCommand({ key: '/test-key', content: 'Hello Medoro!', policy });
+      const result = await client.send({ command });
+      assert.ok(result.isErr());
+      assert.strictEqual(result.error.type, 'validation_error');
+      assert.strictEqual(result.error.status, 200);
+      assert.strictEqual(result.error.retryable, false);
+      assert.match(result.error.message, /^Failed to parse JSON response: /);
+    });
+  });
+
+  test.suite('streaming', () => {
+    /** @type {import('../../src/lib/schemas').ApiPutRequestValidationPolicy} */
+    const policy = {
+      apiPutV1: {
+        conditions: { 'Content-Length': { lte: 8 } },
+        accessControl: 'private',
+      },
+    };
+
+    /**
+     * @param {string[]} chunks
+     * @returns {ReadableStream<Uint8Array>}
+     */
+    const streamOf = (chunks) => new Blob(chunks).stream();
+
+    const uploadData = { key: '/stream', bucket: 'test-bucket', accessControl: 'private', message: 'Object uploaded successfully' };
+
+    /**
+     * Reads the request body like a server would, then answers with a success envelope.
+     * @param {RequestInfo | URL} _url
+     * @param {RequestInit} [init]
+     */
+    const consumingFetch = async (_url, init) => {
+      await new Response(init?.body).arrayBuffer();
+      return new Response(JSON.stringify({ success: true, data: uploadData }), { status: 200, headers: { 'content-type': 'application/json' } });
+    };
+
+    test('should upload a stream with duplex fetch and report progress', async () => {
+      fetchStub.mock.mockImplementationOnce(consumingFetch);
+
+      /** @type {import('../../src/dataplane/index.js').TransferProgress[]} */
+      const progress = [];
+      const command = new PutObjectCommand({ key: '/stream', policy, content: streamOf(['1234', '5678']), contentLength: 8 });
+      assert.strictEqual(command.idempotent, false);
+
+      const result = await client.send({ command, onProgress: (event) => progress.push(event) });
+      assert.deepStrictEqual(result, ok(uploadData));
+
+      const [, requestInit] = fetchStub.mock.calls[0].arguments;
+      assert.ok(requestInit?.body instanceof ReadableStream);
+      assert.strictEqual(/** @type {RequestInit & { duplex?: string }} */ (requestInit).duplex, 'half');
+      assert.ok(requestInit.headers instanceof Headers);
+      assert.strictEqual(requestInit.headers.get('content-length'), '8');
+      assert.deepStrictEqual(progress.filter((event) => event.direction === 'upload').at(-1), { direction: 'upload', loaded: 8, total: 8 });
+    });
+
+    test('should accept async iterables such as Node.js streams', async () => {
+      fetchStub.mock.mockImplementationOnce(consumingFetch);
+
+      async function* chunks() {
+        yield new TextEncoder().encode('1234');
+        yield new TextEncoder().encode('56');
+      }
+      const command = new PutObjectCommand({ key: '/stream', policy, content: chunks() });
+      assert.ok(command.body instanceof ReadableStream);
+
+      const result = await client.send({ command });
+      assert.ok(result.isOk());
+    });
+
+    test('should stop a stream that exceeds the Content-Length condition', async () => {
+      fetchStub.mock.mockImplementationOnce(consumingFetch);
+
+      const command = new PutObjectCommand({ key: '/stream', policy, content: streamOf(['12345', '67890']) });
+      const result = await client.send({ command });
+      assert.ok(result.isErr());
+      assert.strictEqual(result.error.type, 'policy_violation');
+      assert.deepStrictEqual(/** @type {{ failures: import('../../src/lib/policy.js').PolicyConditionFailure[] }} */ (result.error.context).failures.map(({ reason, actual }) => ({ reason, actual })), [
+        { reason: 'too_large', actual: 10 },
+      ]);
+    });
+
+    test('should report download progress while the body is read', async () => {
+      fetchStub.mock.mockImplementationOnce(() => Promise.resolve(new Response('mock content', { status: 200, headers: { 'content-length': '12' } })));
+
+      /** @type {import('../../src/dataplane/index.js').TransferProgress[]} */
+      const progress = [];
+      const result = await client.send({ command: new GetObjectCommand({ key: '/test-key' }), onProgress: (event) => progress.push(event) });
+      assert.ok(result.isOk() && 'outcome' in result.value);
+      assert.strictEqual(await result.value.response.text(), 'mock content');
+      assert.deepStrictEqual(progress.at(-1), { direction: 'download', loaded: 12, total: 12 });
+    });
+  });
+
+  test.suite('dryRun', () => {
+    /** @type {import('../../src/lib/schemas').ApiPutRequestValidationPolicy} */
+    const policy = {
+      apiPutV1: {
+        conditions: { 'Content-Length': { lte: 10 }, 'Content-Type': { startsWith: 'text/' } },
+        accessControl: 'public',
+      },
+    };
+
+    test('should evaluate the policy without sending anything', async () => {
+      const command = new PutObjectCommand({ key: '/test-key', content: 'Hello!', policy });
+      const result = await client.send({ command, dryRun: true });
+      assert.ok(result.isOk());
+      assert.deepStrictEqual(result.value, {
+        dryRun: true,
+        method: 'PUT',
+        key: '/test-key',
+        evaluation: { allowed: true, failures: [] },
+      });
+      assert.strictEqual(fetchStub.mock.callCount(), 0);
+    });
+
+    test('should report failing conditions as a policy violation', async () => {
+      const content = new Blob(['Hello Medoro!'], { type: 'application/json' });
+      const command = new PutObjectCommand({ key: '/test-key', content, policy });
+      const result = await client.send({ command, dryRun: true });
+      assert.ok(result.isErr());
+      assert.strictEqual(result.error.type, 'policy_violation');
+      const { failures } = /** @type {{ failures: import('../../src/lib/policy.js').PolicyConditionFailure[] }} */ (result.error.context);
+      assert.deepStrictEqual(failures.map((failure) => [failure.name, failure.reason]), [
+        ['Content-Length', 'too_large'],
+        ['Content-Type', 'not_starts_with'],
+      ]);
+      assert.strictEqual(fetchStub.mock.callCount(), 0);
+    });
   });
 
   test.suite('getObject', () => {
@@ -159,9 +378,9 @@ test.suite('MedoroClient', () => {
       const command = new GetObjectCommand({ key });
       const result = await client.send({ command });
       assert.ok(result.isOk());
-      assert.ok(result.value instanceof Response);
-      assert.strictEqual(result.value.status, 200);
-      assert.strictEqual(await result.value.text(), 'mock content');
+      assert.ok('outcome' in result.value && result.value.outcome === 'full');
+      assert.strictEqual(result.value.response.status, 200);
+      assert.strictEqual(await result.value.response.text(), 'mock content');
       consoleStub.mock.restore();
     });
 
@@ -194,13 +413,131 @@ test.suite('MedoroClient', () => {
       const result = await client.send({ command });
       assert.ok(result.isErr());
       assert.deepStrictEqual(result.error, {
-        type: 'api_error',
+        type: 'not_found',
         message: 'Not Found',
+        status: 404,
         code: '404',
-        context: 'Not Found'
+        retryable: false,
+        key: '/test-key',
+        method: 'GET',
+        attempts: 1,
       });
     });
 
+    test('should keep the error code and details sent by the service', async () => {
+      fetchStub.mock.mockImplementationOnce(
+        () => Promise.resolve(Response.json(
+          { success: false, error: { type: 'access_denied', message: 'Key is revoked', code: 'key_revoked', details: { keyId: 'test-key-id' } } },
+          { status: 403, statusText: 'Forbidden' },
+        )),
+      );
+
+      const result = await client.send({ command: new GetObjectCommand({ key: '/test-key' }) });
+      assert.deepStrictEqual(result, err({
+        type: 'access_denied',
+        message: 'Key is revoked',
+        status: 403,
+        code: 'key_revoked',
+        details: { keyId: 'test-key-id' },
+        retryable: false,
+        key: '/test-key',
+        method: 'GET',
+        attempts: 1,
+      }));
+    });
+
+    test('should return a retryable server_error for non-JSON error pages', async () => {
+      fetchStub.mock.mockImplementationOnce(
+        () => Promise.resolve(new Response('<h1>Bad Gateway</h1>', { status: 502, statusText: 'Bad Gateway', headers: { 'content-type': 'text/html' } })),
+      );
+
+      const result = await client.send({ command: new GetObjectCommand({ key: '/test-key' }) });
+      assert.deepStrictEqual(result, err({
+        type: 'server_error',
+        message: 'API returned a non-ok response: 502 Bad Gateway',
+        status: 502,
+        retryable: true,
+        key: '/test-key',
+        method: 'GET',
+        attempts: 1,
+      }));
+    });
+
+    test('should sign range and conditional headers and return partial content', async () => {
+      fetchStub.mock.mockImplementationOnce(
+        () => Promise.resolve(new Response('2345', { status: 206, headers: { 'content-range': 'bytes 2-5/10' } })),
+      );
+
+      const command = new GetObjectCommand({ key: '/test-key', range: { start: 2, end: 5 }, ifRange: '"abc"' });
+      const result = await client.send({ command });
+      assert.ok(result.isOk());
+      assert.ok('outcome' in result.value && result.value.outcome === 'partial');
+      assert.deepStrictEqual(result.value.contentRange, { start: 2, end: 5, size: 10 });
+      assert.strictEqual(await result.value.response.text(), '2345');
+
+      const [requestUrl, requestInit] = fetchStub.mock.calls[0].arguments;
+      assert.ok(requestUrl instanceof URL);
+      assert.ok(requestInit?.headers instanceof Headers);
+      assert.strictEqual(requestInit.headers.get('range'), 'bytes=2-5');
+      assert.strictEqual(requestInit.headers.get('if-range'), '"abc"');
+      const signatureInput = requestUrl.searchParams.get('x-medoro-signature-input') ?? '';
+      assert.match(signatureInput, /"range"/);
+      assert.match(signatureInput, /"if-range"/);
+    });
+
+    test('should format multiple and suffix ranges', () => {
+      const command = new GetObjectCommand({ key: '/test-key', range: [{ start: 0, end: 99 }, { start: 500 }, { suffix: 100 }] });
+      assert.strictEqual(command.headers.get('range'), 'bytes=0-99, 500-, -100');
+    });
+
+    test('should reject invalid ranges without sending the request', async () => {
+      const command = new GetObjectCommand({ key: '/test-key', range: { start: 10, end: 5 } });
+      const result = await client.send({ command });
+      assert.deepStrictEqual(result, err({
+        type: 'validation_error',
+        message: 'range end must be an integer not less than start',
+        status: null,
+        retryable: false,
+        key: '/test-key',
+        method: 'GET',
+      }));
+      assert.strictEqual(fetchStub.mock.callCount(), 0);
+    });
+
+    test('should return not modified objects as a distinct outcome', async () => {
+      fetchStub.mock.mockImplementationOnce(
+        () => Promise.resolve(new Response(null, { status: 304, statusText: 'Not Modified', headers: { etag: '"abc"' } })),
+      );
+
+      const modifiedSince = new Date('2026-01-01T00:00:00Z');
+      const command = new GetObjectCommand({ key: '/test-key', ifNoneMatch: '"abc"', ifModifiedSince: modifiedSince });
+      assert.strictEqual(command.headers.get('if-modified-since'), modifiedSince.toUTCString());
+
+      const result = await client.send({ command });
+      assert.ok(result.isOk());
+      assert.ok('outcome' in result.value && result.value.outcome === 'not_modified');
+      assert.strictEqual(result.value.etag, '"abc"');
+    });
+
+    test('should return a range_not_satisfiable error with the object size', async () => {
+      fetchStub.mock.mockImplementationOnce(
+        () => Promise.resolve(new Response(null, { status: 416, statusText: 'Range Not Satisfiable', headers: { 'content-range': 'bytes */10' } })),
+      );
+
+      const command = new GetObjectCommand({ key: '/test-key', range: { start: 20 } });
+      const result = await client.send({ command });
+      assert.deepStrictEqual(result, err({
+        type: 'range_not_satisfiable',
+        message: 'Requested range is not satisfiable: bytes=20-',
+        status: 416,
+        retryable: false,
+        key: '/test-key',
+        method: 'GET',
+        context: { size: 10 },
+        attempts: 1,
+      }));
+    });
+
     test('should return an error for network issues during get', async () => {
       fetchStub.mock.mockImplementationOnce(() => Promise.reject(new TypeError('Network error during GET')));
 
@@ -210,10 +547,194 @@ test.suite('MedoroClient', () => {
       assert.deepStrictEqual(result, err({
         type: 'network_error',
         message: 'Network error during GET: Network error during GET',
+        status: null,
+        retryable: true,
+        key: '/test-key',
+        method: 'GET',
+        attempts: 1,
       }));
     });
   });
 
+  test.suite('headObject', () => {
+    test('should return the object metadata', async () => {
+      fetchStub.mock.mockImplementationOnce(
+        () => Promise.resolve(new Response(null, {
+          status: 200,
+          statusText: 'OK',
+          headers: {
+            'content-length': '12',
+            'content-type': 'text/plain',
+            'etag': '"abc123"',
+            'last-modified': 'Wed, 21 Oct 2015 07:28:00 GMT',
+            'x-medoro-access-control': 'public',
+            'cache-control': 'no-cache',
+            'x-medoro-meta-author': 'Ada',
+          },
+        })),
+      );
+
+      const key = '/test-key';
+      const command = new HeadObjectCommand({ key });
+      const result = await client.send({ command });
+      assert.deepStrictEqual(result, ok({
+        key,
+        contentLength: 12,
+        contentType: 'text/plain',
+        etag: '"abc123"',
+        lastModified: new Date('Wed, 21 Oct 2015 07:28:00 GMT'),
+        accessControl: 'public',
+        cacheControl: 'no-cache',
+        contentDisposition: null,
+        metadata: { author: 'Ada' },
+      }));
+      assert.strictEqual(fetchStub.mock.callCount(), 1);
+
+      const [requestUrl, requestInit] = fetchStub.mock.calls[0].arguments;
+      assert.ok(requestUrl instanceof URL);
+      assert.ok(typeof requestInit !== 'undefined');
+      assert.strictEqual(requestInit.method, 'HEAD');
+      assert.strictEqual(requestInit.body, undefined);
+      assert.ok(requestUrl.searchParams.has('x-medoro-signature-input'));
+      assert.ok(requestUrl.searchParams.has('x-medoro-signature'));
+    });
+
+    test('should return a not_found error for missing objects', async () => {
+      fetchStub.mock.mockImplementationOnce(
+        () => Promise.resolve(new Response(null, { status: 404, statusText: 'Not Found' })),
+      );
+
+      const key = '/missing-key';
+      const command = new HeadObjectCommand({ key });
+      const result = await client.send({ command });
+      assert.deepStrictEqual(result, err({
+        type: 'not_found',
+        message: 'Object not found: /missing-key',
+        status: 404,
+        retryable: false,
+        key: '/missing-key',
+        method: 'HEAD',
+        attempts: 1,
+      }));
+    });
+
+    test('should return an access_denied error for forbidden objects', async () => {
+      fetchStub.mock.mockImplementationOnce(
+        () => Promise.resolve(new Response(null, { status: 403, statusText: 'Forbidden' })),
+      );
+
+      const command = new HeadObjectCommand({ key: '/test-key' });
+      const result = await client.send({ command });
+      assert.deepStrictEqual(result, err({
+        type: 'access_denied',
+        message: 'API returned a non-ok response: 403 Forbidden',
+        status: 403,
+        retryable: false,
+        key: '/test-key',
+        method: 'HEAD',
+        attempts: 1,
+      }));
+    });
+
+    test('should create a signed URL for a HEAD request', async () => {
+      const command = new HeadObjectCommand({ key: '/test-key' });
+      const result = await client.createSignedUrl({ command });
+      assert.ok(result.isOk());
+      assert.strictEqual(result.value.method, 'HEAD');
+      assert.ok(result.value.signedUrl.searchParams.has('x-medoro-signature-input'));
+      assert.ok(result.value.signedUrl.searchParams.has('x-medoro-signature'));
+      assert.ok(!result.value.signedUrl.searchParams.has('x-medoro-policy'));
+    });
+  });
+
+  test.suite('listObjects', () => {
+    /**
+     * @param {unknown} data
+     */
+    const jsonResponse = (data) => new Response(
+      JSON.stringify({ success: true, data }),
+      { status: 200, statusText: 'OK', headers: { 'content-type': 'application/json' } },
+    );
+
+    test('should list objects with signed query parameters', async () => {
+      const page = {
+        objects: [{ key: '/photos/a.jpg', size: 10, contentType: 'image/jpeg' }],
+        commonPrefixes: ['/photos/2024/'],
+        nextCursor: null,
+      };
+      fetchStub.mock.mockImplementationOnce(() => Promise.resolve(jsonResponse(page)));
+
+      const command = new ListObjectsCommand({ prefix: '/photos/', delimiter: '/', limit: 50 });
+      const result = await client.send({ command });
+      assert.deepStrictEqual(result, ok(page));
+
+      const [requestUrl, requestInit] = fetchStub.mock.calls[0].arguments;
+      assert.ok(requestUrl instanceof URL);
+      assert.ok(typeof requestInit !== 'undefined');
+      assert.strictEqual(requestInit.method, 'GET');
+      assert.strictEqual(requestUrl.pathname, '/');
+      assert.strictEqual(requestUrl.searchParams.get('x-medoro-list'), 'v1');
+      assert.strictEqual(requestUrl.searchParams.get('prefix'), '/photos/');
+      assert.strictEqual(requestUrl.searchParams.get('delimiter'), '/');
+      assert.strictEqual(requestUrl.searchParams.get('limit'), '50');
+      assert.ok(!requestUrl.searchParams.has('cursor'));
+
+      const signatureInput = requestUrl.searchParams.get('x-medoro-signature-input');
+      assert.ok(signatureInput?.includes('"@query-param";name="prefix"'));
+      assert.ok(signatureInput?.includes('"@query-param";name="limit"'));
+    });
+
+    test('should return a validation error for malformed list responses', async () => {
+      fetchStub.mock.mockImplementationOnce(() => Promise.resolve(jsonResponse({ objects: [{ key: 1 }] })));
+
+      const command = new ListObjectsCommand({ prefix: '/photos/' });
+      const result = await client.send({ command });
+      assert.ok(result.isErr());
+      assert.strictEqual(result.error.type, 'validation_error');
+    });
+
+    test('should follow continuation cursors in listAll', async () => {
+      fetchStub.mock.mockImplementationOnce(() => Promise.resolve(jsonResponse({
+        objects: [{ key: '/a', size: 1 }, { key: '/b', size: 2 }],
+        nextCursor: 'page-2',
+      })), 0);
+      fetchStub.mock.mockImplementationOnce(() => Promise.resolve(jsonResponse({
+        objects: [{ key: '/c', size: 3 }],
+        nextCursor: null,
+      })), 1);
+
+      const keys = [];
+      for await (const result of client.listAll({ prefix: '/' })) {
+        assert.ok(result.isOk());
+        keys.push(result.value.key);
+      }
+      assert.deepStrictEqual(keys, ['/a', '/b', '/c']);
+      assert.strictEqual(fetchStub.mock.callCount(), 2);
+
+      const [secondUrl] = fetchStub.mock.calls[1].arguments;
+      assert.ok(secondUrl instanceof URL);
+      assert.strictEqual(secondUrl.searchParams.get('cursor'), 'page-2');
+    });
+
+    test('should stop listAll after yielding an error', async () => {
+      fetchStub.mock.mockImplementationOnce(() => Promise.reject(new TypeError('Network request failed')));
+
+      const results = [];
+      for await (const result of client.listAll()) {
+        results.push(result);
+      }
+      assert.deepStrictEqual(results, [err({
+        type: 'network_error',
+        message: 'Network error during GET: Network request failed',
+        status: null,
+        retryable: true,
+        key: '/',
+        method: 'GET',
+        attempts: 1,
+      })]);
+    });
+  });
+
   test.suite('deleteObject', () => {
     test('should successfully delete an object', async () => {
       const mockDeleteResponse = {
@@ -259,10 +780,14 @@ test.suite('MedoroClient', () => {
       const command = new DeleteObjectCommand({ key });
       const result = await client.send({ command });
       assert.deepStrictEqual(result, err({
-        type: 'api_error',
+        type: 'access_denied',
         message: 'Forbidden',
+        status: 403,
         code: '403',
-        context: 'Forbidden'
+        retryable: false,
+        key: 'test-key',
+        method: 'DELETE',
+        attempts: 1,
       }));
     });
 
@@ -277,7 +802,899 @@ test.suite('MedoroClient', () => {
       assert.deepStrictEqual(result, err({
         type: 'network_error',
         message: 'Network error during DELETE: Network error during DELETE',
+        status: null,
+        retryable: true,
+        key: 'test-key',
+        method: 'DELETE',
+        attempts: 1,
+      }));
+    });
+  });
+  test.suite('keyring', () => {
+    /** @type {MedoroDataplaneClient} */
+    let keyringClient;
+
+    beforeEach(async () => {
+      const oldKeyPair = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+      const newKeyPair = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+      keyringClient = new MedoroDataplaneClient({
+        origin: 'https://test-bucket.content-serve.com',
+        keys: [
+          { keyId: 'old-key-id', privateKey: oldKeyPair.privateKey },
+          { keyId: 'new-key-id', privateKey: newKeyPair.privateKey },
+        ],
+      });
+    });
+
+    /**
+     * @param {{ signedUrl: URL }} signed
+     */
+    const signedKeyId = ({ signedUrl }) => signedUrl.searchParams.get('x-medoro-signature-input')?.match(/keyid="([^"]+)"/)?.[1];
+
+    test('should sign with the first key and switch keys for rotation', async () => {
+      const command = new GetObjectCommand({ key: '/test-key' });
+      assert.deepStrictEqual(keyringClient.keyIds, ['old-key-id', 'new-key-id']);
+      assert.strictEqual(keyringClient.activeKeyId, 'old-key-id');
+
+      const before = await keyringClient.createSignedUrl({ command });
+      assert.ok(before.isOk());
+      assert.strictEqual(signedKeyId(before.value), 'old-key-id');
+
+      assert.ok(keyringClient.useKey('new-key-id').isOk());
+      const after = await keyringClient.createSignedUrl({ command });
+      assert.ok(after.isOk());
+      assert.strictEqual(signedKeyId(after.value), 'new-key-id');
+
+      const explicit = await keyringClient.createSignedUrl({ command, keyId: 'old-key-id' });
+      assert.ok(explicit.isOk());
+      assert.strictEqual(signedKeyId(explicit.value), 'old-key-id');
+    });
+
+    test('should reject keys that are not in the keyring', async () => {
+      assert.deepStrictEqual(keyringClient.useKey('unknown-key-id'), err({
+        type: 'validation_error',
+        message: 'Key unknown-key-id is not in the keyring',
+        status: null,
+        retryable: false,
+        key: null,
+        method: null,
+      }));
+      assert.strictEqual(keyringClient.activeKeyId, 'old-key-id');
+
+      const result = await keyringClient.createSignedUrl({ command: new GetObjectCommand({ key: '/test-key' }), keyId: 'unknown-key-id' });
+      assert.ok(result.isErr());
+      assert.strictEqual(result.error.type, 'validation_error');
+      assert.strictEqual(result.error.key, '/test-key');
+      assert.strictEqual(result.error.message, 'Key unknown-key-id is not in the keyring');
+    });
+  });
+
+  test.suite('signer', () => {
+    test('should sign with a custom signer instead of a private key', async () => {
+      const keyPair = await crypto.subtle.generateKey({ name: 'Ed25519' }, false, ['sign', 'verify']);
+      /** @type {{ signatureBase: string; keyId: string }[]} */
+      const calls = [];
+      const signerClient = new MedoroDataplaneClient({
+        origin: 'https://test-bucket.content-serve.com',
+        keyId: 'kms-key-id',
+        signer: async ({ signatureBase, keyId }) => {
+          calls.push({ signatureBase, keyId });
+          return new Uint8Array(await crypto.subtle.sign('Ed25519', keyPair.privateKey, new TextEncoder().encode(signatureBase)));
+        },
+      });
+
+      const result = await signerClient.createSignedUrl({ command: new GetObjectCommand({ key: '/test-key' }) });
+      assert.ok(result.isOk());
+      assert.strictEqual(calls.length, 1);
+      assert.strictEqual(calls[0].keyId, 'kms-key-id');
+      assert.match(calls[0].signatureBase, /"@signature-params": /);
+
+      const signature = result.value.signedUrl.searchParams.get('x-medoro-signature')?.match(/^medoro=:(.+):$/)?.[1] ?? '';
+      const signatureBytes = Uint8Array.from(atob(signature), (char) => char.charCodeAt(0));
+      assert.ok(await crypto.subtle.verify('Ed25519', keyPair.publicKey, signatureBytes, new TextEncoder().encode(calls[0].signatureBase)));
+    });
+
+    test('should map signer failures to signature errors', async () => {
+      const failingClient = new MedoroDataplaneClient({
+        origin: 'https://test-bucket.content-serve.com',
+        keyId: 'kms-key-id',
+        signer: async () => {
+          throw new Error('KMS unavailable');
+        },
+      });
+
+      const result = await failingClient.send({ command: new GetObjectCommand({ key: '/test-key' }) });
+      assert.ok(result.isErr());
+      assert.strictEqual(result.error.type, 'signature_error');
+      assert.strictEqual(result.error.message, 'Failed to sign request: KMS unavailable');
+      assert.strictEqual(fetchStub.mock.callCount(), 0);
+    });
+
+    test('should reject signatures of the wrong type', async () => {
+      const invalidClient = new MedoroDataplaneClient({
+        origin: 'https://test-bucket.content-serve.com',
+        keyId: 'kms-key-id',
+        signer: async () => /** @type {Uint8Array} */ (/** @type {unknown} */ ('not bytes')),
+      });
+
+      const result = await invalidClient.createSignedUrl({ command: new GetObjectCommand({ key: '/test-key' }) });
+      assert.ok(result.isErr());
+      assert.strictEqual(result.error.type, 'signature_error');
+    });
+  });
+
+  test.suite('retries', () => {
+    /** @type {MedoroDataplaneClient} */
+    let retryingClient;
+
+    beforeEach(async () => {
+      const keyPair = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+      retryingClient = new MedoroDataplaneClient({
+        origin: 'https://test-bucket.content-serve.com',
+        privateKey: keyPair.privateKey,
+        keyId: 'test-key-id',
+        retry: { maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 1000 },
+      });
+    });
+
+    test('should retry network errors and re-sign every attempt', async () => {
+      fetchStub.mock.mockImplementationOnce(() => Promise.reject(new TypeError('Network request failed')), 0);
+      fetchStub.mock.mockImplementationOnce(() => Promise.resolve(new Response('mock content', { status: 200 })), 1);
+
+      const command = new GetObjectCommand({ key: '/test-key' });
+      const result = await retryingClient.send({ command });
+      assert.ok(result.isOk());
+      assert.strictEqual(fetchStub.mock.callCount(), 2);
+
+      const [firstUrl] = fetchStub.mock.calls[0].arguments;
+      const [secondUrl] = fetchStub.mock.calls[1].arguments;
+      assert.notStrictEqual(firstUrl, secondUrl);
+      assert.ok(secondUrl instanceof URL);
+      assert.ok(secondUrl.searchParams.has('x-medoro-signature'));
+    });
+
+    test('should retry throttled responses and honor Retry-After', async () => {
+      fetchStub.mock.mockImplementationOnce(() => Promise.resolve(new Response(null, { status: 429, headers: { 'retry-after': '0' } })), 0);
+      fetchStub.mock.mockImplementationOnce(() => Promise.resolve(new Response(null, { status: 503 })), 1);
+      fetchStub.mock.mockImplementationOnce(
+        () => Promise.resolve(new Response(
+          JSON.stringify({ success: true, data: { key: '/test-key', bucket: 'test-bucket', message: 'Object deleted successfully' } }),
+          { status: 200, statusText: 'OK', headers: { 'content-type': 'application/json' } },
+        )),
+        2,
+      );
+
+      const command = new DeleteObjectCommand({ key: '/test-key' });
+      const result = await retryingClient.send({ command });
+      assert.ok(result.isOk());
+      assert.strictEqual(fetchStub.mock.callCount(), 3);
+    });
+
+    test('should give up when Retry-After exceeds the maximum delay', async () => {
+      fetchStub.mock.mockImplementationOnce(
+        () => Promise.resolve(new Response(
+          JSON.stringify({ success: false, error: { type: 'api_error', message: 'Too Many Requests', code: '429' } }),
+          { status: 429, statusText: 'Too Many Requests', headers: { 'content-type': 'application/json', 'retry-after': '3600' } },
+        )),
+      );
+
+      const command = new DeleteObjectCommand({ key: '/test-key' });
+      const result = await retryingClient.send({ command });
+      assert.ok(result.isErr());
+      assert.strictEqual(result.error.type, 'rate_limited');
+      assert.strictEqual(result.error.retryable, true);
+      assert.deepStrictEqual(result.error.context, { retryAfterMs: 3600000 });
+      assert.strictEqual(result.error.attempts, 1);
+      assert.strictEqual(fetchStub.mock.callCount(), 1);
+    });
+
+    test('should report the number of attempts once they are exhausted', async () => {
+      fetchStub.mock.mockImplementation(() => Promise.reject(new TypeError('Network request failed')));
+
+      const command = new DeleteObjectCommand({ key: '/test-key' });
+      const result = await retryingClient.send({ command });
+      assert.deepStrictEqual(result, err({
+        type: 'network_error',
+        message: 'Network error during DELETE: Network request failed',
+        status: null,
+        retryable: true,
+        key: '/test-key',
+        method: 'DELETE',
+        attempts: 3,
+      }));
+      assert.strictEqual(fetchStub.mock.callCount(), 3);
+    });
+
+    test('should not retry a PUT with a streamed body', async () => {
+      fetchStub.mock.mockImplementation(() => Promise.reject(new TypeError('Network request failed')));
+
+      /** @type {import('../../src/lib/schemas').ApiPutRequestValidationPolicy} */
+      const policy = {
+        apiPutV1: {
+          conditions: { 'Content-Length': { lte: 100 } },
+          accessControl: 'private',
+        },
+      };
+      const content = /** @type {any} */ (new Blob(['Hello Medoro!']).stream());
+      const command = new PutObjectCommand({ key: '/test-key', content, policy });
+      assert.strictEqual(command.idempotent, false);
+
+      const result = await retryingClient.send({ command });
+      assert.ok(result.isErr());
+      assert.strictEqual(result.error.attempts, 1);
+      assert.strictEqual(fetchStub.mock.callCount(), 1);
+    });
+  });
+
+  test.suite('hooks', () => {
+    /**
+     * @param {import('../../src/dataplane/hooks.js').ClientHooks[]} hooks
+     */
+    const createClient = async (hooks) => {
+      const keyPair = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+      return new MedoroDataplaneClient({
+        origin: 'https://test-bucket.content-serve.com',
+        privateKey: keyPair.privateKey,
+        keyId: 'test-key-id',
+        retry: { maxAttempts: 2, baseDelayMs: 1 },
+        hooks,
+      });
+    };
+
+    test('should call the hooks of every attempt in order', async () => {
+      fetchStub.mock.mockImplementationOnce(() => Promise.resolve(new Response(null, { status: 503, statusText: 'Service Unavailable' })), 0);
+      fetchStub.mock.mockImplementationOnce(() => Promise.resolve(new Response('mock content', { status: 200 })), 1);
+      /** @type {string[]} */
+      const calls = [];
+      const hookedClient = await createClient([{
+        beforeSign: ({ attempt }) => calls.push(`beforeSign ${attempt}`),
+        beforeRequest: ({ attempt, url }) => calls.push(`beforeRequest ${attempt} ${url.searchParams.get('x-medoro-signature')}`),
+        afterResponse: ({ attempt, response, durationMs }) => calls.push(`afterResponse ${attempt} ${response.status} ${durationMs >= 0}`),
+        onSuccess: ({ attempts, value }) => calls.push(`onSuccess ${attempts} ${'outcome' in /** @type {object} */ (value)}`),
+        onError: () => calls.push('onError'),
+      }]);
+
+      const result = await hookedClient.send({ command: new GetObjectCommand({ key: '/test-key' }) });
+
+      assert.ok(result.isOk());
+      assert.deepStrictEqual(calls, [
+        'beforeSign 1',
+        'beforeRequest 1 redacted',
+        'afterResponse 1 503 true',
+        'beforeSign 2',
+        'beforeRequest 2 redacted',
+        'afterResponse 2 200 true',
+        'onSuccess 2 true',
+      ]);
+    });
+
+    test('should send headers added before the request without changing the command', async () => {
+      fetchStub.mock.mockImplementationOnce(() => Promise.resolve(new Response('mock content', { status: 200 })));
+      const hookedClient = await createClient([{
+        beforeRequest: ({ headers }) => headers.set('traceparent', '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01'),
+      }]);
+      const command = new GetObjectCommand({ key: '/test-key', range: { start: 0, end: 9 } });
+
+      const result = await hookedClient.send({ command });
+
+      assert.ok(result.isOk());
+      const [requestUrl, requestInit] = fetchStub.mock.calls[0].arguments;
+      const headers = /** @type {Headers} */ (requestInit?.headers);
+      assert.strictEqual(headers.get('traceparent'), '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01');
+      assert.strictEqual(headers.get('range'), 'bytes=0-9');
+      assert.strictEqual(command.headers.has('traceparent'), false);
+      assert.doesNotMatch(/** @type {URL} */ (requestUrl).searchParams.get('x-medoro-signature-input') ?? '', /traceparent/);
+    });
+
+    test('should report errors and ignore failing hooks', async () => {
+      fetchStub.mock.mockImplementation(() => Promise.reject(new TypeError('Network request failed')));
+      /** @type {import('../../src/dataplane/hooks.js').OnErrorContext[]} */
+      const errors = [];
+      const hookedClient = await createClient([
+        {
+          beforeRequest: () => {
+            throw new Error('broken hook');
+          },
+        },
+        { onError: (context) => errors.push(context) },
+      ]);
+
+      const result = await hookedClient.send({ command: new DeleteObjectCommand({ key: '/test-key' }) });
+
+      assert.ok(result.isErr());
+      assert.strictEqual(result.error.type, 'network_error');
+      assert.strictEqual(errors.length, 1);
+      assert.strictEqual(errors[0].error, result.error);
+      assert.strictEqual(errors[0].command.key, '/test-key');
+    });
+  });
+
+  test.suite('batch', () => {
+    /**
+     * Answers DELETE and PUT requests with success, except for the keys in `failingKeys`.
+     * @param {string[]} failingKeys
+     */
+    const respondByKey = (failingKeys) => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      fetchStub.mock.mockImplementation(async (input) => {
+        const { pathname } = /** @type {URL} */ (input);
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        inFlight--;
+        if (failingKeys.includes(pathname)) {
+          return new Response(
+            JSON.stringify({ success: false, error: { type: 'api_error', message: 'Forbidden', code: '403' } }),
+            { status: 403, statusText: 'Forbidden', headers: { 'content-type': 'application/json' } },
+          );
+        }
+        return new Response(
+          JSON.stringify({ success: true, data: { key: pathname, bucket: 'test-bucket', accessControl: 'private', message: 'OK' } }),
+          { status: 200, statusText: 'OK', headers: { 'content-type': 'application/json' } },
+        );
+      });
+      return { maxInFlight: () => maxInFlight };
+    };
+
+    test('should send commands from an async iterable with bounded concurrency', async () => {
+      const stats = respondByKey(['/b']);
+      async function* commands() {
+        for (const key of ['/a', '/b', '/c', '/d', '/e']) {
+          yield new DeleteObjectCommand({ key });
+        }
+      }
+
+      const result = await client.deleteMany({ commands: commands(), concurrency: 2 });
+
+      assert.ok(result.isOk());
+      assert.deepStrictEqual(result.value.items.map((item) => [item.index, item.command.key, item.result.isOk()]), [
+        [0, '/a', true],
+        [1, '/b', false],
+        [2, '/c', true],
+        [3, '/d', true],
+        [4, '/e', true],
+      ]);
+      assert.deepStrictEqual(result.value.summary, { total: 5, succeeded: 4, failed: 1 });
+      assert.strictEqual(result.value.stopped, false);
+      assert.strictEqual(stats.maxInFlight(), 2);
+    });
+
+    test('should stop at the first error when asked to', async () => {
+      respondByKey(['/b']);
+      let closed = false;
+      async function* commands() {
+        try {
+          for (const key of ['/a', '/b', '/c', '/d']) {
+            yield new DeleteObjectCommand({ key });
+          }
+        } finally {
+          closed = true;
+        }
+      }
+
+      const result = await client.deleteMany({ commands: commands(), concurrency: 1, stopOnError: true });
+
+      assert.ok(result.isOk());
+      assert.strictEqual(result.value.stopped, true);
+      assert.deepStrictEqual(result.value.summary, { total: 2, succeeded: 1, failed: 1 });
+      assert.strictEqual(fetchStub.mock.callCount(), 2);
+      assert.ok(closed);
+    });
+
+    test('should space commands by requestsPerSecond', async () => {
+      respondByKey([]);
+      const commands = ['/a', '/b', '/c'].map((key) => new DeleteObjectCommand({ key }));
+
+      const startedAt = Date.now();
+      const result = await client.deleteMany({ commands, concurrency: 3, requestsPerSecond: 20 });
+
+      assert.ok(result.isOk());
+      assert.ok(Date.now() - startedAt >= 90);
+    });
+
+    test('should report commands of the wrong class per item', async () => {
+      respondByKey([]);
+      /** @type {import('../../src/lib/schemas').ApiPutRequestValidationPolicy} */
+      const policy = { apiPutV1: { conditions: {}, accessControl: 'private' } };
+      const commands = [
+        new PutObjectCommand({ key: '/a', content: 'a', policy }),
+        /** @type {any} */ (new DeleteObjectCommand({ key: '/b' })),
+      ];
+
+      const result = await client.putMany({ commands });
+
+      assert.ok(result.isOk());
+      assert.ok(result.value.items[0].result.isOk());
+      assert.deepStrictEqual(result.value.items[1].result, err({
+        type: 'validation_error',
+        message: 'Expected a PutObjectCommand, got DeleteObjectCommand',
+        status: null,
+        retryable: false,
+        key: '/b',
+        method: 'DELETE',
       }));
+      assert.strictEqual(fetchStub.mock.callCount(), 1);
+    });
+
+    test('should return the responses of getMany', async () => {
+      fetchStub.mock.mockImplementation(async (input) => new Response(`content of ${/** @type {URL} */ (input).pathname}`, { status: 200 }));
+      const commands = ['/a', '/b'].map((key) => new GetObjectCommand({ key }));
+
+      const result = await client.getMany({ commands });
+
+      assert.ok(result.isOk());
+      const texts = await Promise.all(result.value.items.map(async ({ result: itemResult }) => {
+        assert.ok(itemResult.isOk());
+        return itemResult.value.response.text();
+      }));
+      assert.deepStrictEqual(texts, ['content of /a', 'content of /b']);
+    });
+
+    test('should report items that are not commands without a key', async () => {
+      respondByKey([]);
+      const commands = [new DeleteObjectCommand({ key: '/a' }), /** @type {any} */ ({ key: '/b' })];
+
+      const result = await client.deleteMany({ commands });
+
+      assert.ok(result.isOk());
+      assert.deepStrictEqual(result.value.items[1].result, err({
+        type: 'validation_error',
+        message: 'Expected a DeleteObjectCommand, got Object',
+        status: null,
+        retryable: false,
+        key: null,
+        method: null,
+      }));
+    });
+
+    test('should fail the batch if the iterable throws', async () => {
+      respondByKey([]);
+      async function* commands() {
+        yield new DeleteObjectCommand({ key: '/a' });
+        throw new Error('listing failed');
+      }
+
+      const result = await client.deleteMany({ commands: commands(), concurrency: 1 });
+
+      assert.ok(result.isErr());
+      assert.strictEqual(result.error.type, 'validation_error');
+      assert.strictEqual(result.error.code, 'iteration_error');
+      assert.strictEqual(result.error.message, 'Failed to read the next command: listing failed');
+      assert.strictEqual(result.error.retryable, false);
+      const { output } = /** @type {{ output: import('../../src/dataplane/index.js').BatchOutput<DeleteObjectCommand, unknown> }} */ (result.error.context);
+      assert.deepStrictEqual(output.summary, { total: 1, succeeded: 1, failed: 0 });
+    });
+
+    test('should reject invalid options', async () => {
+      const concurrencyResult = await client.deleteMany({ commands: [], concurrency: 0 });
+      assert.ok(concurrencyResult.isErr());
+      assert.strictEqual(concurrencyResult.error.type, 'validation_error');
+      assert.strictEqual(concurrencyResult.error.key, null);
+
+      const rateResult = await client.deleteMany({ commands: [], requestsPerSecond: -1 });
+      assert.ok(rateResult.isErr());
+      assert.strictEqual(rateResult.error.type, 'validation_error');
+    });
+  });
+
+  test.suite('clock skew', () => {
+    /** @type {CryptoKeyPair} */
+    let keyPair;
+
+    /**
+     * @param {number} skewMs - How far the emulator's clock is ahead of the local one.
+     */
+    const installEmulator = async (skewMs) => {
+      const publicKey = new Uint8Array(await crypto.subtle.exportKey('raw', keyPair.publicKey));
+      const emulator = createDataplaneEmulator({
+        bucketConfig: {
+          v1: {
+            allowedPublicKeys: {
+              'test-key-id': { alg: 'ed25519', contentBase64: btoa(String.fromCharCode(...publicKey)), label: 'test key' },
+            },
+          },
+        },
+        now: () => new Date(Date.now() + skewMs),
+      });
+      fetchStub.mock.mockImplementation(emulator.fetch);
+    };
+
+    /**
+     * @param {number} [clockOffsetMs]
+     */
+    const createClient = (clockOffsetMs) => new MedoroDataplaneClient({
+      origin: 'https://test-bucket.content-serve.com',
+      privateKey: keyPair.privateKey,
+      keyId: 'test-key-id',
+      clockOffsetMs,
+    });
+
+    beforeEach(async () => {
+      keyPair = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+    });
+
+    for (const skewMs of [120000, -120000]) {
+      test(`should sign again once with the offset measured from a service ${skewMs > 0 ? 'ahead' : 'behind'}`, async () => {
+        await installEmulator(skewMs);
+        const skewedClient = createClient();
+
+        const result = await skewedClient.send({ command: new HeadObjectCommand({ key: '/missing' }) });
+        assert.ok(result.isErr());
+        assert.strictEqual(result.error.type, 'not_found');
+        assert.strictEqual(result.error.attempts, 2);
+        assert.ok(Math.abs(skewedClient.clockOffsetMs - skewMs) <= 2000, String(skewedClient.clockOffsetMs));
+
+        const next = await skewedClient.send({ command: new HeadObjectCommand({ key: '/missing' }) });
+        assert.ok(next.isErr());
+        assert.strictEqual(next.error.attempts, 1);
+        assert.strictEqual(fetchStub.mock.callCount(), 3);
+      });
+    }
+
+    test('should keep a manual offset', async () => {
+      await installEmulator(120000);
+      const fixedClient = createClient(0);
+
+      const result = await fixedClient.send({ command: new HeadObjectCommand({ key: '/missing' }) });
+      assert.ok(result.isErr());
+      assert.strictEqual(result.error.type, 'signature_error');
+      assert.strictEqual(fixedClient.clockOffsetMs, 0);
+      assert.strictEqual(fetchStub.mock.callCount(), 1);
+
+      assert.ok(fixedClient.setClockOffset(120000).isOk());
+      const fixed = await fixedClient.send({ command: new HeadObjectCommand({ key: '/missing' }) });
+      assert.ok(fixed.isErr());
+      assert.strictEqual(fixed.error.type, 'not_found');
+    });
+
+    test('should measure the offset again once the manual offset is cleared', async () => {
+      await installEmulator(-120000);
+      const fixedClient = createClient(0);
+
+      assert.ok(fixedClient.setClockOffset(null).isOk());
+      const result = await fixedClient.send({ command: new HeadObjectCommand({ key: '/missing' }) });
+      assert.ok(result.isErr());
+      assert.strictEqual(result.error.type, 'not_found');
+      assert.ok(fixedClient.clockOffsetMs < -118000);
+
+      assert.deepStrictEqual(fixedClient.setClockOffset(Number.NaN), err({
+        type: 'validation_error',
+        message: 'offsetMs must be a finite number or null',
+        status: null,
+        retryable: false,
+        key: null,
+        method: null,
+      }));
+    });
+
+    test('should apply the offset to signed URLs', async () => {
+      const offsetClient = createClient(3600000);
+
+      const result = await offsetClient.createSignedUrl({ command: new GetObjectCommand({ key: '/test-key' }), expiresInSeconds: 60 });
+      assert.ok(result.isOk());
+      const created = Number(result.value.signedUrl.searchParams.get('x-medoro-signature-input')?.match(/;created=(\d+)/)?.[1]);
+      assert.ok(Math.abs(created - (Date.now() / 1000 + 3600)) < 5);
+    });
+  });
+
+  test.suite('content digest', () => {
+    /** @type {import('../../src/lib/schemas').ApiPutRequestValidationPolicy} */
+    const policy = { apiPutV1: { conditions: { 'Content-Digest': { startsWith: 'sha-256=' } }, accessControl: 'private' } };
+    // The SHA-256 of 'Hello Medoro!'
+    const DIGEST = 'sha-256=:esV/GNcvLWH23L+WIVgxetktK48nn5WRDH41FMUGrkQ=:';
+
+    test('should sign the computed Content-Digest of the content', async () => {
+      fetchStub.mock.mockImplementationOnce(
+        () => Promise.resolve(Response.json({
+          success: true,
+          data: { key: '/test-key', bucket: 'test-bucket', accessControl: 'private', message: 'Object uploaded successfully' },
+        })),
+      );
+      const command = new PutObjectCommand({ key: '/test-key', content: new Blob(['Hello Medoro!']), policy, digest: 'sha-256' });
+
+      const dryRunResult = await client.send({ command, dryRun: true });
+      assert.ok(dryRunResult.isOk());
+      assert.strictEqual(command.headers.get('content-digest'), DIGEST);
+
+      const result = await client.send({ command });
+      assert.ok(result.isOk());
+      const [requestUrl, requestInit] = fetchStub.mock.calls[0].arguments;
+      assert.strictEqual(/** @type {Headers} */ (requestInit?.headers).get('content-digest'), DIGEST);
+      assert.match(/** @type {URL} */ (requestUrl).searchParams.get('x-medoro-signature-input') ?? '', /"content-digest"/);
+    });
+
+    test('should require a precomputed digest for streamed content', async () => {
+      const content = new Blob(['Hello Medoro!']).stream();
+      const result = await client.send({ command: new PutObjectCommand({ key: '/test-key', content, policy, digest: 'sha-256' }) });
+
+      assert.ok(result.isErr());
+      assert.strictEqual(result.error.type, 'validation_error');
+      assert.strictEqual(fetchStub.mock.callCount(), 0);
+
+      const command = new PutObjectCommand({ key: '/test-key', content, policy, digest: 'sha-256', contentDigest: DIGEST });
+      assert.ok((await client.send({ command, dryRun: true })).isOk());
+    });
+
+    test('should fail a body that does not match its Content-Digest once it is read', async () => {
+      fetchStub.mock.mockImplementation(() => Promise.resolve(new Response('Hello Mallory', { status: 200, headers: { 'content-digest': DIGEST } })));
+
+      const result = await client.send({ command: new GetObjectCommand({ key: '/test-key' }) });
+      assert.ok(result.isOk());
+      await assert.rejects(result.value.response.text(), { type: 'integrity_error', status: 200, retryable: true, key: '/test-key', method: 'GET' });
+
+      const unverified = await client.send({ command: new GetObjectCommand({ key: '/test-key', verifyDigest: false }) });
+      assert.ok(unverified.isOk());
+      assert.strictEqual(await unverified.value.response.text(), 'Hello Mallory');
+    });
+  });
+
+  test.suite('cancellation', () => {
+    /**
+     * A promise that never settles, until the signal is aborted.
+     * `AbortSignal.timeout` does not keep the event loop alive, so a timer holds it open until then.
+     * @param {AbortSignal | null | undefined} signal
+     * @returns {Promise<never>}
+     */
+    const stalled = (signal) => new Promise((_resolve, reject) => {
+      const keepAlive = setInterval(() => {}, 1000);
+      signal?.addEventListener('abort', () => {
+        clearInterval(keepAlive);
+        reject(signal.reason);
+      }, { once: true });
+    });
+
+    /**
+     * A fetch that never answers, until the request is aborted.
+     * @param {RequestInfo | URL} _input
+     * @param {RequestInit} [init]
+     * @returns {Promise<Response>}
+     */
+    const stalledFetch = (_input, init) => stalled(init?.signal);
+
+    test('should time out a stalled request', async () => {
+      fetchStub.mock.mockImplementation(stalledFetch);
+
+      const result = await client.send({ command: new GetObjectCommand({ key: '/test-key' }), timeoutMs: 20 });
+      assert.deepStrictEqual(result, err({
+        type: 'timeout',
+        message: 'The request timed out',
+        status: null,
+        retryable: true,
+        key: '/test-key',
+        method: 'GET',
+        attempts: 1,
+      }));
+      assert.ok(fetchStub.mock.calls[0].arguments[1]?.signal instanceof AbortSignal);
+    });
+
+    test('should abort a request with the signal of the caller, within the timeout of the client', async () => {
+      const keyPair = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+      const timingOutClient = new MedoroDataplaneClient({
+        origin: 'https://test-bucket.content-serve.com',
+        privateKey: keyPair.privateKey,
+        keyId: 'test-key-id',
+        timeoutMs: 60000,
+      });
+      fetchStub.mock.mockImplementation(stalledFetch);
+
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 10);
+      const result = await timingOutClient.send({ command: new DeleteObjectCommand({ key: '/test-key' }), signal: controller.signal });
+      assert.ok(result.isErr());
+      assert.strictEqual(result.error.type, 'aborted');
+      assert.strictEqual(result.error.retryable, false);
+      assert.strictEqual(result.error.attempts, 1);
+    });
+
+    test('should not send a request whose signal is already aborted', async () => {
+      const result = await client.send({ command: new GetObjectCommand({ key: '/test-key' }), signal: AbortSignal.abort() });
+
+      assert.ok(result.isErr());
+      assert.strictEqual(result.error.type, 'aborted');
+      assert.strictEqual(result.error.attempts, 0);
+      assert.strictEqual(fetchStub.mock.callCount(), 0);
+    });
+
+    test('should stop waiting between retries once the request times out', async () => {
+      const keyPair = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+      const retryingClient = new MedoroDataplaneClient({
+        origin: 'https://test-bucket.content-serve.com',
+        privateKey: keyPair.privateKey,
+        keyId: 'test-key-id',
+        retry: { maxAttempts: 3, baseDelayMs: 60000, maxDelayMs: 60000 },
+      });
+      fetchStub.mock.mockImplementation(() => Promise.reject(new TypeError('Network request failed')));
+      // Waits the longest delay the retry policy allows
+      test.mock.method(Math, 'random', () => 1);
+
+      const result = await retryingClient.send({ command: new GetObjectCommand({ key: '/test-key' }), timeoutMs: 20 });
+      assert.ok(result.isErr());
+      assert.strictEqual(result.error.type, 'timeout');
+      assert.strictEqual(result.error.attempts, 1);
+      assert.strictEqual(fetchStub.mock.callCount(), 1);
+    });
+
+    test('should fail reading the body once the request is aborted', async () => {
+      const body = new ReadableStream({
+        start(controller) {
+          controller.enqueue(new TextEncoder().encode('Hello'));
+        },
+      });
+      fetchStub.mock.mockImplementation(() => Promise.resolve(new Response(body, { status: 200 })));
+
+      const controller = new AbortController();
+      const result = await client.send({ command: new GetObjectCommand({ key: '/test-key' }), signal: controller.signal });
+      assert.ok(result.isOk());
+      const text = result.value.response.text();
+      controller.abort();
+      await assert.rejects(text, { type: 'aborted', status: 200, key: '/test-key', method: 'GET' });
+    });
+
+    test('should stop waiting for a signer once aborted', async () => {
+      const signingClient = new MedoroDataplaneClient({
+        origin: 'https://test-bucket.content-serve.com',
+        signer: ({ signal }) => stalled(signal),
+        keyId: 'test-key-id',
+      });
+
+      const signedUrlResult = await signingClient.createSignedUrl({ command: new GetObjectCommand({ key: '/test-key' }), signal: AbortSignal.timeout(10) });
+      assert.deepStrictEqual(signedUrlResult, err({
+        type: 'timeout',
+        message: 'The request timed out',
+        status: null,
+        retryable: true,
+        key: '/test-key',
+        method: 'GET',
+      }));
+
+      const result = await signingClient.send({ command: new GetObjectCommand({ key: '/test-key' }), timeoutMs: 10 });
+      assert.ok(result.isErr());
+      assert.strictEqual(result.error.type, 'timeout');
+      assert.strictEqual(fetchStub.mock.callCount(), 0);
+    });
+
+    test('should reject an invalid timeout', async () => {
+      const result = await client.send({ command: new GetObjectCommand({ key: '/test-key' }), timeoutMs: -1 });
+
+      assert.ok(result.isErr());
+      assert.strictEqual(result.error.type, 'validation_error');
+      assert.strictEqual(fetchStub.mock.callCount(), 0);
+    });
+  });
+
+  test.suite('copy and move', () => {
+    /** @type {MedoroDataplaneClient} */
+    let emulatedClient;
+    /** @type {ReturnType<typeof createDataplaneEmulator>} */
+    let emulator;
+
+    /**
+     * @param {number} maxSize
+     * @returns {import('../../src/lib/schemas').ApiPutRequestValidationPolicy}
+     */
+    const policy = (maxSize) => ({
+      apiPutV1: { conditions: { 'Content-Length': { lte: maxSize }, 'Content-Type': { startsWith: 'text/' } }, accessControl: 'private' },
+    });
+
+    beforeEach(async () => {
+      const keyPair = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+      const publicKey = new Uint8Array(await crypto.subtle.exportKey('raw', keyPair.publicKey));
+      emulator = createDataplaneEmulator({
+        bucketConfig: {
+          v1: {
+            allowedPublicKeys: {
+              'test-key-id': { alg: 'ed25519', contentBase64: btoa(String.fromCharCode(...publicKey)), label: 'test key' },
+            },
+          },
+        },
+      });
+      fetchStub.mock.mockImplementation(emulator.fetch);
+      emulatedClient = new MedoroDataplaneClient({ origin: 'https://test-bucket.content-serve.com', privateKey: keyPair.privateKey, keyId: 'test-key-id' });
+
+      const command = new PutObjectCommand({
+        key: '/source.txt',
+        content: 'Hello Medoro!',
+        policy: policy(100),
+        contentType: 'text/plain',
+        cacheControl: 'max-age=60',
+        metadata: { owner: 'ada' },
+      });
+      assert.ok((await emulatedClient.send({ command })).isOk());
+    });
+
+    test('should copy an object with its content type and metadata', async () => {
+      const command = new CopyObjectCommand({ sourceKey: '/source.txt', destinationKey: '/copy.txt', policy: policy(100) });
+      const result = await emulatedClient.send({ command });
+
+      assert.ok(result.isOk());
+      assert.strictEqual(result.value.key, '/copy.txt');
+      assert.strictEqual(result.value.sourceKey, '/source.txt');
+      assert.strictEqual(result.value.etag, (await emulator.store.get('/source.txt'))?.etag);
+      assert.strictEqual(result.value.confirmed, true);
+
+      const headResult = await emulatedClient.send({ command: new HeadObjectCommand({ key: '/copy.txt' }) });
+      assert.ok(headResult.isOk());
+      assert.strictEqual(headResult.value.contentType, 'text/plain');
+      assert.strictEqual(headResult.value.cacheControl, 'max-age=60');
+      assert.deepStrictEqual(headResult.value.metadata, { owner: 'ada' });
+      assert.ok(await emulator.store.get('/source.txt'));
+
+      // The upload of the copy streams the download of the source
+      const putInit = fetchStub.mock.calls.find((call) => call.arguments[1]?.method === 'PUT' && String(call.arguments[0]).includes('/copy.txt'))?.arguments[1];
+      assert.ok(putInit?.body instanceof ReadableStream);
+      // With the digest of the source, for the service to check
+      assert.match(/** @type {Headers} */ (putInit?.headers).get('content-digest') ?? '', /^sha-256=:/);
+    });
+
+    test('should check the destination policy before transferring anything', async () => {
+      const calls = fetchStub.mock.callCount();
+      const result = await emulatedClient.send({ command: new CopyObjectCommand({ sourceKey: '/source.txt', destinationKey: '/copy.txt', policy: policy(5) }) });
+
+      assert.ok(result.isErr());
+      assert.strictEqual(result.error.type, 'policy_violation');
+      assert.strictEqual(result.error.key, '/copy.txt');
+      // Only the metadata of the source was read
+      assert.strictEqual(fetchStub.mock.callCount(), calls + 1);
+      assert.strictEqual(await emulator.store.get('/copy.txt'), undefined);
+
+      const missing = await emulatedClient.send({ command: new CopyObjectCommand({ sourceKey: '/missing.txt', destinationKey: '/copy.txt', policy: policy(100) }) });
+      assert.ok(missing.isErr());
+      assert.strictEqual(missing.error.type, 'not_found');
+      assert.strictEqual(missing.error.key, '/missing.txt');
+
+      const signed = await emulatedClient.createSignedUrl({ command: new CopyObjectCommand({ sourceKey: '/source.txt', destinationKey: '/copy.txt', policy: policy(100) }) });
+      assert.ok(signed.isErr());
+    });
+
+    test('should move an object, deleting the source once the copy is confirmed', async () => {
+      const result = await emulatedClient.move({ sourceKey: '/source.txt', destinationKey: '/moved.txt', policy: policy(100) });
+
+      assert.ok(result.isOk());
+      assert.strictEqual(await emulator.store.get('/source.txt'), undefined);
+      assert.strictEqual(new TextDecoder().decode((await emulator.store.get('/moved.txt'))?.body), 'Hello Medoro!');
+    });
+
+    test('should give the deletion of a move its own timeout', async () => {
+      const send = test.mock.method(emulatedClient, 'send');
+      const result = await emulatedClient.move({ sourceKey: '/source.txt', destinationKey: '/moved.txt', policy: policy(100), timeoutMs: 5000 });
+
+      assert.ok(result.isOk());
+      const deleteCall = send.mock.calls.find((call) => call.arguments[0].command instanceof DeleteObjectCommand);
+      assert.strictEqual(deleteCall?.arguments[0].timeoutMs, 5000);
+    });
+
+    test('should keep the source of a move whose copy cannot be confirmed', async () => {
+      // A service that sends neither entity tags nor digests
+      fetchStub.mock.mockImplementation(async (input, init) => {
+        const response = await emulator.fetch(input, init);
+        const headers = new Headers(response.headers);
+        headers.delete('etag');
+        headers.delete('content-digest');
+        return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+      });
+
+      const copyResult = await emulatedClient.send({ command: new CopyObjectCommand({ sourceKey: '/source.txt', destinationKey: '/copy.txt', policy: policy(100) }) });
+      assert.ok(copyResult.isOk());
+      assert.strictEqual(copyResult.value.confirmed, false);
+
+      const result = await emulatedClient.move({ sourceKey: '/source.txt', destinationKey: '/moved.txt', policy: policy(100) });
+      assert.ok(result.isErr());
+      assert.strictEqual(result.error.type, 'integrity_error');
+      assert.strictEqual(result.error.code, 'unconfirmed_copy');
+      assert.strictEqual(result.error.key, '/source.txt');
+      assert.ok(await emulator.store.get('/source.txt'));
+      assert.ok(await emulator.store.get('/moved.txt'));
+      assert.ok(!fetchStub.mock.calls.some((call) => call.arguments[1]?.method === 'DELETE'));
+    });
+
+    test('should keep the source of a move whose copy fails', async () => {
+      const result = await emulatedClient.move({ sourceKey: '/source.txt', destinationKey: '/moved.txt', policy: policy(5) });
+
+      assert.ok(result.isErr());
+      assert.strictEqual(result.error.type, 'policy_violation');
+      assert.ok(await emulator.store.get('/source.txt'));
+      assert.ok(!fetchStub.mock.calls.some((call) => call.arguments[1]?.method === 'DELETE'));
     });
   });
 });
@@ -0,0 +1,165 @@
+import assert from 'node:assert';
+import { test, beforeEach, afterEach } from 'node:test';
+import { MedoroDataplaneClient, uploadMultipart } from '../../src/dataplane/index.js';
+import { computeContentDigest } from '../../src/lib/digest.js';
+
+const MiB = 1024 * 1024;
+
+/**
+ * @param {unknown} data
+ */
+const jsonResponse = (data) => new Response(
+  JSON.stringify({ success: true, data }),
+  { status: 200, statusText: 'OK', headers: { 'content-type': 'application/json' } },
+);
+
+test.suite('uploadMultipart', () => {
+  /** @type {MedoroDataplaneClient} */
+  let client;
+  /** @type {import('node:test').Mock<typeof global.fetch>} */
+  let fetchStub;
+  /** @type {import('../../src/lib/schemas').ApiPutRequestValidationPolicy} */
+  const policy = {
+    apiPutV1: {
+      conditions: { 'Content-Length': { lte: 20 * MiB } },
+      accessControl: 'private',
+    },
+  };
+
+  /**
+   * Routes multipart requests to canned responses, failing the given part numbers once.
+   * @param {{ failParts?: number[] }} [options]
+   */
+  const stubService = ({ failParts = [] } = {}) => {
+    const failing = new Set(failParts);
+    fetchStub.mock.mockImplementation(async (input, init) => {
+      const url = new URL(String(input));
+      if (url.searchParams.get('x-medoro-multipart') === 'create') {
+        return jsonResponse({ uploadId: 'upload-1' });
+      }
+      if (url.searchParams.get('x-medoro-multipart') === 'complete') {
+        return jsonResponse({ key: url.pathname, bucket: 'test-bucket', accessControl: 'private', message: 'Object uploaded successfully' });
+      }
+      const partNumber = Number(url.searchParams.get('x-medoro-part-number'));
+      if (failing.delete(partNumber)) {
+        throw new TypeError('Network request failed');
+      }
+      assert.ok(init?.body instanceof Blob);
+      return jsonResponse({ partNumber, etag: `etag-${partNumber}` });
+    });
+  };
+
+  beforeEach(async () => {
+    const keyPair = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+    client = new MedoroDataplaneClient({
+      origin: 'https://test-bucket.content-serve.com',
+      privateKey: keyPair.privateKey,
+      keyId: 'test-key-id',
+    });
+    fetchStub = test.mock.method(global, 'fetch');
+  });
+
+  afterEach(() => {
+    test.mock.reset();
+  });
+
+  test('should create, upload every part and complete', async () => {
+    stubService();
+    const content = new Blob([new Uint8Array(12 * MiB)]);
+
+    const result = await uploadMultipart({ client, key: '/big.bin', policy, content, partSize: 5 * MiB, concurrency: 2 });
+    assert.ok(result.isOk());
+
+    const urls = fetchStub.mock.calls.map((call) => new URL(String(call.arguments[0])));
+    assert.strictEqual(urls.length, 5);
+    assert.strictEqual(urls[0].searchParams.get('x-medoro-multipart'), 'create');
+    assert.strictEqual(urls[0].searchParams.get('x-medoro-content-length'), String(12 * MiB));
+    assert.ok(urls[0].searchParams.has('x-medoro-policy'));
+    assert.deepStrictEqual(
+      urls.slice(1, 4).map((url) => url.searchParams.get('x-medoro-part-number')).sort(),
+      ['1', '2', '3'],
+    );
+    for (const url of urls) {
+      assert.ok(url.searchParams.has('x-medoro-signature'));
+    }
+
+    const [, completeInit] = fetchStub.mock.calls[4].arguments;
+    assert.strictEqual(completeInit?.method, 'POST');
+    assert.deepStrictEqual(JSON.parse(String(completeInit?.body)), {
+      parts: [
+        { partNumber: 1, etag: 'etag-1' },
+        { partNumber: 2, etag: 'etag-2' },
+        { partNumber: 3, etag: 'etag-3' },
+      ],
+    });
+  });
+
+  test('should resume from the confirmed parts of an interrupted upload', async () => {
+    stubService({ failParts: [2] });
+    const content = new Blob([new Uint8Array(12 * MiB)]);
+
+    // One part at a time, so that part 3 is never started once part 2 fails
+    const interrupted = uploadMultipart({ client, key: '/big.bin', policy, content, partSize: 5 * MiB, concurrency: 1 });
+    const firstResult = await interrupted;
+    assert.ok(firstResult.isErr());
+    assert.strictEqual(firstResult.error.type, 'network_error');
+    const { state } = /** @type {{ state: import('../../src/dataplane/multipart.js').MultipartUploadState }} */ (firstResult.error.context);
+    assert.deepStrictEqual(state.parts, [{ partNumber: 1, etag: 'etag-1', digest: await computeContentDigest('sha-256', content.slice(0, 5 * MiB)) }]);
+
+    fetchStub.mock.resetCalls();
+    const resumedResult = await uploadMultipart({ client, key: '/big.bin', policy, content, state: JSON.parse(JSON.stringify(state)) });
+    assert.ok(resumedResult.isOk());
+
+    // The remaining parts are uploaded concurrently, in any order, and the upload is completed after both
+    const urls = fetchStub.mock.calls.map((call) => new URL(String(call.arguments[0])));
+    assert.strictEqual(urls.length, 3);
+    assert.deepStrictEqual(urls.slice(0, 2).map((url) => url.searchParams.get('x-medoro-part-number')).sort(), ['2', '3']);
+    assert.strictEqual(urls[2].searchParams.get('x-medoro-multipart'), 'complete');
+    const [, completeInit] = fetchStub.mock.calls[2].arguments;
+    assert.deepStrictEqual(JSON.parse(String(completeInit?.body)), {
+      parts: [
+        { partNumber: 1, etag: 'etag-1' },
+        { partNumber: 2, etag: 'etag-2' },
+        { partNumber: 3, etag: 'etag-3' },
+      ],
+    });
+  });
+
+  test('should not resume with other content of the same size', async () => {
+    stubService({ failParts: [2] });
+    const content = new Blob([new Uint8Array(12 * MiB)]);
+    const firstResult = await uploadMultipart({ client, key: '/big.bin', policy, content, partSize: 5 * MiB, concurrency: 1 });
+    assert.ok(firstResult.isErr());
+    const { state } = /** @type {{ state: import('../../src/dataplane/multipart.js').MultipartUploadState }} */ (firstResult.error.context);
+
+    fetchStub.mock.resetCalls();
+    const otherContent = new Blob([new Uint8Array(12 * MiB).fill(1)]);
+    const result = await uploadMultipart({ client, key: '/big.bin', policy, content: otherContent, state });
+    assert.ok(result.isErr());
+    assert.strictEqual(result.error.type, 'validation_error');
+    assert.strictEqual(result.error.code, 'state_mismatch');
+    assert.strictEqual(/** @type {{ partNumber: number }} */ (result.error.context).partNumber, 1);
+    assert.strictEqual(fetchStub.mock.callCount(), 0);
+  });
+
+  test('should reject a state that belongs to other content', async () => {
+    stubService();
+    const result = await uploadMultipart({
+      client,
+      key: '/big.bin',
+      policy,
+      content: new Blob([new Uint8Array(6 * MiB)]),
+      state: { key: '/big.bin', uploadId: 'upload-1', size: 12 * MiB, partSize: 5 * MiB, parts: [] },
+    });
+    assert.ok(result.isErr());
+    assert.strictEqual(result.error.type, 'validation_error');
+    assert.strictEqual(result.error.key, '/big.bin');
+    assert.strictEqual(fetchStub.mock.callCount(), 0);
+  });
+
+  test('should reject parts smaller than the minimum part size', async () => {
+    const result = await uploadMultipart({ client, key: '/big.bin', policy, content: 'small', partSize: 1024 });
+    assert.ok(result.isErr());
+    assert.strictEqual(result.error.type, 'validation_error');
+  });
+});
@@ -0,0 +1,55 @@
+import assert from 'node:assert';
+import { test } from 'node:test';
+import { mkdtemp, rm, writeFile, readFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { openFileContent, saveResponseToFile } from '../../src/dataplane/node.js';
+
+test.suite('node helpers', () => {
+  test('should open a file as upload content and save a response to a file', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'medoro-node-'));
+    try {
+      const source = join(directory, 'source.txt');
+      await writeFile(source, 'Hello Medoro!');
+
+      const contentResult = await openFileContent({ path: source, type: 'text/plain' });
+      assert.ok(contentResult.isOk());
+      assert.strictEqual(contentResult.value.size, 13);
+      assert.strictEqual(contentResult.value.type, 'text/plain');
+
+      const target = join(directory, 'target.txt');
+      const saveResult = await saveResponseToFile({ response: new Response(contentResult.value.stream()), path: target });
+      assert.ok(saveResult.isOk());
+      assert.strictEqual(await readFile(target, 'utf8'), 'Hello Medoro!');
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('should remove a saved file whose content does not match its digest', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'medoro-node-'));
+    try {
+      const integrityError = { type: 'integrity_error', message: 'The content of /a.txt does not match its Content-Digest' };
+      const body = new Blob(['Hello Mallory']).stream().pipeThrough(new TransformStream({
+        flush(controller) {
+          controller.error(integrityError);
+        },
+      }));
+
+      const target = join(directory, 'target.txt');
+      const saveResult = await saveResponseToFile({ response: new Response(body), path: target });
+      assert.ok(saveResult.isErr());
+      assert.strictEqual(saveResult.error, integrityError);
+      await assert.rejects(readFile(target), { code: 'ENOENT' });
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('should report missing files', async () => {
+    const result = await openFileContent({ path: join(tmpdir(), 'medoro-missing-file') });
+    assert.ok(result.isErr());
+    assert.strictEqual(result.error.type, 'file_error');
+    assert.strictEqual(result.error.code, 'ENOENT');
+  });
+});
@@ -0,0 +1,208 @@
+import assert from 'node:assert';
+import { test, beforeEach, afterEach } from 'node:test';
+import { mkdtemp, mkdir, rm, utimes, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createHash } from 'node:crypto';
+import { MedoroDataplaneClient, PutObjectCommand, HeadObjectCommand } from '../../src/dataplane/index.js';
+import { createDataplaneEmulator, MemoryObjectStore } from '../../src/dataplane/emulator.js';
+import { syncDirectory } from '../../src/dataplane/node.js';
+
+test.suite('syncDirectory', () => {
+  /** @type {MedoroDataplaneClient} */
+  let client;
+  /** @type {MemoryObjectStore} */
+  let store;
+  /** @type {ReturnType<typeof createDataplaneEmulator>} */
+  let emulator;
+  /** @type {string} */
+  let localDir;
+
+  /**
+   * @param {string} path - The path relative to the local directory.
+   * @param {string} content
+   */
+  const writeLocalFile = async (path, content) => {
+    await mkdir(join(localDir, path, '..'), { recursive: true });
+    await writeFile(join(localDir, path), content);
+  };
+
+  /**
+   * @param {string} key
+   * @param {string} content
+   * @param {Record<string, string>} [metadata]
+   */
+  const putRemoteObject = async (key, content, metadata) => {
+    const command = new PutObjectCommand({
+      key,
+      policy: { apiPutV1: { conditions: {}, accessControl: 'private' } },
+      content: new Blob([content], { type: 'text/plain' }),
+      metadata,
+    });
+    const result = await client.send({ command });
+    assert.ok(result.isOk());
+  };
+
+  beforeEach(async () => {
+    localDir = await mkdtemp(join(tmpdir(), 'medoro-sync-'));
+
+    const keyPair = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+    const publicKey = new Uint8Array(await crypto.subtle.exportKey('raw', keyPair.publicKey));
+    store = new MemoryObjectStore();
+    emulator = createDataplaneEmulator({
+      bucketConfig: {
+        v1: {
+          allowedPublicKeys: {
+            'test-key-id': { alg: 'ed25519', contentBase64: btoa(String.fromCharCode(...publicKey)), label: 'test key' },
+          },
+        },
+      },
+      store,
+    });
+    test.mock.method(global, 'fetch', emulator.fetch);
+
+    client = new MedoroDataplaneClient({
+      origin: 'https://test-bucket.content-serve.com',
+      privateKey: keyPair.privateKey,
+      keyId: 'test-key-id',
+    });
+  });
+
+  afterEach(async () => {
+    test.mock.reset();
+    await rm(localDir, { recursive: true, force: true });
+  });
+
+  test('should upload new and changed files and skip unchanged ones', async () => {
+    await writeLocalFile('index.html', '<h1>Hello</h1>');
+    await writeLocalFile('css/site.css', 'body {}');
+    await writeLocalFile('notes.txt', 'unchanged');
+    await putRemoteObject('/site/notes.txt', 'unchanged');
+    await putRemoteObject('/site/css/site.css', 'body { margin: 0 }');
+
+    const result = await client.sync({ localDir, prefix: '/site' });
+
+    assert.ok(result.isOk());
+    assert.deepStrictEqual(
+      result.value.plan.map(({ action, reason, key, contentType }) => ({ action, reason, key, contentType })),
+      [
+        { action: 'upload', reason: 'changed', key: '/site/css/site.css', contentType: 'text/css' },
+        { action: 'upload', reason: 'new', key: '/site/index.html', contentType: 'text/html' },
+        { action: 'skip', reason: 'unchanged', key: '/site/notes.txt', contentType: 'text/plain' },
+      ],
+    );
+    assert.deepStrictEqual(result.value.summary, { uploaded: 2, deleted: 0, skipped: 1, failed: 0 });
+
+    const head = await client.send({ command: new HeadObjectCommand({ key: '/site/index.html' }) });
+    assert.ok(head.isOk());
+    assert.strictEqual(head.value.contentType, 'text/html');
+    assert.strictEqual(head.value.metadata.sha256, createHash('sha256').update('<h1>Hello</h1>').digest('hex'));
+
+    const again = await client.sync({ localDir, prefix: '/site/' });
+    assert.ok(again.isOk());
+    assert.deepStrictEqual(again.value.summary, { uploaded: 0, deleted: 0, skipped: 3, failed: 0 });
+  });
+
+  test('should delete removed objects only when asked to', async () => {
+    await writeLocalFile('kept.txt', 'kept');
+    await putRemoteObject('/site/kept.txt', 'kept');
+    await putRemoteObject('/site/stale.txt', 'stale');
+    await putRemoteObject('/other/stale.txt', 'outside the prefix');
+
+    const withoutDelete = await syncDirectory({ client, localDir, prefix: '/site/' });
+    assert.ok(withoutDelete.isOk());
+    assert.deepStrictEqual(withoutDelete.value.plan.map((entry) => entry.key), ['/site/kept.txt']);
+
+    const result = await syncDirectory({ client, localDir, prefix: '/site/', delete: true });
+    assert.ok(result.isOk());
+    assert.deepStrictEqual(result.value.results, [{ key: '/site/stale.txt', action: 'delete', outcome: 'ok' }]);
+    assert.deepStrictEqual((await store.keys()).sort(), ['/other/stale.txt', '/site/kept.txt']);
+  });
+
+  test('should only plan changes in a dry run', async () => {
+    await writeLocalFile('new.txt', 'new');
+    await putRemoteObject('/stale.txt', 'stale');
+    const fetchCalls = /** @type {import('node:test').Mock<typeof fetch>} */ (global.fetch).mock.callCount();
+
+    const result = await syncDirectory({ client, localDir, delete: true, dryRun: true });
+
+    assert.ok(result.isOk());
+    assert.strictEqual(result.value.dryRun, true);
+    assert.deepStrictEqual(result.value.plan.map(({ action, key }) => ({ action, key })), [
+      { action: 'upload', key: '/new.txt' },
+      { action: 'delete', key: '/stale.txt' },
+    ]);
+    assert.deepStrictEqual(result.value.results, []);
+    // Only the listing was requested
+    assert.strictEqual(/** @type {import('node:test').Mock<typeof fetch>} */ (global.fetch).mock.callCount(), fetchCalls + 1);
+    assert.deepStrictEqual((await store.keys()).sort(), ['/stale.txt']);
+  });
+
+  test('should compare by size without reading files', async () => {
+    await writeLocalFile('same-size.txt', 'abc');
+    await putRemoteObject('/same-size.txt', 'xyz', { sha256: createHash('sha256').update('xyz').digest('hex') });
+
+    const bySize = await syncDirectory({ client, localDir, compare: 'size', dryRun: true });
+    assert.ok(bySize.isOk());
+    assert.strictEqual(bySize.value.plan[0].action, 'skip');
+
+    const byHash = await syncDirectory({ client, localDir, dryRun: true });
+    assert.ok(byHash.isOk());
+    assert.strictEqual(byHash.value.plan[0].action, 'upload');
+  });
+
+  test('should compare objects without a recorded hash by modification time', async () => {
+    await writeLocalFile('old.txt', 'abc');
+    await writeLocalFile('edited.txt', 'abc');
+    await putRemoteObject('/old.txt', 'xyz');
+    await putRemoteObject('/edited.txt', 'xyz');
+    const now = Date.now() / 1000;
+    await utimes(join(localDir, 'old.txt'), now - 3600, now - 3600);
+    await utimes(join(localDir, 'edited.txt'), now + 3600, now + 3600);
+
+    const result = await syncDirectory({ client, localDir, dryRun: true });
+
+    assert.ok(result.isOk());
+    assert.deepStrictEqual(result.value.plan.map(({ action, reason, key }) => ({ action, reason, key })), [
+      { action: 'upload', reason: 'changed', key: '/edited.txt' },
+      { action: 'skip', reason: 'unchanged', key: '/old.txt' },
+    ]);
+  });
+
+  test('should report failed uploads with the report', async () => {
+    await writeLocalFile('a.txt', 'a');
+    await writeLocalFile('b.txt', 'b');
+    /** @type {typeof fetch} */
+    const failingFetch = async (input, init) => {
+      const request = new Request(input, init);
+      if (request.method === 'PUT' && new URL(request.url).pathname === '/b.txt') {
+        return Response.json({ success: false, error: { code: 'forbidden', type: 'access_denied', message: 'Denied' } }, { status: 403 });
+      }
+      return emulator.fetch(request);
+    };
+    test.mock.method(global, 'fetch', failingFetch);
+
+    const result = await syncDirectory({ client, localDir });
+
+    assert.ok(result.isErr());
+    assert.match(result.error.message, /^Failed to sync 1 of 2 changes; \/b\.txt: /);
+    const { report } = /** @type {{ report: import('../../src/dataplane/sync.js').SyncReport }} */ (result.error.context);
+    assert.deepStrictEqual(report.summary, { uploaded: 1, deleted: 0, skipped: 0, failed: 1 });
+  });
+
+  test('should reject invalid options', async () => {
+    const prefixResult = await syncDirectory({ client, localDir, prefix: 'site/' });
+    assert.ok(prefixResult.isErr());
+    assert.strictEqual(prefixResult.error.type, 'validation_error');
+
+    const concurrencyResult = await syncDirectory({ client, localDir, concurrency: 0 });
+    assert.ok(concurrencyResult.isErr());
+    assert.strictEqual(concurrencyResult.error.type, 'validation_error');
+
+    const missingResult = await syncDirectory({ client, localDir: join(localDir, 'missing') });
+    assert.ok(missingResult.isErr());
+    assert.strictEqual(missingResult.error.type, 'file_error');
+    assert.strictEqual(missingResult.error.code, 'ENOENT');
+    assert.strictEqual(missingResult.error.retryable, false);
+  });
+});
@@ -0,0 +1,178 @@
+import assert from 'node:assert';
+import { test, beforeEach } from 'node:test';
+import { MedoroDataplaneClient, PutObjectCommand, GetObjectCommand, ListObjectsCommand, verifySignedRequest } from '../../src/dataplane/index.js';
+
+test.suite('verifySignedRequest', () => {
+  /** @type {MedoroDataplaneClient} */
+  let client;
+  /** @type {import('../../src/lib/schemas').BucketConfig} */
+  let bucketConfig;
+  /** @type {CryptoKeyPair} */
+  let keyPair;
+
+  /** @type {import('../../src/lib/schemas').ApiPutRequestValidationPolicy} */
+  const policy = {
+    apiPutV1: {
+      conditions: { 'Content-Length': { lte: 100 }, 'Content-Type': 'text/plain' },
+      accessControl: 'public',
+    },
+  };
+
+  beforeEach(async () => {
+    keyPair = /** @type {CryptoKeyPair} */ (await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']));
+    const publicKey = new Uint8Array(await crypto.subtle.exportKey('raw', keyPair.publicKey));
+
+    client = new MedoroDataplaneClient({
+      origin: 'https://test-bucket.content-serve.com',
+      privateKey: keyPair.privateKey,
+      keyId: 'test-key-id',
+    });
+    bucketConfig = {
+      v1: {
+        allowedPublicKeys: {
+          'test-key-id': { alg: 'ed25519', contentBase64: btoa(String.fromCharCode(...publicKey)), label: 'test key' },
+        },
+      },
+    };
+  });
+
+  /**
+   * @param {import('../../src/dataplane/index.js').PutObjectCommand | import('../../src/dataplane/index.js').GetObjectCommand | import('../../src/dataplane/index.js').ListObjectsCommand} command
+   */
+  const signedUrlFor = async (command) => {
+    const result = await client.createSignedUrl({ command });
+    assert.ok(result.isOk());
+    return result.value.signedUrl;
+  };
+
+  /**
+   * Signs a URL by hand, covering only the given components.
+   * @param {URL} url - The URL to sign.
+   * @param {Record<string, string>} components - The value of each covered component, by its serialized identifier.
+   */
+  const signManually = async (url, components) => {
+    const created = Math.floor(Date.now() / 1000);
+    const signatureParams = `(${Object.keys(components).join(' ')});created=${created};expires=${created + 60};keyid="test-key-id";alg="ed25519"`;
+    const signatureBase = [...Object.entries(components).map(([component, value]) => `${component}: ${value}`), `"@signature-params": ${signatureParams}`].join('\n');
+    const signature = new Uint8Array(await crypto.subtle.sign({ name: 'Ed25519' }, keyPair.privateKey, new TextEncoder().encode(signatureBase)));
+    const signedUrl = new URL(url);
+    signedUrl.searchParams.set('x-medoro-signature-input', `medoro=${signatureParams}`);
+    signedUrl.searchParams.set('x-medoro-signature', `medoro=:${btoa(String.fromCharCode(...signature))}:`);
+    return signedUrl;
+  };
+
+  test('should accept a signed PUT request and decode its policy', async () => {
+    const url = await signedUrlFor(new PutObjectCommand({ key: '/test-key', policy, content: 'Hello Medoro!' }));
+
+    const result = await verifySignedRequest({ request: new Request(url, { method: 'PUT', body: 'Hello Medoro!' }), bucketConfig });
+    assert.ok(result.isOk());
+    assert.strictEqual(result.value.keyId, 'test-key-id');
+    assert.strictEqual(result.value.label, 'test key');
+    assert.deepStrictEqual(result.value.policy, policy);
+    assert.ok(result.value.components.includes('"@query-param";name="x-medoro-policy"'));
+  });
+
+  test('should accept a signed GET request without a policy', async () => {
+    const url = await signedUrlFor(new GetObjectCommand({ key: '/test-key' }));
+
+    const result = await verifySignedRequest({ request: { method: 'GET', url }, bucketConfig });
+    assert.ok(result.isOk());
+    assert.strictEqual(result.value.policy, null);
+  });
+
+  test('should reject a request whose method or path was changed', async () => {
+    const url = await signedUrlFor(new GetObjectCommand({ key: '/test-key' }));
+
+    const deleteResult = await verifySignedRequest({ request: { method: 'DELETE', url }, bucketConfig });
+    assert.ok(deleteResult.isErr());
+    assert.strictEqual(deleteResult.error.code, 'invalid_signature');
+
+    const otherUrl = new URL(url);
+    otherUrl.pathname = '/other-key';
+    const pathResult = await verifySignedRequest({ request: { method: 'GET', url: otherUrl }, bucketConfig });
+    assert.ok(pathResult.isErr());
+    assert.strictEqual(pathResult.error.code, 'invalid_signature');
+  });
+
+  test('should reject a tampered policy', async () => {
+    const url = await signedUrlFor(new PutObjectCommand({ key: '/test-key', policy, content: 'Hello Medoro!' }));
+    const tampered = { apiPutV1: { ...policy.apiPutV1, conditions: { 'Content-Length': { lte: 1e9 } } } };
+    url.searchParams.set('x-medoro-policy', btoa(JSON.stringify(tampered)));
+
+    const result = await verifySignedRequest({ request: { method: 'PUT', url }, bucketConfig });
+    assert.ok(result.isErr());
+    assert.strictEqual(result.error.code, 'invalid_signature');
+  });
+
+  test('should reject expired and not yet valid signatures', async () => {
+    const url = await signedUrlFor(new GetObjectCommand({ key: '/test-key' }));
+
+    const expiredResult = await verifySignedRequest({ request: { method: 'GET', url }, bucketConfig, now: new Date(Date.now() + 120_000) });
+    assert.ok(expiredResult.isErr());
+    assert.strictEqual(expiredResult.error.code, 'signature_expired');
+
+    const earlyResult = await verifySignedRequest({ request: { method: 'GET', url }, bucketConfig, now: new Date(Date.now() - 120_000) });
+    assert.ok(earlyResult.isErr());
+    assert.strictEqual(earlyResult.error.code, 'signature_not_yet_valid');
+  });
+
+  test('should reject unknown key IDs', async () => {
+    const url = await signedUrlFor(new GetObjectCommand({ key: '/test-key' }));
+
+    const result = await verifySignedRequest({ request: { method: 'GET', url }, bucketConfig: { v1: { allowedPublicKeys: {} } } });
+    assert.ok(result.isErr());
+    assert.deepStrictEqual(result.error, {
+      type: 'signature_error',
+      message: 'Unknown key ID: test-key-id',
+      status: null,
+      code: 'unknown_key',
+      retryable: false,
+      key: null,
+      method: null,
+    });
+  });
+
+  test('should reject unsigned requests and uncovered parameters', async () => {
+    const unsignedResult = await verifySignedRequest({ request: { method: 'GET', url: 'https://test-bucket.content-serve.com/test-key' }, bucketConfig });
+    assert.ok(unsignedResult.isErr());
+    assert.strictEqual(unsignedResult.error.code, 'missing_signature');
+
+    const url = await signedUrlFor(new GetObjectCommand({ key: '/test-key' }));
+    url.searchParams.set('x-medoro-policy', btoa(JSON.stringify(policy)));
+    const uncoveredResult = await verifySignedRequest({ request: { method: 'GET', url }, bucketConfig });
+    assert.ok(uncoveredResult.isErr());
+    assert.strictEqual(uncoveredResult.error.code, 'uncovered_parameter');
+
+    // Nor can other parameters, which would widen a listing
+    const listUrl = await signedUrlFor(new ListObjectsCommand({ prefix: '/a/' }));
+    listUrl.searchParams.set('delimiter', '/');
+    const addedResult = await verifySignedRequest({ request: { method: 'GET', url: listUrl }, bucketConfig });
+    assert.ok(addedResult.isErr());
+    assert.strictEqual(addedResult.error.code, 'uncovered_parameter');
+  });
+
+  test('should reject signatures that do not cover the method, authority and path', async () => {
+    const url = new URL('https://test-bucket.content-serve.com/test-key');
+    /** @type {Record<string, string>} */
+    const values = { '"@method"': 'GET', '"@authority"': url.host, '"@path"': url.pathname };
+
+    for (const omitted of Object.keys(values)) {
+      const covered = Object.fromEntries(Object.entries(values).filter(([component]) => component !== omitted));
+      const signedUrl = await signManually(url, covered);
+
+      const result = await verifySignedRequest({ request: { method: 'GET', url: signedUrl }, bucketConfig });
+      assert.ok(result.isErr());
+      assert.strictEqual(result.error.code, 'uncovered_component');
+      assert.deepStrictEqual(result.error.context, { missingComponents: [JSON.parse(omitted)] });
+    }
+  });
+
+  test('should reject signed uploads without a policy', async () => {
+    const url = new URL('https://test-bucket.content-serve.com/test-key');
+    const signedUrl = await signManually(url, { '"@method"': 'PUT', '"@authority"': url.host, '"@path"': url.pathname });
+
+    const result = await verifySignedRequest({ request: { method: 'PUT', url: signedUrl }, bucketConfig });
+    assert.ok(result.isErr());
+    assert.strictEqual(result.error.code, 'missing_policy');
+  });
+});
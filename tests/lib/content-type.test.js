@@ -0,0 +1,17 @@
+import assert from 'node:assert';
+import { test } from 'node:test';
+import { guessContentType, DEFAULT_CONTENT_TYPE } from '../../src/lib/content-type.js';
+
+test.suite('guessContentType', () => {
+  test('should guess the media type from the extension', () => {
+    assert.strictEqual(guessContentType('index.html'), 'text/html');
+    assert.strictEqual(guessContentType('/assets/app.JS'), 'text/javascript');
+    assert.strictEqual(guessContentType('C:\\photos\\cat.jpeg'), 'image/jpeg');
+  });
+
+  test('should fall back to the default content type', () => {
+    assert.strictEqual(guessContentType('README'), DEFAULT_CONTENT_TYPE);
+    assert.strictEqual(guessContentType('archive.tar.unknown'), DEFAULT_CONTENT_TYPE);
+    assert.strictEqual(guessContentType('.config/medoro'), DEFAULT_CONTENT_TYPE);
+  });
+});
@@ -0,0 +1,40 @@
+import assert from 'node:assert';
+import { test } from 'node:test';
+import { computeContentDigest, createContentHasher, parseContentDigest, strongestContentDigest } from '../../src/lib/digest.js';
+
+// The example of RFC 9530, section 2
+const CONTENT = '{"hello": "world"}\n';
+const SHA_256 = 'RK/0qy18MlBSVnWgjwz6lZEWjP/lF5HF9bvEF8FabDg=';
+
+test.suite('Content-Digest', () => {
+  test('should compute the digest of strings, buffers and blobs alike', async () => {
+    const expected = `sha-256=:${SHA_256}:`;
+
+    assert.strictEqual(await computeContentDigest('sha-256', CONTENT), expected);
+    assert.strictEqual(await computeContentDigest('sha-256', new TextEncoder().encode(CONTENT).buffer), expected);
+    assert.strictEqual(await computeContentDigest('sha-256', new Blob([CONTENT])), expected);
+    assert.match(await computeContentDigest('sha-512', CONTENT), /^sha-512=:[A-Za-z0-9+/]{86}==:$/);
+  });
+
+  test('should hash content incrementally where node:crypto is available', async () => {
+    for (const algorithm of /** @type {const} */ (['sha-256', 'sha-512'])) {
+      const hasher = await createContentHasher(algorithm);
+      assert.ok(hasher);
+      const bytes = new TextEncoder().encode(CONTENT);
+      hasher.update(bytes.subarray(0, 5));
+      hasher.update(bytes.subarray(5));
+      assert.strictEqual(hasher.digest(), await computeContentDigest(algorithm, CONTENT));
+    }
+  });
+
+  test('should parse the supported digests of a header', () => {
+    assert.deepStrictEqual(parseContentDigest(`sha-256=:${SHA_256}:, md5=:abc=:, sha-512=not-a-byte-sequence`), { 'sha-256': SHA_256 });
+    assert.deepStrictEqual(parseContentDigest(null), {});
+  });
+
+  test('should pick the strongest supported digest', () => {
+    assert.deepStrictEqual(strongestContentDigest(`sha-256=:${SHA_256}:, sha-512=:abc=:`), { algorithm: 'sha-512', digest: 'abc=' });
+    assert.deepStrictEqual(strongestContentDigest(`sha-256=:${SHA_256}:`), { algorithm: 'sha-256', digest: SHA_256 });
+    assert.strictEqual(strongestContentDigest('md5=:abc=:'), null);
+  });
+});
@@ -0,0 +1,117 @@
+import assert from 'node:assert';
+import { test, beforeEach } from 'node:test';
+import {
+  createAesKwKeyWrapper,
+  createEnvelope,
+  openEnvelope,
+  encryptStream,
+  decryptStream,
+  encryptedSize,
+  decryptedSize,
+  encryptedPolicy,
+} from '../../src/lib/envelope.js';
+
+/**
+ * Streams bytes in pieces that do not line up with the chunks.
+ * @param {Uint8Array} bytes
+ * @returns {ReadableStream<Uint8Array>}
+ */
+const streamOf = (bytes) => new ReadableStream({
+  start(controller) {
+    for (let offset = 0; offset < bytes.byteLength; offset += 3) {
+      controller.enqueue(bytes.slice(offset, offset + 3));
+    }
+    controller.close();
+  },
+});
+
+/**
+ * @param {ReadableStream<Uint8Array>} stream
+ */
+const read = async (stream) => new Uint8Array(await new Response(stream).arrayBuffer());
+
+test.suite('envelope encryption', () => {
+  /** @type {import('../../src/lib/envelope.js').KeyWrapper} */
+  let keyWrapper;
+
+  beforeEach(async () => {
+    const keyEncryptionKey = await crypto.subtle.generateKey({ name: 'AES-KW', length: 256 }, false, ['wrapKey', 'unwrapKey']);
+    keyWrapper = createAesKwKeyWrapper(keyEncryptionKey);
+  });
+
+  test('should encrypt and decrypt content of any size in chunks', async () => {
+    const envelopeResult = await createEnvelope({ keyWrapper, keyId: 'kek-1', chunkSize: 4, objectKey: '/secret.txt' });
+    assert.ok(envelopeResult.isOk());
+    const contentKeyResult = await openEnvelope({ envelope: envelopeResult.value.envelope, keyWrapper, keyId: 'kek-1', objectKey: '/secret.txt' });
+    assert.ok(contentKeyResult.isOk());
+
+    for (const size of [0, 3, 4, 8, 9]) {
+      const plaintext = crypto.getRandomValues(new Uint8Array(size));
+      const ciphertext = await read(encryptStream(streamOf(plaintext), envelopeResult.value.contentKey));
+
+      assert.strictEqual(ciphertext.byteLength, encryptedSize(size, 4));
+      assert.strictEqual(decryptedSize(ciphertext.byteLength, 4), size);
+      assert.deepStrictEqual(await read(decryptStream(streamOf(ciphertext), contentKeyResult.value)), plaintext);
+    }
+  });
+
+  test('should fail on modified or truncated content', async () => {
+    const envelopeResult = await createEnvelope({ keyWrapper, keyId: 'kek-1', chunkSize: 4, objectKey: '/secret.txt' });
+    assert.ok(envelopeResult.isOk());
+    const { contentKey } = envelopeResult.value;
+    const ciphertext = await read(encryptStream(streamOf(new TextEncoder().encode('Hello Medoro!')), contentKey));
+    const failure = (/** @type {string} */ message) => ({ type: 'encryption_error', message });
+
+    const modified = ciphertext.slice();
+    modified[5] ^= 1;
+    await assert.rejects(read(decryptStream(streamOf(modified), contentKey, failure)), { type: 'encryption_error' });
+    // Dropping the last chunk leaves a full chunk that was not encrypted as the last one
+    await assert.rejects(read(decryptStream(streamOf(ciphertext.slice(0, 3 * 20)), contentKey, failure)), { type: 'encryption_error' });
+    assert.strictEqual(decryptedSize(ciphertext.byteLength - 4, 4), null);
+  });
+
+  test('should bind the content to the object key', async () => {
+    const envelopeResult = await createEnvelope({ keyWrapper, keyId: 'kek-1', chunkSize: 4, objectKey: '/secret.txt' });
+    assert.ok(envelopeResult.isOk());
+    const { envelope, contentKey } = envelopeResult.value;
+    const ciphertext = await read(encryptStream(streamOf(new TextEncoder().encode('Hello Medoro!')), contentKey));
+
+    const otherObjectResult = await openEnvelope({ envelope, keyWrapper, keyId: 'kek-1', objectKey: '/other.txt' });
+    assert.ok(otherObjectResult.isOk());
+    const failure = (/** @type {string} */ message) => ({ type: 'encryption_error', message });
+    await assert.rejects(read(decryptStream(streamOf(ciphertext), otherObjectResult.value, failure)), {
+      type: 'encryption_error',
+      message: /Chunk 0 .* stored under another object key/,
+    });
+  });
+
+  test('should only open envelopes with the key-encryption key they were created with', async () => {
+    const envelopeResult = await createEnvelope({ keyWrapper, keyId: 'kek-1', chunkSize: 4, objectKey: '/secret.txt' });
+    assert.ok(envelopeResult.isOk());
+    const { envelope } = envelopeResult.value;
+
+    const otherKeyResult = await openEnvelope({ envelope, keyWrapper, keyId: 'kek-2', objectKey: '/secret.txt' });
+    assert.ok(otherKeyResult.isErr());
+    assert.deepStrictEqual(otherKeyResult.error.context, { keyId: 'kek-1' });
+
+    const otherKey = await crypto.subtle.generateKey({ name: 'AES-KW', length: 256 }, false, ['wrapKey', 'unwrapKey']);
+    const wrongKeyResult = await openEnvelope({ envelope, keyWrapper: createAesKwKeyWrapper(otherKey), keyId: 'kek-1', objectKey: '/secret.txt' });
+    assert.ok(wrongKeyResult.isErr());
+    assert.strictEqual(wrongKeyResult.error.type, 'encryption_error');
+
+    const malformedResult = await openEnvelope({ envelope: 'not an envelope', keyWrapper, keyId: 'kek-1', objectKey: '/secret.txt' });
+    assert.ok(malformedResult.isErr());
+    assert.strictEqual(malformedResult.error.message, 'The encryption envelope of the object is malformed');
+  });
+
+  test('should raise Content-Length conditions by the ciphertext overhead', () => {
+    const policy = encryptedPolicy({
+      apiPutV1: {
+        conditions: { 'content-length': { range: [1, 100] }, 'Content-Type': 'text/plain' },
+        accessControl: 'private',
+      },
+    }, 64);
+
+    assert.deepStrictEqual(policy.apiPutV1.conditions, { 'content-length': { range: [17, 132] }, 'Content-Type': 'text/plain' });
+  });
+});
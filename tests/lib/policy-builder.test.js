@@ -0,0 +1,113 @@
+import assert from 'node:assert';
+import { test } from 'node:test';
+import { PolicyBuilder } from '../../src/lib/policy-builder.js';
+import { encodePolicy } from '../../src/lib/policy.js';
+
+test.suite('PolicyBuilder', () => {
+  test('should build a policy from the shortcut methods', () => {
+    const result = new PolicyBuilder()
+      .maxSize(1024)
+      .contentType.oneOf(['image/png', 'image/jpeg'])
+      .keyPrefix('/uploads/')
+      .header('Cache-Control').equals('no-store')
+      .public()
+      .build();
+
+    assert.ok(result.isOk());
+    assert.deepStrictEqual(result.value, {
+      apiPutV1: {
+        conditions: {
+          'Content-Length': { lte: 1024 },
+          'Content-Type': { oneOf: ['image/png', 'image/jpeg'] },
+          'Key': { startsWith: '/uploads/' },
+          'Cache-Control': 'no-store',
+        },
+        accessControl: 'public',
+      },
+    });
+  });
+
+  test('should default to private and merge size bounds into a range', () => {
+    const result = new PolicyBuilder().minSize(1).maxSize(1024).build();
+
+    assert.ok(result.isOk());
+    assert.deepStrictEqual(result.value, {
+      apiPutV1: { conditions: { 'Content-Length': { range: [1, 1024] } }, accessControl: 'private' },
+    });
+  });
+
+  test('should reject well-known condition names passed to header()', () => {
+    const result = new PolicyBuilder().header('content_length').lte(1024).build();
+
+    assert.ok(result.isErr());
+    assert.strictEqual(result.error.type, 'validation_error');
+    assert.match(result.error.message, /Content-Length/);
+  });
+
+  test('should build and print Content-Digest conditions', () => {
+    const builder = new PolicyBuilder().requireDigest('sha-256');
+    const result = builder.build();
+
+    assert.ok(result.isOk());
+    assert.deepStrictEqual(result.value.apiPutV1.conditions, { 'Content-Digest': { startsWith: 'sha-256=' } });
+    assert.strictEqual(String(builder), 'new PolicyBuilder()\n  .requireDigest("sha-256")\n  .private()');
+    assert.strictEqual(
+      String(new PolicyBuilder().contentDigest.equals('sha-256=:abc=:')),
+      'new PolicyBuilder()\n  .contentDigest.equals("sha-256=:abc=:")\n  .private()',
+    );
+    assert.ok(new PolicyBuilder().header('content-digest').equals('sha-256=:abc=:').build().isErr());
+  });
+
+  test('should decode an x-medoro-policy parameter and print it in builder form', () => {
+    const policy = {
+      apiPutV1: {
+        conditions: {
+          'content-length': { lte: 2048 },
+          'Content-Type': 'text/plain',
+          'Key': { endsWith: '.txt' },
+          'X-Medoro-Meta-Owner': { oneOf: ['alice', 'bob'] },
+        },
+        accessControl: /** @type {const} */ ('public'),
+      },
+    };
+
+    const result = PolicyBuilder.decode(encodePolicy(policy));
+
+    assert.ok(result.isOk());
+    assert.strictEqual(
+      String(result.value),
+      [
+        'new PolicyBuilder()',
+        '  .maxSize(2048)',
+        '  .contentType.equals("text/plain")',
+        '  .key.endsWith(".txt")',
+        '  .header("X-Medoro-Meta-Owner").oneOf(["alice","bob"])',
+        '  .public()',
+      ].join('\n'),
+    );
+    const rebuilt = result.value.build();
+    assert.ok(rebuilt.isOk());
+    assert.deepStrictEqual(rebuilt.value.apiPutV1.conditions['Content-Length'], { lte: 2048 });
+  });
+
+  test('should normalize condition names spelled with underscores', () => {
+    const builder = PolicyBuilder.from({
+      apiPutV1: { conditions: { content_length: { lte: 1024 }, content_type: 'image/png' }, accessControl: 'private' },
+    });
+
+    assert.strictEqual(String(builder), 'new PolicyBuilder()\n  .maxSize(1024)\n  .contentType.equals("image/png")\n  .private()');
+    const result = builder.build();
+    assert.ok(result.isOk());
+    assert.deepStrictEqual(result.value.apiPutV1.conditions, { 'Content-Length': { lte: 1024 }, 'Content-Type': 'image/png' });
+  });
+
+  test('should report an invalid x-medoro-policy parameter', () => {
+    const result = PolicyBuilder.decode('not base64!');
+
+    assert.ok(result.isErr());
+    assert.strictEqual(result.error.type, 'validation_error');
+    assert.strictEqual(result.error.code, 'invalid_policy');
+    assert.strictEqual(result.error.status, null);
+    assert.strictEqual(result.error.retryable, false);
+  });
+});
@@ -0,0 +1,92 @@
+import assert from 'node:assert';
+import { test } from 'node:test';
+import { evaluatePolicy, maxContentLength, evaluateContentLength } from '../../src/lib/policy.js';
+
+test.suite('evaluatePolicy', () => {
+  /**
+   * @param {Record<string, import('../../src/lib/schemas').ValidationCondition>} conditions
+   * @returns {import('../../src/lib/schemas').ApiPutRequestValidationPolicy}
+   */
+  const policyWith = (conditions) => ({ apiPutV1: { conditions, accessControl: 'private' } });
+
+  test('should allow values that satisfy every condition', () => {
+    const policy = policyWith({
+      'Content-Length': { range: [1, 1024] },
+      'Content-Type': { oneOf: ['image/png', 'image/jpeg'] },
+      'Key': { startsWith: '/uploads/' },
+      'Cache-Control': 'no-store',
+    });
+
+    const evaluation = evaluatePolicy(policy, {
+      key: '/uploads/avatar.png',
+      contentLength: 512,
+      contentType: 'image/png',
+      'cache-control': 'no-store',
+    });
+    assert.deepStrictEqual(evaluation, { allowed: true, failures: [] });
+  });
+
+  test('should report every failing condition with a reason', () => {
+    const policy = policyWith({
+      'Content-Length': { lte: 100 },
+      'Content-Type': 'text/plain',
+      'Key': { endsWith: '.txt' },
+      'X-Medoro-Meta-Owner': { startsWith: 'team-' },
+    });
+
+    const evaluation = evaluatePolicy(policy, { key: '/notes.md', contentLength: 101, contentType: 'text/markdown' });
+    assert.strictEqual(evaluation.allowed, false);
+    assert.deepStrictEqual(evaluation.failures.map(({ name, reason, actual }) => ({ name, reason, actual })), [
+      { name: 'Content-Length', reason: 'too_large', actual: 101 },
+      { name: 'Content-Type', reason: 'not_equal', actual: 'text/markdown' },
+      { name: 'Key', reason: 'not_ends_with', actual: '/notes.md' },
+      { name: 'X-Medoro-Meta-Owner', reason: 'missing', actual: undefined },
+    ]);
+    assert.strictEqual(evaluation.failures[0].message, 'Content-Length must be at most 100, got 101');
+  });
+
+  test('should support every operator', () => {
+    /** @type {[import('../../src/lib/schemas').ValidationCondition, string | number, string | null][]} */
+    const cases = [
+      ['exact', 'exact', null],
+      [42, 42, null],
+      [42, 41, 'not_equal'],
+      [{ startsWith: 'a' }, 'b', 'not_starts_with'],
+      [{ endsWith: 'z' }, 'y', 'not_ends_with'],
+      [{ lte: 10 }, 10, null],
+      [{ gte: 10 }, 9, 'too_small'],
+      [{ oneOf: ['a', 1] }, 1, null],
+      [{ oneOf: ['a', 1] }, 'b', 'not_one_of'],
+      [{ range: [5, 10] }, 11, 'out_of_range'],
+    ];
+
+    for (const [condition, actual, reason] of cases) {
+      const evaluation = evaluatePolicy(policyWith({ 'X-Value': condition }), { 'x-value': actual });
+      assert.strictEqual(evaluation.failures[0]?.reason ?? null, reason, `${JSON.stringify(condition)} with ${actual}`);
+    }
+  });
+});
+
+test.suite('Content-Length conditions', () => {
+  /**
+   * @param {Record<string, import('../../src/lib/schemas').ValidationCondition>} conditions
+   * @returns {import('../../src/lib/schemas').ApiPutRequestValidationPolicy}
+   */
+  const policyWith = (conditions) => ({ apiPutV1: { conditions, accessControl: 'private' } });
+
+  test('should compute the largest allowed size', () => {
+    assert.strictEqual(maxContentLength(policyWith({ 'Content-Length': { lte: 100 } })), 100);
+    assert.strictEqual(maxContentLength(policyWith({ 'content-length': { range: [1, 50] } })), 50);
+    assert.strictEqual(maxContentLength(policyWith({ 'Content-Length': { oneOf: [10, 20] } })), 20);
+    assert.strictEqual(maxContentLength(policyWith({ 'Content-Length': 7 })), 7);
+    assert.strictEqual(maxContentLength(policyWith({ 'Content-Length': { gte: 1 } })), Infinity);
+    assert.strictEqual(maxContentLength(policyWith({ 'Content-Type': 'text/plain' })), Infinity);
+  });
+
+  test('should evaluate only the Content-Length condition', () => {
+    const policy = policyWith({ 'Content-Length': { gte: 10 }, 'Content-Type': 'text/plain' });
+    assert.strictEqual(evaluateContentLength(policy, 10), null);
+    assert.strictEqual(evaluateContentLength(policy, 9)?.reason, 'too_small');
+    assert.strictEqual(evaluateContentLength(policyWith({}), 9), null);
+  });
+});
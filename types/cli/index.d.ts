@@ -0,0 +1,71 @@
+/**
+ * Runs the `medoro` command-line tool.
+ * @param {object} params
+ * @param {string[]} params.argv - The arguments after the executable, e.g. `process.argv.slice(2)`.
+ * @param {NodeJS.ProcessEnv} [params.env] - The environment variables. Defaults to `process.env`.
+ * @param {NodeJS.WritableStream} [params.stdout] - Where results are printed. Defaults to `process.stdout`.
+ * @param {NodeJS.WritableStream} [params.stderr] - Where errors are printed. Defaults to `process.stderr`.
+ * @returns {Promise<number>} The exit code: 0 on success, otherwise the entry of `EXIT_CODES` for the error type.
+ */
+export function run({ argv, env, stdout, stderr }: {
+    argv: string[];
+    env?: NodeJS.ProcessEnv | undefined;
+    stdout?: NodeJS.WritableStream | undefined;
+    stderr?: NodeJS.WritableStream | undefined;
+}): Promise<number>;
+/**
+ * The exit code of the CLI for each error type. Types not listed exit with 1.
+ * A `validation_error` raised by the client before sending anything exits like a usage error.
+ */
+export const EXIT_CODES: Readonly<{
+    usage: 2;
+    config_error: 3;
+    not_found: 4;
+    signature_error: 5;
+    access_denied: 5;
+    policy_violation: 6;
+    network_error: 7;
+    timeout: 7;
+    rate_limited: 7;
+    server_error: 8;
+    validation_error: 8;
+    precondition_failed: 8;
+    range_not_satisfiable: 8;
+    integrity_error: 8;
+    file_error: 9;
+}>;
+export type MedoroDataplaneClientError = import("../dataplane/index.js").MedoroDataplaneClientError;
+/**
+ * What a command prints on success.
+ */
+export type CommandOutput = {
+    /**
+     * - The human-readable output, if any.
+     */
+    text?: string | undefined;
+    /**
+     * - The output of `--json`, if any. Downloads to stdout print nothing else.
+     */
+    json?: unknown;
+};
+export type CommandContext = {
+    /**
+     * - The positional arguments after the command name.
+     */
+    args: string[];
+    /**
+     * - The parsed options.
+     */
+    options: {
+        [option: string]: string | boolean | undefined;
+    };
+    /**
+     * - The configured client.
+     */
+    client: MedoroDataplaneClient;
+    /**
+     * - Where downloads without `--output` are written.
+     */
+    stdout: NodeJS.WritableStream;
+};
+import { MedoroDataplaneClient } from '../dataplane/index.js';
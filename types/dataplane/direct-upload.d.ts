@@ -0,0 +1,53 @@
+/**
+ * Signs the upload of a file a browser asked for, to hand it back to the browser for `uploadToSignedUrl`.
+ *
+ * The intent is validated against `UploadIntentSchema`, so it can be passed straight from the body of the browser's request.
+ * The policy of the upload allows exactly the generated key, the size of the file and its content type,
+ * taken from the intent or guessed from the file name. The service rejects any other upload with the URL.
+ * @param {object} params
+ * @param {import('./index.js').MedoroDataplaneClient} params.client - Signs the URL.
+ * @param {unknown} params.intent - The `filename`, `size` and `type` of the file, as sent by the browser.
+ * @param {string} params.keyTemplate - The key to upload to, such as `uploads/{userId}/{uuid}{ext}`.
+ *   `{uuid}` is a new random UUID, `{ext}` the extension of the file name, and any other placeholder is taken from `keyParams`.
+ * @param {Record<string, string>} [params.keyParams] - The values of the other placeholders. Each must be a single path segment.
+ * @param {number} params.maxSize - The largest file allowed, in bytes.
+ * @param {string[]} [params.allowedTypes] - The content types allowed, such as `image/*` or `application/pdf`. Any by default.
+ * @param {'public' | 'private'} [params.accessControl] - Who may read the uploaded object. Defaults to private.
+ * @param {number} [params.expiresInSeconds] - How long the URL is valid. Defaults to 300 seconds.
+ * @returns {Promise<Result<import('../lib/schemas').SignedUpload, import('./index.js').MedoroRequestError>>}
+ */
+export function createSignedUpload({ client, intent, keyTemplate, keyParams, maxSize, allowedTypes, accessControl, expiresInSeconds, }: {
+    client: import("./index.js").MedoroDataplaneClient;
+    intent: unknown;
+    keyTemplate: string;
+    keyParams?: Record<string, string> | undefined;
+    maxSize: number;
+    allowedTypes?: string[] | undefined;
+    accessControl?: "public" | "private" | undefined;
+    expiresInSeconds?: number | undefined;
+}): Promise<Result<import("../lib/schemas").SignedUpload, import("./index.js").MedoroRequestError>>;
+/**
+ * Uploads a file to a URL signed by `createSignedUpload`, from a browser.
+ *
+ * The signed upload is validated against `SignedUploadSchema`, so it can be passed straight from the response of the server.
+ * A file that does not satisfy the policy of the URL is rejected with a `policy_violation` before anything is sent.
+ * The progress of the upload is reported with `XMLHttpRequest`; where it is not available, such as in workers,
+ * the file is sent with `fetch` and its progress is reported once it has been sent.
+ * Network errors and the statuses of the retry policy are retried: the URL stays valid until it expires.
+ * Errors are `MedoroRequestError`s, parsed from the response as for `send()`.
+ * @param {Blob} file - The file to upload.
+ * @param {unknown} signedUpload - The signed upload returned by `createSignedUpload`.
+ * @param {object} [options]
+ * @param {(progress: import('./index.js').TransferProgress) => void} [options.onProgress] - Called as the file is sent.
+ * @param {AbortSignal} [options.signal] - Cancels the upload when aborted, with an `aborted` error.
+ * @param {number} [options.timeoutMs] - Cancels the upload after this many milliseconds, with a `timeout` error.
+ * @param {import('./index.js').RetryPolicy} [options.retry] - How failed uploads are retried. By default, nothing is retried.
+ * @returns {Promise<Result<import('./index.js').PutObjectOutput, import('./index.js').MedoroRequestError>>}
+ */
+export function uploadToSignedUrl(file: Blob, signedUpload: unknown, { onProgress, signal, timeoutMs, retry }?: {
+    onProgress?: ((progress: import("./index.js").TransferProgress) => void) | undefined;
+    signal?: AbortSignal | undefined;
+    timeoutMs?: number | undefined;
+    retry?: import("./index.js").RetryPolicy | undefined;
+}): Promise<Result<import("./index.js").PutObjectOutput, import("./index.js").MedoroRequestError>>;
+import { Result } from 'neverthrow';
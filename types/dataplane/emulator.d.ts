@@ -0,0 +1,143 @@
+/**
+ * Creates a local emulator of the Medoro dataplane, for integration tests and offline development.
+ *
+ * The emulator is a `fetch`-compatible handler: install it as `globalThis.fetch`, or call it from an HTTP server.
+ * It verifies signatures against the bucket configuration, enforces the `apiPutV1` conditions and access control of uploads,
+ * and answers with the same response envelope as the service. GET and HEAD requests for public objects need no signature,
+ * and honor single byte ranges and conditional headers. Uploads are checked against their `Content-Digest`,
+ * and the content of GET responses carries a SHA-256 `Content-Digest`.
+ * @param {object} params
+ * @param {import('../lib/schemas').BucketConfig} params.bucketConfig - The configuration listing the allowed public keys.
+ * @param {ObjectStore} [params.store] - Where objects are kept. Defaults to a new MemoryObjectStore.
+ * @param {string} [params.bucket] - The bucket name reported in responses. Defaults to the first label of the request host.
+ * @param {() => Date} [params.now] - The clock used to check signatures and sent in the `Date` header. Defaults to the system clock.
+ * @returns {{ fetch: (input: RequestInfo | URL, init?: RequestInit) => Promise<Response>; store: ObjectStore }}
+ */
+export function createDataplaneEmulator({ bucketConfig, store, bucket, now }: {
+    bucketConfig: import("../lib/schemas").BucketConfig;
+    store?: ObjectStore | undefined;
+    bucket?: string | undefined;
+    now?: (() => Date) | undefined;
+}): {
+    fetch: (input: RequestInfo | URL, init?: RequestInit) => Promise<Response>;
+    store: ObjectStore;
+};
+/**
+ * An object kept by the emulator.
+ * @typedef {object} StoredObject
+ * @property {Uint8Array<ArrayBuffer>} body - The content of the object.
+ * @property {string} contentType - The media type of the object.
+ * @property {'public' | 'private'} accessControl - Who may read the object.
+ * @property {string} etag - The quoted SHA-256 of the content.
+ * @property {string} lastModified - When the object was written, as an HTTP date.
+ * @property {Record<string, string>} [headers] - The `Cache-Control`, `Content-Disposition` and `x-medoro-meta-*` headers it was uploaded with.
+ */
+/**
+ * Storage backend of the emulator.
+ * @typedef {object} ObjectStore
+ * @property {(key: string) => Promise<StoredObject | undefined>} get - Reads an object.
+ * @property {(key: string, object: StoredObject) => Promise<void>} put - Writes an object, replacing any previous one.
+ * @property {(key: string) => Promise<boolean>} delete - Removes an object and tells whether it existed.
+ * @property {() => Promise<string[]>} keys - Lists the keys of every stored object.
+ */
+/**
+ * Keeps objects in memory for the lifetime of the process.
+ * @implements {ObjectStore}
+ */
+export class MemoryObjectStore implements ObjectStore {
+    /**
+     * @param {string} key
+     */
+    get(key: string): Promise<StoredObject | undefined>;
+    /**
+     * @param {string} key
+     * @param {StoredObject} object
+     */
+    put(key: string, object: StoredObject): Promise<void>;
+    /**
+     * @param {string} key
+     */
+    delete(key: string): Promise<boolean>;
+    keys(): Promise<string[]>;
+    #private;
+}
+/**
+ * Keeps objects as files in a directory, so they survive restarts.
+ * Each object is stored as a content file in `objects/` and a JSON metadata file in `metadata/`, both named after the encoded key.
+ * @implements {ObjectStore}
+ */
+export class DirectoryObjectStore implements ObjectStore {
+    /**
+     * @param {object} params
+     * @param {string} params.directory - The directory to store objects in. It is created if needed.
+     */
+    constructor({ directory }: {
+        directory: string;
+    });
+    /**
+     * @param {string} key
+     * @returns {Promise<StoredObject | undefined>}
+     */
+    get(key: string): Promise<StoredObject | undefined>;
+    /**
+     * @param {string} key
+     * @param {StoredObject} object
+     */
+    put(key: string, { body, ...metadata }: StoredObject): Promise<void>;
+    /**
+     * @param {string} key
+     */
+    delete(key: string): Promise<boolean>;
+    keys(): Promise<string[]>;
+    #private;
+}
+/**
+ * An object kept by the emulator.
+ */
+export type StoredObject = {
+    /**
+     * - The content of the object.
+     */
+    body: Uint8Array<ArrayBuffer>;
+    /**
+     * - The media type of the object.
+     */
+    contentType: string;
+    /**
+     * - Who may read the object.
+     */
+    accessControl: "public" | "private";
+    /**
+     * - The quoted SHA-256 of the content.
+     */
+    etag: string;
+    /**
+     * - When the object was written, as an HTTP date.
+     */
+    lastModified: string;
+    /**
+     * - The `Cache-Control`, `Content-Disposition` and `x-medoro-meta-*` headers it was uploaded with.
+     */
+    headers?: Record<string, string> | undefined;
+};
+/**
+ * Storage backend of the emulator.
+ */
+export type ObjectStore = {
+    /**
+     * - Reads an object.
+     */
+    get: (key: string) => Promise<StoredObject | undefined>;
+    /**
+     * - Writes an object, replacing any previous one.
+     */
+    put: (key: string, object: StoredObject) => Promise<void>;
+    /**
+     * - Removes an object and tells whether it existed.
+     */
+    delete: (key: string) => Promise<boolean>;
+    /**
+     * - Lists the keys of every stored object.
+     */
+    keys: () => Promise<string[]>;
+};
@@ -0,0 +1,58 @@
+/**
+ * Encrypts objects on the client before they are uploaded, and decrypts them as they are downloaded.
+ *
+ * Every object is encrypted with its own AES-256-GCM data key, in chunks, so that large objects can be streamed both ways.
+ * The data key is wrapped with a key-encryption key the caller holds, and stored with the object in an envelope,
+ * as the `medoro-envelope` metadata. The service only ever sees the ciphertext.
+ *
+ * `PutObjectCommand`, `GetObjectCommand` and `HeadObjectCommand` are encrypted and decrypted; other commands are sent as they are.
+ * Encryption and decryption failures are returned as an `encryption_error`.
+ */
+export class EncryptedDataplaneClient {
+    /**
+     * @param {object} params
+     * @param {import('./index.js').MedoroDataplaneClient} params.client - Signs and sends the commands.
+     * @param {string} params.keyId - The ID of the key-encryption key, recorded in the envelope of every object.
+     * @param {CryptoKey} [params.keyEncryptionKey] - The AES-KW key the data keys are wrapped with.
+     * @param {import('../lib/envelope.js').KeyWrapper} [params.keyWrapper] - Wraps the data keys in place of `keyEncryptionKey`,
+     *   so the key-encryption key can live in a KMS.
+     * @param {number} [params.chunkSize] - The size of the plaintext chunks objects are encrypted in. Defaults to 64 KiB.
+     */
+    constructor({ client, keyId, keyEncryptionKey, keyWrapper, chunkSize }: {
+        client: import("./index.js").MedoroDataplaneClient;
+        keyId: string;
+        keyEncryptionKey?: CryptoKey | undefined;
+        keyWrapper?: import("../lib/envelope.js").KeyWrapper | undefined;
+        chunkSize?: number | undefined;
+    });
+    /**
+     * The client the commands are sent with.
+     */
+    get client(): import("./index.js").MedoroDataplaneClient;
+    /**
+     * Sends a Command to Medoro, encrypting uploads and decrypting downloads.
+     *
+     * The content of a PutObjectCommand is encrypted before it is sent, and its policy's `Content-Length` condition
+     * is raised to the size of the ciphertext. Streamed content is encrypted as it is sent; other content is encrypted up front.
+     * The body of a GetObjectCommand is decrypted as it is read: a body that was modified or truncated fails with an `encryption_error`.
+     * Range reads are not supported.
+     * @template {import('./index.js').MedoroDataplaneCommand<any>} C
+     * @template {boolean} [D=false]
+     * @param {object} params - The parameters for the request.
+     * @param {C} params.command - The Command object to send.
+     * @param {D} [params.dryRun] - Evaluate the command's policy locally instead of sending it.
+     * @param {(progress: import('./index.js').TransferProgress) => void} [params.onProgress] - Called as the ciphertext is sent and received.
+     * @param {AbortSignal} [params.signal] - Cancels the request when aborted, as for `MedoroDataplaneClient.send()`.
+     * @param {number} [params.timeoutMs] - Cancels the request after this many milliseconds, as for `MedoroDataplaneClient.send()`.
+     * @returns {Promise<Result<D extends true ? import('./index.js').DryRunOutput : import('./index.js').SendOutput<C>, import('./index.js').MedoroRequestError>>}
+     */
+    send<C extends import("./index.js").MedoroDataplaneCommand<any>, D extends boolean = false>({ command, dryRun, onProgress, signal, timeoutMs }: {
+        command: C;
+        dryRun?: D | undefined;
+        onProgress?: ((progress: import("./index.js").TransferProgress) => void) | undefined;
+        signal?: AbortSignal | undefined;
+        timeoutMs?: number | undefined;
+    }): Promise<Result<D extends true ? import("./index.js").DryRunOutput : import("./index.js").SendOutput<C>, import("./index.js").MedoroRequestError>>;
+    #private;
+}
+import { Result } from 'neverthrow';
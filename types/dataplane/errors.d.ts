@@ -0,0 +1,25 @@
+/**
+ * Creates the error of a command, filling in its key and method and whether it is worth retrying.
+ * Errors that are not about one command, such as invalid options of a batch, have no key and method.
+ * @param {{ key: string; method: import('./index.js').MedoroDataplaneCommand['method'] } | null} command - The command that failed.
+ * @param {object} params
+ * @param {import('./index.js').MedoroRequestErrorType} params.type - The category of the error.
+ * @param {string} params.message - A human-readable message.
+ * @param {number | null} [params.status] - The HTTP status of the response, if one was received.
+ * @param {string} [params.code] - The error code sent by the service, or set by the client.
+ * @param {unknown} [params.details] - The error details sent by the service.
+ * @param {unknown} [params.context] - Additional context.
+ * @returns {import('./index.js').MedoroRequestError}
+ */
+export function requestError(command: {
+    key: string;
+    method: import("./index.js").MedoroDataplaneCommand["method"];
+} | null, { type, message, status, code, details, context }: {
+    type: import("./index.js").MedoroRequestErrorType;
+    message: string;
+    status?: number | null | undefined;
+    code?: string | undefined;
+    details?: unknown;
+    context?: unknown;
+}): import("./index.js").MedoroRequestError;
+export const REQUEST_ERROR_TYPES: readonly ["network_error", "timeout", "aborted", "not_found", "access_denied", "policy_violation", "signature_error", "rate_limited", "server_error", "validation_error", "precondition_failed", "range_not_satisfiable", "integrity_error", "encryption_error", "file_error"];
@@ -0,0 +1,230 @@
+/**
+ * Called before a request is signed, once per attempt.
+ * @typedef {object} BeforeSignContext
+ * @property {import('./index.js').MedoroDataplaneCommand} command - The command being sent.
+ * @property {number} attempt - The number of the attempt, starting at 1.
+ */
+/**
+ * Called once a request is signed, right before it is sent.
+ * @typedef {object} BeforeRequestContext
+ * @property {import('./index.js').MedoroDataplaneCommand} command - The command being sent.
+ * @property {number} attempt - The number of the attempt, starting at 1.
+ * @property {URL} url - The signed URL, with its signature redacted.
+ * @property {Headers} headers - The headers of the request. Headers added here are sent without being signed;
+ *   changing the signed ones invalidates the signature.
+ */
+/**
+ * Called when a response is received, once per attempt, before its body is read.
+ * @typedef {object} AfterResponseContext
+ * @property {import('./index.js').MedoroDataplaneCommand} command - The command being sent.
+ * @property {number} attempt - The number of the attempt, starting at 1.
+ * @property {URL} url - The signed URL, with its signature redacted.
+ * @property {Response} response - The response. Its body must not be read.
+ * @property {number} durationMs - The time from sending the request until the response headers were received.
+ */
+/**
+ * Called when `send()` returns an error.
+ * @typedef {object} OnErrorContext
+ * @property {import('./index.js').MedoroDataplaneCommand} command - The command that failed.
+ * @property {import('./index.js').MedoroRequestError} error - The returned error.
+ * @property {number} durationMs - The time `send()` took, including retries.
+ */
+/**
+ * Called when `send()` returns a value.
+ * @typedef {object} OnSuccessContext
+ * @property {import('./index.js').MedoroDataplaneCommand} command - The command that succeeded.
+ * @property {unknown} value - The returned value.
+ * @property {number} attempts - How many times the request was sent.
+ * @property {number} durationMs - The time `send()` took, including retries.
+ */
+/**
+ * Hooks into the requests sent by a `MedoroDataplaneClient`, for logging, metrics and tracing.
+ * Hooks may be asynchronous and are awaited. Errors thrown by hooks are ignored, so observing a request never makes it fail.
+ * @typedef {object} ClientHooks
+ * @property {(context: BeforeSignContext) => unknown} [beforeSign]
+ * @property {(context: BeforeRequestContext) => unknown} [beforeRequest]
+ * @property {(context: AfterResponseContext) => unknown} [afterResponse]
+ * @property {(context: OnErrorContext) => unknown} [onError]
+ * @property {(context: OnSuccessContext) => unknown} [onSuccess]
+ */
+/**
+ * A structured log entry written by `createLoggingHooks`.
+ * @typedef {{ event: 'response'; method: string; key: string; url: string; attempt: number; status: number; durationMs: number }
+ *   | { event: 'error'; method: string; key: string; type: string; message: string; status: number | null; retryable: boolean; attempts: number | undefined; durationMs: number }} RequestLogEntry
+ */
+/**
+ * @typedef {object} RequestLogger
+ * @property {(entry: RequestLogEntry) => void} info - Writes the entry of every response.
+ * @property {(entry: RequestLogEntry) => void} warn - Writes the entry of every failed command.
+ */
+/**
+ * Returns a copy of a signed URL whose signature is replaced with `redacted`, so it can be logged without granting access.
+ * @param {URL} signedUrl - A URL created by `createSignedUrl`.
+ * @returns {URL}
+ */
+export function redactSignedUrl(signedUrl: URL): URL;
+/**
+ * Creates hooks writing a structured entry for every response and for every command that fails.
+ * @param {object} [params]
+ * @param {RequestLogger} [params.logger] - Where entries are written, such as a pino or winston logger. Defaults to `console`.
+ * @returns {ClientHooks}
+ */
+export function createLoggingHooks({ logger }?: {
+    logger?: RequestLogger | undefined;
+}): ClientHooks;
+/**
+ * Creates hooks sending the W3C trace context of the caller with every request,
+ * so requests to Medoro can be correlated with the traces of the application.
+ * The `traceparent` and `tracestate` headers are not signed. Invalid `traceparent` values are not sent.
+ * @param {object} params
+ * @param {(command: import('./index.js').MedoroDataplaneCommand) => { traceparent: string; tracestate?: string } | null | undefined} params.getTraceContext
+ *   Returns the trace context of the current operation, or nothing outside of a trace.
+ * @returns {ClientHooks}
+ */
+export function createTraceContextHooks({ getTraceContext }: {
+    getTraceContext: (command: import("./index.js").MedoroDataplaneCommand) => {
+        traceparent: string;
+        tracestate?: string;
+    } | null | undefined;
+}): ClientHooks;
+/**
+ * Called before a request is signed, once per attempt.
+ */
+export type BeforeSignContext = {
+    /**
+     * - The command being sent.
+     */
+    command: import("./index.js").MedoroDataplaneCommand;
+    /**
+     * - The number of the attempt, starting at 1.
+     */
+    attempt: number;
+};
+/**
+ * Called once a request is signed, right before it is sent.
+ */
+export type BeforeRequestContext = {
+    /**
+     * - The command being sent.
+     */
+    command: import("./index.js").MedoroDataplaneCommand;
+    /**
+     * - The number of the attempt, starting at 1.
+     */
+    attempt: number;
+    /**
+     * - The signed URL, with its signature redacted.
+     */
+    url: URL;
+    /**
+     * - The headers of the request. Headers added here are sent without being signed;
+     * changing the signed ones invalidates the signature.
+     */
+    headers: Headers;
+};
+/**
+ * Called when a response is received, once per attempt, before its body is read.
+ */
+export type AfterResponseContext = {
+    /**
+     * - The command being sent.
+     */
+    command: import("./index.js").MedoroDataplaneCommand;
+    /**
+     * - The number of the attempt, starting at 1.
+     */
+    attempt: number;
+    /**
+     * - The signed URL, with its signature redacted.
+     */
+    url: URL;
+    /**
+     * - The response. Its body must not be read.
+     */
+    response: Response;
+    /**
+     * - The time from sending the request until the response headers were received.
+     */
+    durationMs: number;
+};
+/**
+ * Called when `send()` returns an error.
+ */
+export type OnErrorContext = {
+    /**
+     * - The command that failed.
+     */
+    command: import("./index.js").MedoroDataplaneCommand;
+    /**
+     * - The returned error.
+     */
+    error: import("./index.js").MedoroRequestError;
+    /**
+     * - The time `send()` took, including retries.
+     */
+    durationMs: number;
+};
+/**
+ * Called when `send()` returns a value.
+ */
+export type OnSuccessContext = {
+    /**
+     * - The command that succeeded.
+     */
+    command: import("./index.js").MedoroDataplaneCommand;
+    /**
+     * - The returned value.
+     */
+    value: unknown;
+    /**
+     * - How many times the request was sent.
+     */
+    attempts: number;
+    /**
+     * - The time `send()` took, including retries.
+     */
+    durationMs: number;
+};
+/**
+ * Hooks into the requests sent by a `MedoroDataplaneClient`, for logging, metrics and tracing.
+ * Hooks may be asynchronous and are awaited. Errors thrown by hooks are ignored, so observing a request never makes it fail.
+ */
+export type ClientHooks = {
+    beforeSign?: ((context: BeforeSignContext) => unknown) | undefined;
+    beforeRequest?: ((context: BeforeRequestContext) => unknown) | undefined;
+    afterResponse?: ((context: AfterResponseContext) => unknown) | undefined;
+    onError?: ((context: OnErrorContext) => unknown) | undefined;
+    onSuccess?: ((context: OnSuccessContext) => unknown) | undefined;
+};
+/**
+ * A structured log entry written by `createLoggingHooks`.
+ */
+export type RequestLogEntry = {
+    event: "response";
+    method: string;
+    key: string;
+    url: string;
+    attempt: number;
+    status: number;
+    durationMs: number;
+} | {
+    event: "error";
+    method: string;
+    key: string;
+    type: string;
+    message: string;
+    status: number | null;
+    retryable: boolean;
+    attempts: number | undefined;
+    durationMs: number;
+};
+export type RequestLogger = {
+    /**
+     * - Writes the entry of every response.
+     */
+    info: (entry: RequestLogEntry) => void;
+    /**
+     * - Writes the entry of every failed command.
+     */
+    warn: (entry: RequestLogEntry) => void;
+};
@@ -1,15 +1,364 @@
-export class PutObjectCommand extends MedoroDataplaneCommand {
+/**
+ * Creates the default signer, which signs with a WebCrypto Ed25519 private key.
+ * The key can be non-extractable.
+ * @param {CryptoKey} privateKey - The Ed25519 private key.
+ * @returns {Signer}
+ */
+export function createWebCryptoSigner(privateKey: CryptoKey): Signer;
+/**
+ * Collects the values of an upload command that its policy conditions apply to, as the service would see them.
+ * @param {PutObjectCommand | CreateMultipartUploadCommand} command - The upload command.
+ * @returns {import('../lib/policy.js').PolicyRequestValues}
+ */
+export function uploadValues(command: PutObjectCommand | CreateMultipartUploadCommand): import("../lib/policy.js").PolicyRequestValues;
+/**
+ * @param {number} ms
+ * @param {AbortSignal} [signal] - Ends the wait early when aborted.
+ * @returns {Promise<void>}
+ */
+export function sleep(ms: number, signal?: AbortSignal): Promise<void>;
+/**
+ * Combines the signal of the caller and a timeout into the signal a request is sent with.
+ * @param {AbortSignal | undefined} signal - The signal of the caller.
+ * @param {number | undefined} timeoutMs - The timeout of the request.
+ * @returns {AbortSignal | undefined} The combined signal, or undefined if the request can be neither aborted nor time out.
+ */
+export function requestSignal(signal: AbortSignal | undefined, timeoutMs: number | undefined): AbortSignal | undefined;
+/**
+ * Tells why a signal was aborted: a `timeout` if it timed out, and `aborted` otherwise.
+ * @param {AbortSignal} signal - An aborted signal.
+ * @returns {{ type: 'timeout' | 'aborted'; message: string }}
+ */
+export function abortFailure(signal: AbortSignal): {
+    type: "timeout" | "aborted";
+    message: string;
+};
+/**
+ * Fills in the defaults of a retry policy.
+ * @param {RetryPolicy} retry
+ * @returns {Required<RetryPolicy>}
+ */
+export function retryPolicy(retry: RetryPolicy): Required<RetryPolicy>;
+/**
+ * Computes the delay before the next attempt using exponential backoff with full jitter.
+ * @param {Required<RetryPolicy>} policy - The retry policy of the client.
+ * @param {number} attempt - The number of the attempt that just failed, starting at 1.
+ * @returns {number} The delay in milliseconds.
+ */
+export function backoffDelay(policy: Required<RetryPolicy>, attempt: number): number;
+/**
+ * Parses a `Retry-After` header, given either in seconds or as an HTTP date.
+ * @param {string | null} value - The value of the header.
+ * @returns {number | null} The delay in milliseconds, or null if the header is missing or invalid.
+ */
+export function parseRetryAfter(value: string | null): number | null;
+/**
+ * Validates the data of a success response against the schema of the command's output.
+ * @template {z.ZodType} S
+ * @param {MedoroDataplaneCommand<any>} command - The command the response answers.
+ * @param {Response} response - The success response.
+ * @param {S} schema - The schema of the expected data.
+ * @param {unknown} rawData - The `data` of the success response.
+ * @returns {Promise<Result<z.infer<S>, MedoroRequestError>>}
+ */
+export function parseResponseData<S extends z.ZodType>(command: MedoroDataplaneCommand<any>, response: Response, schema: S, rawData: unknown): Promise<Result<z.infer<S>, MedoroRequestError>>;
+/**
+ * Creates the error of a command from a non-ok response, reading the error the service sent in its body.
+ * @param {MedoroDataplaneCommand} command - The command that failed.
+ * @param {Response} response - The non-ok response.
+ * @returns {Promise<MedoroRequestError>}
+ */
+export function responseError(command: MedoroDataplaneCommand, response: Response): Promise<MedoroRequestError>;
+/**
+ * Parses a JSON response from the Medoro API, handling success and error formats.
+ * @template T - The expected type of the success data.
+ * @param {Response} response - The fetch API Response object.
+ * @param {MedoroDataplaneCommand} command - The Command object the response answers.
+ * @returns {Promise<Result<{ success: true; data: T; }, MedoroRequestError>>}
+ */
+export function parseJsonResponse<T>(response: Response, command: MedoroDataplaneCommand): Promise<Result<{
+    success: true;
+    data: T;
+}, MedoroRequestError>>;
+export const PutObjectOutputSchema: z.ZodObject<{
+    key: z.ZodString;
+    bucket: z.ZodString;
+    accessControl: z.ZodEnum<{
+        public: "public";
+        private: "private";
+    }>;
+    message: z.ZodString;
+}, z.core.$strip>;
+/**
+ * Configuration for the Medoro client.
+ * @typedef {object} MedoroDataplaneClientConfig
+ * @property {string} origin - The origin URL for the Medoro bucket (e.g., 'https://your-bucket.content-serve.com').
+ * @property {CryptoKeyPair} [keyPair] - The Ed25519 CryptoKeyPair for signing requests. Required for authenticated operations.
+ * @property {string} [keyId] - The ID of the public key associated with the keyPair. Required for authenticated operations.
+ */
+/**
+ * @typedef {object} MedoroDataplaneClientError
+ * @property {string} type - The category of the error (e.g., 'validation_error', 'access_denied', 'unknown').
+ * @property {string} message - A human-readable message describing the error.
+ * @property {string} [code] - An optional error code for programmatic handling.
+ * @property {unknown} [context] - Optional additional context for the error.
+ * @property {number} [attempts] - How many times the request was sent before the error was returned.
+ */
+/**
+ * The type of a `MedoroRequestError`:
+ * - `network_error`: no response was received.
+ * - `timeout`: the request took longer than its `timeoutMs`, or the service timed out (408, 504).
+ * - `aborted`: the `signal` of the request was aborted.
+ * - `not_found`: the object does not exist (404).
+ * - `access_denied`: the key may not access the object (403).
+ * - `policy_violation`: the upload does not satisfy its policy, as checked by the client or the service.
+ * - `signature_error`: the request could not be signed, or the service rejected its signature (401).
+ * - `rate_limited`: the service asks to slow down (429). `context.retryAfterMs` holds its `Retry-After`, if any.
+ * - `server_error`: the service failed (5xx).
+ * - `validation_error`: the command is invalid, the service rejected it (other 4xx), or the response is malformed.
+ * - `precondition_failed` and `range_not_satisfiable`: a conditional or range read cannot be answered (412, 416).
+ * - `integrity_error`: the content does not match its `Content-Digest`, as checked by the client or the service.
+ * - `encryption_error`: an `EncryptedDataplaneClient` could not encrypt the content, or decrypt it with its key.
+ * - `file_error`: a local file could not be read or written by the Node.js helpers.
+ * @typedef {typeof REQUEST_ERROR_TYPES[number]} MedoroRequestErrorType
+ */
+/**
+ * An error returned by `send()` and the other methods and helpers of the client.
+ * The `type` tells what went wrong; the error code and details sent by the service are kept as they are.
+ * @typedef {object} MedoroRequestError
+ * @property {MedoroRequestErrorType} type - The category of the error.
+ * @property {string} message - A human-readable message, as sent by the service if it sent one.
+ * @property {number | null} status - The HTTP status of the response, or null if no response was received.
+ * @property {string} [code] - The error code sent by the service, or set by the client, such as `file_too_large`.
+ * @property {unknown} [details] - The error details sent by the service.
+ * @property {boolean} retryable - Whether sending the command again later may succeed.
+ * @property {string | null} key - The key (path) of the command, or null if the error is not about one command.
+ * @property {MedoroDataplaneCommand['method'] | null} method - The HTTP method of the command, or null if the error is not about one command.
+ * @property {unknown} [context] - Additional context, such as the failed policy conditions or schema issues.
+ * @property {number} [attempts] - How many times the request was sent before the error was returned.
+ */
+/**
+ * The outcome of a command sent with `dryRun`, which is evaluated locally instead of being sent.
+ * @typedef {object} DryRunOutput
+ * @property {true} dryRun - Marks the result as a dry run.
+ * @property {MedoroDataplaneCommand['method']} method - The HTTP method the command would use.
+ * @property {string} key - The key (path) the command would be sent to.
+ * @property {import('../lib/policy.js').PolicyEvaluation | null} evaluation - The evaluation of the command's policy, or null if it has none.
+ */
+/**
+ * Retry policy for requests sent by the client.
+ * Only idempotent commands are retried: requests with a streamed body and POST requests are sent once.
+ * @typedef {object} RetryPolicy
+ * @property {number} [maxAttempts] - The maximum number of attempts, including the first one. Defaults to 1 (no retries).
+ * @property {number} [baseDelayMs] - The upper bound of the delay before the first retry, doubled for every further retry. Defaults to 200.
+ * @property {number} [maxDelayMs] - The maximum delay between two attempts. A longer `Retry-After` ends the retries. Defaults to 20000.
+ * @property {number[]} [retryableStatuses] - The HTTP statuses that are retried. Defaults to 429, 502, 503 and 504.
+ */
+/**
+ * The content of an object to upload.
+ * Streams and async iterables, such as a Node.js `Readable`, are uploaded without being buffered in memory, but can only be sent once.
+ * @typedef {Blob | ArrayBuffer | string | ReadableStream<Uint8Array> | AsyncIterable<Uint8Array>} ObjectContent
+ */
+/**
+ * Progress of a request body being sent or of a response body being received.
+ * @typedef {object} TransferProgress
+ * @property {'upload' | 'download'} direction - Whether bytes are being sent or received.
+ * @property {number} loaded - The number of bytes transferred so far.
+ * @property {number | null} total - The total number of bytes, or null if it is not known.
+ */
+/**
+ * Options of the batch helpers `deleteMany`, `putMany` and `getMany`.
+ * @typedef {object} BatchOptions
+ * @property {number} [concurrency] - How many commands are in flight at the same time. Defaults to 8.
+ * @property {number} [requestsPerSecond] - The most commands started per second. Unlimited by default.
+ * @property {boolean} [stopOnError] - Stop sending commands after the first failure. Commands already in flight
+ *   still complete. Defaults to false.
+ */
+/**
+ * The outcome of one command of a batch.
+ * @template C, T
+ * @typedef {object} BatchItem
+ * @property {number} index - The position of the command in the batch.
+ * @property {C} command - The command.
+ * @property {Result<T, MedoroRequestError>} result - What `send()` returned for the command.
+ */
+/**
+ * The outcome of a batch. Commands that were not sent because the batch stopped have no item.
+ * @template C, T
+ * @typedef {object} BatchOutput
+ * @property {BatchItem<C, T>[]} items - One item per command sent, in the order of the batch.
+ * @property {{ total: number; succeeded: number; failed: number }} summary - The number of commands sent, succeeded and failed.
+ * @property {boolean} stopped - Whether the batch stopped at a failure because of `stopOnError`.
+ */
+/**
+ * Signs the signature base of a request with the Ed25519 key identified by `keyId`, and returns the 64-byte signature.
+ * A signer keeps the private key out of the client: it can forward the signature base to a worker, a signing daemon or a KMS.
+ * The `signal` is aborted when the request is, so that a remote call can be cancelled.
+ * @typedef {(params: { signatureBase: string; keyId: string; signal?: AbortSignal }) => Promise<Uint8Array | ArrayBuffer>} Signer
+ */
+/**
+ * A key the client can sign requests with, and the ID of its public key in the bucket configuration.
+ * Give either the private key itself or a signer that holds it.
+ * @typedef {object} SigningKey
+ * @property {string} keyId - The ID of the public key.
+ * @property {CryptoKey} [privateKey] - The Ed25519 private key.
+ * @property {Signer} [signer] - Signs requests in place of `privateKey`.
+ */
+/**
+ * Metadata of a stored object, as reported by the response headers of a HEAD request.
+ * @typedef {object} ObjectMetadata
+ * @property {string} key - The key (path) of the object.
+ * @property {number | null} contentLength - The size of the object in bytes.
+ * @property {string | null} contentType - The media type of the object.
+ * @property {string | null} etag - The entity tag of the object.
+ * @property {Date | null} lastModified - When the object was last modified.
+ * @property {'public' | 'private' | null} accessControl - The access control the object was uploaded with.
+ * @property {string | null} cacheControl - The `Cache-Control` header the object is served with.
+ * @property {string | null} contentDisposition - The `Content-Disposition` header the object is served with.
+ * @property {Record<string, string>} metadata - The user metadata of the object, by lower-case name without the `x-medoro-meta-` prefix.
+ */
+/**
+ * A byte range of an object: either from `start` to `end` (inclusive, or to the end of the object if omitted),
+ * or the last `suffix` bytes of the object.
+ * @typedef {{ start: number; end?: number } | { suffix: number }} ByteRange
+ */
+/**
+ * The range of the object a partial response holds, as reported by its `Content-Range` header.
+ * @typedef {object} ContentRange
+ * @property {number} start - The offset of the first byte.
+ * @property {number} end - The offset of the last byte, inclusive.
+ * @property {number | null} size - The size of the whole object, or null if the service did not report it.
+ */
+/**
+ * The result of a GetObjectCommand.
+ * - `full`: the whole object (200). The body of `response` is the content.
+ * - `partial`: the requested ranges (206). For a single range, `contentRange` tells which bytes the body holds;
+ *   for several ranges, the body is a `multipart/byteranges` document and `contentRange` is null.
+ * - `not_modified`: the object still matches `ifNoneMatch` or `ifModifiedSince` (304), so no content was sent.
+ *
+ * The `metadata` of full and partial results is read from the response headers; for partial results, its `contentLength` is the size of the body.
+ * If the response has a `Content-Digest` header, the body is checked against it as it is read, as `verifyDigest` allows:
+ * a body that does not match fails when it ends, with an `integrity_error` as the reason.
+ * @typedef {{ outcome: 'full'; response: Response; metadata: ObjectMetadata }
+ *   | { outcome: 'partial'; response: Response; metadata: ObjectMetadata; contentRange: ContentRange | null }
+ *   | { outcome: 'not_modified'; response: Response; etag: string | null }} GetObjectOutput
+ */
+/**
+ * The result of a PutObjectCommand or a CompleteMultipartUploadCommand.
+ * @typedef {z.infer<typeof PutObjectOutputSchema>} PutObjectOutput
+ */
+/**
+ * The result of a DeleteObjectCommand.
+ * @typedef {z.infer<typeof DeleteObjectOutputSchema>} DeleteObjectOutput
+ */
+/**
+ * The result of a CopyObjectCommand: the upload of the destination, the source it was copied from, and their entity tag.
+ * @typedef {PutObjectOutput & { sourceKey: string; etag: string | null; confirmed: boolean }} CopyObjectOutput
+ */
+/**
+ * A page of results of a ListObjectsCommand.
+ * @typedef {z.infer<typeof ListObjectsOutputSchema>} ListObjectsOutput
+ */
+/**
+ * A single object entry of a ListObjectsCommand result.
+ * @typedef {ListObjectsOutput['objects'][number]} ListedObject
+ */
+/**
+ * @typedef {z.infer<typeof CreateMultipartUploadOutputSchema>} CreateMultipartUploadOutput
+ */
+/**
+ * A part confirmed by the service, as needed to complete a multipart upload.
+ * @typedef {z.infer<typeof UploadPartOutputSchema>} UploadPartOutput
+ */
+/**
+ * The data `send()` returns for a command.
+ * @template {MedoroDataplaneCommand<any>} C
+ * @typedef {C extends MedoroDataplaneCommand<infer Output> ? Output : never} SendOutput
+ */
+/**
+ * @template [Output=unknown] - The data `send()` returns for the command.
+ */
+export class MedoroDataplaneCommand<Output = unknown> {
+    /**
+     * @param {object} params
+     * @param {'PUT' | 'GET' | 'DELETE' | 'HEAD' | 'POST'} params.method - The HTTP method for the request.
+     * @param {Headers} [params.headers] - The headers for the request.
+     * @param {URLSearchParams} [params.searchParams] - The query parameters for the request. Each one is covered by the signature.
+     * @param {string} params.key - The key (path) for the request.
+     */
+    constructor({ method, headers, searchParams, key }: {
+        method: "PUT" | "GET" | "DELETE" | "HEAD" | "POST";
+        headers?: Headers | undefined;
+        searchParams?: URLSearchParams | undefined;
+        key: string;
+    });
+    get method(): "PUT" | "GET" | "DELETE" | "HEAD" | "POST";
+    get key(): string;
+    get headers(): Headers;
+    get searchParams(): URLSearchParams;
+    /**
+     * The body sent with the request.
+     * @returns {Blob | ArrayBuffer | string | ReadableStream<Uint8Array> | undefined}
+     */
+    get body(): Blob | ArrayBuffer | string | ReadableStream<Uint8Array> | undefined;
+    /**
+     * Whether the request can safely be sent again after a failure.
+     * A streamed body is consumed by the first attempt, and POST requests may not be repeatable.
+     */
+    get idempotent(): boolean;
+    /**
+     * The schema the `data` of a success response is validated against, or null if the output is not read from a JSON body.
+     * @returns {z.ZodType<Output> | null}
+     */
+    get responseSchema(): z.ZodType<Output> | null;
+    #private;
+}
+/**
+ * @extends {MedoroDataplaneCommand<PutObjectOutput>}
+ */
+export class PutObjectCommand extends MedoroDataplaneCommand<{
+    key: string;
+    bucket: string;
+    accessControl: "public" | "private";
+    message: string;
+}> {
     /**
+     * The content type, caching and disposition options and the metadata are sent as request headers, which are covered by the signature,
+     * and stored with the object. So is the `Content-Digest` of the content, which the service checks the uploaded bytes against.
      * @param {object} params
      * @param {string} params.key - The key (path) for the request.
      * @param {import('../lib/schemas').ApiPutRequestValidationPolicy} params.policy - The validation policy for the request.
-     * @param {Blob | ArrayBuffer | string} [params.content] - The content of the object.
+     * @param {ObjectContent} [params.content] - The content of the object.
+     * @param {number} [params.contentLength] - The size of streamed content in bytes, if known up front. It is sent as the `Content-Length` header.
+     * @param {string} [params.contentType] - The media type of the object. Defaults to the type of a `Blob` content.
+     * @param {string} [params.cacheControl] - The `Cache-Control` header the object is served with.
+     * @param {string} [params.contentDisposition] - The `Content-Disposition` header the object is served with, such as `attachment; filename="report.pdf"`.
+     * @param {Record<string, string>} [params.metadata] - User metadata, sent as `x-medoro-meta-*` headers. Names are case-insensitive and stored in lower case.
+     * @param {import('../lib/digest.js').DigestAlgorithm} [params.digest] - Compute the `Content-Digest` of the content with this algorithm.
+     *   The content is read into memory to be hashed, so streamed content needs a `contentDigest` instead.
+     * @param {string} [params.contentDigest] - The `Content-Digest` of the content, computed beforehand, such as `sha-256=:X48E9q...=:`.
      */
-    constructor({ key, policy, content }: {
+    constructor({ key, policy, content, contentLength, contentType, cacheControl, contentDisposition, metadata, digest, contentDigest }: {
         key: string;
         policy: import("../lib/schemas").ApiPutRequestValidationPolicy;
-        content?: string | Blob | ArrayBuffer | undefined;
+        content?: ObjectContent | undefined;
+        contentLength?: number | undefined;
+        contentType?: string | undefined;
+        cacheControl?: string | undefined;
+        contentDisposition?: string | undefined;
+        metadata?: Record<string, string> | undefined;
+        digest?: "sha-512" | "sha-256" | undefined;
+        contentDigest?: string | undefined;
     });
+    get responseSchema(): z.ZodObject<{
+        key: z.ZodString;
+        bucket: z.ZodString;
+        accessControl: z.ZodEnum<{
+            public: "public";
+            private: "private";
+        }>;
+        message: z.ZodString;
+    }, z.core.$strip>;
     get policy(): {
         apiPutV1: {
             conditions: Record<string, string | number | {
@@ -28,10 +377,50 @@ export class PutObjectCommand extends MedoroDataplaneCommand {
             accessControl: "public" | "private";
         };
     };
-    get content(): string | Blob | ArrayBuffer | undefined;
+    get content(): string | Blob | ArrayBuffer | ReadableStream<Uint8Array<ArrayBufferLike>> | undefined;
+    get contentLength(): number | undefined;
+    get metadata(): Record<string, string>;
+    /**
+     * The algorithm of the `Content-Digest` computed for the content when the command is signed, if any.
+     */
+    get digest(): "sha-512" | "sha-256" | undefined;
+    #private;
+}
+/**
+ * @extends {MedoroDataplaneCommand<GetObjectOutput>}
+ */
+export class GetObjectCommand extends MedoroDataplaneCommand<GetObjectOutput> {
+    /**
+     * The conditional and range options are sent as request headers, which are covered by the signature.
+     * @param {object} params
+     * @param {string} params.key - The key (path) for the request.
+     * @param {ByteRange | ByteRange[]} [params.range] - Only read these bytes of the object.
+     * @param {string | Date} [params.ifRange] - Only honor `range` if the object still has this entity tag or modification date; otherwise read the whole object.
+     * @param {string} [params.ifMatch] - Only read the object if its entity tag is one of these (comma-separated, quoted).
+     * @param {string} [params.ifNoneMatch] - Report the object as not modified if its entity tag is one of these (comma-separated, quoted, or `*`).
+     * @param {Date} [params.ifModifiedSince] - Report the object as not modified if it has not changed since this date.
+     * @param {boolean} [params.verifyDigest] - Check the body against the `Content-Digest` of the response.
+     *   By default, the body is hashed as it is read where `node:crypto` is available, as in Node.js. Elsewhere, such as in browsers,
+     *   it has to be kept in memory until it ends, so only bodies of at most 16 MiB are checked; set this to true to check any size.
+     *   Set it to false to never check.
+     */
+    constructor({ key, range, ifRange, ifMatch, ifNoneMatch, ifModifiedSince, verifyDigest }: {
+        key: string;
+        range?: ByteRange | ByteRange[] | undefined;
+        ifRange?: string | Date | undefined;
+        ifMatch?: string | undefined;
+        ifNoneMatch?: string | undefined;
+        ifModifiedSince?: Date | undefined;
+        verifyDigest?: boolean | undefined;
+    });
+    get range(): ByteRange[] | undefined;
+    get verifyDigest(): boolean | undefined;
     #private;
 }
-export class GetObjectCommand extends MedoroDataplaneCommand {
+/**
+ * @extends {MedoroDataplaneCommand<ObjectMetadata>}
+ */
+export class HeadObjectCommand extends MedoroDataplaneCommand<ObjectMetadata> {
     /**
      * @param {object} params
      * @param {string} params.key - The key (path) for the request.
@@ -40,7 +429,172 @@ export class GetObjectCommand extends MedoroDataplaneCommand {
         key: string;
     });
 }
-export class DeleteObjectCommand extends MedoroDataplaneCommand {
+/**
+ * @extends {MedoroDataplaneCommand<ListObjectsOutput>}
+ */
+export class ListObjectsCommand extends MedoroDataplaneCommand<{
+    objects: {
+        key: string;
+        size: number;
+        contentType?: string | undefined;
+        etag?: string | undefined;
+        lastModified?: string | undefined;
+    }[];
+    commonPrefixes: string[];
+    nextCursor: string | null;
+}> {
+    /**
+     * @param {object} [params]
+     * @param {string} [params.prefix] - Only list keys starting with this prefix.
+     * @param {string} [params.delimiter] - Group keys sharing a prefix up to this delimiter into `commonPrefixes`.
+     * @param {string} [params.cursor] - The `nextCursor` of a previous page to continue from.
+     * @param {number} [params.limit] - The maximum number of objects to return in one page.
+     */
+    constructor({ prefix, delimiter, cursor, limit }?: {
+        prefix?: string | undefined;
+        delimiter?: string | undefined;
+        cursor?: string | undefined;
+        limit?: number | undefined;
+    });
+    get responseSchema(): z.ZodObject<{
+        objects: z.ZodArray<z.ZodObject<{
+            key: z.ZodString;
+            size: z.ZodNumber;
+            contentType: z.ZodOptional<z.ZodString>;
+            etag: z.ZodOptional<z.ZodString>;
+            lastModified: z.ZodOptional<z.ZodString>;
+        }, z.core.$strip>>;
+        commonPrefixes: z.ZodDefault<z.ZodArray<z.ZodString>>;
+        nextCursor: z.ZodDefault<z.ZodNullable<z.ZodString>>;
+    }, z.core.$strip>;
+}
+/**
+ * @extends {MedoroDataplaneCommand<CreateMultipartUploadOutput>}
+ */
+export class CreateMultipartUploadCommand extends MedoroDataplaneCommand<{
+    uploadId: string;
+}> {
+    /**
+     * @param {object} params
+     * @param {string} params.key - The key (path) of the object to assemble.
+     * @param {import('../lib/schemas').ApiPutRequestValidationPolicy} params.policy - The validation policy for the assembled object.
+     * @param {number} [params.contentLength] - The size of the assembled object in bytes, if known up front.
+     */
+    constructor({ key, policy, contentLength }: {
+        key: string;
+        policy: import("../lib/schemas").ApiPutRequestValidationPolicy;
+        contentLength?: number | undefined;
+    });
+    get responseSchema(): z.ZodObject<{
+        uploadId: z.ZodString;
+    }, z.core.$strip>;
+    get policy(): {
+        apiPutV1: {
+            conditions: Record<string, string | number | {
+                startsWith: string;
+            } | {
+                endsWith: string;
+            } | {
+                lte: number;
+            } | {
+                gte: number;
+            } | {
+                oneOf: (string | number)[];
+            } | {
+                range: [number, number];
+            }>;
+            accessControl: "public" | "private";
+        };
+    };
+    #private;
+}
+/**
+ * @extends {MedoroDataplaneCommand<UploadPartOutput>}
+ */
+export class UploadPartCommand extends MedoroDataplaneCommand<{
+    partNumber: number;
+    etag: string;
+}> {
+    /**
+     * @param {object} params
+     * @param {string} params.key - The key (path) of the object being assembled.
+     * @param {string} params.uploadId - The ID returned by the CreateMultipartUploadCommand.
+     * @param {number} params.partNumber - The 1-based position of the part in the object.
+     * @param {Blob | ArrayBuffer | string} params.content - The content of the part.
+     */
+    constructor({ key, uploadId, partNumber, content }: {
+        key: string;
+        uploadId: string;
+        partNumber: number;
+        content: Blob | ArrayBuffer | string;
+    });
+    get responseSchema(): z.ZodObject<{
+        partNumber: z.ZodNumber;
+        etag: z.ZodString;
+    }, z.core.$strip>;
+    get content(): string | Blob | ArrayBuffer;
+    get body(): string | Blob | ArrayBuffer;
+    #private;
+}
+/**
+ * @extends {MedoroDataplaneCommand<PutObjectOutput>}
+ */
+export class CompleteMultipartUploadCommand extends MedoroDataplaneCommand<{
+    key: string;
+    bucket: string;
+    accessControl: "public" | "private";
+    message: string;
+}> {
+    /**
+     * @param {object} params
+     * @param {string} params.key - The key (path) of the object being assembled.
+     * @param {string} params.uploadId - The ID returned by the CreateMultipartUploadCommand.
+     * @param {UploadPartOutput[]} params.parts - Every uploaded part, in any order.
+     */
+    constructor({ key, uploadId, parts }: {
+        key: string;
+        uploadId: string;
+        parts: UploadPartOutput[];
+    });
+    get responseSchema(): z.ZodObject<{
+        key: z.ZodString;
+        bucket: z.ZodString;
+        accessControl: z.ZodEnum<{
+            public: "public";
+            private: "private";
+        }>;
+        message: z.ZodString;
+    }, z.core.$strip>;
+    get parts(): {
+        partNumber: number;
+        etag: string;
+    }[];
+    get body(): string;
+    #private;
+}
+/**
+ * @extends {MedoroDataplaneCommand<unknown>}
+ */
+export class AbortMultipartUploadCommand extends MedoroDataplaneCommand<unknown> {
+    /**
+     * @param {object} params
+     * @param {string} params.key - The key (path) of the object being assembled.
+     * @param {string} params.uploadId - The ID returned by the CreateMultipartUploadCommand.
+     */
+    constructor({ key, uploadId }: {
+        key: string;
+        uploadId: string;
+    });
+    get responseSchema(): z.ZodUnknown;
+}
+/**
+ * @extends {MedoroDataplaneCommand<DeleteObjectOutput>}
+ */
+export class DeleteObjectCommand extends MedoroDataplaneCommand<{
+    key: string;
+    bucket: string;
+    message: string;
+}> {
     /**
      * @param {object} params
      * @param {string} params.key - The key (path) for the request.
@@ -48,6 +602,52 @@ export class DeleteObjectCommand extends MedoroDataplaneCommand {
     constructor({ key }: {
         key: string;
     });
+    get responseSchema(): z.ZodObject<{
+        key: z.ZodString;
+        bucket: z.ZodString;
+        message: z.ZodString;
+    }, z.core.$strip>;
+}
+/**
+ * Copies an object to another key, with its content type, caching and disposition headers and its metadata.
+ *
+ * The service has no copy operation, so `send()` streams the content through the client: it reads the metadata of the source,
+ * checks the destination policy against its size and type, then downloads the source while uploading it to the destination.
+ * The copy is confirmed by comparing the entity tags of both objects. The command cannot be signed into a URL.
+ * @extends {MedoroDataplaneCommand<CopyObjectOutput>}
+ */
+export class CopyObjectCommand extends MedoroDataplaneCommand<CopyObjectOutput> {
+    /**
+     * @param {object} params
+     * @param {string} params.sourceKey - The key (path) of the object to copy.
+     * @param {string} params.destinationKey - The key (path) to copy the object to. The command's `key`.
+     * @param {import('../lib/schemas').ApiPutRequestValidationPolicy} params.policy - The validation policy for the upload of the copy.
+     */
+    constructor({ sourceKey, destinationKey, policy }: {
+        sourceKey: string;
+        destinationKey: string;
+        policy: import("../lib/schemas").ApiPutRequestValidationPolicy;
+    });
+    get sourceKey(): string;
+    get policy(): {
+        apiPutV1: {
+            conditions: Record<string, string | number | {
+                startsWith: string;
+            } | {
+                endsWith: string;
+            } | {
+                lte: number;
+            } | {
+                gte: number;
+            } | {
+                oneOf: (string | number)[];
+            } | {
+                range: [number, number];
+            }>;
+            accessControl: "public" | "private";
+        };
+    };
+    #private;
 }
 /**
  * Medoro JavaScript Client SDK.
@@ -58,46 +658,206 @@ export class MedoroDataplaneClient {
      * Creates an instance of MedoroClient.
      * @param {object} config - The client configuration.
      * @param {string} config.origin - The base URL for Medoro operations.
-     * @param {CryptoKey} config.privateKey - The private key for signing requests.
-     * @param {string} config.keyId - The ID associated with the private key.
+     * @param {CryptoKey} [config.privateKey] - The private key for signing requests.
+     * @param {Signer} [config.signer] - Signs requests in place of `privateKey`, so the private key can live outside the client.
+     * @param {string} [config.keyId] - The ID associated with the private key.
+     * @param {SigningKey[]} [config.keys] - A keyring to sign with instead of a single `privateKey` or `signer` and `keyId`.
+     * @param {string} [config.activeKeyId] - The ID of the keyring entry to sign with. Defaults to the first one.
+     * @param {RetryPolicy} [config.retry] - How failed requests are retried. By default, nothing is retried.
+     * @param {import('./hooks.js').ClientHooks | import('./hooks.js').ClientHooks[]} [config.hooks] - Hooks called as commands are sent,
+     *   in the order they are given.
+     * @param {number} [config.clockOffsetMs] - The difference between the service's clock and the local clock, in milliseconds.
+     *   By default, it is measured from the responses of the service.
+     * @param {number} [config.timeoutMs] - The default timeout of `send()`, in milliseconds. By default, requests do not time out.
      */
-    constructor({ origin, privateKey, keyId }: {
+    constructor({ origin, privateKey, signer, keyId, keys, activeKeyId, retry, hooks, clockOffsetMs, timeoutMs }: {
         origin: string;
-        privateKey: CryptoKey;
-        keyId: string;
+        privateKey?: CryptoKey | undefined;
+        signer?: Signer | undefined;
+        keyId?: string | undefined;
+        keys?: SigningKey[] | undefined;
+        activeKeyId?: string | undefined;
+        retry?: RetryPolicy | undefined;
+        hooks?: import("./hooks.js").ClientHooks | import("./hooks.js").ClientHooks[] | undefined;
+        clockOffsetMs?: number | undefined;
+        timeoutMs?: number | undefined;
     });
+    /**
+     * The IDs of the keys in the keyring.
+     * @returns {string[]}
+     */
+    get keyIds(): string[];
+    /**
+     * The ID of the key requests are signed with.
+     * @returns {string | undefined}
+     */
+    get activeKeyId(): string | undefined;
+    /**
+     * Switches the key requests are signed with.
+     * To rotate keys without downtime, allow the new public key in the bucket configuration first,
+     * then switch to it, and remove the old key from the configuration once no client uses it anymore.
+     * @param {string} keyId - The ID of a key in the keyring.
+     * @returns {Result<void, MedoroRequestError>}
+     */
+    useKey(keyId: string): Result<void, MedoroRequestError>;
+    /**
+     * The difference between the service's clock and the local clock in milliseconds, added to the local time when signing.
+     * Positive if the local clock is behind. Unless it is set manually, it is measured from the `Date` header of the responses.
+     * @returns {number}
+     */
+    get clockOffsetMs(): number;
+    /**
+     * Sets the clock offset used when signing and stops measuring it, or measures it again from the next response if null.
+     * @param {number | null} offsetMs - The difference between the service's clock and the local clock in milliseconds.
+     * @returns {Result<void, MedoroRequestError>}
+     */
+    setClockOffset(offsetMs: number | null): Result<void, MedoroRequestError>;
     /**
      * Signs a request with the provided key pair using http-msg-sig and returns the signed URL.
      * @param {object} params
      * @param {MedoroDataplaneCommand} params.command - The Command object to sign.
      * @param {number} [params.expiresInSeconds] - The number of seconds until the signature expires.
-     * @returns {Promise<Result<{ signedUrl: URL }, MedoroDataplaneClientError>>}
+     * @param {string} [params.keyId] - The ID of the keyring entry to sign with. Defaults to the active key.
+     * @param {AbortSignal} [params.signal] - Stops waiting for the signer when aborted, with a `timeout` or `aborted` error.
+     * @returns {Promise<Result<{ signedUrl: URL; method: MedoroDataplaneCommand['method'] }, MedoroRequestError>>}
      */
-    createSignedUrl({ command, expiresInSeconds }: {
+    createSignedUrl({ command, expiresInSeconds, keyId, signal }: {
         command: MedoroDataplaneCommand;
         expiresInSeconds?: number | undefined;
+        keyId?: string | undefined;
+        signal?: AbortSignal | undefined;
     }): Promise<Result<{
         signedUrl: URL;
-    }, MedoroDataplaneClientError>>;
+        method: MedoroDataplaneCommand["method"];
+    }, MedoroRequestError>>;
     /**
      * Parses a JSON response from the Medoro API, handling success and error formats.
      * @private
      * @template T - The expected type of the success data.
      * @param {Response} response - The fetch API Response object.
-     * @returns {Promise<Result<{ success: true; data: T; }, MedoroDataplaneClientError>>}
+     * @param {MedoroDataplaneCommand} command - The Command object the response answers.
+     * @returns {Promise<Result<{ success: true; data: T; }, MedoroRequestError>>}
      */
     private parseJsonResponse;
     /**
      * Sends a Command to Medoro.
+     * The result is typed by the command: for example, a PutObjectCommand yields a `PutObjectOutput`.
+     * JSON data that does not match the command's `responseSchema` is returned as a `validation_error`.
+     * Every error is a `MedoroRequestError`, carrying the HTTP status, the error code and details sent by the service,
+     * whether it is worth retrying, and the key and method of the command.
+     * @template {MedoroDataplaneCommand<any>} C
+     * @template {boolean} [D=false]
      * @param {object} params - The parameters for the request.
-     * @param {MedoroDataplaneCommand} params.command - The Command object to send.
-     * @returns {Promise<Result<Response, MedoroDataplaneClientError>>}
+     * @param {C} params.command - The Command object to send.
+     * @param {D} [params.dryRun] - Evaluate the command's policy locally instead of sending it. Policy failures are returned as a `policy_violation` error.
+     * @param {(progress: TransferProgress) => void} [params.onProgress] - Called as the request body is sent and as the response body is read.
+     * @param {AbortSignal} [params.signal] - Cancels the request when aborted, with an `aborted` error.
+     * @param {number} [params.timeoutMs] - Cancels the request after this many milliseconds, with a `timeout` error.
+     *   Defaults to the `timeoutMs` of the client. It covers every attempt and the delays between them, and reading the response body.
+     * @returns {Promise<Result<D extends true ? DryRunOutput : SendOutput<C>, MedoroRequestError>>}
      */
-    send({ command }: {
-        command: MedoroDataplaneCommand;
-    }): Promise<Result<Response, MedoroDataplaneClientError>>;
+    send<C extends MedoroDataplaneCommand<any>, D extends boolean = false>({ command, dryRun, onProgress, signal, timeoutMs }: {
+        command: C;
+        dryRun?: D | undefined;
+        onProgress?: ((progress: TransferProgress) => void) | undefined;
+        signal?: AbortSignal | undefined;
+        timeoutMs?: number | undefined;
+    }): Promise<Result<D extends true ? DryRunOutput : SendOutput<C>, MedoroRequestError>>;
+    /**
+     * Moves an object to another key: copies it with a CopyObjectCommand, then deletes the source once the copy is confirmed.
+     * If the copy fails, the source is left as it is. So it is if the copy cannot be confirmed, with an `integrity_error`
+     * whose code is `unconfirmed_copy`. If the deletion fails, both objects exist: the error carries the output of the copy
+     * in `context.copy`.
+     * @param {object} params
+     * @param {string} params.sourceKey - The key (path) of the object to move.
+     * @param {string} params.destinationKey - The key (path) to move the object to.
+     * @param {import('../lib/schemas').ApiPutRequestValidationPolicy} params.policy - The validation policy for the upload of the copy.
+     * @param {(progress: TransferProgress) => void} [params.onProgress] - Called as the content is downloaded and uploaded.
+     * @param {AbortSignal} [params.signal] - Cancels the move when aborted. The source is not deleted once it is.
+     * @param {number} [params.timeoutMs] - Cancels the copy, and then the deletion of the source, after this many milliseconds each.
+     * @returns {Promise<Result<CopyObjectOutput, MedoroRequestError>>}
+     */
+    move({ sourceKey, destinationKey, policy, onProgress, signal, timeoutMs }: {
+        sourceKey: string;
+        destinationKey: string;
+        policy: import("../lib/schemas").ApiPutRequestValidationPolicy;
+        onProgress?: ((progress: TransferProgress) => void) | undefined;
+        signal?: AbortSignal | undefined;
+        timeoutMs?: number | undefined;
+    }): Promise<Result<CopyObjectOutput, MedoroRequestError>>;
+    /**
+     * Mirrors a local directory to a key prefix: uploads new and changed files, and optionally deletes objects with no local file.
+     * Only available in Node.js, as it reads the file system; see `syncDirectory` of `@medoro/client/node` for the details.
+     * @param {object} params
+     * @param {string} params.localDir - The directory to upload. Files in subdirectories get keys with the same subpaths.
+     * @param {string} [params.prefix] - The key prefix the directory is mirrored to, such as `/assets/`. Defaults to `/`.
+     * @param {boolean} [params.delete] - Delete objects under the prefix that have no local file. Defaults to false.
+     * @param {boolean} [params.dryRun] - Only compute the plan. Defaults to false.
+     * @param {number} [params.concurrency] - How many comparisons, uploads and deletions run at the same time. Defaults to 4.
+     * @param {'hash' | 'size'} [params.compare] - How files are compared with objects of the same size and content type. Defaults to `hash`.
+     * @param {'public' | 'private'} [params.accessControl] - The access control of the uploaded objects. Defaults to `private`.
+     * @returns {Promise<Result<import('./sync.js').SyncReport, MedoroRequestError>>}
+     */
+    sync(params: {
+        localDir: string;
+        prefix?: string | undefined;
+        delete?: boolean | undefined;
+        dryRun?: boolean | undefined;
+        concurrency?: number | undefined;
+        compare?: "size" | "hash" | undefined;
+        accessControl?: "public" | "private" | undefined;
+    }): Promise<Result<import("./sync.js").SyncReport, MedoroRequestError>>;
+    /**
+     * Lists every object under a prefix, following the continuation cursors page by page.
+     * Yields one result per object; if a page fails, its error is yielded and the iteration ends.
+     * @param {object} [params]
+     * @param {string} [params.prefix] - Only list keys starting with this prefix.
+     * @param {string} [params.delimiter] - Group keys sharing a prefix up to this delimiter.
+     * @param {number} [params.limit] - The page size used for each underlying request.
+     * @returns {AsyncGenerator<Result<ListedObject, MedoroRequestError>, void, undefined>}
+     */
+    listAll({ prefix, delimiter, limit }?: {
+        prefix?: string | undefined;
+        delimiter?: string | undefined;
+        limit?: number | undefined;
+    }): AsyncGenerator<Result<ListedObject, MedoroRequestError>, void, undefined>;
+    /**
+     * Deletes many objects, a bounded number at a time. A failed deletion does not fail the batch: check the result of each item.
+     * @param {BatchOptions & { commands: Iterable<DeleteObjectCommand> | AsyncIterable<DeleteObjectCommand> }} params
+     *   The commands to send, and how to send them.
+     * @returns {Promise<Result<BatchOutput<DeleteObjectCommand, DeleteObjectOutput>, MedoroRequestError>>}
+     */
+    deleteMany({ commands, ...options }: BatchOptions & {
+        commands: Iterable<DeleteObjectCommand> | AsyncIterable<DeleteObjectCommand>;
+    }): Promise<Result<BatchOutput<DeleteObjectCommand, DeleteObjectOutput>, MedoroRequestError>>;
+    /**
+     * Uploads many objects, a bounded number at a time. A failed upload does not fail the batch: check the result of each item.
+     * @param {BatchOptions & { commands: Iterable<PutObjectCommand> | AsyncIterable<PutObjectCommand> }} params
+     *   The commands to send, and how to send them.
+     * @returns {Promise<Result<BatchOutput<PutObjectCommand, PutObjectOutput>, MedoroRequestError>>}
+     */
+    putMany({ commands, ...options }: BatchOptions & {
+        commands: Iterable<PutObjectCommand> | AsyncIterable<PutObjectCommand>;
+    }): Promise<Result<BatchOutput<PutObjectCommand, PutObjectOutput>, MedoroRequestError>>;
+    /**
+     * Downloads many objects, a bounded number at a time. A failed download does not fail the batch: check the result of each item.
+     * The response bodies are not read; read or cancel each of them to release its connection.
+     * @param {BatchOptions & { commands: Iterable<GetObjectCommand> | AsyncIterable<GetObjectCommand> }} params
+     *   The commands to send, and how to send them.
+     * @returns {Promise<Result<BatchOutput<GetObjectCommand, GetObjectOutput>, MedoroRequestError>>}
+     */
+    getMany({ commands, ...options }: BatchOptions & {
+        commands: Iterable<GetObjectCommand> | AsyncIterable<GetObjectCommand>;
+    }): Promise<Result<BatchOutput<GetObjectCommand, GetObjectOutput>, MedoroRequestError>>;
     #private;
 }
+export { uploadMultipart } from "./multipart.js";
+export { verifySignedRequest } from "./verify.js";
+export { evaluatePolicy } from "../lib/policy.js";
+export { PolicyBuilder } from "../lib/policy-builder.js";
+export { guessContentType } from "../lib/content-type.js";
+export { EncryptedDataplaneClient } from "./encryption.js";
+export { createAesKwKeyWrapper } from "../lib/envelope.js";
 /**
  * Configuration for the Medoro client.
  */
@@ -117,7 +877,7 @@ export type MedoroDataplaneClientConfig = {
 };
 export type MedoroDataplaneClientError = {
     /**
-     * - The category of the error (e.g., 'validation', 'access_denied', 'unknown').
+     * - The category of the error (e.g., 'validation_error', 'access_denied', 'unknown').
      */
     type: string;
     /**
@@ -132,37 +892,376 @@ export type MedoroDataplaneClientError = {
      * - Optional additional context for the error.
      */
     context?: unknown;
+    /**
+     * - How many times the request was sent before the error was returned.
+     */
+    attempts?: number | undefined;
 };
 /**
- * Configuration for the Medoro client.
- * @typedef {object} MedoroDataplaneClientConfig
- * @property {string} origin - The origin URL for the Medoro bucket (e.g., 'https://your-bucket.content-serve.com').
- * @property {CryptoKeyPair} [keyPair] - The Ed25519 CryptoKeyPair for signing requests. Required for authenticated operations.
- * @property {string} [keyId] - The ID of the public key associated with the keyPair. Required for authenticated operations.
+ * The type of a `MedoroRequestError`:
+ * - `network_error`: no response was received.
+ * - `timeout`: the request took longer than its `timeoutMs`, or the service timed out (408, 504).
+ * - `aborted`: the `signal` of the request was aborted.
+ * - `not_found`: the object does not exist (404).
+ * - `access_denied`: the key may not access the object (403).
+ * - `policy_violation`: the upload does not satisfy its policy, as checked by the client or the service.
+ * - `signature_error`: the request could not be signed, or the service rejected its signature (401).
+ * - `rate_limited`: the service asks to slow down (429). `context.retryAfterMs` holds its `Retry-After`, if any.
+ * - `server_error`: the service failed (5xx).
+ * - `validation_error`: the command is invalid, the service rejected it (other 4xx), or the response is malformed.
+ * - `precondition_failed` and `range_not_satisfiable`: a conditional or range read cannot be answered (412, 416).
+ * - `integrity_error`: the content does not match its `Content-Digest`, as checked by the client or the service.
+ * - `encryption_error`: an `EncryptedDataplaneClient` could not encrypt the content, or decrypt it with its key.
+ * - `file_error`: a local file could not be read or written by the Node.js helpers.
  */
+export type MedoroRequestErrorType = (typeof REQUEST_ERROR_TYPES)[number];
 /**
- * @typedef {object} MedoroDataplaneClientError
- * @property {string} type - The category of the error (e.g., 'validation', 'access_denied', 'unknown').
- * @property {string} message - A human-readable message describing the error.
- * @property {string} [code] - An optional error code for programmatic handling.
- * @property {unknown} [context] - Optional additional context for the error.
+ * An error returned by `send()` and the other methods and helpers of the client.
+ * The `type` tells what went wrong; the error code and details sent by the service are kept as they are.
  */
-declare class MedoroDataplaneCommand {
+export type MedoroRequestError = {
     /**
-     * @param {object} params
-     * @param {'PUT' | 'GET' | 'DELETE'} params.method - The HTTP method for the request.
-     * @param {Headers} [params.headers] - The headers for the request.
-     * @param {string} params.key - The key (path) for the request.
+     * - The category of the error.
      */
-    constructor({ method, headers, key }: {
-        method: "PUT" | "GET" | "DELETE";
-        headers?: Headers | undefined;
-        key: string;
-    });
-    get method(): "PUT" | "GET" | "DELETE";
-    get key(): string;
-    get headers(): Headers;
-    #private;
-}
+    type: MedoroRequestErrorType;
+    /**
+     * - A human-readable message, as sent by the service if it sent one.
+     */
+    message: string;
+    /**
+     * - The HTTP status of the response, or null if no response was received.
+     */
+    status: number | null;
+    /**
+     * - The error code sent by the service, or set by the client, such as `file_too_large`.
+     */
+    code?: string | undefined;
+    /**
+     * - The error details sent by the service.
+     */
+    details?: unknown;
+    /**
+     * - Whether sending the command again later may succeed.
+     */
+    retryable: boolean;
+    /**
+     * - The key (path) of the command, or null if the error is not about one command.
+     */
+    key: string | null;
+    /**
+     * - The HTTP method of the command, or null if the error is not about one command.
+     */
+    method: MedoroDataplaneCommand["method"] | null;
+    /**
+     * - Additional context, such as the failed policy conditions or schema issues.
+     */
+    context?: unknown;
+    /**
+     * - How many times the request was sent before the error was returned.
+     */
+    attempts?: number | undefined;
+};
+/**
+ * The outcome of a command sent with `dryRun`, which is evaluated locally instead of being sent.
+ */
+export type DryRunOutput = {
+    /**
+     * - Marks the result as a dry run.
+     */
+    dryRun: true;
+    /**
+     * - The HTTP method the command would use.
+     */
+    method: MedoroDataplaneCommand["method"];
+    /**
+     * - The key (path) the command would be sent to.
+     */
+    key: string;
+    /**
+     * - The evaluation of the command's policy, or null if it has none.
+     */
+    evaluation: import("../lib/policy.js").PolicyEvaluation | null;
+};
+/**
+ * Retry policy for requests sent by the client.
+ * Only idempotent commands are retried: requests with a streamed body and POST requests are sent once.
+ */
+export type RetryPolicy = {
+    /**
+     * - The maximum number of attempts, including the first one. Defaults to 1 (no retries).
+     */
+    maxAttempts?: number | undefined;
+    /**
+     * - The upper bound of the delay before the first retry, doubled for every further retry. Defaults to 200.
+     */
+    baseDelayMs?: number | undefined;
+    /**
+     * - The maximum delay between two attempts. A longer `Retry-After` ends the retries. Defaults to 20000.
+     */
+    maxDelayMs?: number | undefined;
+    /**
+     * - The HTTP statuses that are retried. Defaults to 429, 502, 503 and 504.
+     */
+    retryableStatuses?: number[] | undefined;
+};
+/**
+ * The content of an object to upload.
+ * Streams and async iterables, such as a Node.js `Readable`, are uploaded without being buffered in memory, but can only be sent once.
+ */
+export type ObjectContent = Blob | ArrayBuffer | string | ReadableStream<Uint8Array> | AsyncIterable<Uint8Array>;
+/**
+ * Progress of a request body being sent or of a response body being received.
+ */
+export type TransferProgress = {
+    /**
+     * - Whether bytes are being sent or received.
+     */
+    direction: "upload" | "download";
+    /**
+     * - The number of bytes transferred so far.
+     */
+    loaded: number;
+    /**
+     * - The total number of bytes, or null if it is not known.
+     */
+    total: number | null;
+};
+/**
+ * Options of the batch helpers `deleteMany`, `putMany` and `getMany`.
+ */
+export type BatchOptions = {
+    /**
+     * - How many commands are in flight at the same time. Defaults to 8.
+     */
+    concurrency?: number | undefined;
+    /**
+     * - The most commands started per second. Unlimited by default.
+     */
+    requestsPerSecond?: number | undefined;
+    /**
+     * - Stop sending commands after the first failure. Commands already in flight
+     * still complete. Defaults to false.
+     */
+    stopOnError?: boolean | undefined;
+};
+/**
+ * The outcome of one command of a batch.
+ */
+export type BatchItem<C, T> = {
+    /**
+     * - The position of the command in the batch.
+     */
+    index: number;
+    /**
+     * - The command.
+     */
+    command: C;
+    /**
+     * - What `send()` returned for the command.
+     */
+    result: Result<T, MedoroRequestError>;
+};
+/**
+ * The outcome of a batch. Commands that were not sent because the batch stopped have no item.
+ */
+export type BatchOutput<C, T> = {
+    /**
+     * - One item per command sent, in the order of the batch.
+     */
+    items: BatchItem<C, T>[];
+    /**
+     * - The number of commands sent, succeeded and failed.
+     */
+    summary: {
+        total: number;
+        succeeded: number;
+        failed: number;
+    };
+    /**
+     * - Whether the batch stopped at a failure because of `stopOnError`.
+     */
+    stopped: boolean;
+};
+/**
+ * Signs the signature base of a request with the Ed25519 key identified by `keyId`, and returns the 64-byte signature.
+ * A signer keeps the private key out of the client: it can forward the signature base to a worker, a signing daemon or a KMS.
+ * The `signal` is aborted when the request is, so that a remote call can be cancelled.
+ */
+export type Signer = (params: {
+    signatureBase: string;
+    keyId: string;
+    signal?: AbortSignal;
+}) => Promise<Uint8Array | ArrayBuffer>;
+/**
+ * A key the client can sign requests with, and the ID of its public key in the bucket configuration.
+ * Give either the private key itself or a signer that holds it.
+ */
+export type SigningKey = {
+    /**
+     * - The ID of the public key.
+     */
+    keyId: string;
+    /**
+     * - The Ed25519 private key.
+     */
+    privateKey?: CryptoKey | undefined;
+    /**
+     * - Signs requests in place of `privateKey`.
+     */
+    signer?: Signer | undefined;
+};
+/**
+ * Metadata of a stored object, as reported by the response headers of a HEAD request.
+ */
+export type ObjectMetadata = {
+    /**
+     * - The key (path) of the object.
+     */
+    key: string;
+    /**
+     * - The size of the object in bytes.
+     */
+    contentLength: number | null;
+    /**
+     * - The media type of the object.
+     */
+    contentType: string | null;
+    /**
+     * - The entity tag of the object.
+     */
+    etag: string | null;
+    /**
+     * - When the object was last modified.
+     */
+    lastModified: Date | null;
+    /**
+     * - The access control the object was uploaded with.
+     */
+    accessControl: "public" | "private" | null;
+    /**
+     * - The `Cache-Control` header the object is served with.
+     */
+    cacheControl: string | null;
+    /**
+     * - The `Content-Disposition` header the object is served with.
+     */
+    contentDisposition: string | null;
+    /**
+     * - The user metadata of the object, by lower-case name without the `x-medoro-meta-` prefix.
+     */
+    metadata: Record<string, string>;
+};
+/**
+ * A byte range of an object: either from `start` to `end` (inclusive, or to the end of the object if omitted),
+ * or the last `suffix` bytes of the object.
+ */
+export type ByteRange = {
+    start: number;
+    end?: number;
+} | {
+    suffix: number;
+};
+/**
+ * The range of the object a partial response holds, as reported by its `Content-Range` header.
+ */
+export type ContentRange = {
+    /**
+     * - The offset of the first byte.
+     */
+    start: number;
+    /**
+     * - The offset of the last byte, inclusive.
+     */
+    end: number;
+    /**
+     * - The size of the whole object, or null if the service did not report it.
+     */
+    size: number | null;
+};
+/**
+ * The result of a GetObjectCommand.
+ * - `full`: the whole object (200). The body of `response` is the content.
+ * - `partial`: the requested ranges (206). For a single range, `contentRange` tells which bytes the body holds;
+ *   for several ranges, the body is a `multipart/byteranges` document and `contentRange` is null.
+ * - `not_modified`: the object still matches `ifNoneMatch` or `ifModifiedSince` (304), so no content was sent.
+ *
+ * The `metadata` of full and partial results is read from the response headers; for partial results, its `contentLength` is the size of the body.
+ * If the response has a `Content-Digest` header, the body is checked against it as it is read, as `verifyDigest` allows:
+ * a body that does not match fails when it ends, with an `integrity_error` as the reason.
+ */
+export type GetObjectOutput = {
+    outcome: "full";
+    response: Response;
+    metadata: ObjectMetadata;
+} | {
+    outcome: "partial";
+    response: Response;
+    metadata: ObjectMetadata;
+    contentRange: ContentRange | null;
+} | {
+    outcome: "not_modified";
+    response: Response;
+    etag: string | null;
+};
+/**
+ * The result of a PutObjectCommand or a CompleteMultipartUploadCommand.
+ */
+export type PutObjectOutput = z.infer<typeof PutObjectOutputSchema>;
+/**
+ * The result of a DeleteObjectCommand.
+ */
+export type DeleteObjectOutput = z.infer<typeof DeleteObjectOutputSchema>;
+/**
+ * The result of a CopyObjectCommand: the upload of the destination, the source it was copied from, and their entity tag.
+ */
+export type CopyObjectOutput = PutObjectOutput & {
+    sourceKey: string;
+    etag: string | null;
+    confirmed: boolean;
+};
+/**
+ * A page of results of a ListObjectsCommand.
+ */
+export type ListObjectsOutput = z.infer<typeof ListObjectsOutputSchema>;
+/**
+ * A single object entry of a ListObjectsCommand result.
+ */
+export type ListedObject = ListObjectsOutput["objects"][number];
+export type CreateMultipartUploadOutput = z.infer<typeof CreateMultipartUploadOutputSchema>;
+/**
+ * A part confirmed by the service, as needed to complete a multipart upload.
+ */
+export type UploadPartOutput = z.infer<typeof UploadPartOutputSchema>;
+/**
+ * The data `send()` returns for a command.
+ */
+export type SendOutput<C extends MedoroDataplaneCommand<any>> = C extends MedoroDataplaneCommand<infer Output> ? Output : never;
+import { z } from 'zod/v4';
 import { Result } from 'neverthrow';
-export {};
+import { REQUEST_ERROR_TYPES } from './errors.js';
+declare const DeleteObjectOutputSchema: z.ZodObject<{
+    key: z.ZodString;
+    bucket: z.ZodString;
+    message: z.ZodString;
+}, z.core.$strip>;
+declare const ListObjectsOutputSchema: z.ZodObject<{
+    objects: z.ZodArray<z.ZodObject<{
+        key: z.ZodString;
+        size: z.ZodNumber;
+        contentType: z.ZodOptional<z.ZodString>;
+        etag: z.ZodOptional<z.ZodString>;
+        lastModified: z.ZodOptional<z.ZodString>;
+    }, z.core.$strip>>;
+    commonPrefixes: z.ZodDefault<z.ZodArray<z.ZodString>>;
+    nextCursor: z.ZodDefault<z.ZodNullable<z.ZodString>>;
+}, z.core.$strip>;
+declare const CreateMultipartUploadOutputSchema: z.ZodObject<{
+    uploadId: z.ZodString;
+}, z.core.$strip>;
+declare const UploadPartOutputSchema: z.ZodObject<{
+    partNumber: z.ZodNumber;
+    etag: z.ZodString;
+}, z.core.$strip>;
+export { createSignedUpload, uploadToSignedUrl } from "./direct-upload.js";
+export { redactSignedUrl, createLoggingHooks, createTraceContextHooks } from "./hooks.js";
+export { generateKeyPair, importPrivateKey, importPublicKey, exportPrivateKey, exportPublicKey, derivePublicKey, deriveKeyId, createAllowedPublicKeyEntry } from "../lib/keys.js";
@@ -0,0 +1,77 @@
+/**
+ * Serializable progress of a multipart upload.
+ * Persist it (e.g. with `JSON.stringify`) to resume an interrupted upload later.
+ * @typedef {object} MultipartUploadState
+ * @property {string} key - The key (path) of the object being assembled.
+ * @property {string} uploadId - The ID of the multipart upload.
+ * @property {number} size - The size of the assembled object in bytes.
+ * @property {number} partSize - The size of every part but the last one in bytes.
+ * @property {MultipartUploadPart[]} parts - The parts confirmed by the service so far.
+ */
+/**
+ * A part confirmed by the service, with the digest of its content to check that a resumed upload sends the same content.
+ * @typedef {import('./index.js').UploadPartOutput & { digest: string }} MultipartUploadPart
+ */
+/**
+ * Uploads a large object in parts, several at a time.
+ *
+ * Every part is signed and sent like any other command. The policy is signed once, when the upload is created,
+ * and is evaluated by the service against the assembled object.
+ *
+ * If a part fails, the upload is left open and the returned error carries the latest state in `context.state`.
+ * Pass that state back in to resume from the confirmed parts. The content of those parts is read again and checked against
+ * the SHA-256 digests recorded in the state, so that other content of the same size is not mixed into the object. Abort abandoned uploads with an `AbortMultipartUploadCommand`.
+ * @param {object} params
+ * @param {import('./index.js').MedoroDataplaneClient} params.client - The client used to send each command.
+ * @param {string} params.key - The key (path) of the object.
+ * @param {import('../lib/schemas').ApiPutRequestValidationPolicy} params.policy - The validation policy for the assembled object.
+ * @param {Blob | ArrayBuffer | string} params.content - The content of the object.
+ * @param {number} [params.partSize] - The size of each part in bytes. Defaults to 8 MiB; the minimum is 5 MiB.
+ * @param {number} [params.concurrency] - How many parts are uploaded at the same time. Defaults to 4.
+ * @param {MultipartUploadState} [params.state] - The state of a previous, interrupted upload of the same content.
+ * @param {(state: MultipartUploadState) => void} [params.onStateChange] - Called with a copy of the state whenever a part is confirmed.
+ * @returns {Promise<Result<import('./index.js').PutObjectOutput, import('./index.js').MedoroRequestError>>}
+ */
+export function uploadMultipart({ client, key, policy, content, partSize, concurrency, state, onStateChange }: {
+    client: import("./index.js").MedoroDataplaneClient;
+    key: string;
+    policy: import("../lib/schemas").ApiPutRequestValidationPolicy;
+    content: Blob | ArrayBuffer | string;
+    partSize?: number | undefined;
+    concurrency?: number | undefined;
+    state?: MultipartUploadState | undefined;
+    onStateChange?: ((state: MultipartUploadState) => void) | undefined;
+}): Promise<Result<import("./index.js").PutObjectOutput, import("./index.js").MedoroRequestError>>;
+/**
+ * Serializable progress of a multipart upload.
+ * Persist it (e.g. with `JSON.stringify`) to resume an interrupted upload later.
+ */
+export type MultipartUploadState = {
+    /**
+     * - The key (path) of the object being assembled.
+     */
+    key: string;
+    /**
+     * - The ID of the multipart upload.
+     */
+    uploadId: string;
+    /**
+     * - The size of the assembled object in bytes.
+     */
+    size: number;
+    /**
+     * - The size of every part but the last one in bytes.
+     */
+    partSize: number;
+    /**
+     * - The parts confirmed by the service so far.
+     */
+    parts: MultipartUploadPart[];
+};
+/**
+ * A part confirmed by the service, with the digest of its content to check that a resumed upload sends the same content.
+ */
+export type MultipartUploadPart = import("./index.js").UploadPartOutput & {
+    digest: string;
+};
+import { Result } from 'neverthrow';
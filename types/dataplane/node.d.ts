@@ -0,0 +1,26 @@
+/**
+ * Opens a file as the content of an upload, without reading it into memory.
+ * The file is read when the request is sent, and again on every retry.
+ * @param {object} params
+ * @param {string} params.path - The path of the file.
+ * @param {string} [params.type] - The media type of the content, sent as the `Content-Type` of the upload.
+ * @returns {Promise<Result<Blob, import('./index.js').MedoroRequestError>>}
+ */
+export function openFileContent({ path, type }: {
+    path: string;
+    type?: string | undefined;
+}): Promise<Result<Blob, import("./index.js").MedoroRequestError>>;
+/**
+ * Writes the body of a response, such as the result of a GetObjectCommand, to a file as it is received.
+ * If the body does not match its `Content-Digest`, the file is removed and the `integrity_error` is returned.
+ * @param {object} params
+ * @param {Response} params.response - The response to read.
+ * @param {string} params.path - The path of the file. An existing file is replaced.
+ * @returns {Promise<Result<void, import('./index.js').MedoroRequestError>>}
+ */
+export function saveResponseToFile({ response, path }: {
+    response: Response;
+    path: string;
+}): Promise<Result<void, import("./index.js").MedoroRequestError>>;
+export { syncDirectory } from "./sync.js";
+import { Result } from 'neverthrow';
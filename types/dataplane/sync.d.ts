@@ -0,0 +1,112 @@
+/**
+ * Synchronizes a bucket prefix with a local directory: uploads the files that are new or changed and,
+ * optionally, deletes the objects whose files no longer exist.
+ *
+ * A file is unchanged if the object under its key has the same size and content type and, when comparing by `hash`,
+ * the same SHA-256 in its `sha256` metadata, which every upload of a sync records. Objects without it, such as those
+ * uploaded otherwise, are unchanged if the file was last modified before them.
+ *
+ * Each upload is signed with a policy allowing exactly its key, size and guessed content type.
+ * Failed uploads and deletions do not stop the others; the returned error carries the report in `context.report`.
+ * @param {object} params
+ * @param {import('./index.js').MedoroDataplaneClient} params.client - The client used to list, upload and delete objects.
+ * @param {string} params.localDir - The directory to upload. Files in subdirectories get keys with the same subpaths.
+ * @param {string} [params.prefix] - The key prefix the directory is mirrored to, such as `/assets/`. Defaults to `/`.
+ * @param {boolean} [params.delete] - Delete objects under the prefix that have no local file. Defaults to false.
+ * @param {boolean} [params.dryRun] - Only compute the plan. Defaults to false.
+ * @param {number} [params.concurrency] - How many comparisons, uploads and deletions run at the same time. Defaults to 4.
+ * @param {'hash' | 'size'} [params.compare] - How files are compared with objects of the same size and content type.
+ *   `hash` reads the metadata of each object and hashes the file; `size` considers them unchanged without requests
+ *   or reading the files. Defaults to `hash`.
+ * @param {'public' | 'private'} [params.accessControl] - The access control of the uploaded objects. Defaults to `private`.
+ * @returns {Promise<Result<SyncReport, import('./index.js').MedoroRequestError>>}
+ */
+export function syncDirectory({ client, localDir, prefix, delete: deleteRemoved, dryRun, concurrency, compare, accessControl, }: {
+    client: import("./index.js").MedoroDataplaneClient;
+    localDir: string;
+    prefix?: string | undefined;
+    delete?: boolean | undefined;
+    dryRun?: boolean | undefined;
+    concurrency?: number | undefined;
+    compare?: "size" | "hash" | undefined;
+    accessControl?: "public" | "private" | undefined;
+}): Promise<Result<SyncReport, import("./index.js").MedoroRequestError>>;
+/**
+ * A change `syncDirectory` decided on for one key.
+ * - `upload` a local file that is `new` under the prefix or has `changed` since it was uploaded.
+ * - `skip` a local file that is `unchanged`.
+ * - `delete` a remote object whose local file was `removed`. Only planned with `delete: true`.
+ */
+export type SyncAction = {
+    /**
+     * - What is done with the key.
+     */
+    action: "upload" | "skip" | "delete";
+    /**
+     * - Why.
+     */
+    reason: "new" | "changed" | "unchanged" | "removed";
+    /**
+     * - The key (path) of the object.
+     */
+    key: string;
+    /**
+     * - The path of the local file, or null for deletions.
+     */
+    path: string | null;
+    /**
+     * - The size of the local file, or of the remote object for deletions, in bytes.
+     */
+    size: number;
+    /**
+     * - The media type the file is uploaded with, or null for deletions.
+     */
+    contentType: string | null;
+};
+/**
+ * The outcome of an upload or deletion. Skipped keys have no result.
+ */
+export type SyncResult = {
+    key: string;
+    action: "upload" | "delete";
+    outcome: "ok";
+} | {
+    key: string;
+    action: "upload" | "delete";
+    outcome: "error";
+    error: import("./index.js").MedoroRequestError;
+};
+/**
+ * What `syncDirectory` planned and did.
+ */
+export type SyncReport = {
+    /**
+     * - Whether the plan was only computed, without uploading or deleting anything.
+     */
+    dryRun: boolean;
+    /**
+     * - One action per local file and per removed remote object, sorted by key.
+     */
+    plan: SyncAction[];
+    /**
+     * - The outcome of every upload and deletion, in the order they finished. Empty for dry runs.
+     */
+    results: SyncResult[];
+    /**
+     * - The number of keys per outcome.
+     * For dry runs, `uploaded` and `deleted` count the planned actions.
+     */
+    summary: {
+        uploaded: number;
+        deleted: number;
+        skipped: number;
+        failed: number;
+    };
+};
+export type LocalFile = {
+    path: string;
+    key: string;
+    size: number;
+    mtimeMs: number;
+};
+import { Result } from 'neverthrow';
@@ -0,0 +1,87 @@
+/**
+ * Verifies a request signed with `MedoroDataplaneClient.createSignedUrl` against a bucket configuration.
+ *
+ * Rebuilds the signature base from the `x-medoro-signature-input` parameter, checks the validity window and key ID,
+ * verifies the Ed25519 signature and decodes the `x-medoro-policy` parameter, if any.
+ * The signature must cover `@method`, `@authority` and `@path`, and every query parameter of the URL but the signature itself.
+ * Uploads must carry a policy, except for the parts of a multipart upload.
+ * @param {object} params
+ * @param {Request | { method: string; url: string | URL; headers?: Headers }} params.request - The request to verify.
+ * @param {import('../lib/schemas').BucketConfig} params.bucketConfig - The configuration listing the allowed public keys.
+ * @param {Date} [params.now] - The time to check the validity window against. Defaults to the current time.
+ * @returns {Promise<Result<VerifiedRequest, import('./index.js').MedoroRequestError>>}
+ */
+export function verifySignedRequest({ request, bucketConfig, now }: {
+    request: Request | {
+        method: string;
+        url: string | URL;
+        headers?: Headers;
+    };
+    bucketConfig: import("../lib/schemas").BucketConfig;
+    now?: Date | undefined;
+}): Promise<Result<VerifiedRequest, import("./index.js").MedoroRequestError>>;
+export type BareItem = string | number | boolean | Uint8Array<ArrayBuffer>;
+/**
+ * An item of a structured field inner list, with the exact text it was parsed from.
+ */
+export type InnerListItem = {
+    /**
+     * - The value of the item.
+     */
+    value: BareItem;
+    /**
+     * - The parameters of the item.
+     */
+    params: Record<string, BareItem>;
+    /**
+     * - The serialized item, including its parameters.
+     */
+    raw: string;
+};
+/**
+ * A member of a structured field dictionary, with the exact text of its value.
+ */
+export type DictionaryMember = {
+    /**
+     * - The inner list or bare item of the member.
+     */
+    value: InnerListItem[] | BareItem;
+    /**
+     * - The parameters of the member.
+     */
+    params: Record<string, BareItem>;
+    /**
+     * - The serialized value, including its parameters.
+     */
+    raw: string;
+};
+/**
+ * A request whose signature was verified.
+ */
+export type VerifiedRequest = {
+    /**
+     * - The ID of the key that signed the request.
+     */
+    keyId: string;
+    /**
+     * - The label of that key in the bucket configuration.
+     */
+    label: string;
+    /**
+     * - When the signature was created.
+     */
+    created: Date;
+    /**
+     * - When the signature expires.
+     */
+    expires: Date;
+    /**
+     * - The serialized component identifiers covered by the signature.
+     */
+    components: string[];
+    /**
+     * - The decoded policy, if the request carries one.
+     */
+    policy: import("../lib/schemas").ApiPutRequestValidationPolicy | null;
+};
+import { Result } from 'neverthrow';
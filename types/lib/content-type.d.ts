@@ -0,0 +1,10 @@
+/**
+ * Guesses the media type of a file from the extension of its name.
+ * @param {string} name - The file name or path, or an object key.
+ * @returns {string} The media type, or `DEFAULT_CONTENT_TYPE` if the extension is not known.
+ */
+export function guessContentType(name: string): string;
+/**
+ * The content type used when the extension of a file name is not known.
+ */
+export const DEFAULT_CONTENT_TYPE: "application/octet-stream";
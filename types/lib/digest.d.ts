@@ -0,0 +1,66 @@
+/**
+ * A hash algorithm of RFC 9530 `Content-Digest` headers.
+ * @typedef {keyof typeof DIGEST_ALGORITHMS} DigestAlgorithm
+ */
+/**
+ * Whether an algorithm name is one the client supports.
+ * @param {string} algorithm
+ * @returns {algorithm is DigestAlgorithm}
+ */
+export function isDigestAlgorithm(algorithm: string): algorithm is DigestAlgorithm;
+/**
+ * Hashes content and formats the hash as the value of a `Content-Digest` header, such as `sha-256=:X48E9q...=:`.
+ * @param {DigestAlgorithm} algorithm - The hash algorithm.
+ * @param {Blob | ArrayBuffer | Uint8Array<ArrayBuffer> | string} content - The content to hash. Blobs are read into memory.
+ * @returns {Promise<string>}
+ */
+export function computeContentDigest(algorithm: DigestAlgorithm, content: Blob | ArrayBuffer | Uint8Array<ArrayBuffer> | string): Promise<string>;
+/**
+ * Creates an incremental hash of content with `node:crypto`, in runtimes that provide it such as Node.js, Deno and Bun.
+ * WebCrypto cannot hash incrementally, so there is none in browsers.
+ * @param {DigestAlgorithm} algorithm - The hash algorithm.
+ * @returns {Promise<ContentHasher | null>} The hasher, or null if the runtime has no `node:crypto`.
+ */
+export function createContentHasher(algorithm: DigestAlgorithm): Promise<ContentHasher | null>;
+/**
+ * Parses a `Content-Digest` header into the base64 hashes it holds, by algorithm.
+ * Algorithms the client does not support and malformed members are left out.
+ * @param {string | null} value - The value of the header.
+ * @returns {Partial<Record<DigestAlgorithm, string>>}
+ */
+export function parseContentDigest(value: string | null): Partial<Record<DigestAlgorithm, string>>;
+/**
+ * Picks the strongest supported hash of a `Content-Digest` header, to verify content against.
+ * @param {string | null} value - The value of the header.
+ * @returns {{ algorithm: DigestAlgorithm; digest: string } | null} The hash, or null if the header holds no supported one.
+ */
+export function strongestContentDigest(value: string | null): {
+    algorithm: DigestAlgorithm;
+    digest: string;
+} | null;
+/**
+ * A hash algorithm of RFC 9530 `Content-Digest` headers.
+ */
+export type DigestAlgorithm = keyof typeof DIGEST_ALGORITHMS;
+/**
+ * A hash that is updated as content arrives, so that the content does not have to be kept.
+ */
+export type ContentHasher = {
+    /**
+     * - Hashes the next chunk of the content.
+     */
+    update: (chunk: Uint8Array) => void;
+    /**
+     * - Formats the hash of the content as the value of a `Content-Digest` header.
+     */
+    digest: () => string;
+};
+/**
+ * The `Content-Digest` algorithms the client computes and verifies, with their WebCrypto names.
+ * The strongest algorithm comes first.
+ */
+declare const DIGEST_ALGORITHMS: {
+    readonly 'sha-512': "SHA-512";
+    readonly 'sha-256': "SHA-256";
+};
+export {};
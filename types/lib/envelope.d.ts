@@ -0,0 +1,138 @@
+/**
+ * Creates the default key wrapper, which wraps data keys with a WebCrypto AES-KW key.
+ * The key-encryption key needs the `wrapKey` and `unwrapKey` usages, and can be non-extractable.
+ * @param {CryptoKey} keyEncryptionKey - The AES-KW key.
+ * @returns {KeyWrapper}
+ */
+export function createAesKwKeyWrapper(keyEncryptionKey: CryptoKey): KeyWrapper;
+/**
+ * Computes the size of encrypted content: every chunk, including the last one, gains an authentication tag.
+ * Empty content is encrypted as a single empty chunk.
+ * @param {number} size - The size of the plaintext in bytes.
+ * @param {number} chunkSize - The size of the plaintext chunks.
+ * @returns {number}
+ */
+export function encryptedSize(size: number, chunkSize: number): number;
+/**
+ * Computes the size of the plaintext of encrypted content, the inverse of `encryptedSize`.
+ * @param {number} size - The size of the encrypted content in bytes.
+ * @param {number} chunkSize - The size of the plaintext chunks.
+ * @returns {number | null} The size, or null if no plaintext encrypts to that size.
+ */
+export function decryptedSize(size: number, chunkSize: number): number | null;
+/**
+ * Creates the data key of a new object and the envelope to store with it, which holds the data key wrapped with the key-encryption key.
+ * @param {object} params
+ * @param {KeyWrapper} params.keyWrapper - Wraps the data key.
+ * @param {string} params.keyId - The ID of the key-encryption key, recorded in the envelope.
+ * @param {number} params.chunkSize - The size of the plaintext chunks.
+ * @param {string} params.objectKey - The key the object is stored under, which its chunks are bound to.
+ * @returns {Promise<Result<{ envelope: string; contentKey: ContentKey }, import('../dataplane/index.js').MedoroRequestError>>}
+ */
+export function createEnvelope({ keyWrapper, keyId, chunkSize, objectKey }: {
+    keyWrapper: KeyWrapper;
+    keyId: string;
+    chunkSize: number;
+    objectKey: string;
+}): Promise<Result<{
+    envelope: string;
+    contentKey: ContentKey;
+}, import("../dataplane/index.js").MedoroRequestError>>;
+/**
+ * Decodes the envelope stored with an object, without unwrapping its data key.
+ * @param {string} envelope - The envelope stored with the object.
+ * @returns {Result<{ version: number; kid: string; wrappedKey: Uint8Array<ArrayBuffer>; nonce: Uint8Array<ArrayBuffer>; chunkSize: number }, import('../dataplane/index.js').MedoroRequestError>}
+ *   The version of the envelope, the ID of the key-encryption key, the wrapped data key, the IV nonce and the chunk size.
+ */
+export function readEnvelope(envelope: string): Result<{
+    version: number;
+    kid: string;
+    wrappedKey: Uint8Array<ArrayBuffer>;
+    nonce: Uint8Array<ArrayBuffer>;
+    chunkSize: number;
+}, import("../dataplane/index.js").MedoroRequestError>;
+/**
+ * Reads the envelope of an object and unwraps its data key.
+ * @param {object} params
+ * @param {string} params.envelope - The envelope stored with the object.
+ * @param {KeyWrapper} params.keyWrapper - Unwraps the data key.
+ * @param {string} params.keyId - The ID of the key-encryption key the caller holds.
+ * @param {string} params.objectKey - The key the object was read from.
+ * @returns {Promise<Result<ContentKey, import('../dataplane/index.js').MedoroRequestError>>}
+ */
+export function openEnvelope({ envelope, keyWrapper, keyId, objectKey }: {
+    envelope: string;
+    keyWrapper: KeyWrapper;
+    keyId: string;
+    objectKey: string;
+}): Promise<Result<ContentKey, import("../dataplane/index.js").MedoroRequestError>>;
+/**
+ * Encrypts content as it is read, one chunk at a time, so large content is never held in memory.
+ * @param {ReadableStream<Uint8Array>} source - The plaintext.
+ * @param {ContentKey} contentKey - The key of the object, from `createEnvelope`.
+ * @returns {ReadableStream<Uint8Array>} The encrypted content.
+ */
+export function encryptStream(source: ReadableStream<Uint8Array>, { dataKey, nonce, chunkSize, additionalData }: ContentKey): ReadableStream<Uint8Array>;
+/**
+ * Decrypts content as it is read, one chunk at a time.
+ * Content that was modified, truncated, encrypted with another key or for another object key errors the stream with the reason `failure` returns.
+ * @param {ReadableStream<Uint8Array>} source - The encrypted content.
+ * @param {ContentKey} contentKey - The key of the object, from `openEnvelope`.
+ * @param {(message: string) => unknown} [failure] - Creates the reason the stream errors with.
+ * @returns {ReadableStream<Uint8Array>} The plaintext.
+ */
+export function decryptStream(source: ReadableStream<Uint8Array>, { dataKey, nonce, chunkSize, additionalData }: ContentKey, failure?: (message: string) => unknown): ReadableStream<Uint8Array>;
+/**
+ * Raises the `Content-Length` condition of a policy written for the plaintext to the size of the encrypted content,
+ * which is what the service checks. Other conditions are kept as they are.
+ * @param {import('./schemas').ApiPutRequestValidationPolicy} policy - The policy of the plaintext.
+ * @param {number} chunkSize - The size of the plaintext chunks.
+ * @returns {import('./schemas').ApiPutRequestValidationPolicy}
+ */
+export function encryptedPolicy(policy: import("./schemas").ApiPutRequestValidationPolicy, chunkSize: number): import("./schemas").ApiPutRequestValidationPolicy;
+/**
+ * The size of the plaintext chunks content is encrypted in, unless another one is given.
+ */
+export const DEFAULT_CHUNK_SIZE: number;
+/**
+ * Wraps and unwraps the data keys of objects with a key-encryption key the caller holds,
+ * such as a WebCrypto AES-KW key or a key kept in a KMS.
+ */
+export type KeyWrapper = {
+    /**
+     *   Encrypts the 32 bytes of a data key with the key-encryption key identified by `keyId`.
+     */
+    wrapKey: (params: {
+        dataKey: Uint8Array<ArrayBuffer>;
+        keyId: string;
+    }) => Promise<Uint8Array | ArrayBuffer>;
+    /**
+     *   Decrypts a data key wrapped by `wrapKey`.
+     */
+    unwrapKey: (params: {
+        wrappedKey: Uint8Array<ArrayBuffer>;
+        keyId: string;
+    }) => Promise<Uint8Array | ArrayBuffer>;
+};
+/**
+ * The data key and IV nonce of an object, which its content is encrypted and decrypted with.
+ */
+export type ContentKey = {
+    /**
+     * - The AES-256-GCM key of the object.
+     */
+    dataKey: CryptoKey;
+    /**
+     * - The random part of the IV of every chunk.
+     */
+    nonce: Uint8Array<ArrayBuffer>;
+    /**
+     * - The size of the plaintext chunks.
+     */
+    chunkSize: number;
+    /**
+     * - The AES-GCM additional data of every chunk, from `chunkAdditionalData`.
+     */
+    additionalData: Uint8Array<ArrayBuffer>;
+};
+import { Result } from 'neverthrow';
@@ -0,0 +1,96 @@
+/**
+ * Generates an extractable Ed25519 key pair, for example to rotate the signing key.
+ * @returns {Promise<Result<CryptoKeyPair, import('../dataplane/index.js').MedoroRequestError>>}
+ */
+export function generateKeyPair(): Promise<Result<CryptoKeyPair, import("../dataplane/index.js").MedoroRequestError>>;
+/**
+ * Imports an Ed25519 private key for signing requests.
+ * @param {EncodedKey & { extractable?: boolean }} params - The encoded key. Set `extractable` to export the key,
+ *   or to derive its public key, later. Defaults to false.
+ * @returns {Promise<Result<CryptoKey, import('../dataplane/index.js').MedoroRequestError>>}
+ */
+export function importPrivateKey({ format, key, extractable }: EncodedKey & {
+    extractable?: boolean;
+}): Promise<Result<CryptoKey, import("../dataplane/index.js").MedoroRequestError>>;
+/**
+ * Imports an Ed25519 public key for verifying requests.
+ * @param {EncodedKey} params - The encoded key.
+ * @returns {Promise<Result<CryptoKey, import('../dataplane/index.js').MedoroRequestError>>}
+ */
+export function importPublicKey({ format, key }: EncodedKey): Promise<Result<CryptoKey, import("../dataplane/index.js").MedoroRequestError>>;
+/**
+ * Exports an extractable Ed25519 private key. The result can be passed back to `importPrivateKey`.
+ * @param {object} params
+ * @param {CryptoKey} params.privateKey - The key to export.
+ * @param {KeyFormat} params.format - The encoding to export to. Raw keys are returned as bytes.
+ * @returns {Promise<Result<EncodedKey, import('../dataplane/index.js').MedoroRequestError>>}
+ */
+export function exportPrivateKey({ privateKey, format }: {
+    privateKey: CryptoKey;
+    format: KeyFormat;
+}): Promise<Result<EncodedKey, import("../dataplane/index.js").MedoroRequestError>>;
+/**
+ * Exports an Ed25519 public key. The result can be passed back to `importPublicKey`.
+ * @param {object} params
+ * @param {CryptoKey} params.publicKey - The key to export.
+ * @param {KeyFormat} params.format - The encoding to export to. Raw keys are returned as bytes.
+ * @returns {Promise<Result<EncodedKey, import('../dataplane/index.js').MedoroRequestError>>}
+ */
+export function exportPublicKey({ publicKey, format }: {
+    publicKey: CryptoKey;
+    format: KeyFormat;
+}): Promise<Result<EncodedKey, import("../dataplane/index.js").MedoroRequestError>>;
+/**
+ * Derives the public key of an extractable Ed25519 private key.
+ * @param {object} params
+ * @param {CryptoKey} params.privateKey - The private key.
+ * @returns {Promise<Result<CryptoKey, import('../dataplane/index.js').MedoroRequestError>>}
+ */
+export function derivePublicKey({ privateKey }: {
+    privateKey: CryptoKey;
+}): Promise<Result<CryptoKey, import("../dataplane/index.js").MedoroRequestError>>;
+/**
+ * Derives a stable key ID from an Ed25519 public key: its JWK thumbprint (RFC 7638), a 43-character base64url string.
+ * The same key always gets the same ID, whichever encoding it was loaded from.
+ * @param {object} params
+ * @param {CryptoKey} params.publicKey - The public key.
+ * @returns {Promise<Result<string, import('../dataplane/index.js').MedoroRequestError>>}
+ */
+export function deriveKeyId({ publicKey }: {
+    publicKey: CryptoKey;
+}): Promise<Result<string, import("../dataplane/index.js").MedoroRequestError>>;
+/**
+ * Creates an entry for `BucketConfig.v1.allowedPublicKeys`, ready to be merged into a bucket configuration.
+ * @param {object} params
+ * @param {CryptoKey} params.publicKey - The public key to allow.
+ * @param {string} params.label - A human-readable label for the key.
+ * @param {string} [params.keyId] - The ID of the key. Defaults to the ID derived by `deriveKeyId`.
+ * @returns {Promise<Result<Record<string, AllowedPublicKey>, import('../dataplane/index.js').MedoroRequestError>>}
+ */
+export function createAllowedPublicKeyEntry({ publicKey, label, keyId }: {
+    publicKey: CryptoKey;
+    label: string;
+    keyId?: string | undefined;
+}): Promise<Result<Record<string, AllowedPublicKey>, import("../dataplane/index.js").MedoroRequestError>>;
+/**
+ * An Ed25519 key in one of the supported encodings:
+ * - `pem`: PKCS#8 (private key) or SPKI (public key) PEM text.
+ * - `jwk`: a JSON Web Key with `kty: 'OKP'` and `crv: 'Ed25519'`.
+ * - `raw`: the 32-byte seed (private key) or public key, as bytes or base64.
+ */
+export type EncodedKey = {
+    format: "pem";
+    key: string;
+} | {
+    format: "jwk";
+    key: JsonWebKey;
+} | {
+    format: "raw";
+    key: Uint8Array | string;
+};
+export type KeyFormat = EncodedKey["format"];
+/**
+ * An entry of `BucketConfig.v1.allowedPublicKeys`.
+ */
+export type AllowedPublicKey = import("./schemas").BucketConfig["v1"]["allowedPublicKeys"][string];
+import { Result } from 'neverthrow';
@@ -0,0 +1,197 @@
+/**
+ * Fluent builder for `apiPutV1` policies.
+ *
+ * The well-known conditions have dedicated, typed methods, so their names cannot be misspelled.
+ * Objects are private unless `public()` is called.
+ * @example
+ * const result = new PolicyBuilder()
+ *   .maxSize(10 * 1024 * 1024)
+ *   .contentType.oneOf(['image/png', 'image/jpeg'])
+ *   .keyPrefix('/uploads/')
+ *   .public()
+ *   .build();
+ */
+export class PolicyBuilder {
+    /**
+     * Creates a builder holding an existing policy.
+     * Condition names matching a well-known condition case-insensitively, with `_` or `-`, are normalized to it.
+     * @param {import('./schemas').ApiPutRequestValidationPolicy} policy - The policy to start from.
+     * @returns {PolicyBuilder}
+     */
+    static from(policy: import("./schemas").ApiPutRequestValidationPolicy): PolicyBuilder;
+    /**
+     * Creates a builder from the value of an `x-medoro-policy` query parameter.
+     * @param {string} value - The value of the parameter.
+     * @returns {Result<PolicyBuilder, import('../dataplane/index.js').MedoroRequestError>}
+     */
+    static decode(value: string): Result<PolicyBuilder, import("../dataplane/index.js").MedoroRequestError>;
+    /**
+     * Conditions on the size of the object in bytes.
+     */
+    get contentLength(): NumberConditionBuilder;
+    /**
+     * Conditions on the media type of the object.
+     */
+    get contentType(): StringConditionBuilder;
+    /**
+     * Conditions on the key (path) of the object.
+     */
+    get key(): StringConditionBuilder;
+    /**
+     * Conditions on the RFC 9530 `Content-Digest` of the object, such as the exact digest of the content expected.
+     */
+    get contentDigest(): StringConditionBuilder;
+    /**
+     * Conditions on any other request header, such as `Cache-Control`.
+     * Names of the well-known conditions are rejected by `build()`; use their dedicated methods instead.
+     * @param {string} name - The name of the header.
+     */
+    header(name: string): HeaderConditionBuilder;
+    /**
+     * Limits the size of the object.
+     * @param {number} bytes - The largest size allowed, in bytes.
+     */
+    maxSize(bytes: number): PolicyBuilder;
+    /**
+     * Requires a minimum size of the object.
+     * @param {number} bytes - The smallest size allowed, in bytes.
+     */
+    minSize(bytes: number): PolicyBuilder;
+    /**
+     * Restricts the key (path) of the object to a prefix.
+     * @param {string} prefix - The prefix the key must start with.
+     */
+    keyPrefix(prefix: string): PolicyBuilder;
+    /**
+     * Requires the upload to carry a `Content-Digest` computed with an algorithm, which the service checks the content against.
+     * @param {import('./digest.js').DigestAlgorithm} algorithm - The hash algorithm.
+     */
+    requireDigest(algorithm: import("./digest.js").DigestAlgorithm): PolicyBuilder;
+    /**
+     * Makes the object readable without a signature.
+     */
+    public(): this;
+    /**
+     * Makes the object readable only with a signature. This is the default.
+     */
+    private(): this;
+    /**
+     * Creates the policy and validates it against `ApiPutRequestValidationPolicySchema`.
+     * @returns {Result<import('./schemas').ApiPutRequestValidationPolicy, import('../dataplane/index.js').MedoroRequestError>}
+     */
+    build(): Result<import("./schemas").ApiPutRequestValidationPolicy, import("../dataplane/index.js").MedoroRequestError>;
+    /**
+     * Prints the builder calls that recreate this policy.
+     * @returns {string}
+     */
+    toString(): string;
+    #private;
+}
+export type ValidationCondition = import("./schemas").ValidationCondition;
+export type SetCondition = (condition: ValidationCondition) => PolicyBuilder;
+/**
+ * Operators for conditions on numeric values, such as `Content-Length`.
+ * An upper and a lower bound on the same value are merged into a range.
+ */
+declare class NumberConditionBuilder {
+    /**
+     * @param {SetCondition} set - Stores the condition and returns the policy builder.
+     * @param {() => ValidationCondition | undefined} get - Reads the current condition.
+     */
+    constructor(set: SetCondition, get: () => ValidationCondition | undefined);
+    /**
+     * @param {number} value - The exact value required.
+     */
+    equals(value: number): PolicyBuilder;
+    /**
+     * @param {number} max - The largest value allowed.
+     */
+    lte(max: number): PolicyBuilder;
+    /**
+     * @param {number} min - The smallest value allowed.
+     */
+    gte(min: number): PolicyBuilder;
+    /**
+     * @param {number} min - The smallest value allowed.
+     * @param {number} max - The largest value allowed.
+     */
+    range(min: number, max: number): PolicyBuilder;
+    /**
+     * @param {number[]} values - The allowed values.
+     */
+    oneOf(values: number[]): PolicyBuilder;
+    #private;
+}
+/**
+ * @typedef {import('./schemas').ValidationCondition} ValidationCondition
+ */
+/**
+ * @typedef {(condition: ValidationCondition) => PolicyBuilder} SetCondition
+ */
+/**
+ * Operators for conditions on string values, such as `Content-Type` or `Key`.
+ */
+declare class StringConditionBuilder {
+    /**
+     * @param {SetCondition} set - Stores the condition and returns the policy builder.
+     */
+    constructor(set: SetCondition);
+    /**
+     * @param {string} value - The exact value required.
+     */
+    equals(value: string): PolicyBuilder;
+    /**
+     * @param {string} prefix - The prefix the value must start with.
+     */
+    startsWith(prefix: string): PolicyBuilder;
+    /**
+     * @param {string} suffix - The suffix the value must end with.
+     */
+    endsWith(suffix: string): PolicyBuilder;
+    /**
+     * @param {string[]} values - The allowed values.
+     */
+    oneOf(values: string[]): PolicyBuilder;
+    #private;
+}
+/**
+ * Operators for conditions on any other request header.
+ */
+declare class HeaderConditionBuilder {
+    /**
+     * @param {SetCondition} set - Stores the condition and returns the policy builder.
+     */
+    constructor(set: SetCondition);
+    /**
+     * @param {string | number} value - The exact value required.
+     */
+    equals(value: string | number): PolicyBuilder;
+    /**
+     * @param {string} prefix - The prefix the value must start with.
+     */
+    startsWith(prefix: string): PolicyBuilder;
+    /**
+     * @param {string} suffix - The suffix the value must end with.
+     */
+    endsWith(suffix: string): PolicyBuilder;
+    /**
+     * @param {number} max - The largest value allowed.
+     */
+    lte(max: number): PolicyBuilder;
+    /**
+     * @param {number} min - The smallest value allowed.
+     */
+    gte(min: number): PolicyBuilder;
+    /**
+     * @param {number} min - The smallest value allowed.
+     * @param {number} max - The largest value allowed.
+     */
+    range(min: number, max: number): PolicyBuilder;
+    /**
+     * @param {(string | number)[]} values - The allowed values.
+     */
+    oneOf(values: (string | number)[]): PolicyBuilder;
+    #private;
+}
+import { Result } from 'neverthrow';
+export {};
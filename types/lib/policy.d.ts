@@ -0,0 +1,86 @@
+/**
+ * Evaluates the conditions of an `apiPutV1` policy against the values of an upload, the way the service does.
+ * Use it to report validation errors before any bytes are sent, or before a signed upload URL is requested.
+ * @param {import('./schemas').ApiPutRequestValidationPolicy} policy - The policy to evaluate.
+ * @param {PolicyRequestValues} values - The values of the upload.
+ * @returns {PolicyEvaluation}
+ */
+export function evaluatePolicy(policy: import("./schemas").ApiPutRequestValidationPolicy, values: PolicyRequestValues): PolicyEvaluation;
+/**
+ * Encodes a policy as the value of the `x-medoro-policy` query parameter.
+ * @param {import('./schemas').ApiPutRequestValidationPolicy} policy - The policy to encode.
+ * @returns {string}
+ */
+export function encodePolicy(policy: import("./schemas").ApiPutRequestValidationPolicy): string;
+/**
+ * Decodes and validates the value of an `x-medoro-policy` query parameter.
+ * @param {string} value - The value of the parameter.
+ * @returns {Result<import('./schemas').ApiPutRequestValidationPolicy, import('../dataplane/index.js').MedoroRequestError>}
+ */
+export function decodePolicy(value: string): Result<import("./schemas").ApiPutRequestValidationPolicy, import("../dataplane/index.js").MedoroRequestError>;
+/**
+ * Computes the largest content length a policy can allow, to stop a streamed upload as soon as it is exceeded.
+ * @param {import('./schemas').ApiPutRequestValidationPolicy} policy - The policy of the upload.
+ * @returns {number} The largest allowed size in bytes, or Infinity if the policy sets no upper bound.
+ */
+export function maxContentLength(policy: import("./schemas").ApiPutRequestValidationPolicy): number;
+/**
+ * Evaluates only the `Content-Length` condition of a policy, for uploads whose size is known once they are sent.
+ * @param {import('./schemas').ApiPutRequestValidationPolicy} policy - The policy of the upload.
+ * @param {number} contentLength - The number of bytes sent.
+ * @returns {PolicyConditionFailure | null} The failure, or null if the size is allowed or the policy has no such condition.
+ */
+export function evaluateContentLength(policy: import("./schemas").ApiPutRequestValidationPolicy, contentLength: number): PolicyConditionFailure | null;
+/**
+ * Why a value of the request does not satisfy a policy condition.
+ */
+export type PolicyFailureReason = "missing" | "not_equal" | "not_starts_with" | "not_ends_with" | "too_large" | "too_small" | "not_one_of" | "out_of_range";
+/**
+ * A policy condition the request does not satisfy.
+ */
+export type PolicyConditionFailure = {
+    /**
+     * - The name of the condition, as written in the policy.
+     */
+    name: string;
+    /**
+     * - The condition itself.
+     */
+    condition: import("./schemas").ValidationCondition;
+    /**
+     * - The value of the request, or undefined if it is missing.
+     */
+    actual: string | number | undefined;
+    /**
+     * - Why the value does not satisfy the condition.
+     */
+    reason: PolicyFailureReason;
+    /**
+     * - A human-readable description of the failure.
+     */
+    message: string;
+};
+/**
+ * The outcome of evaluating a policy against a request.
+ */
+export type PolicyEvaluation = {
+    /**
+     * - Whether every condition is satisfied.
+     */
+    allowed: boolean;
+    /**
+     * - The conditions that are not satisfied.
+     */
+    failures: PolicyConditionFailure[];
+};
+/**
+ * The values of an upload that policy conditions are evaluated against.
+ * Further properties are treated as request headers; their names are matched case-insensitively.
+ */
+export type PolicyRequestValues = {
+    key?: string;
+    contentLength?: number;
+    contentType?: string;
+    [header: string]: string | number | undefined;
+};
+import { Result } from 'neverthrow';
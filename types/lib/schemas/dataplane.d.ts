@@ -1,5 +1,4 @@
-import { z } from 'zod/v4';
-declare const BucketConfigSchema: z.ZodObject<{
+export const BucketConfigSchema: z.ZodObject<{
     v1: z.ZodObject<{
         allowedPublicKeys: z.ZodRecord<z.ZodString, z.ZodObject<{
             alg: z.ZodLiteral<"ed25519">;
@@ -8,8 +7,10 @@ declare const BucketConfigSchema: z.ZodObject<{
         }, z.core.$strip>>;
     }, z.core.$strip>;
 }, z.core.$strip>;
-export type BucketConfig = z.infer<typeof BucketConfigSchema>;
-declare const ValidationConditionSchema: z.ZodUnion<readonly [z.ZodString, z.ZodNumber, z.ZodObject<{
+/**
+ * @typedef {z.infer<typeof BucketConfigSchema>} BucketConfig
+ */
+export const ValidationConditionSchema: z.ZodUnion<readonly [z.ZodString, z.ZodNumber, z.ZodObject<{
     startsWith: z.ZodString;
 }, z.core.$strip>, z.ZodObject<{
     endsWith: z.ZodString;
@@ -22,7 +23,7 @@ declare const ValidationConditionSchema: z.ZodUnion<readonly [z.ZodString, z.Zod
 }, z.core.$strip>, z.ZodObject<{
     range: z.ZodTuple<[z.ZodNumber, z.ZodNumber], null>;
 }, z.core.$strip>]>;
-export declare const ApiPutRequestValidationPolicySchema: z.ZodObject<{
+export const ApiPutRequestValidationPolicySchema: z.ZodObject<{
     apiPutV1: z.ZodObject<{
         conditions: z.ZodRecord<z.ZodString, z.ZodUnion<readonly [z.ZodString, z.ZodNumber, z.ZodObject<{
             startsWith: z.ZodString;
@@ -43,6 +44,42 @@ export declare const ApiPutRequestValidationPolicySchema: z.ZodObject<{
         }>;
     }, z.core.$strip>;
 }, z.core.$strip>;
+/**
+ * @typedef {z.infer<typeof ValidationConditionSchema>} ValidationCondition
+ */
+/**
+ * @typedef {z.infer<typeof ApiPutRequestValidationPolicySchema>} ApiPutRequestValidationPolicy
+ */
+export const EncryptionEnvelopeSchema: z.ZodObject<{
+    v: z.ZodLiteral<1>;
+    alg: z.ZodLiteral<"A256GCM">;
+    kid: z.ZodString;
+    key: z.ZodString;
+    nonce: z.ZodString;
+    chunkSize: z.ZodNumber;
+}, z.core.$strip>;
+/**
+ * @typedef {z.infer<typeof EncryptionEnvelopeSchema>} EncryptionEnvelope
+ */
+export const UploadIntentSchema: z.ZodObject<{
+    filename: z.ZodString;
+    size: z.ZodNumber;
+    type: z.ZodString;
+}, z.core.$strip>;
+/**
+ * @typedef {z.infer<typeof UploadIntentSchema>} UploadIntent
+ */
+export const SignedUploadSchema: z.ZodObject<{
+    url: z.ZodURL;
+    method: z.ZodLiteral<"PUT">;
+    key: z.ZodString;
+    headers: z.ZodRecord<z.ZodString, z.ZodString>;
+    expiresAt: z.ZodISODateTime;
+}, z.core.$strip>;
+export type BucketConfig = z.infer<typeof BucketConfigSchema>;
 export type ValidationCondition = z.infer<typeof ValidationConditionSchema>;
 export type ApiPutRequestValidationPolicy = z.infer<typeof ApiPutRequestValidationPolicySchema>;
-export {};
+export type EncryptionEnvelope = z.infer<typeof EncryptionEnvelopeSchema>;
+export type UploadIntent = z.infer<typeof UploadIntentSchema>;
+export type SignedUpload = z.infer<typeof SignedUploadSchema>;
+import { z } from 'zod/v4';
@@ -1 +1 @@
-export * from './dataplane';
+export * from "./dataplane.js";